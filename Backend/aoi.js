@@ -0,0 +1,196 @@
+// filename: aoi.js - User-Drawn Areas of Interest
+
+/**
+ * 📐 AREAS OF INTEREST: Polygons drawn by engineers on the map (a new development, a stretch of
+ * highway, an event venue) and kept in public.app_aoi so they can be used like micro grids:
+ * every tile and GeoJSON route accepts `aoi=<id>[,<id>]` as its spatial scope (spatialScope.js).
+ *
+ * - Geometry is stored as WGS84 MultiPolygon; rectangles and circles are drawn as polygons by the
+ *   frontend, `shape` only records how the area was drawn
+ * - An AOI belongs to the user who drew it; shared AOIs are visible to every user
+ *   (restricted users still only see data inside their own scope - spatialScope clips AOIs)
+ * - Only the owner (or an admin) may delete an AOI
+ */
+
+const { parsePolygon, SpatialScopeError } = require('./spatialScope');
+
+const SHAPES = ['polygon', 'rectangle', 'circle'];
+const MAX_NAME_LENGTH = 100;
+const MAX_AOIS_PER_USER = 200;
+
+/**
+ * Invalid AOI request (HTTP 400 / 403 / 404)
+ */
+class AoiError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AoiError';
+        this.status = status;
+    }
+}
+
+function toAoi(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        shape: row.shape,
+        owner: row.owner_username,
+        shared: row.shared,
+        areaKm2: row.area_m2 !== null ? Math.round(Number(row.area_m2) / 1e4) / 100 : null,
+        bbox: row.west !== null ? [row.west, row.south, row.east, row.north] : null,
+        createdAt: row.created_at,
+        ...(row.geometry ? { geometry: row.geometry } : {})
+    };
+}
+
+// Owner / shared / admin visibility, $1 = user id, $2 = is admin
+const VISIBLE_TO_USER = '(a.owner_id = $1 OR a.shared OR $2)';
+
+const AOI_COLUMNS = `
+    a.id, a.name, a.shape, a.owner_username, a.shared, a.created_at,
+    ST_Area(a.geom::geography) AS area_m2,
+    ST_XMin(a.geom) AS west, ST_YMin(a.geom) AS south, ST_XMax(a.geom) AS east, ST_YMax(a.geom) AS north`;
+
+class AoiStore {
+    /**
+     * @param {Object} pool - pg Pool holding public.app_aoi (main database, next to public.micro_grid)
+     */
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async ensureSchema() {
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS public.app_aoi (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                shape TEXT NOT NULL DEFAULT 'polygon',
+                owner_id INTEGER NOT NULL,
+                owner_username TEXT NOT NULL,
+                shared BOOLEAN NOT NULL DEFAULT FALSE,
+                geom geometry(MultiPolygon, 4326) NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        await this.pool.query('CREATE INDEX IF NOT EXISTS app_aoi_owner_idx ON public.app_aoi (owner_id)');
+        await this.pool.query('CREATE INDEX IF NOT EXISTS app_aoi_geom_idx ON public.app_aoi USING GIST (geom)');
+    }
+
+    /**
+     * AOIs visible to a user (own + shared; admins see all), newest first, without geometry
+     */
+    async list(user) {
+        const { rows } = await this.pool.query(`
+            SELECT ${AOI_COLUMNS}
+            FROM public.app_aoi a
+            WHERE ${VISIBLE_TO_USER}
+            ORDER BY a.created_at DESC
+        `, [user.id, user.role === 'admin']);
+        return rows.map(toAoi);
+    }
+
+    /**
+     * One AOI with its GeoJSON geometry
+     * @throws {AoiError} 404 when missing or not visible to the user
+     */
+    async get(id, user) {
+        const { rows } = await this.pool.query(`
+            SELECT ${AOI_COLUMNS}, ST_AsGeoJSON(a.geom)::json AS geometry
+            FROM public.app_aoi a
+            WHERE a.id = $3 AND ${VISIBLE_TO_USER}
+        `, [user.id, user.role === 'admin', parseAoiId(id)]);
+        if (rows.length === 0) {
+            throw new AoiError(`Area of interest ${id} not found`, 404);
+        }
+        return toAoi(rows[0]);
+    }
+
+    /**
+     * Save a drawn area
+     * @param {Object} user - req.user (owner)
+     * @param {Object} body - { name, geometry (GeoJSON Polygon / MultiPolygon / Feature, WGS84), shape?, shared? }
+     */
+    async create(user, { name, geometry, shape = 'polygon', shared = false } = {}) {
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        if (!trimmedName || trimmedName.length > MAX_NAME_LENGTH) {
+            throw new AoiError(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+        }
+        if (!SHAPES.includes(shape)) {
+            throw new AoiError(`shape must be one of: ${SHAPES.join(', ')}`);
+        }
+
+        let polygon;
+        try {
+            polygon = parsePolygon(geometry);
+        } catch (err) {
+            if (err instanceof SpatialScopeError) {
+                throw new AoiError(err.message.replace(/^polygon/, 'geometry'));
+            }
+            throw err;
+        }
+
+        const { rows: counted } = await this.pool.query(
+            'SELECT COUNT(*)::int AS count FROM public.app_aoi WHERE owner_id = $1',
+            [user.id]
+        );
+        if (counted[0].count >= MAX_AOIS_PER_USER) {
+            throw new AoiError(`At most ${MAX_AOIS_PER_USER} saved areas per user - delete unused ones first`);
+        }
+
+        // Self-intersecting drawings are repaired; anything that is not an area afterwards is refused
+        const { rows } = await this.pool.query(`
+            WITH drawn AS (
+                SELECT ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326)), 3)) AS geom
+            )
+            INSERT INTO public.app_aoi (name, shape, owner_id, owner_username, shared, geom)
+            SELECT $2, $3, $4, $5, $6, d.geom FROM drawn d
+            WHERE NOT ST_IsEmpty(d.geom)
+            RETURNING id
+        `, [JSON.stringify(polygon), trimmedName, shape, user.id, user.username, shared === true]);
+        if (rows.length === 0) {
+            throw new AoiError('geometry does not enclose an area');
+        }
+        return this.get(rows[0].id, user);
+    }
+
+    /**
+     * Delete an AOI (owner or admin)
+     */
+    async remove(id, user) {
+        const aoi = await this.get(id, user);
+        if (aoi.owner !== user.username && user.role !== 'admin') {
+            throw new AoiError('Only the owner can delete this area', 403);
+        }
+        await this.pool.query('DELETE FROM public.app_aoi WHERE id = $1', [aoi.id]);
+        return aoi;
+    }
+
+    /**
+     * WGS84 WKT of the AOIs a user may use as spatial scope (missing / invisible IDs are left out)
+     * - the deps.resolveAoi of SpatialScopeService
+     */
+    async wkt(ids, user) {
+        if (!user) {
+            return [];
+        }
+        const { rows } = await this.pool.query(`
+            SELECT ST_AsText(a.geom) AS wkt
+            FROM public.app_aoi a
+            WHERE a.id = ANY($3::int[]) AND ${VISIBLE_TO_USER}
+        `, [user.id, user.role === 'admin', ids]);
+        return rows.map(row => row.wkt);
+    }
+}
+
+function parseAoiId(id) {
+    const parsed = Number(id);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+        throw new AoiError('Invalid area of interest ID');
+    }
+    return parsed;
+}
+
+module.exports = {
+    AoiStore,
+    AoiError
+};
@@ -0,0 +1,309 @@
+// filename: audit.js - Data Access Audit Log for sensitive datasets
+
+/**
+ * 📝 AUDIT LOG: Records who fetched which sensitive data (complaint records, competitor sites).
+ * One row per request in public.data_access_audit: user, route, parameters, micro grid scope,
+ * row/feature/tile count, HTTP status and timestamp. Responses cut short by a client disconnect are
+ * still recorded, flagged aborted (the count is what was prepared, not what arrived). The table is append-only for the app -
+ * the service never updates or deletes audit rows.
+ *
+ * Usage (server.js):
+ *   app.get('/complaint_year', auditLog.track('complaint', { recordId: f => f.properties.raw_ref_no }), handler)
+ */
+
+const { redactQuery } = require('./logger');
+const { csvCell } = require('./csvFormat');
+
+// Upper bound on record IDs kept per audit row (the count is always exact)
+const MAX_RECORD_IDS = 20000;
+
+// Columns of the admin query / CSV export, in output order
+const EXPORT_COLUMNS = [
+    'id', 'occurred_at', 'user_id', 'username', 'role', 'dataset', 'method', 'route', 'params',
+    'scope', 'result_count', 'result_unit', 'status', 'aborted', 'duration_ms', 'ip', 'record_ids'
+];
+
+/**
+ * Count what a JSON body delivered: GeoJSON features, data rows or array items
+ * @returns {{count: number, unit: string, items: Array|null}}
+ */
+function countJsonBody(body) {
+    if (body && body.type === 'FeatureCollection' && Array.isArray(body.features)) {
+        return { count: body.features.length, unit: 'features', items: body.features };
+    }
+    if (body && Array.isArray(body.data)) {
+        return { count: body.data.length, unit: 'rows', items: body.data };
+    }
+    if (Array.isArray(body)) {
+        return { count: body.length, unit: 'rows', items: body };
+    }
+    return { count: body ? 1 : 0, unit: 'objects', items: null };
+}
+
+/**
+ * Format one CSV field (quoting and formula neutralization in csvCell)
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value)
+            : String(value);
+    return csvCell(text);
+}
+
+/**
+ * Invalid audit query filter (HTTP 400)
+ */
+class AuditQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuditQueryError';
+    }
+}
+
+class AuditLog {
+    /**
+     * @param {Object} pool - pg Pool holding the audit table
+     */
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async ensureSchema() {
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS public.data_access_audit (
+                id BIGSERIAL PRIMARY KEY,
+                occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                user_id INTEGER,
+                username TEXT,
+                role TEXT,
+                dataset TEXT NOT NULL,
+                method TEXT NOT NULL,
+                route TEXT NOT NULL,
+                params JSONB NOT NULL DEFAULT '{}',
+                scope JSONB,
+                result_count INTEGER,
+                result_unit TEXT,
+                status INTEGER,
+                aborted BOOLEAN NOT NULL DEFAULT FALSE,
+                duration_ms INTEGER,
+                ip TEXT,
+                record_ids TEXT[]
+            )
+        `);
+        await this.pool.query('ALTER TABLE public.data_access_audit ADD COLUMN IF NOT EXISTS aborted BOOLEAN NOT NULL DEFAULT FALSE');
+        await this.pool.query('CREATE INDEX IF NOT EXISTS data_access_audit_occurred_at_idx ON public.data_access_audit (occurred_at)');
+        await this.pool.query('CREATE INDEX IF NOT EXISTS data_access_audit_user_idx ON public.data_access_audit (username, occurred_at)');
+    }
+
+    /**
+     * 📝 Middleware factory: audit every response of the route
+     * @param {string|Function} dataset - Dataset name, or req => dataset name (null = not audited)
+     * @param {Object} [options]
+     * @param {Function} [options.recordId] - item => identifier, stored so reviews can see WHICH records were pulled
+     * @param {Function} [options.records] - JSON body => items passed to recordId (default: the counted features / rows),
+     *                                       for answers that nest their records (e.g. identify's complaints)
+     * Routes sending files (feature exports, reports) report their content in
+     * res.locals.auditCount = { count, unit, recordIds? }
+     */
+    track(dataset, options = {}) {
+        return (req, res, next) => {
+            const datasetName = typeof dataset === 'function' ? dataset(req) : dataset;
+            if (!datasetName) {
+                return next();
+            }
+
+            const startedAt = Date.now();
+            const result = { count: null, unit: null, recordIds: null };
+
+            // Count JSON payloads (res.json ends in res.send, which must not count them again)
+            const originalJson = res.json.bind(res);
+            res.json = (body) => {
+                const counted = countJsonBody(body);
+                result.count = counted.count;
+                result.unit = counted.unit;
+                const items = options.records ? options.records(body) : counted.items;
+                if (options.recordId && Array.isArray(items)) {
+                    result.recordIds = items.slice(0, MAX_RECORD_IDS)
+                        .map(options.recordId)
+                        .filter(id => id !== null && id !== undefined)
+                        .map(String);
+                }
+                return originalJson(body);
+            };
+
+            // Count binary payloads (MVT tiles)
+            const originalSend = res.send.bind(res);
+            res.send = (body) => {
+                if (result.unit === null && Buffer.isBuffer(body)) {
+                    result.count = body.length > 0 ? 1 : 0;
+                    result.unit = 'tiles';
+                }
+                return originalSend(body);
+            };
+
+            // 'finish' = fully handed to the OS; 'close' without it = client gone mid-response
+            let recorded = false;
+            const recordOnce = (aborted) => {
+                if (recorded) {
+                    return;
+                }
+                recorded = true;
+                if (res.locals.auditCount) {
+                    result.count = res.locals.auditCount.count;
+                    result.unit = res.locals.auditCount.unit;
+                    if (res.locals.auditCount.recordIds) {
+                        result.recordIds = res.locals.auditCount.recordIds.slice(0, MAX_RECORD_IDS).map(String);
+                    }
+                }
+                this.record(req, {
+                    dataset: datasetName,
+                    status: res.statusCode,
+                    aborted,
+                    durationMs: Date.now() - startedAt,
+                    ...result
+                });
+            };
+            res.on('finish', () => recordOnce(false));
+            res.on('close', () => {
+                if (!res.writableFinished) {
+                    recordOnce(true);
+                }
+            });
+
+            next();
+        };
+    }
+
+    /**
+     * Write one audit row - never throws (auditing must not break data delivery)
+     */
+    async record(req, { dataset, status, aborted = false, durationMs, count, unit, recordIds }) {
+        // Credentials are masked with the logger's list
+        const params = redactQuery({ ...req.query, ...req.params });
+
+        const scope = req.scope ? {
+            restricted: req.scope.restricted,
+            microGrids: req.query.microGrids || null,
+            districts: req.query.districts || null
+        } : null;
+
+        try {
+            await this.pool.query(`
+                INSERT INTO public.data_access_audit
+                    (user_id, username, role, dataset, method, route, params, scope,
+                     result_count, result_unit, status, aborted, duration_ms, ip, record_ids)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+            `, [
+                req.user ? req.user.id : null,
+                req.user ? req.user.username : null,
+                req.user ? req.user.role : null,
+                dataset,
+                req.method,
+                req.baseUrl + req.path,
+                JSON.stringify(params),
+                scope ? JSON.stringify(scope) : null,
+                count,
+                unit,
+                status,
+                aborted,
+                durationMs,
+                req.ip,
+                recordIds
+            ]);
+        } catch (err) {
+            console.error(`🚨 [Audit] Failed to record ${dataset} access by ${req.user ? req.user.username : 'anonymous'}:`, err.message);
+        }
+    }
+
+    /**
+     * Build the WHERE clause shared by query() and exportCsv()
+     * Filters: user, dataset, route (prefix), record (record ID), from, to (ISO timestamps)
+     */
+    buildFilter(filters = {}) {
+        ['from', 'to'].forEach(name => {
+            if (filters[name] && Number.isNaN(new Date(filters[name]).getTime())) {
+                throw new AuditQueryError(`Invalid "${name}" timestamp: ${filters[name]}`);
+            }
+        });
+
+        const conditions = [];
+        const params = [];
+        const add = (sql, value) => {
+            params.push(value);
+            conditions.push(sql.replace('?', `$${params.length}`));
+        };
+
+        if (filters.user) add('username = ?', filters.user);
+        if (filters.dataset) add('dataset = ?', filters.dataset);
+        if (filters.route) add('route LIKE ?', `${filters.route}%`);
+        if (filters.record) add('? = ANY(record_ids)', filters.record);
+        if (filters.from) add('occurred_at >= ?', new Date(filters.from));
+        if (filters.to) add('occurred_at < ?', new Date(filters.to));
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    /**
+     * Paginated audit query (newest first)
+     * @returns {Promise<{total: number, entries: Array}>}
+     */
+    async query(filters = {}, { limit = 100, offset = 0 } = {}) {
+        const { where, params } = this.buildFilter(filters);
+        const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+        const safeOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+        const [countResult, rowsResult] = await Promise.all([
+            this.pool.query(`SELECT COUNT(*)::int AS total FROM public.data_access_audit ${where}`, params),
+            this.pool.query(`
+                SELECT ${EXPORT_COLUMNS.join(', ')}
+                FROM public.data_access_audit ${where}
+                ORDER BY occurred_at DESC, id DESC
+                LIMIT ${safeLimit} OFFSET ${safeOffset}
+            `, params)
+        ]);
+
+        return { total: countResult.rows[0].total, limit: safeLimit, offset: safeOffset, entries: rowsResult.rows };
+    }
+
+    /**
+     * Write matching audit rows as CSV to a writable stream (oldest first, in pages of 5000)
+     */
+    async exportCsv(filters, out) {
+        const { where, params } = this.buildFilter(filters);
+        const pageSize = 5000;
+        let lastId = 0;
+
+        out.write('\uFEFF'); // BOM so Excel opens the Chinese text as UTF-8
+        out.write(`${EXPORT_COLUMNS.join(',')}\r\n`);
+
+        for (;;) {
+            const pageWhere = where ? `${where} AND id > $${params.length + 1}` : `WHERE id > $${params.length + 1}`;
+            const { rows } = await this.pool.query(`
+                SELECT ${EXPORT_COLUMNS.join(', ')}
+                FROM public.data_access_audit ${pageWhere}
+                ORDER BY id
+                LIMIT ${pageSize}
+            `, [...params, lastId]);
+
+            rows.forEach(row => {
+                out.write(`${EXPORT_COLUMNS.map(column => csvField(row[column])).join(',')}\r\n`);
+            });
+
+            if (rows.length < pageSize) {
+                break;
+            }
+            lastId = rows[rows.length - 1].id;
+        }
+    }
+}
+
+module.exports = {
+    AuditLog,
+    AuditQueryError
+};
@@ -0,0 +1,587 @@
+// filename: auth.js - User Accounts, Sessions and Spatial Scope Authorization
+const crypto = require('crypto');
+const redisCache = require('./redisCacheHelper');
+const config = require('./config');
+
+/**
+ * 🔐 AUTH SERVICE: Server-side authorization for every data and tile route.
+ * Users log in with username/password and receive an opaque session token. The token travels
+ * either in the `Authorization: Bearer <token>` header (fetch/XHR) or in the `session` query
+ * parameter (Leaflet tile URLs cannot set headers).
+ *
+ * Each user has a role and an allowed set of micro grids and districts. The allowed set is the
+ * user's SCOPE: requests are clipped to it server-side, whatever the client claims.
+ */
+
+/**
+ * Role definitions
+ * - fullArea: may read Hong Kong wide data when no micro grids/districts are assigned
+ * - manageUsers: may create and edit user accounts
+ */
+const ROLES = {
+    admin: { label: '系統管理員', fullArea: true, manageUsers: true },
+    planner: { label: '規劃工程師', fullArea: true, manageUsers: false },
+    district_engineer: { label: '區域工程師', fullArea: false, manageUsers: false }
+};
+
+const SESSION_TTL_HOURS = config.auth.sessionTtlHours;
+const SESSION_CACHE_TTL = 60; // seconds - resolved session/scope cached in Redis
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Error carrying an HTTP status, thrown by scope checks and user management
+ */
+class AuthError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - "scrypt$<salt>$<hash>"
+ */
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derived) => {
+            if (err) return reject(err);
+            resolve(`scrypt$${salt}$${derived.toString('hex')}`);
+        });
+    });
+}
+
+/**
+ * Verify a password against a stored scrypt hash (constant time comparison)
+ * @param {string} password - Plain text password
+ * @param {string} stored - Value produced by hashPassword
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, stored) {
+    return new Promise((resolve) => {
+        const [scheme, salt, hash] = (stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return resolve(false);
+        }
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derived) => {
+            if (err) return resolve(false);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+        });
+    });
+}
+
+/**
+ * Sessions are stored hashed so a leaked sessions table cannot be replayed
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Split a comma separated query value (or array) into trimmed, non-empty strings
+ */
+function splitList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Public view of a user row (never exposes the password hash)
+ */
+function toPublicUser(row, scope = null) {
+    return {
+        id: row.id,
+        username: row.username,
+        displayName: row.display_name,
+        role: row.role,
+        roleLabel: ROLES[row.role] ? ROLES[row.role].label : row.role,
+        allowedMicroGrids: row.allowed_micro_grids || [],
+        allowedDistricts: row.allowed_districts || [],
+        disabled: row.disabled === true,
+        ...(scope ? {
+            scope: {
+                restricted: scope.restricted,
+                microGridCount: scope.microGridIds.length,
+                districts: scope.districts
+            }
+        } : {})
+    };
+}
+
+class AuthService {
+    /**
+     * @param {Object} pool - pg Pool holding the app_users / app_sessions tables (and public.micro_grid)
+     * @param {Object} [options]
+     * @param {Array<string>} [options.publicPaths] - Path prefixes reachable without a session
+     */
+    constructor(pool, options = {}) {
+        this.pool = pool;
+        this.publicPaths = options.publicPaths || ['/auth/login'];
+
+        // Bind middlewares so they can be passed straight to app.use()
+        this.authenticate = this.authenticate.bind(this);
+        this.requireAuth = this.requireAuth.bind(this);
+        this.enforceScope = this.enforceScope.bind(this);
+        this.requireFullArea = this.requireFullArea.bind(this);
+    }
+
+    /**
+     * Create the user and session tables if they do not exist and bootstrap the first admin
+     * from AUTH_BOOTSTRAP_ADMIN / AUTH_BOOTSTRAP_PASSWORD when the users table is empty
+     */
+    async ensureSchema() {
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS public.app_users (
+                id SERIAL PRIMARY KEY,
+                username TEXT NOT NULL UNIQUE,
+                display_name TEXT,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL,
+                allowed_micro_grids INTEGER[] NOT NULL DEFAULT '{}',
+                allowed_districts TEXT[] NOT NULL DEFAULT '{}',
+                disabled BOOLEAN NOT NULL DEFAULT FALSE,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS public.app_sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES public.app_users(id) ON DELETE CASCADE,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                expires_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+        await this.pool.query('DELETE FROM public.app_sessions WHERE expires_at < NOW()');
+
+        const bootstrapUser = config.auth.bootstrapAdmin;
+        const bootstrapPassword = config.auth.bootstrapPassword;
+        if (bootstrapUser && bootstrapPassword) {
+            const { rows } = await this.pool.query('SELECT COUNT(*)::int AS count FROM public.app_users');
+            if (rows[0].count === 0) {
+                await this.createUser({ username: bootstrapUser, password: bootstrapPassword, role: 'admin' });
+                console.log(`🔐 [Auth] Bootstrap admin "${bootstrapUser}" created`);
+            }
+        }
+    }
+
+    // ===================================================================
+    // Sessions
+    // ===================================================================
+
+    /**
+     * Check credentials and open a session
+     * @returns {Promise<{token: string, expiresAt: Date, user: Object}>}
+     */
+    async login(username, password) {
+        if (!username || !password) {
+            throw new AuthError(400, 'Username and password are required');
+        }
+
+        const { rows } = await this.pool.query(
+            'SELECT * FROM public.app_users WHERE username = $1',
+            [username]
+        );
+        const user = rows[0];
+        const valid = user && !user.disabled && await verifyPassword(password, user.password_hash);
+        if (!valid) {
+            throw new AuthError(401, 'Invalid username or password');
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000);
+        await this.pool.query(
+            'INSERT INTO public.app_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+            [hashToken(token), user.id, expiresAt]
+        );
+
+        const scope = await this.resolveScope(user);
+        return { token, expiresAt, user: toPublicUser(user, scope) };
+    }
+
+    /**
+     * Close a session (idempotent)
+     */
+    async logout(token) {
+        if (!token) return;
+        const tokenHash = hashToken(token);
+        await this.pool.query('DELETE FROM public.app_sessions WHERE token_hash = $1', [tokenHash]);
+        await redisCache.del(`auth_session_${tokenHash}`);
+    }
+
+    /**
+     * Resolve a session token to { user, scope } (Redis cached for SESSION_CACHE_TTL seconds)
+     * @returns {Promise<Object|null>}
+     */
+    async getSession(token) {
+        const tokenHash = hashToken(token);
+        const cacheKey = `auth_session_${tokenHash}`;
+
+        const cached = await redisCache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const { rows } = await this.pool.query(`
+            SELECT u.*
+            FROM public.app_sessions s
+            JOIN public.app_users u ON u.id = s.user_id
+            WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.disabled IS NOT TRUE
+        `, [tokenHash]);
+
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const user = rows[0];
+        const scope = await this.resolveScope(user);
+        const session = { user: toPublicUser(user), scope };
+
+        await redisCache.set(cacheKey, session, SESSION_CACHE_TTL);
+        return session;
+    }
+
+    /**
+     * Expand a user's allowed micro grids and districts into concrete micro grid IDs/names.
+     * - Users with assignments are restricted to them
+     * - Users without assignments are unrestricted only if their role has fullArea
+     *   (otherwise their scope is empty and every data request is refused)
+     */
+    async resolveScope(user) {
+        const allowedIds = user.allowed_micro_grids || [];
+        const allowedDistricts = user.allowed_districts || [];
+        const role = ROLES[user.role] || { fullArea: false };
+
+        if (allowedIds.length === 0 && allowedDistricts.length === 0) {
+            return {
+                restricted: !role.fullArea,
+                microGridIds: [],
+                gridNames: [],
+                districts: []
+            };
+        }
+
+        const { rows } = await this.pool.query(`
+            SELECT id, grid_name
+            FROM public.micro_grid
+            WHERE id = ANY($1::int[]) OR district = ANY($2::text[])
+            ORDER BY id
+        `, [allowedIds, allowedDistricts]);
+
+        return {
+            restricted: true,
+            microGridIds: rows.map(row => row.id),
+            gridNames: rows.map(row => row.grid_name),
+            districts: allowedDistricts
+        };
+    }
+
+    // ===================================================================
+    // Middlewares
+    // ===================================================================
+
+    /**
+     * Attach req.user / req.scope when a valid session token is present
+     */
+    async authenticate(req, res, next) {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : req.query.session;
+
+        req.user = null;
+        req.scope = null;
+        if (!token) {
+            return next();
+        }
+
+        try {
+            const session = await this.getSession(token);
+            if (session) {
+                req.sessionToken = token;
+                req.user = session.user;
+                req.scope = session.scope;
+            }
+            next();
+        } catch (err) {
+            console.error('🚨 [Auth] Session lookup failed:', err.message);
+            res.status(503).json({ error: 'Authentication service unavailable' });
+        }
+    }
+
+    /**
+     * Refuse requests without a valid session (except public paths)
+     */
+    requireAuth(req, res, next) {
+        if (req.user || this.publicPaths.some(prefix => req.path.startsWith(prefix))) {
+            return next();
+        }
+        res.status(401).json({
+            error: 'Authentication required',
+            message: '請先登入'
+        });
+    }
+
+    /**
+     * Restrict a route to the given roles
+     * @param {...string} roles - Allowed role names
+     */
+    requireRole(...roles) {
+        return (req, res, next) => {
+            if (req.user && roles.includes(req.user.role)) {
+                return next();
+            }
+            res.status(403).json({
+                error: 'Access denied',
+                message: `This operation requires role: ${roles.join(' / ')}`
+            });
+        };
+    }
+
+    /**
+     * Refuse Hong Kong wide endpoints (no spatial parameters) to restricted users
+     */
+    requireFullArea(req, res, next) {
+        if (req.scope && !req.scope.restricted) {
+            return next();
+        }
+        res.status(403).json({
+            error: 'Access denied',
+            message: '此數據為全港範圍，你的帳戶只可存取指定的微網格/地區'
+        });
+    }
+
+    /**
+     * 🔐 SCOPE ENFORCEMENT: Rewrite the spatial parameters of restricted users' requests so that
+     * routes only ever see micro grids / districts inside the user's scope.
+     * - microGrids, grid_id(s), gridIds (body): must be a subset of the scope; microGrids defaults to the whole scope
+     * - grid_name(s), :grid_name: must be a subset of the scope's grid names
+     * - districts, district: must be a subset of the allowed districts (except district= on /api/complaints,
+     *   a filter on the complaint's own district column - the spatial scope clips those results)
+     * - aoi, polygon: passed through - the resolved area is clipped to the allowed micro grids
+     * - mode=hongkong (trend endpoints): refused
+     * - ids (report endpoints): micro grid IDs, must be a subset of the scope
+     * Unrestricted users pass through untouched.
+     */
+    enforceScope(req, res, next) {
+        const scope = req.scope;
+        if (!scope || !scope.restricted) {
+            return next();
+        }
+
+        try {
+            if (scope.microGridIds.length === 0) {
+                throw new AuthError(403, '你的帳戶尚未分配任何微網格或地區');
+            }
+
+            const allowedIds = new Set(scope.microGridIds.map(String));
+            const allowedNames = new Set(scope.gridNames);
+            const allowedDistricts = new Set(scope.districts);
+
+            const checkSubset = (values, allowed, label) => {
+                const forbidden = values.filter(value => !allowed.has(String(value)));
+                if (forbidden.length > 0) {
+                    throw new AuthError(403, `${label} outside your allowed scope`, { forbidden });
+                }
+            };
+
+            const query = req.query;
+
+            // Micro grid IDs - default to the whole scope when no area is requested
+            // (saved areas / drawn polygons are clipped to the scope by spatialScope.js)
+            const requestedIds = splitList(query.microGrids);
+            checkSubset(requestedIds, allowedIds, 'Micro grids');
+            if (requestedIds.length === 0 && splitList(query.districts).length === 0 && !query.aoi && !query.polygon) {
+                query.microGrids = scope.microGridIds.join(',');
+            }
+
+            checkSubset(splitList(query.grid_id), allowedIds, 'Micro grids');
+            checkSubset(splitList(query.grid_ids), allowedIds, 'Micro grids');
+            checkSubset(splitList(query.grid_name), allowedNames, 'Micro grids');
+            checkSubset(splitList(query.grid_names), allowedNames, 'Micro grids');
+
+            checkSubset(splitList(query.districts), allowedDistricts, 'Districts');
+            if (req.path !== '/api/complaints') {
+                checkSubset(splitList(query.district), allowedDistricts, 'Districts');
+            }
+
+            if (query.mode === 'hongkong' && (req.path === '/api/complaint-trend' || req.path === '/api/vol-trend')) {
+                throw new AuthError(403, '全港統計只限全區域帳戶使用');
+            }
+
+            if (req.path.startsWith('/api/reports/')) {
+                checkSubset(splitList(query.ids), allowedIds, 'Micro grids');
+            }
+
+            if (req.body && Array.isArray(req.body.gridIds)) {
+                checkSubset(req.body.gridIds, allowedIds, 'Micro grids');
+            }
+
+            next();
+        } catch (err) {
+            if (err instanceof AuthError) {
+                return res.status(err.status).json({ error: 'Access denied', message: err.message, ...err.details });
+            }
+            next(err);
+        }
+    }
+
+    /**
+     * Check that a grid name (route parameter) is inside the user's scope
+     */
+    isGridNameInScope(scope, gridName) {
+        return !scope || !scope.restricted || scope.gridNames.includes(gridName);
+    }
+
+    /**
+     * Check that a WGS84 point lies inside the user's scope (used by per-grid detail routes)
+     * @param {Object} scope - req.scope
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {Promise<boolean>}
+     */
+    async isPointInScope(scope, lat, lon) {
+        if (!scope || !scope.restricted) {
+            return true;
+        }
+        if (scope.microGridIds.length === 0 || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+            return false;
+        }
+
+        const { rows } = await this.pool.query(`
+            SELECT EXISTS (
+                SELECT 1 FROM public.micro_grid m
+                WHERE m.id = ANY($1::int[])
+                AND ST_Intersects(m.geom, ST_Transform(ST_SetSRID(ST_MakePoint($2, $3), 4326), ST_SRID(m.geom)))
+            ) AS inside
+        `, [scope.microGridIds, lon, lat]);
+        return rows[0].inside === true;
+    }
+
+    /**
+     * isPointInScope() of many points in one query (raster profiles)
+     * @param {Object} scope - req.scope
+     * @param {Array<{lon: number, lat: number}>} points - WGS84 points
+     * @returns {Promise<Array<boolean>>} - In the order of points
+     */
+    async pointsInScope(scope, points) {
+        if (!scope || !scope.restricted) {
+            return points.map(() => true);
+        }
+        if (scope.microGridIds.length === 0 || points.length === 0) {
+            return points.map(() => false);
+        }
+
+        const { rows } = await this.pool.query(`
+            SELECT EXISTS (
+                SELECT 1 FROM public.micro_grid m
+                WHERE m.id = ANY($1::int[])
+                AND ST_Intersects(m.geom, ST_Transform(ST_SetSRID(ST_MakePoint(p.lon, p.lat), 4326), ST_SRID(m.geom)))
+            ) AS inside
+            FROM unnest($2::float8[], $3::float8[]) WITH ORDINALITY AS p(lon, lat, n)
+            ORDER BY p.n
+        `, [scope.microGridIds, points.map(p => p.lon), points.map(p => p.lat)]);
+        return rows.map(row => row.inside === true);
+    }
+
+    // ===================================================================
+    // User management (admin)
+    // ===================================================================
+
+    async listUsers() {
+        const { rows } = await this.pool.query('SELECT * FROM public.app_users ORDER BY username');
+        return rows.map(row => toPublicUser(row));
+    }
+
+    validateUserFields({ role, allowedMicroGrids, allowedDistricts }) {
+        if (role !== undefined && !ROLES[role]) {
+            throw new AuthError(400, `Invalid role. Use: ${Object.keys(ROLES).join(' | ')}`);
+        }
+        if (allowedMicroGrids !== undefined &&
+            (!Array.isArray(allowedMicroGrids) || allowedMicroGrids.some(id => !Number.isInteger(id)))) {
+            throw new AuthError(400, 'allowedMicroGrids must be an array of integer micro grid IDs');
+        }
+        if (allowedDistricts !== undefined &&
+            (!Array.isArray(allowedDistricts) || allowedDistricts.some(d => typeof d !== 'string'))) {
+            throw new AuthError(400, 'allowedDistricts must be an array of district names');
+        }
+    }
+
+    async createUser({ username, password, displayName, role, allowedMicroGrids = [], allowedDistricts = [] }) {
+        if (!username || !password) {
+            throw new AuthError(400, 'username and password are required');
+        }
+        this.validateUserFields({ role, allowedMicroGrids, allowedDistricts });
+        if (!role) {
+            throw new AuthError(400, 'role is required');
+        }
+
+        try {
+            const { rows } = await this.pool.query(`
+                INSERT INTO public.app_users (username, display_name, password_hash, role, allowed_micro_grids, allowed_districts)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING *
+            `, [username, displayName || username, await hashPassword(password), role, allowedMicroGrids, allowedDistricts]);
+            return toPublicUser(rows[0]);
+        } catch (err) {
+            if (err.code === '23505') {
+                throw new AuthError(409, `User "${username}" already exists`);
+            }
+            throw err;
+        }
+    }
+
+    async updateUser(id, { password, displayName, role, allowedMicroGrids, allowedDistricts, disabled }) {
+        this.validateUserFields({ role, allowedMicroGrids, allowedDistricts });
+
+        const sets = [];
+        const params = [];
+        const assign = (column, value) => {
+            params.push(value);
+            sets.push(`${column} = $${params.length}`);
+        };
+
+        if (password !== undefined) assign('password_hash', await hashPassword(password));
+        if (displayName !== undefined) assign('display_name', displayName);
+        if (role !== undefined) assign('role', role);
+        if (allowedMicroGrids !== undefined) assign('allowed_micro_grids', allowedMicroGrids);
+        if (allowedDistricts !== undefined) assign('allowed_districts', allowedDistricts);
+        if (disabled !== undefined) assign('disabled', disabled === true);
+
+        if (sets.length === 0) {
+            throw new AuthError(400, 'No fields to update');
+        }
+
+        params.push(id);
+        const { rows } = await this.pool.query(`
+            UPDATE public.app_users SET ${sets.join(', ')}, updated_at = NOW()
+            WHERE id = $${params.length}
+            RETURNING *
+        `, params);
+
+        if (rows.length === 0) {
+            throw new AuthError(404, `User ${id} not found`);
+        }
+
+        // Role/scope changes take effect immediately: drop the user's sessions from the Redis cache
+        const sessions = await this.pool.query('SELECT token_hash FROM public.app_sessions WHERE user_id = $1', [id]);
+        await Promise.all(sessions.rows.map(s => redisCache.del(`auth_session_${s.token_hash}`)));
+        if (disabled === true || password !== undefined) {
+            await this.pool.query('DELETE FROM public.app_sessions WHERE user_id = $1', [id]);
+        }
+
+        return toPublicUser(rows[0]);
+    }
+}
+
+module.exports = {
+    AuthService,
+    AuthError,
+    ROLES
+};
@@ -0,0 +1,164 @@
+// filename: briefingRenderer.js - Micro Grid Briefing PDF Renderer
+
+/**
+ * 🖨️ BRIEFING RENDERER: Saves the frontend's print route (?view=briefing, BriefingPrintPage.js) as a PDF
+ * with a local headless Chrome / Chromium (puppeteer-core, no browser download).
+ *
+ * - The page is opened as the requesting user: their session token is placed in the page's
+ *   localStorage before the app starts, so every data / tile request is authorized and scoped
+ *   exactly like their own browser session.
+ * - The print page sets <body data-briefing="ready"> once the map and charts are drawn
+ *   ("error" when it could not load) - the PDF is printed only then.
+ * - Each render runs in its own browser context (no storage shared between users) and renders run
+ *   one at a time; the browser is started on first use and kept for the next briefing.
+ *
+ * Usage:
+ *   const renderer = new BriefingRenderer(config.briefing);
+ *   const pdf = await renderer.render({ ids: '1,2', bands: 'complaint__toc_2025' }, { token, user });
+ */
+
+const puppeteer = require('puppeteer-core');
+
+// Keys of Frontend/src/session.js
+const SESSION_TOKEN_KEY = 'gis_session_token';
+const SESSION_USER_KEY = 'gis_session_user';
+const PRINT_PARAMS = ['ids', 'bands', 'run5g', 'run4g', 'title'];
+const VIEWPORT = { width: 1100, height: 1400 };
+
+class BriefingError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'BriefingError';
+        this.status = status;
+    }
+}
+
+class BriefingRenderer {
+    /**
+     * @param {Object} options
+     * @param {string} [options.frontendUrl] - Frontend base URL (where index.html is served)
+     * @param {string} [options.chromePath] - Local Chrome / Chromium executable
+     * @param {number} [options.timeoutMs=60000] - Limit of one render (page load + map + charts)
+     */
+    constructor({ frontendUrl, chromePath, timeoutMs = 60000 }) {
+        this.frontendUrl = frontendUrl ? frontendUrl.replace(/\/+$/, '') : null;
+        this.chromePath = chromePath || null;
+        this.timeoutMs = timeoutMs;
+        this.browserPromise = null;
+        this.queue = Promise.resolve();
+    }
+
+    get isConfigured() {
+        return Boolean(this.frontendUrl && this.chromePath);
+    }
+
+    /**
+     * URL of the print route for the request parameters (unknown parameters are dropped)
+     */
+    buildPrintUrl(query) {
+        const params = new URLSearchParams({ view: 'briefing' });
+        PRINT_PARAMS.forEach((key) => {
+            if (query[key] !== undefined && query[key] !== '') {
+                params.set(key, String(query[key]));
+            }
+        });
+        return `${this.frontendUrl}/?${params.toString()}`;
+    }
+
+    async getBrowser() {
+        if (!this.browserPromise) {
+            this.browserPromise = puppeteer.launch({
+                executablePath: this.chromePath,
+                headless: true,
+                args: ['--no-sandbox', '--disable-dev-shm-usage', '--font-render-hinting=none']
+            }).then((browser) => {
+                // A crashed browser is started again by the next render
+                browser.on('disconnected', () => { this.browserPromise = null; });
+                return browser;
+            }).catch((error) => {
+                this.browserPromise = null;
+                throw error;
+            });
+        }
+        return this.browserPromise;
+    }
+
+    /**
+     * Render the briefing of the micro grids in query.ids as PDF
+     * @param {Object} query - ids (required), bands, run5g, run4g, title
+     * @param {Object} session - { token, user } of the requesting user
+     * @returns {Promise<Buffer>}
+     */
+    render(query, session) {
+        if (!this.isConfigured) {
+            return Promise.reject(new BriefingError('PDF briefing renderer is not configured (BRIEFING_FRONTEND_URL, BRIEFING_CHROME_PATH)', 503));
+        }
+        if (!query.ids || !String(query.ids).split(',').some(id => /^\d+$/.test(id.trim()))) {
+            return Promise.reject(new BriefingError('ids parameter is required (comma separated micro grid IDs)'));
+        }
+
+        // One render at a time - each one holds a full page of map tiles and charts
+        const result = this.queue.then(() => this.renderPage(this.buildPrintUrl(query), session));
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async renderPage(url, { token, user }) {
+        const browser = await this.getBrowser();
+        const context = await browser.createBrowserContext();
+        try {
+            const page = await context.newPage();
+            await page.setViewport(VIEWPORT);
+            await page.evaluateOnNewDocument((tokenKey, userKey, sessionToken, sessionUser) => {
+                localStorage.setItem(tokenKey, sessionToken);
+                localStorage.setItem(userKey, sessionUser);
+            }, SESSION_TOKEN_KEY, SESSION_USER_KEY, token, JSON.stringify(user));
+
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.timeoutMs });
+            try {
+                await page.waitForFunction(
+                    () => ['ready', 'error'].includes(document.body.dataset.briefing),
+                    { timeout: this.timeoutMs }
+                );
+            } catch (error) {
+                throw new BriefingError(`Briefing page did not finish rendering within ${this.timeoutMs}ms`, 504);
+            }
+
+            const state = await page.evaluate(() => ({
+                status: document.body.dataset.briefing,
+                message: document.body.dataset.briefingError || null
+            }));
+            if (state.status === 'error') {
+                throw new BriefingError(`Briefing page failed: ${state.message || 'unknown error'}`, 502);
+            }
+
+            return Buffer.from(await page.pdf({
+                format: 'A4',
+                printBackground: true,
+                preferCSSPageSize: true,
+                displayHeaderFooter: true,
+                headerTemplate: '<span></span>',
+                footerTemplate: '<div style="font-size:8px;width:100%;text-align:center;color:#666;">' +
+                    '<span class="pageNumber"></span> / <span class="totalPages"></span></div>',
+                margin: { top: '12mm', bottom: '14mm', left: '10mm', right: '10mm' }
+            }));
+        } finally {
+            await context.close().catch(() => {});
+        }
+    }
+
+    async close() {
+        if (this.browserPromise) {
+            const browser = await this.browserPromise.catch(() => null);
+            this.browserPromise = null;
+            if (browser) {
+                await browser.close();
+            }
+        }
+    }
+}
+
+module.exports = {
+    BriefingRenderer,
+    BriefingError
+};
@@ -0,0 +1,124 @@
+// filename: cacheValueFormat.js - Binary Cache Value Format (typed header + raw payload)
+
+/**
+ * 📦 CACHE VALUE FORMAT v1: Every cached value is stored as raw bytes behind a small typed header,
+ * so binary tiles are no longer base64-encoded (+33% Redis memory) and readers no longer have to
+ * guess the type from the key name.
+ *
+ *   [ 'GCV' 0x01 ][ header length: uint16 BE ][ header: UTF-8 JSON ][ payload bytes ]
+ *
+ * Header: { contentType, encoding, datasetVersion, createdAt }
+ * - contentType 'application/json' payloads are parsed, 'text/*' returned as strings,
+ *   anything else (MVT tiles, base tiles) is returned as a Buffer
+ * - encoding is the HTTP Content-Encoding of the payload (e.g. 'gzip' for pre-compressed base tiles)
+ *
+ * Values written before this format (base64 strings for `_mvt_` keys, JSON strings otherwise,
+ * `{data, contentEncoding}` wrappers for base tiles) are still readable via decodeLegacy().
+ */
+
+const MAGIC = Buffer.from([0x47, 0x43, 0x56, 0x01]); // 'GCV' + format version 1
+const PREFIX_LENGTH = MAGIC.length + 2;
+
+const CONTENT_TYPES = {
+    JSON: 'application/json',
+    TEXT: 'text/plain',
+    MVT: 'application/x-protobuf',
+    BINARY: 'application/octet-stream'
+};
+
+/**
+ * Whether a stored value uses the v1 format
+ * @param {Buffer} raw
+ */
+function isEncoded(raw) {
+    return Buffer.isBuffer(raw) && raw.length >= PREFIX_LENGTH && raw.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Serialize a value with its header
+ * @param {any} value - Buffer, Object/Array or primitive
+ * @param {Object} [meta]
+ * @param {string} [meta.contentType] - Defaults by value type (Buffer → octet-stream, object → JSON)
+ * @param {string|null} [meta.encoding] - Content-Encoding of a Buffer payload
+ * @param {number|null} [meta.datasetVersion] - Version of the dataset the value was built from
+ * @returns {Buffer}
+ */
+function encode(value, { contentType, encoding = null, datasetVersion = null } = {}) {
+    let payload;
+    if (Buffer.isBuffer(value)) {
+        payload = value;
+        contentType = contentType || CONTENT_TYPES.BINARY;
+    } else if (value !== null && typeof value === 'object') {
+        payload = Buffer.from(JSON.stringify(value));
+        contentType = CONTENT_TYPES.JSON;
+    } else {
+        payload = Buffer.from(String(value));
+        contentType = CONTENT_TYPES.TEXT;
+    }
+
+    const header = Buffer.from(JSON.stringify({ contentType, encoding, datasetVersion, createdAt: Date.now() }));
+    const prefix = Buffer.alloc(PREFIX_LENGTH);
+    MAGIC.copy(prefix, 0);
+    prefix.writeUInt16BE(header.length, MAGIC.length);
+    return Buffer.concat([prefix, header, payload]);
+}
+
+/**
+ * Split a v1 value into its header and decoded payload
+ * @param {Buffer} raw
+ * @returns {{header: Object, value: any}}
+ */
+function decode(raw) {
+    const headerLength = raw.readUInt16BE(MAGIC.length);
+    const header = JSON.parse(raw.subarray(PREFIX_LENGTH, PREFIX_LENGTH + headerLength).toString());
+    const payload = raw.subarray(PREFIX_LENGTH + headerLength);
+
+    let value = payload;
+    if (header.contentType === CONTENT_TYPES.JSON) {
+        value = JSON.parse(payload.toString());
+    } else if (header.contentType.startsWith('text/')) {
+        value = payload.toString();
+    }
+    return { header, value };
+}
+
+/**
+ * 🔄 MIGRATION: Read a value written by the pre-v1 helper
+ * @param {string} key - Cache key (the old format depended on it)
+ * @param {Buffer} raw - Stored bytes
+ * @returns {{header: Object, value: any}} - Header reconstructed as far as the old format allows
+ */
+function decodeLegacy(key, raw) {
+    const text = raw.toString();
+    const header = { contentType: CONTENT_TYPES.TEXT, encoding: null, datasetVersion: null, createdAt: null, legacy: true };
+
+    // Old MVT keys: base64 string
+    if (key.includes('_mvt_')) {
+        return { header: { ...header, contentType: CONTENT_TYPES.MVT }, value: Buffer.from(text, 'base64') };
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (parseErr) {
+        return { header, value: text };
+    }
+
+    // Old base tiles: {data: base64, contentEncoding} wrapper
+    if (key.startsWith('base_tiles_') && parsed && typeof parsed.data === 'string') {
+        return {
+            header: { ...header, contentType: CONTENT_TYPES.MVT, encoding: parsed.contentEncoding || null },
+            value: Buffer.from(parsed.data, 'base64')
+        };
+    }
+
+    return { header: { ...header, contentType: CONTENT_TYPES.JSON }, value: parsed };
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    isEncoded,
+    encode,
+    decode,
+    decodeLegacy
+};
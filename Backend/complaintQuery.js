@@ -0,0 +1,300 @@
+// filename: complaintQuery.js - Complaint Record Query (filters, sorting, cursor pagination)
+
+/**
+ * 🔎 COMPLAINT QUERY: Filtered, paginated access to masscomplaint.complaint_root_master_final
+ * for GET /api/complaints and the map layer route GET /complaint_year.
+ *
+ * - Every value from the request is validated and passed as a query parameter
+ * - Filters: input date range (from / to) or whole years, category, complaint type levels 4-7,
+ *   root cause, district, customer class, MTR line, EMOS status (comma separated = any of)
+ * - Sorting on a whitelisted column (sort=raw_input_date, sort=-raw_input_date for descending),
+ *   ties broken by the record key raw_ref_no_addess_seq; NULLs sort last in both directions
+ * - Keyset (cursor) pagination: next_cursor is an opaque token of the last row's sort value and
+ *   key, stable while records are added (no OFFSET scans)
+ * - Field selection (fields=a,b) out of COMPLAINT_COLUMNS; raw_ref_no is always returned (audit log)
+ * - Output as GeoJSON FeatureCollection (WGS84) or as table rows with longitude / latitude
+ *
+ * Geometries are HK1980 Grid (EPSG:2326) without a declared SRID.
+ */
+
+const config = require('./config');
+
+const TABLE = 'masscomplaint.complaint_root_master_final';
+const GEOMETRY = 'ST_SetSRID(t.geom, 2326)';
+const RECORD_KEY = 'raw_ref_no_addess_seq';
+const FORMATS = ['geojson', 'table'];
+
+const COMPLAINT_COLUMNS = [
+    'raw_month', 'raw_input_date', 'raw_ref_no', 'raw_sub_case_no', 'raw_addess_seq', 'raw_ref_no_addess_seq',
+    'raw_sam_complaint_defination', 'raw_category', 'raw_complaint_type_level_4', 'raw_complaint_type_level_5',
+    'raw_complaint_type_level_6', 'raw_complaint_type_level_7', 'raw_remark', 'raw_customer_type', 'raw_rateplan',
+    'raw_postpaid_prepaid', 'raw_customer_class', 'raw_indoor_outdoor_signal_bar', 'root_user',
+    'root_rne_current_situation', 'root_rne_action', 'root_volte_active', 'root_locaion_invalid',
+    'root_cmhk_define_id', 'root_root_cause', 'root_sub_root_cause', 'root_root_cause_site',
+    'root_root_cause_cell', 'root_root_cause_remark', 'root_4g_serving_site', 'root_3g_serving_cell',
+    'root_emos_ticket', 'root_emos_status', 'root_clear_date', 'final_final_name_eng', 'final_layer1_eng',
+    'final_layer2_eng', 'final_final_name_chi', 'final_layer1_chi', 'final_layer2_chi', 'final_street_name_eng',
+    'final_street_name_chi', 'final_street_no', 'final_region_eng', 'final_region_chi', 'final_hk_district_eng',
+    'final_hk_district_chi', 'final_x', 'final_y', 'final_cmhk_define_id', 'final_mtr_line_eng',
+    'final_mtr_line_chi', 'solu_type', 'solu_sub_type', 'solu_related_site', 'solu_related_cell', 'solu_details'
+];
+
+// Query parameter → column of the "any of" filters
+const LIST_FILTERS = {
+    category: 'raw_category',
+    type_level_4: 'raw_complaint_type_level_4',
+    type_level_5: 'raw_complaint_type_level_5',
+    type_level_6: 'raw_complaint_type_level_6',
+    type_level_7: 'raw_complaint_type_level_7',
+    root_cause: 'root_root_cause',
+    district: 'final_hk_district_eng',
+    customer_class: 'raw_customer_class',
+    mtr_line: 'final_mtr_line_eng',
+    emos_status: 'root_emos_status'
+};
+const MAX_FILTER_VALUES = 200;
+
+const SORT_COLUMNS = [
+    'raw_input_date', 'raw_month', 'raw_ref_no', 'raw_ref_no_addess_seq', 'raw_category',
+    'root_root_cause', 'root_emos_status', 'root_clear_date', 'final_hk_district_eng'
+];
+const DEFAULT_SORT = '-raw_input_date';
+
+/**
+ * Invalid complaint query (HTTP 400)
+ */
+class ComplaintQueryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ComplaintQueryError';
+        this.status = status;
+    }
+}
+
+function splitList(value) {
+    if (!value) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+/**
+ * YYYY-MM-DD → the same string, rejecting impossible dates (2025-02-30)
+ */
+function parseDate(value, name) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+    if (!date || date.toISOString().slice(0, 10) !== String(value)) {
+        throw new ComplaintQueryError(`${name} must be a date (YYYY-MM-DD)`);
+    }
+    return date;
+}
+
+// The cursor carries its sort order, so it cannot be continued under a different one
+function encodeCursor(sort, sortValue, key) {
+    return Buffer.from(JSON.stringify([sort, sortValue, key])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let decoded = null;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        // Reported below
+    }
+    const valid = Array.isArray(decoded) && decoded.length === 3
+        && typeof decoded[0] === 'string' && typeof decoded[2] === 'string'
+        && (decoded[1] === null || typeof decoded[1] === 'string');
+    if (!valid) {
+        throw new ComplaintQueryError('cursor is invalid - pass next_cursor of the previous page unchanged');
+    }
+    if (decoded[0] !== sort) {
+        throw new ComplaintQueryError(`cursor belongs to sort=${decoded[0]} - keep the parameters of the first page`);
+    }
+    return { sortValue: decoded[1], key: decoded[2] };
+}
+
+/**
+ * Validate the query parameters of GET /api/complaints
+ * @param {Object} query - from, to, years, the LIST_FILTERS keys, sort, fields, limit, cursor, format
+ * @param {Object} [options]
+ * @param {boolean} [options.paginate=true] - false returns every matching record (map layer route)
+ * @returns {Object} Query spec for ComplaintQuery.run()
+ */
+function parseComplaintQuery(query, { paginate = true } = {}) {
+    const spec = { from: null, to: null, years: [], filters: [], paginate };
+
+    if (query.from) spec.from = parseDate(query.from, 'from');
+    if (query.to) spec.to = parseDate(query.to, 'to');
+    if (spec.from && spec.to && spec.from > spec.to) {
+        throw new ComplaintQueryError('from must not be after to');
+    }
+
+    spec.years = [...new Set(splitList(query.years))];
+    if (spec.years.some(year => !/^\d{4}$/.test(year))) {
+        throw new ComplaintQueryError('years must be a list of four digit years');
+    }
+
+    Object.entries(LIST_FILTERS).forEach(([param, column]) => {
+        const values = [...new Set(splitList(query[param]))];
+        if (values.length > MAX_FILTER_VALUES) {
+            throw new ComplaintQueryError(`${param} accepts at most ${MAX_FILTER_VALUES} values`);
+        }
+        if (values.length > 0) {
+            spec.filters.push({ column, values });
+        }
+    });
+
+    const sort = String(query.sort || DEFAULT_SORT).trim();
+    spec.sort = sort;
+    spec.sortColumn = sort.replace(/^-/, '');
+    spec.descending = sort.startsWith('-');
+    if (!SORT_COLUMNS.includes(spec.sortColumn)) {
+        throw new ComplaintQueryError(`sort must be one of: ${SORT_COLUMNS.join(', ')} (prefix - for descending)`);
+    }
+
+    const fields = [...new Set(splitList(query.fields))];
+    const unknown = fields.filter(field => !COMPLAINT_COLUMNS.includes(field));
+    if (unknown.length > 0) {
+        throw new ComplaintQueryError(`Unknown fields: ${unknown.join(', ')}`);
+    }
+    // raw_ref_no identifies the records in the data access audit log
+    spec.fields = fields.length > 0
+        ? COMPLAINT_COLUMNS.filter(column => column === 'raw_ref_no' || fields.includes(column))
+        : COMPLAINT_COLUMNS;
+
+    spec.format = query.format || 'geojson';
+    if (!FORMATS.includes(spec.format)) {
+        throw new ComplaintQueryError(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    if (paginate) {
+        const { defaultPageSize, maxPageSize } = config.complaintQuery;
+        const limit = query.limit === undefined || query.limit === '' ? defaultPageSize : Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > maxPageSize) {
+            throw new ComplaintQueryError(`limit must be an integer between 1 and ${maxPageSize}`);
+        }
+        spec.limit = limit;
+        spec.cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+    }
+
+    return spec;
+}
+
+/**
+ * WHERE clause of a spec ($n placeholders appended to params)
+ */
+function buildWhere(spec, scope, params) {
+    const add = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const conditions = ["t.raw_month != 'removed'"];
+
+    // Map output needs a geometry, the table keeps records without one (longitude / latitude null)
+    if (spec.format === 'geojson') {
+        conditions.push('t.geom IS NOT NULL');
+    }
+
+    // Dates as whole days: to includes the records of its own day
+    if (spec.from) {
+        conditions.push(`t.raw_input_date >= ${add(spec.from.toISOString().slice(0, 10))}`);
+    }
+    if (spec.to) {
+        const dayAfter = new Date(spec.to.getTime() + 24 * 60 * 60 * 1000);
+        conditions.push(`t.raw_input_date < ${add(dayAfter.toISOString().slice(0, 10))}`);
+    }
+    if (spec.years.length > 0) {
+        const ranges = spec.years.map(year =>
+            `(t.raw_input_date >= ${add(`${year}-01-01`)} AND t.raw_input_date < ${add(`${Number(year) + 1}-01-01`)})`);
+        conditions.push(`(${ranges.join(' OR ')})`);
+    }
+
+    spec.filters.forEach(({ column, values }) => {
+        conditions.push(`t.${column}::text = ANY(${add(values)}::text[])`);
+    });
+
+    // Keyset: rows after the cursor in (sort column, record key) order, NULL sort values last
+    if (spec.cursor) {
+        const sortColumn = `t.${spec.sortColumn}`;
+        const keyColumn = `t.${RECORD_KEY}`;
+        const op = spec.descending ? '<' : '>';
+        if (spec.cursor.sortValue === null) {
+            conditions.push(`(${sortColumn} IS NULL AND ${keyColumn}::text ${op} ${add(spec.cursor.key)})`);
+        } else {
+            const value = add(spec.cursor.sortValue);
+            const key = add(spec.cursor.key);
+            conditions.push(`(${sortColumn} ${op} ${value} OR (${sortColumn} = ${value} AND ${keyColumn}::text ${op} ${key}) OR ${sortColumn} IS NULL)`);
+        }
+    }
+
+    const spatialWhereClause = scope.appendFilter(GEOMETRY, params, { srid: 2326 });
+    return `${conditions.join('\n              AND ')}${spatialWhereClause ? `\n              ${spatialWhereClause}` : ''}`;
+}
+
+class ComplaintQuery {
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.pool - Complaint database pool (complaintDbPool)
+     */
+    constructor({ pool }) {
+        this.pool = pool;
+    }
+
+    /**
+     * Run a parsed query inside a spatial scope
+     * @param {Object} spec - parseComplaintQuery() result
+     * @param {SpatialScope} scope - Request scope (spatialScope.fromRequest)
+     * @returns {Promise<Object>} GeoJSON FeatureCollection or { success, data } with next_cursor
+     */
+    async run(spec, scope) {
+        const params = [];
+        const where = buildWhere(spec, scope, params);
+        const direction = spec.descending ? 'DESC' : 'ASC';
+        const geometry = spec.format === 'geojson'
+            ? `ST_AsGeoJSON(ST_Transform(${GEOMETRY}, 4326))::json AS geometry`
+            : `ST_X(ST_Transform(ST_PointOnSurface(${GEOMETRY}), 4326)) AS longitude,
+                   ST_Y(ST_Transform(ST_PointOnSurface(${GEOMETRY}), 4326)) AS latitude`;
+        // One more row than the page tells whether there is a next page
+        const limit = spec.paginate ? `LIMIT ${spec.limit + 1}` : '';
+
+        const { rows } = await this.pool.query(`
+            SELECT ${spec.fields.map(column => `t.${column}`).join(', ')},
+                   t.${spec.sortColumn}::text AS cursor_sort_value,
+                   t.${RECORD_KEY}::text AS cursor_key,
+                   ${geometry}
+            FROM ${TABLE} t
+            WHERE ${where}
+            ORDER BY t.${spec.sortColumn} ${direction} NULLS LAST, t.${RECORD_KEY}::text ${direction}
+            ${limit};
+        `, params);
+
+        const hasMore = spec.paginate && rows.length > spec.limit;
+        const page = hasMore ? rows.slice(0, spec.limit) : rows;
+        const last = page[page.length - 1];
+        const nextCursor = hasMore ? encodeCursor(spec.sort, last.cursor_sort_value, last.cursor_key) : null;
+
+        const records = page.map(({ cursor_sort_value: sortValue, cursor_key: key, ...record }) => record);
+        const meta = spec.paginate ? { limit: spec.limit, next_cursor: nextCursor } : {};
+
+        if (spec.format === 'table') {
+            return { success: true, fields: [...spec.fields, 'longitude', 'latitude'], data: records, ...meta };
+        }
+        return {
+            type: 'FeatureCollection',
+            features: records
+                .filter(record => record.geometry)
+                .map(({ geometry, ...properties }) => ({ type: 'Feature', properties, geometry })),
+            ...meta
+        };
+    }
+}
+
+module.exports = {
+    ComplaintQuery,
+    ComplaintQueryError,
+    parseComplaintQuery,
+    COMPLAINT_COLUMNS
+};
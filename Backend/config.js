@@ -0,0 +1,223 @@
+// filename: config.js - Validated Backend Configuration
+
+/**
+ * ⚙️ CONFIG: Every setting of the backend in one validated object.
+ * Values come from the environment (Backend/.env via dotenv, or the PM2 ecosystem env block);
+ * see .env.example for the full list.
+ *
+ * The schema is checked once when the module is first required. Missing or malformed values
+ * throw a ConfigError listing every problem, so a misconfigured instance refuses to start
+ * instead of failing on its first query.
+ *
+ * Usage:
+ *   const config = require('./config');
+ *   new Pool({ ...config.db.main, ...poolConfig });
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * One or more invalid settings
+ */
+class ConfigError extends Error {
+    constructor(problems) {
+        super([
+            `❌ Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}) - set these in Backend/.env or the PM2 ecosystem env:`,
+            ...problems.map(problem => `   - ${problem}`)
+        ].join('\n'));
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// 🔧 Value parsers: return the parsed value or throw with the expected format
+const PARSERS = {
+    string: value => value,
+    int: value => {
+        if (!/^-?\d+$/.test(value.trim())) throw new Error('must be an integer');
+        return parseInt(value, 10);
+    },
+    port: value => {
+        const port = PARSERS.int(value);
+        if (port < 1 || port > 65535) throw new Error('must be a port number (1-65535)');
+        return port;
+    },
+    path: value => path.resolve(__dirname, value),
+    enum: (value, spec) => {
+        const normalized = value.trim().toLowerCase();
+        if (!spec.values.includes(normalized)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+        return normalized;
+    }
+};
+
+/**
+ * Settings of one PostgreSQL database (<PREFIX>_HOST, _PORT, _NAME, _USER, _PASSWORD)
+ * @param {string} prefix - Environment variable prefix
+ * @param {string} label - What the database holds (used in the report)
+ * @param {string} [fallbackPrefix] - Prefix read when <PREFIX>_* is not set
+ */
+function databaseSchema(prefix, label, fallbackPrefix) {
+    const entry = (suffix, spec) => ({ env: `${prefix}_${suffix}`, fallbackEnv: fallbackPrefix && `${fallbackPrefix}_${suffix}`, ...spec });
+    return {
+        host: entry('HOST', { type: 'string', required: true, description: `${label} host` }),
+        port: entry('PORT', { type: 'port', default: 5432, description: `${label} port` }),
+        database: entry('NAME', { type: 'string', required: true, description: `${label} database name` }),
+        user: entry('USER', { type: 'string', required: true, description: `${label} user` }),
+        password: entry('PASSWORD', { type: 'string', required: true, secret: true, description: `${label} password` })
+    };
+}
+
+// 📋 SCHEMA: Nested like the resulting config object; every leaf names its environment variable
+const SCHEMA = {
+    port: { env: 'PORT', type: 'port', default: 3000, description: 'HTTP port' },
+    instanceId: { env: 'INSTANCE_ID', type: 'string', default: '0', description: 'PM2 instance number (set by PM2)' },
+    db: {
+        main: databaseSchema('DB', 'Main database (users, micro grids, layers)'),
+        hkmap: databaseSchema('HKMAP_DB', 'HK map database'),
+        discovery: databaseSchema('DISCOVERY_DB', 'Discovery database (simulation, other operator test data)'),
+        site: databaseSchema('SITE_DB', 'Site database (live / planning sites)'),
+        // Complaints used to share the SITE_DB_* variables - still read when COMPLAINT_DB_* is not set
+        complaint: databaseSchema('COMPLAINT_DB', 'Complaint database', 'SITE_DB')
+    },
+    // statement_timeout per route class (ms, 0 = no limit) - see queryGuard.js
+    queries: {
+        tilesTimeoutMs: { env: 'STATEMENT_TIMEOUT_TILES_MS', type: 'int', default: 15000, min: 0, description: 'Statement timeout of tile requests (ms)' },
+        listsTimeoutMs: { env: 'STATEMENT_TIMEOUT_LISTS_MS', type: 'int', default: 30000, min: 0, description: 'Statement timeout of list requests (ms)' },
+        analyticsTimeoutMs: { env: 'STATEMENT_TIMEOUT_ANALYTICS_MS', type: 'int', default: 120000, min: 0, description: 'Statement timeout of analytics / export requests (ms)' },
+        backgroundTimeoutMs: { env: 'STATEMENT_TIMEOUT_BACKGROUND_MS', type: 'int', default: 0, min: 0, description: 'Statement timeout outside requests (ms, 0 = no limit)' }
+    },
+    redis: {
+        host: { env: 'REDIS_HOST', type: 'string', default: 'localhost', description: 'Redis host' },
+        port: { env: 'REDIS_PORT', type: 'port', default: 6379, description: 'Redis port' },
+        password: { env: 'REDIS_PASSWORD', type: 'string', secret: true, description: 'Redis password' },
+        database: { env: 'REDIS_DB', type: 'int', default: 0, min: 0, max: 15, description: 'Redis database index' }
+    },
+    paths: {
+        simulationRawData: { env: 'SIMULATION_RAW_DATA_DIR', type: 'path', default: 'simulation-raw-data', mustExist: true, description: 'Simulation GeoTIFF directory' },
+        mbtiles: { env: 'MBTILES_PATH', type: 'path', default: 'base-tiles/hong-kong.mbtiles', mustExist: true, description: 'Base map MBTiles file' },
+        mbtilesExport: { env: 'MBTILES_EXPORT_DIR', type: 'path', default: 'exports', description: 'Working directory of offline MBTiles exports (files are removed once sent)' }
+    },
+    cache: {
+        tileStaleTtl: { env: 'TILE_STALE_TTL', type: 'int', default: 3600, min: 0, description: 'Seconds a stale tile may be served while it re-renders' },
+        memoryMaxBytes: { env: 'CACHE_MEMORY_MAX_BYTES', type: 'int', default: 64 * 1024 * 1024, min: 0, description: 'In-process LRU tier size (bytes)' },
+        memoryMaxTtl: { env: 'CACHE_MEMORY_MAX_TTL', type: 'int', default: 60, min: 1, description: 'Max seconds an entry stays in the LRU tier while Redis is up' }
+    },
+    tiles: {
+        baseMinZoom: { env: 'BASE_TILES_MIN_ZOOM', type: 'int', default: 5, min: 0, max: 22, description: 'Lowest base map zoom served' },
+        baseMaxZoom: { env: 'BASE_TILES_MAX_ZOOM', type: 'int', default: 18, min: 0, max: 22, description: 'Highest base map zoom served' },
+        maxSeedZoom: { env: 'TILE_SEED_MAX_ZOOM', type: 'int', default: 18, min: 0, max: 22, description: 'Highest zoom a seed / export job may render' },
+        maxExportTiles: { env: 'MBTILES_EXPORT_MAX_TILES', type: 'int', default: 20000, min: 1, description: 'Tile limit of one MBTiles export' }
+    },
+    raster: {
+        maxWindowPixels: { env: 'RASTER_MAX_WINDOW_PIXELS', type: 'int', default: 16000000, min: 1, description: 'Largest GeoTIFF window read at once (pixels)' }
+    },
+    userLayers: {
+        maxUploadMb: { env: 'USER_LAYER_MAX_UPLOAD_MB', type: 'int', default: 50, min: 1, description: 'Largest GeoJSON / KML / Shapefile upload (MB)' },
+        maxFeatures: { env: 'USER_LAYER_MAX_FEATURES', type: 'int', default: 50000, min: 1, description: 'Feature limit of one imported layer' },
+        maxUnzippedMb: { env: 'USER_LAYER_MAX_UNZIPPED_MB', type: 'int', default: 500, min: 1, description: 'Most a KMZ / zipped Shapefile upload may expand to (MB)' }
+    },
+    featureExport: {
+        maxFeatures: { env: 'FEATURE_EXPORT_MAX_FEATURES', type: 'int', default: 100000, min: 1, description: 'Feature limit of one GeoJSON / KML / CSV / GeoPackage export' }
+    },
+    complaintQuery: {
+        defaultPageSize: { env: 'COMPLAINT_QUERY_PAGE_SIZE', type: 'int', default: 500, min: 1, description: 'Records per page of GET /api/complaints without limit' },
+        maxPageSize: { env: 'COMPLAINT_QUERY_MAX_PAGE_SIZE', type: 'int', default: 5000, min: 1, description: 'Largest limit of GET /api/complaints' }
+    },
+    briefing: {
+        frontendUrl: { env: 'BRIEFING_FRONTEND_URL', type: 'string', description: 'Frontend URL opened by the PDF briefing renderer (print route ?view=briefing)' },
+        chromePath: { env: 'BRIEFING_CHROME_PATH', type: 'string', description: 'Local Chrome / Chromium executable of the PDF briefing renderer' },
+        timeoutMs: { env: 'BRIEFING_TIMEOUT_MS', type: 'int', default: 60000, min: 1000, description: 'Limit of one briefing render (ms)' }
+    },
+    auth: {
+        sessionTtlHours: { env: 'SESSION_TTL_HOURS', type: 'int', default: 12, min: 1, description: 'Session lifetime (hours)' },
+        bootstrapAdmin: { env: 'AUTH_BOOTSTRAP_ADMIN', type: 'string', description: 'Admin created when no user exists' },
+        bootstrapPassword: { env: 'AUTH_BOOTSTRAP_PASSWORD', type: 'string', secret: true, description: 'Password of the bootstrap admin' }
+    },
+    logging: {
+        level: { env: 'LOG_LEVEL', type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: 'info', description: 'Log level' },
+        format: { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty'], default: 'json', description: 'Log line format' }
+    },
+    metricsToken: { env: 'METRICS_TOKEN', type: 'string', secret: true, description: 'Bearer token required by /metrics (open when unset)' },
+    healthCheckTimeoutMs: { env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'int', default: 3000, min: 100, description: 'Timeout of each readiness check (ms)' }
+};
+
+const isLeaf = spec => typeof spec.env === 'string';
+
+function readValue(spec, env, problems, warnings) {
+    let raw = env[spec.env];
+    if ((raw === undefined || raw === '') && spec.fallbackEnv) {
+        raw = env[spec.fallbackEnv];
+    }
+    const names = spec.fallbackEnv ? `${spec.env} (or ${spec.fallbackEnv})` : spec.env;
+
+    if (raw === undefined || raw === '') {
+        if (spec.required) {
+            problems.push(`${names}: required - ${spec.description}`);
+            return undefined;
+        }
+        if (spec.default === undefined) {
+            return undefined;
+        }
+        raw = String(spec.default);
+    }
+
+    let value;
+    try {
+        value = PARSERS[spec.type](raw, spec);
+    } catch (err) {
+        problems.push(`${names}: ${err.message} (got ${spec.secret ? 'a hidden value' : `"${raw}"`}) - ${spec.description}`);
+        return undefined;
+    }
+    if (spec.min !== undefined && value < spec.min) {
+        problems.push(`${names}: must be >= ${spec.min} (got ${value}) - ${spec.description}`);
+    } else if (spec.max !== undefined && value > spec.max) {
+        problems.push(`${names}: must be <= ${spec.max} (got ${value}) - ${spec.description}`);
+    }
+    // Missing files only disable the features using them (see /health/ready)
+    if (spec.mustExist && !fs.existsSync(value)) {
+        warnings.push(`${spec.env}: ${value} does not exist - ${spec.description}`);
+    }
+    return value;
+}
+
+function build(schema, env, problems, warnings) {
+    return Object.fromEntries(Object.entries(schema).map(([key, spec]) => [
+        key,
+        isLeaf(spec) ? readValue(spec, env, problems, warnings) : build(spec, env, problems, warnings)
+    ]));
+}
+
+/**
+ * Read and validate the configuration
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Config object (config.warnings lists non-fatal problems)
+ * @throws {ConfigError} When any value is missing or malformed
+ */
+function loadConfig(env = process.env) {
+    const problems = [];
+    const warnings = [];
+    const config = build(SCHEMA, env, problems, warnings);
+
+    // Cross-field rules
+    if (config.tiles.baseMinZoom > config.tiles.baseMaxZoom) {
+        problems.push(`BASE_TILES_MIN_ZOOM (${config.tiles.baseMinZoom}) must not exceed BASE_TILES_MAX_ZOOM (${config.tiles.baseMaxZoom})`);
+    }
+    if (Boolean(config.auth.bootstrapAdmin) !== Boolean(config.auth.bootstrapPassword)) {
+        problems.push('AUTH_BOOTSTRAP_ADMIN and AUTH_BOOTSTRAP_PASSWORD must be set together');
+    }
+    if (config.complaintQuery.defaultPageSize > config.complaintQuery.maxPageSize) {
+        problems.push(`COMPLAINT_QUERY_PAGE_SIZE (${config.complaintQuery.defaultPageSize}) must not exceed COMPLAINT_QUERY_MAX_PAGE_SIZE (${config.complaintQuery.maxPageSize})`);
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    config.warnings = warnings;
+    return config;
+}
+
+module.exports = loadConfig();
+module.exports.loadConfig = loadConfig;
+module.exports.ConfigError = ConfigError;
@@ -0,0 +1,23 @@
+// filename: csvFormat.js - CSV Cells Safe for Spreadsheets
+
+/**
+ * 📄 CSV FORMAT: One cell of the CSV files built for Excel (audit export, feature export).
+ * Quoting follows RFC 4180. Text starting with =, +, -, @, tab or CR is prefixed with ' so a
+ * spreadsheet shows it instead of evaluating it as a formula (CSV injection) - usernames, request
+ * parameters and complaint text are user-submitted. Plain numbers (e.g. -95 dBm) are left as numbers.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Escape one CSV cell
+ * @param {string} text - Cell text (callers format dates, objects and nulls first)
+ * @returns {string}
+ */
+function csvCell(text) {
+    const safe = FORMULA_START.test(text) && !PLAIN_NUMBER.test(text) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+module.exports = { csvCell };
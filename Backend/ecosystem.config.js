@@ -37,8 +37,8 @@ module.exports = {
       // GRACEFUL SHUTDOWN - Works with your gracefulShutdown() function
       // ============================================================================
       kill_timeout: 30000,   // Wait 30 seconds for graceful shutdown
-      listen_timeout: 10000,  // Wait 10 seconds for app to bind to port
-      wait_ready: true,       // Wait for 'ready' signal
+      listen_timeout: 60000,  // Wait up to 60 seconds for the 'ready' signal
+      wait_ready: true,       // Wait for 'ready' signal (sent once /health/ready passes)
 
       // ============================================================================
       // FILE WATCHING (Disable in production!)
@@ -61,9 +61,9 @@ module.exports = {
       error_file: './logs/pm2-error.log',
       out_file: './logs/pm2-out.log',
       log_file: './logs/pm2-combined.log',
-      log_date_format: 'YYYY-MM-DD HH:mm:ss Z',
       merge_logs: true,           // Merge logs from all instances
-      log_type: 'json',           // JSON format for easier parsing (optional)
+      // 📜 server.js writes one JSON object per line (time, level, instance, requestId) -
+      // no PM2 date prefix / JSON wrapping, so every line stays parsable as-is
 
       // ============================================================================
       // ENVIRONMENT VARIABLES - PRODUCTION
@@ -72,12 +72,19 @@ module.exports = {
         NODE_ENV: 'production',
         PORT: 3000,
 
-        // 🚀 Redis Configuration (Only Redis needs env vars - DB credentials are in server.js)
+        // ⚙️ DB credentials and paths are read from Backend/.env (see .env.example / config.js)
+        // 🚀 Redis Configuration
         REDIS_HOST: 'localhost',
         REDIS_PORT: 6379,
         REDIS_DB: 0,
         // REDIS_PASSWORD: 'your-redis-password',  // Uncomment if Redis has password
 
+        // 📜 Logging: error | warn | info | debug (debug adds every console.log and DB query)
+        LOG_LEVEL: 'info',
+
+        // 📈 Prometheus: scrape every instance's /metrics (labelled instance_id)
+        // METRICS_TOKEN: 'scrape-token',  // Uncomment to require "Authorization: Bearer <token>"
+
         // 🎯 Performance Settings
         UV_THREADPOOL_SIZE: 128  // Increase thread pool for better I/O performance
       },
@@ -89,9 +96,13 @@ module.exports = {
         NODE_ENV: 'development',
         PORT: 3000,
 
-        // DB credentials use fallback values in server.js
+        // DB credentials are read from Backend/.env (see .env.example)
         REDIS_HOST: 'localhost',
-        REDIS_PORT: 6379
+        REDIS_PORT: 6379,
+
+        // 📜 Verbose, human readable logs while developing
+        LOG_LEVEL: 'debug',
+        LOG_FORMAT: 'pretty'
       },
 
       // ============================================================================
@@ -0,0 +1,681 @@
+// filename: featureExporter.js - Feature Export of Data Layers (GeoJSON / KML / CSV / GeoPackage)
+
+/**
+ * 📤 FEATURE EXPORT: Writes the features of a set of layers inside a spatial scope (micro grids,
+ * districts, AOIs, polygon) and an optional viewport bbox to one file with all their attributes,
+ * so planning sites, complaint records or the grid cells behind an MVT layer can be taken to
+ * Excel, Google Earth or QGIS.
+ *
+ * Exportable layers:
+ * - Every layer of the registry (layerRegistry.js) - the grid cells with their tile attributes
+ * - The GeoJSON sources below (planning_sites, planning_729_sites, live_sites, complaint_records),
+ *   filtered with the query parameters of their map routes (scenarios, site_types, years)
+ *
+ * Formats:
+ * - geojson: one FeatureCollection, every feature carries its layer in `export_layer`
+ * - kml:     one Folder per layer, attributes as ExtendedData
+ * - csv:     one row per feature (UTF-8 with BOM for Excel), geometry as WKT or as lon/lat
+ *            (point on surface for lines and polygons)
+ * - gpkg:    one GeoPackage feature table per layer
+ *
+ * Geometries are exported in WGS84. An export holds at most FEATURE_EXPORT_MAX_FEATURES features.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const config = require('./config');
+const { COMPLAINT_COLUMNS } = require('./complaintQuery');
+const { csvCell } = require('./csvFormat');
+const { lonLatFallbackPredicate } = require('./spatialScope');
+
+const FORMATS = {
+    geojson: { extension: 'geojson', contentType: 'application/geo+json' },
+    kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    gpkg: { extension: 'gpkg', contentType: 'application/geopackage+sqlite3' }
+};
+const CSV_GEOMETRIES = ['wkt', 'lonlat'];
+const MAX_FEATURES = config.featureExport.maxFeatures;
+const MAX_LAYERS = 20;
+const WGS84 = 4326;
+
+/**
+ * Invalid export request (HTTP 400 / 404 / 413)
+ */
+class FeatureExportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'FeatureExportError';
+        this.status = status;
+    }
+}
+
+function splitList(value) {
+    if (!value) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+// ********************************************************************* //
+// GeoJSON sources - the same tables and filters as their map routes in server.js
+// ********************************************************************* //
+
+const PLANNING_SCENARIOS = ['1_高投訴', '2_重點場景', '3_弱覆蓋', '4_高負荷', '5_高端區域', '6_tobgn'];
+
+// Frontend site type names → cmhk_livesite.site_type values (GET /live_sites)
+const LIVE_SITE_TYPES = {
+    'Outdoor Site': ['Outdoor'],
+    'Indoor Site': ['Indoor'],
+    'Indoor-Pico/Micro Site': ['Indoor-Pico', 'Indoor-Micro'],
+    'Indoor + Outdoor Site': ['Indoor + Outdoor']
+};
+
+const LIVE_SITE_COLUMNS = [
+    'master_idx', 'live_site_id', 'plan_site_name', 'coverage_objective', 'address',
+    'site_revision', 'site_on_air_date', 'fdlte_active_date', 'tdlte_active_date',
+    'lte900_activation_date', 'l2600_active_date', 'l1800_active_date', 'l2100_active_date',
+    'nr3500_active_date', 'nr4900_active_date', 'nr28000_active_date', 'nr3300_active_date',
+    'nr_active_date', 'nr1800_active_date', 'nr2100_active_date', 'nr2600_active_date',
+    'nr700_activation_date', 'lte700_activation_date', 'building_height',
+    'site_type', 'objective', 'district', 'district_chinese', 'indoor_category',
+    'network_symbol', 'site_ownership', 'site_equipment_classification',
+    'site_classification_category', 'specific_site_location', 'mtr_site',
+    'coverage_scenario_chinese', 'radio_scenario', 'radio_scenario_important',
+    'coverage_objective_chinese'
+];
+
+const columnMap = names => Object.fromEntries(names.map(name => [name, `t.${name}`]));
+
+/**
+ * Export-only layer definitions (same shape as layerRegistry layers, geometry given as an expression)
+ * - columns: null exports every table column except the geometry
+ * - filter(params) => { where, params } builds the request specific predicate ($1-based)
+ * - lonLatFallback: rows without a geometry are placed by longitude / latitude; area filters then test
+ *   the columns separately (see spatialScope.lonLatFallbackPredicate) instead of the COALESCE()d geometry
+ */
+const FEATURE_SOURCES = {
+    // 1. 六维数据 -> 站点结构数据 -> 规划站点 (GET /planning_sites)
+    planning_sites: {
+        label: '規劃站點',
+        pool: 'siteDbPool',
+        table: 'public.master_planning_table',
+        srid: WGS84,
+        geometry: 'COALESCE(ST_Transform(t.geom, 4326), ST_SetSRID(ST_MakePoint(t.longitude, t.latitude), 4326))',
+        lonLatFallback: { geom: 't.geom', lon: 't.longitude', lat: 't.latitude', table: 'public.master_planning_table' },
+        columns: null,
+        omitColumns: ['geom'],
+        filter: (params) => {
+            const requested = splitList(params.scenarios);
+            const scenarios = requested.length > 0 ? requested.filter(s => PLANNING_SCENARIOS.includes(s)) : PLANNING_SCENARIOS;
+            if (scenarios.length === 0) {
+                throw new FeatureExportError(`scenarios must be among: ${PLANNING_SCENARIOS.join(', ')}`);
+            }
+            // Whitelisted column names
+            return {
+                where: `t.master_solution_type = '新站' AND (${scenarios.map(s => `t."${s}" = true`).join(' OR ')})`,
+                params: []
+            };
+        }
+    },
+    // 1. 六维数据 -> 站点结构数据 -> 规划站点 -> 729清單 (GET /planning_729_sites)
+    planning_729_sites: {
+        label: '729規劃清單',
+        pool: 'pool',
+        table: 'micro_grid.planning_729list',
+        srid: WGS84,
+        geometry: 'COALESCE(t.geom, ST_SetSRID(ST_MakePoint(t.longitude, t.latitude), 4326))',
+        lonLatFallback: { geom: 't.geom', lon: 't.longitude', lat: 't.latitude', srid: WGS84 },
+        columns: null,
+        omitColumns: ['geom']
+    },
+    // 1. 六维数据 -> 站点结构数据 -> 现网站点 (GET /live_sites)
+    live_sites: {
+        label: '現網站點',
+        pool: 'siteDbPool',
+        table: 'public.cmhk_livesite',
+        srid: null,
+        geometry: 't.geom',
+        columns: columnMap(LIVE_SITE_COLUMNS),
+        filter: (params) => {
+            const siteTypes = splitList(params.site_types).flatMap(type => LIVE_SITE_TYPES[type] || [type]);
+            return siteTypes.length > 0
+                ? { where: 't.site_type = ANY($1::text[])', params: [siteTypes] }
+                : { where: null, params: [] };
+        }
+    },
+    // 5. 六维数据 -> 投诉数据 -> 投诉记录 (GET /complaint_year) - geometries are HK1980 Grid without a declared SRID
+    complaint_records: {
+        label: '投訴記錄',
+        pool: 'complaintDbPool',
+        table: 'masscomplaint.complaint_root_master_final',
+        srid: 2326,
+        geometry: 'ST_SetSRID(t.geom, 2326)',
+        columns: columnMap(COMPLAINT_COLUMNS),
+        audit: 'complaint',
+        recordIdColumn: 'raw_ref_no',
+        filter: (params) => {
+            const years = splitList(params.years);
+            if (years.some(year => !/^\d{4}$/.test(year))) {
+                throw new FeatureExportError('years must be a list of four digit years');
+            }
+            const ranges = years.map((_, index) => `t.raw_input_date BETWEEN $${index * 2 + 1} AND $${index * 2 + 2}`);
+            return {
+                where: `t.raw_month != 'removed'${ranges.length > 0 ? ` AND (${ranges.join(' OR ')})` : ''}`,
+                params: years.flatMap(year => [`${year}-01-01`, `${year}-12-31`])
+            };
+        }
+    }
+};
+
+/**
+ * Export-only source → resolved definition for one request
+ */
+function resolveSource(id, params) {
+    const source = FEATURE_SOURCES[id];
+    const { where, params: whereParams } = source.filter ? source.filter(params) : { where: null, params: [] };
+    return {
+        id,
+        label: source.label,
+        pool: source.pool,
+        table: source.table,
+        srid: source.srid,
+        geometry: source.geometry,
+        lonLatFallback: source.lonLatFallback || null,
+        columns: source.columns,
+        omitColumns: source.omitColumns || [],
+        where,
+        params: whereParams,
+        audit: source.audit || null,
+        recordIdColumn: source.recordIdColumn || null
+    };
+}
+
+/**
+ * Registry layer → export definition
+ */
+function fromRegistryLayer(layer) {
+    return {
+        id: layer.id,
+        label: layer.label,
+        pool: layer.pool,
+        table: layer.table,
+        srid: layer.srid,
+        geometry: `t.${layer.geomColumn}`,
+        lonLatFallback: null,
+        columns: layer.columns,
+        omitColumns: [],
+        where: layer.where,
+        params: layer.params,
+        audit: layer.audit,
+        recordIdColumn: null
+    };
+}
+
+// ********************************************************************* //
+// Query
+// ********************************************************************* //
+
+// Geometry outputs selected per format (export_geom is WGS84, 2D)
+const GEOMETRY_OUTPUTS = {
+    geojson: 'ST_AsGeoJSON(f.export_geom, 7)::json AS export_geojson',
+    kml: 'ST_AsKML(f.export_geom, 7) AS export_kml',
+    wkt: 'ST_AsText(f.export_geom) AS export_wkt',
+    lonlat: 'ST_X(ST_PointOnSurface(f.export_geom)) AS export_lon, ST_Y(ST_PointOnSurface(f.export_geom)) AS export_lat',
+    gpkg: `ST_AsBinary(f.export_geom, 'NDR') AS export_wkb, GeometryType(f.export_geom) AS export_type,
+               ST_XMin(f.export_geom) AS export_xmin, ST_XMax(f.export_geom) AS export_xmax,
+               ST_YMin(f.export_geom) AS export_ymin, ST_YMax(f.export_geom) AS export_ymax`
+};
+
+/**
+ * Build the feature query of one layer
+ * Parameter order: layer params ($1..), then the spatial scope, then the bbox
+ * @param {Object} source - Export definition (resolveSource / fromRegistryLayer)
+ * @param {SpatialScope} scope - Resolved spatial scope
+ * @param {Array<number>|null} bbox - [west, south, east, north] in WGS84
+ * @param {string} output - GEOMETRY_OUTPUTS key
+ * @param {number} limit - Maximum rows
+ * @returns {Object} { sql, params }
+ */
+function buildFeatureQuery(source, scope, bbox, output, limit) {
+    const params = [...source.params];
+    const columns = source.columns
+        ? Object.entries(source.columns).map(([name, expression]) => `${expression} AS "${name}"`).join(',\n                   ')
+        : 't.*';
+    const layerWhere = source.where ? `AND (${source.where})` : '';
+    const nativeSrid = source.srid || `ST_SRID(${source.geometry})`;
+
+    const scopeWhere = source.lonLatFallback
+        ? scope.appendLonLatFilter(params, source.lonLatFallback)
+        : scope.appendFilter(source.geometry, params, source.srid ? { srid: source.srid } : {});
+    let bboxWhere = '';
+    if (bbox) {
+        const first = params.length + 1;
+        const envelope = `ST_MakeEnvelope($${first}, $${first + 1}, $${first + 2}, $${first + 3}, 4326)`;
+        bboxWhere = source.lonLatFallback
+            ? `AND ${lonLatFallbackPredicate(envelope, source.lonLatFallback)}`
+            : `AND ST_Intersects(${source.geometry}, ST_Transform(${envelope}, ${nativeSrid}))`;
+        params.push(...bbox);
+    }
+
+    const sql = `
+        WITH f AS (
+            SELECT ${columns},
+                   ST_Force2D(ST_Transform(${source.geometry}, 4326)) AS export_geom
+            FROM ${source.table} t
+            WHERE ${source.geometry} IS NOT NULL
+              ${layerWhere}
+              ${scopeWhere}
+              ${bboxWhere}
+            LIMIT ${parseInt(limit, 10)}
+        )
+        SELECT f.*, ${GEOMETRY_OUTPUTS[output]}
+        FROM f
+        WHERE NOT ST_IsEmpty(f.export_geom);
+    `;
+
+    return { sql, params };
+}
+
+const EXPORT_COLUMNS = ['export_geom', 'export_geojson', 'export_kml', 'export_wkt', 'export_lon', 'export_lat',
+    'export_wkb', 'export_type', 'export_xmin', 'export_xmax', 'export_ymin', 'export_ymax'];
+
+/**
+ * Split a query row into attributes and geometry outputs
+ */
+function toFeature(row, omitColumns) {
+    const properties = {};
+    for (const [name, value] of Object.entries(row)) {
+        if (!EXPORT_COLUMNS.includes(name) && !omitColumns.includes(name)) {
+            properties[name] = value;
+        }
+    }
+    return { properties, row };
+}
+
+/**
+ * Attribute value as text (CSV / KML)
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+// ********************************************************************* //
+// Writers - each takes [{ source, features }] and returns a Buffer
+// ********************************************************************* //
+
+function writeGeoJSON(layers, meta) {
+    const features = layers.flatMap(({ source, features: layerFeatures }) => layerFeatures.map(({ properties, row }) => ({
+        type: 'Feature',
+        properties: { export_layer: source.id, ...properties },
+        geometry: row.export_geojson
+    })));
+    return Buffer.from(JSON.stringify({
+        type: 'FeatureCollection',
+        name: meta.name,
+        metadata: meta,
+        features
+    }));
+}
+
+function escapeXml(value) {
+    return formatValue(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function writeKML(layers, meta) {
+    const folders = layers.map(({ source, features }) => {
+        const placemarks = features.map(({ properties, row }, index) => {
+            const [firstValue] = Object.values(properties);
+            const name = firstValue !== null && firstValue !== undefined ? firstValue : `${source.label} ${index + 1}`;
+            const data = Object.entries(properties)
+                .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+                .join('');
+            return `<Placemark><name>${escapeXml(name)}</name><ExtendedData>${data}</ExtendedData>${row.export_kml}</Placemark>`;
+        });
+        return `<Folder><name>${escapeXml(source.label)}</name>\n${placemarks.join('\n')}\n</Folder>`;
+    });
+
+    return Buffer.from([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>',
+        `<name>${escapeXml(meta.name)}</name>`,
+        `<description>${escapeXml(`${meta.scope} - ${meta.exportedBy} ${meta.exportedAt}`)}</description>`,
+        ...folders,
+        '</Document>',
+        '</kml>'
+    ].join('\n'));
+}
+
+// Complaint text is publicly submitted - csvCell keeps Excel from evaluating it as formulas
+function escapeCsv(value) {
+    return csvCell(formatValue(value));
+}
+
+function writeCSV(layers, csvGeometry) {
+    // Union of the attributes of all layers, in first-seen order
+    const columns = [];
+    for (const { features } of layers) {
+        for (const { properties } of features) {
+            for (const name of Object.keys(properties)) {
+                if (!columns.includes(name)) columns.push(name);
+            }
+        }
+    }
+    const geometryColumns = csvGeometry === 'lonlat' ? ['lon', 'lat'] : ['wkt'];
+
+    const lines = [['export_layer', ...columns, ...geometryColumns].map(escapeCsv).join(',')];
+    for (const { source, features } of layers) {
+        for (const { properties, row } of features) {
+            const geometry = csvGeometry === 'lonlat' ? [row.export_lon, row.export_lat] : [row.export_wkt];
+            lines.push([source.id, ...columns.map(name => properties[name]), ...geometry].map(escapeCsv).join(','));
+        }
+    }
+    // BOM: Excel otherwise opens UTF-8 (Chinese attributes) as the system code page
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`);
+}
+
+// ********************************************************************* //
+// GeoPackage (OGC 12-128r18) - written with sqlite3 into a temporary file
+// ********************************************************************* //
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+}
+
+function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * GeoPackage geometry blob: 'GP' header (version 0, little endian, xy envelope, srs_id) + WKB
+ */
+function toGeoPackageGeometry(row) {
+    const header = Buffer.alloc(8 + 32);
+    header.write('GP', 0, 'ascii');
+    header.writeUInt8(0, 2);
+    header.writeUInt8(0b00000011, 3);
+    header.writeInt32LE(WGS84, 4);
+    header.writeDoubleLE(row.export_xmin, 8);
+    header.writeDoubleLE(row.export_xmax, 16);
+    header.writeDoubleLE(row.export_ymin, 24);
+    header.writeDoubleLE(row.export_ymax, 32);
+    return Buffer.concat([header, row.export_wkb]);
+}
+
+/**
+ * SQLite column type of an attribute, from the values it holds
+ */
+function columnType(values) {
+    const present = values.filter(value => value !== null && value !== undefined);
+    if (present.length === 0) return 'TEXT';
+    if (present.every(value => typeof value === 'boolean')) return 'BOOLEAN';
+    if (present.every(value => Number.isInteger(value))) return 'INTEGER';
+    if (present.every(value => typeof value === 'number')) return 'DOUBLE';
+    if (present.every(value => value instanceof Date)) return 'DATETIME';
+    return 'TEXT';
+}
+
+function sqliteValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'number') return value;
+    return formatValue(value);
+}
+
+async function writeGeoPackage(layers, meta) {
+    const filePath = path.join(os.tmpdir(), `feature_export_${process.pid}_${Date.now()}.gpkg`);
+    // The file is removed whatever step fails (open, schema, inserts, read)
+    try {
+        const db = await new Promise((resolve, reject) => {
+            const opened = new sqlite3.Database(filePath, err => (err ? reject(err) : resolve(opened)));
+        });
+
+        try {
+            await run(db, 'PRAGMA application_id = 1196444487'); // 'GPKG'
+            await run(db, 'PRAGMA user_version = 10300');
+            await run(db, `CREATE TABLE gpkg_spatial_ref_sys (
+                srs_name TEXT NOT NULL, srs_id INTEGER PRIMARY KEY, organization TEXT NOT NULL,
+                organization_coordsys_id INTEGER NOT NULL, definition TEXT NOT NULL, description TEXT)`);
+            await run(db, `CREATE TABLE gpkg_contents (
+                table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL, identifier TEXT UNIQUE, description TEXT DEFAULT '',
+                last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+                min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE,
+                srs_id INTEGER, CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id))`);
+            await run(db, `CREATE TABLE gpkg_geometry_columns (
+                table_name TEXT NOT NULL, column_name TEXT NOT NULL, geometry_type_name TEXT NOT NULL,
+                srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL,
+                CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+                CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+                CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys (srs_id))`);
+
+            await run(db, 'INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)',
+                ['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system']);
+            await run(db, 'INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)',
+                ['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system']);
+            await run(db, 'INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)', [
+                'WGS 84 geodetic', WGS84, 'EPSG', WGS84,
+                'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],' +
+                'AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],' +
+                'UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]',
+                'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid'
+            ]);
+
+            for (const { source, features } of layers) {
+                const table = source.id;
+                // fid / geom are the GeoPackage columns - attributes of the same name get a suffix
+                const attributes = [...new Set(features.flatMap(({ properties }) => Object.keys(properties)))];
+                const attributeColumns = attributes.map(name => ({
+                    name,
+                    column: ['fid', 'geom'].includes(name.toLowerCase()) ? `${name}_attr` : name,
+                    type: columnType(features.map(({ properties }) => properties[name]))
+                }));
+                const geometryTypes = [...new Set(features.map(({ row }) => row.export_type))];
+                const geometryType = geometryTypes.length === 1 ? geometryTypes[0] : 'GEOMETRY';
+
+                await run(db, `CREATE TABLE ${quoteIdentifier(table)} (
+                    fid INTEGER PRIMARY KEY AUTOINCREMENT,
+                    geom ${geometryType}${attributeColumns.map(({ column, type }) => `,\n                ${quoteIdentifier(column)} ${type}`).join('')})`);
+
+                const extent = features.reduce((box, { row }) => [
+                    Math.min(box[0], row.export_xmin), Math.min(box[1], row.export_ymin),
+                    Math.max(box[2], row.export_xmax), Math.max(box[3], row.export_ymax)
+                ], [Infinity, Infinity, -Infinity, -Infinity]);
+                await run(db, 'INSERT INTO gpkg_contents (table_name, data_type, identifier, description, min_x, min_y, max_x, max_y, srs_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)', [
+                    table, 'features', source.id, `${source.label} - ${meta.scope}`,
+                    ...(features.length > 0 ? extent : [null, null, null, null]), WGS84
+                ]);
+                await run(db, 'INSERT INTO gpkg_geometry_columns VALUES (?, ?, ?, ?, 0, 0)', [table, 'geom', geometryType, WGS84]);
+
+                const placeholders = ['?', ...attributeColumns.map(() => '?')].join(', ');
+                const insert = `INSERT INTO ${quoteIdentifier(table)} (geom${attributeColumns.map(({ column }) => `, ${quoteIdentifier(column)}`).join('')}) VALUES (${placeholders})`;
+                await run(db, 'BEGIN');
+                for (const { properties, row } of features) {
+                    await run(db, insert, [toGeoPackageGeometry(row), ...attributeColumns.map(({ name }) => sqliteValue(properties[name]))]);
+                }
+                await run(db, 'COMMIT');
+            }
+        } finally {
+            await new Promise(resolve => db.close(() => resolve()));
+        }
+
+        return await fs.promises.readFile(filePath);
+    } finally {
+        await fs.promises.unlink(filePath).catch(() => {});
+    }
+}
+
+// ********************************************************************* //
+// Exporter
+// ********************************************************************* //
+
+class FeatureExporter {
+    /**
+     * @param {Object} deps
+     * @param {Function} deps.getLayer - layerId => registry layer definition | null (layerRegistry)
+     * @param {Function} deps.getPool - pool name => pg Pool
+     * @param {Function} [deps.resolveAlias] - async layerId => layer definition for IDs outside the registry
+     *                                         (e.g. simulation_5g = the active simulation run) | null
+     */
+    constructor({ getLayer, getPool, resolveAlias = async () => null }) {
+        this.getLayer = getLayer;
+        this.getPool = getPool;
+        this.resolveAlias = resolveAlias;
+    }
+
+    /**
+     * Exportable GeoJSON sources (the registry layers are listed by GET /tiles)
+     */
+    static listSources() {
+        return Object.entries(FEATURE_SOURCES).map(([id, source]) => ({ id, label: source.label, audited: Boolean(source.audit) }));
+    }
+
+    /**
+     * Audit dataset of an export (first audited layer), null when nothing in it is audited
+     */
+    auditDataset(layerIds) {
+        for (const id of splitList(layerIds)) {
+            const audited = FEATURE_SOURCES[id] || this.getLayer(id);
+            if (audited && audited.audit) {
+                return audited.audit;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parse the request parameters
+     * @param {Object} params - { layers, format, csvGeometry?, bbox?, scenarios?, site_types?, years?, name? }
+     */
+    async resolveRequest(params) {
+        const format = String(params.format || 'geojson').toLowerCase();
+        if (!FORMATS[format]) {
+            throw new FeatureExportError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+        }
+        const csvGeometry = String(params.csvGeometry || 'wkt').toLowerCase();
+        if (!CSV_GEOMETRIES.includes(csvGeometry)) {
+            throw new FeatureExportError(`csvGeometry must be one of: ${CSV_GEOMETRIES.join(', ')}`);
+        }
+
+        const layerIds = [...new Set(splitList(params.layers))];
+        if (layerIds.length === 0) {
+            throw new FeatureExportError('layers is required (comma separated layer IDs)');
+        }
+        if (layerIds.length > MAX_LAYERS) {
+            throw new FeatureExportError(`At most ${MAX_LAYERS} layers per export`);
+        }
+
+        const sources = [];
+        for (const id of layerIds) {
+            if (FEATURE_SOURCES[id]) {
+                sources.push(resolveSource(id, params));
+                continue;
+            }
+            const layer = this.getLayer(id) || await this.resolveAlias(id);
+            if (!layer) {
+                throw new FeatureExportError(`Unknown layer: ${id}`, 404);
+            }
+            sources.push(fromRegistryLayer(layer));
+        }
+
+        let bbox = null;
+        if (params.bbox) {
+            bbox = splitList(params.bbox).map(Number);
+            if (bbox.length !== 4 || bbox.some(Number.isNaN) || bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) {
+                throw new FeatureExportError('bbox must be "west,south,east,north" in WGS84 degrees');
+            }
+        }
+
+        return { format, csvGeometry, sources, bbox };
+    }
+
+    /**
+     * Export the features of the requested layers
+     * @param {Object} params - Request parameters (see resolveRequest)
+     * @param {SpatialScope} scope - Resolved spatial scope of the request
+     * @param {Object} [user] - req.user (file metadata)
+     * @returns {Promise<Object>} { fileName, contentType, body, layers: [{ id, features }],
+     *                             recordIds (identifiers of exported records, e.g. complaint reference numbers - audit log) }
+     */
+    async export(params, scope, user = null) {
+        const { format, csvGeometry, sources, bbox } = await this.resolveRequest(params);
+        const output = format === 'csv' ? csvGeometry : format;
+        const startedAt = Date.now();
+
+        // One more row than allowed per layer tells an over-limit export from one that is exactly full
+        const layers = [];
+        let total = 0;
+        for (const source of sources) {
+            const { sql, params: queryParams } = buildFeatureQuery(source, scope, bbox, output, MAX_FEATURES - total + 1);
+            const { rows } = await this.getPool(source.pool).query(sql, queryParams);
+            total += rows.length;
+            if (total > MAX_FEATURES) {
+                throw new FeatureExportError(`Export holds more than ${MAX_FEATURES} features - narrow the area or select fewer layers`, 413);
+            }
+            layers.push({ source, features: rows.map(row => toFeature(row, source.omitColumns)) });
+        }
+
+        const baseName = String(params.name || sources.map(source => source.id).join('_'))
+            .replace(/[^a-z0-9_-]+/gi, '_').slice(0, 80) || 'export';
+        const meta = {
+            name: baseName,
+            layers: layers.map(({ source, features }) => ({ id: source.id, label: source.label, features: features.length })),
+            scope: scope.describe(),
+            bbox,
+            exportedBy: user ? user.username : 'unknown',
+            exportedAt: new Date().toISOString()
+        };
+
+        let body;
+        if (format === 'geojson') {
+            body = writeGeoJSON(layers, meta);
+        } else if (format === 'kml') {
+            body = writeKML(layers, meta);
+        } else if (format === 'csv') {
+            body = writeCSV(layers, csvGeometry);
+        } else {
+            body = await writeGeoPackage(layers, meta);
+        }
+
+        console.log(`📤 [Feature Export] ${baseName}.${FORMATS[format].extension}: ${total} features (${meta.layers.map(l => `${l.id}=${l.features}`).join(', ')}; ${meta.scope}) in ${Date.now() - startedAt}ms`);
+
+        return {
+            fileName: `${baseName}_${Date.now()}.${FORMATS[format].extension}`,
+            contentType: FORMATS[format].contentType,
+            body,
+            layers: meta.layers,
+            recordIds: layers
+                .filter(({ source }) => source.recordIdColumn)
+                .flatMap(({ source, features }) => features.map(({ row }) => row[source.recordIdColumn]))
+                .filter(id => id !== null && id !== undefined)
+        };
+    }
+}
+
+module.exports = {
+    FeatureExporter,
+    FeatureExportError,
+    // File writers, exported for the tests
+    writeCSV,
+    writeGeoPackage
+};
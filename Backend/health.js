@@ -0,0 +1,181 @@
+// filename: health.js - Liveness / Readiness Probes
+
+/**
+ * 🩺 HEALTH: Dependency checks behind /health/live and /health/ready.
+ *
+ * - Liveness: the process and its event loop respond (no dependency is touched).
+ * - Readiness: every dependency is probed in parallel, each with its own timeout:
+ *     database pools  SELECT 1 + PostGIS_Lib_Version()
+ *     redis           PING
+ *     mbtiles         base map file opens
+ *     geojson         competitive site files exist
+ *   A failing critical dependency makes the instance not ready (HTTP 503).
+ *   A failing non-critical one leaves it ready in degraded mode (HTTP 200, status "degraded"):
+ *   the features behind it fail, everything else keeps working.
+ *
+ * server.js waits for the first passing probe before sending the PM2 ready signal.
+ */
+
+const MBTiles = require('@mapbox/mbtiles');
+const config = require('./config');
+
+const DEFAULT_TIMEOUT_MS = config.healthCheckTimeoutMs;
+// Readiness results are reused briefly - load balancers and PM2 probe often
+const RESULT_CACHE_MS = 2000;
+const READY_RETRY_MS = 2000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function withTimeout(promise, ms, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} check timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class HealthChecker {
+    /**
+     * @param {Object} options
+     * @param {Array<{name: string, instance: Object}>} options.pools - pg Pools to probe
+     * @param {Array<string>} [options.criticalPools] - Pools without which the instance is not ready
+     * @param {Object} options.redisClient - node-redis client (PING)
+     * @param {string} options.mbtilesPath - Base map MBTiles file
+     * @param {Array<string>} options.geoJsonFiles - Competitive site file names
+     * @param {Function} options.resolveGeoJsonFile - name => path or null
+     * @param {number} [options.timeoutMs] - Per-check timeout
+     */
+    constructor({ pools, criticalPools = ['pool'], redisClient, mbtilesPath, geoJsonFiles, resolveGeoJsonFile, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+        this.timeoutMs = timeoutMs;
+        this.startedAt = Date.now();
+        this.lastResult = null;
+        this.lastCheckedAt = 0;
+        this.pending = null;
+
+        // name → { critical, run: async () => details }
+        this.checks = {};
+        pools.forEach(({ name, instance }) => {
+            this.checks[name] = {
+                critical: criticalPools.includes(name),
+                run: async () => {
+                    const { rows } = await instance.query('SELECT 1 AS ok, PostGIS_Lib_Version() AS postgis');
+                    return {
+                        postgis: rows[0].postgis,
+                        connections: { total: instance.totalCount, idle: instance.idleCount, waiting: instance.waitingCount }
+                    };
+                }
+            };
+        });
+        // Redis down = in-process memory cache only (see redisCacheHelper)
+        this.checks.redis = {
+            critical: false,
+            run: async () => {
+                if (!redisClient.isReady) {
+                    throw new Error('Redis not connected - serving from the in-process memory tier');
+                }
+                return { reply: await redisClient.ping() };
+            }
+        };
+        this.checks.mbtiles = {
+            critical: false,
+            run: () => new Promise((resolve, reject) => {
+                // Read-only: the default mode would create an empty file when it is missing
+                new MBTiles({ pathname: mbtilesPath, query: { mode: 'ro' } }, (err, mbtiles) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    mbtiles.close(() => resolve({ path: mbtilesPath }));
+                });
+            })
+        };
+        this.checks.geojson = {
+            critical: false,
+            run: async () => {
+                const missing = geoJsonFiles.filter(file => !resolveGeoJsonFile(file));
+                if (missing.length > 0) {
+                    throw new Error(`Missing competitive site files: ${missing.join(', ')}`);
+                }
+                return { files: geoJsonFiles.length };
+            }
+        };
+    }
+
+    /**
+     * Liveness - no dependency is touched
+     */
+    live() {
+        return {
+            status: 'ok',
+            uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+            pid: process.pid,
+            instance: config.instanceId
+        };
+    }
+
+    async runCheck(name, { critical, run }) {
+        const startedAt = Date.now();
+        try {
+            const details = await withTimeout(Promise.resolve().then(run), this.timeoutMs, name);
+            return { status: 'up', critical, latencyMs: Date.now() - startedAt, ...details };
+        } catch (err) {
+            return { status: 'down', critical, latencyMs: Date.now() - startedAt, error: err.message };
+        }
+    }
+
+    /**
+     * 🩺 Readiness - probes every dependency (concurrent callers share one run)
+     * @param {Object} [options]
+     * @param {boolean} [options.fresh=false] - Ignore the briefly cached result
+     * @returns {Promise<Object>} { status: 'ok' | 'degraded' | 'down', ready, checks, ... }
+     */
+    async ready({ fresh = false } = {}) {
+        if (!fresh && this.lastResult && Date.now() - this.lastCheckedAt < RESULT_CACHE_MS) {
+            return this.lastResult;
+        }
+        if (this.pending) {
+            return this.pending;
+        }
+
+        this.pending = (async () => {
+            const startedAt = Date.now();
+            const names = Object.keys(this.checks);
+            const results = await Promise.all(names.map(name => this.runCheck(name, this.checks[name])));
+            const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+            const down = names.filter(name => checks[name].status === 'down');
+            const criticalDown = down.filter(name => checks[name].critical);
+            const result = {
+                status: criticalDown.length > 0 ? 'down' : down.length > 0 ? 'degraded' : 'ok',
+                ready: criticalDown.length === 0,
+                degraded: down,
+                checkedAt: new Date().toISOString(),
+                durationMs: Date.now() - startedAt,
+                checks
+            };
+            this.lastResult = result;
+            this.lastCheckedAt = Date.now();
+            return result;
+        })().finally(() => {
+            this.pending = null;
+        });
+        return this.pending;
+    }
+
+    /**
+     * Resolve once the readiness probe passes (retries until then)
+     * @param {Function} [onAttempt] - Called with every failing result
+     * @returns {Promise<Object>} The passing result
+     */
+    async waitUntilReady(onAttempt) {
+        for (;;) {
+            const result = await this.ready({ fresh: true });
+            if (result.ready) {
+                return result;
+            }
+            if (onAttempt) onAttempt(result);
+            await sleep(READY_RETRY_MS);
+        }
+    }
+}
+
+module.exports = HealthChecker;
@@ -0,0 +1,210 @@
+// filename: identify.js - Multi-Layer Identify (everything known at a location)
+
+/**
+ * 🔎 IDENTIFY: Answers "what do we know here?" for one lon/lat in a single document:
+ * - the containing micro grid
+ * - attributes of every registered layer polygon containing the point (RSRP / SINR, competition
+ *   quadrant, discovery MR, high load PRB, simulation dn, weak coverage, ...)
+ * - nearest live and planning sites with their distance
+ * - complaints within a radius
+ *
+ * Every source is queried independently - a failing table is reported in metadata.errors
+ * instead of failing the whole answer. Sites and complaints around the point are limited to the
+ * caller's spatial scope (restricted users never see records of grids outside their area).
+ */
+
+const { buildIdentifyQuery } = require('./layerRegistry');
+
+const DEFAULT_COMPLAINT_RADIUS = 200;
+const MAX_COMPLAINT_RADIUS = 2000;
+const DEFAULT_SITE_LIMIT = 3;
+const MAX_COMPLAINT_RECORDS = 50;
+// Layer queries run a few at a time - the pools are shared with tile rendering
+const LAYER_QUERY_CONCURRENCY = 3;
+
+/**
+ * Invalid identify request (HTTP 400)
+ */
+class IdentifyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'IdentifyError';
+        this.status = status;
+    }
+}
+
+class IdentifyService {
+    /**
+     * @param {Object} deps
+     * @param {Function} deps.getPool - layer => pg Pool the layer lives in
+     * @param {Object} deps.gridPool - pg Pool holding public.micro_grid
+     * @param {Object} deps.siteDbPool - pg Pool holding live / planning sites
+     * @param {Object} deps.complaintDbPool - pg Pool holding the complaint master table
+     */
+    constructor({ getPool, gridPool, siteDbPool, complaintDbPool }) {
+        this.getPool = getPool;
+        this.gridPool = gridPool;
+        this.siteDbPool = siteDbPool;
+        this.complaintDbPool = complaintDbPool;
+    }
+
+    async microGridAt(lon, lat) {
+        const { rows } = await this.gridPool.query(`
+            SELECT id, grid_name, district
+            FROM public.micro_grid m
+            WHERE m.geom IS NOT NULL
+              AND ST_Intersects(m.geom, ST_Transform(ST_SetSRID(ST_MakePoint($1, $2), 4326), ST_SRID(m.geom)))
+            LIMIT 1
+        `, [lon, lat]);
+        return rows[0] ? { id: rows[0].id, gridName: rows[0].grid_name, district: rows[0].district } : null;
+    }
+
+    async identifyLayer(layer, lon, lat) {
+        const { sql, params } = buildIdentifyQuery(layer, lon, lat);
+        const { rows } = await this.getPool(layer).query(sql, params);
+        return rows;
+    }
+
+    async nearestLiveSites(lon, lat, limit, scope) {
+        const params = [lon, lat, limit];
+        const spatialWhereClause = scope ? scope.appendFilter('s.geom', params) : '';
+        const { rows } = await this.siteDbPool.query(`
+            WITH point AS (SELECT ST_SetSRID(ST_MakePoint($1, $2), 4326) AS geom)
+            SELECT live_site_id, plan_site_name, site_type, district, address, coverage_objective,
+                   ROUND(ST_Distance(ST_Transform(s.geom, 4326)::geography, p.geom::geography)) AS distance_m
+            FROM public.cmhk_livesite s, point p
+            WHERE s.geom IS NOT NULL
+              ${spatialWhereClause}
+            ORDER BY ST_Transform(s.geom, 4326) <-> p.geom
+            LIMIT $3
+        `, params);
+        return rows.map(row => ({ ...row, distance_m: Number(row.distance_m) }));
+    }
+
+    async nearestPlanningSites(lon, lat, limit, scope) {
+        const params = [lon, lat, limit];
+        const spatialWhereClause = scope ? scope.appendFilter('s.site_geom', params, { srid: 4326 }) : '';
+        const { rows } = await this.siteDbPool.query(`
+            WITH point AS (SELECT ST_SetSRID(ST_MakePoint($1, $2), 4326) AS geom),
+            sites AS (
+                SELECT s.*,
+                       COALESCE(
+                           ST_Transform(s.geom, 4326),
+                           CASE WHEN s.longitude IS NOT NULL AND s.latitude IS NOT NULL
+                                THEN ST_SetSRID(ST_MakePoint(s.longitude, s.latitude), 4326) END
+                       ) AS site_geom
+                FROM public.master_planning_table s
+                WHERE s.master_solution_type = '新站'
+            )
+            SELECT s.*, ROUND(ST_Distance(s.site_geom::geography, p.geom::geography)) AS distance_m
+            FROM sites s, point p
+            WHERE s.site_geom IS NOT NULL
+              ${spatialWhereClause}
+            ORDER BY s.site_geom <-> p.geom
+            LIMIT $3
+        `, params);
+        return rows.map(({ geom, site_geom, ...props }) => ({ ...props, distance_m: Number(props.distance_m) }));
+    }
+
+    async complaintsWithin(lon, lat, radius, scope) {
+        const params = [lon, lat, radius];
+        const spatialWhereClause = scope ? scope.appendFilter('ST_SetSRID(c.geom, 2326)', params, { srid: 2326 }) : '';
+        const { rows } = await this.complaintDbPool.query(`
+            WITH point AS (SELECT ST_Transform(ST_SetSRID(ST_MakePoint($1, $2), 4326), 2326) AS geom)
+            SELECT raw_ref_no, raw_input_date, raw_category, raw_complaint_type_level_4,
+                   raw_indoor_outdoor_signal_bar, root_root_cause, final_street_name_chi, final_hk_district_chi,
+                   ROUND(ST_Distance(ST_SetSRID(c.geom, 2326), p.geom)) AS distance_m,
+                   COUNT(*) OVER () AS total
+            FROM masscomplaint.complaint_root_master_final c, point p
+            WHERE c.geom IS NOT NULL
+              AND c.raw_month != 'removed'
+              AND ST_DWithin(ST_SetSRID(c.geom, 2326), p.geom, $3)
+              ${spatialWhereClause}
+            ORDER BY distance_m, raw_input_date DESC
+            LIMIT ${MAX_COMPLAINT_RECORDS}
+        `, params);
+        return {
+            radiusMeters: radius,
+            total: rows.length > 0 ? Number(rows[0].total) : 0,
+            records: rows.map(({ total, ...record }) => ({ ...record, distance_m: Number(record.distance_m) }))
+        };
+    }
+
+    /**
+     * 🔎 Everything known at a location
+     * @param {number} lon
+     * @param {number} lat
+     * @param {Object} options
+     * @param {Array<Object>} options.layers - Layer definitions to query
+     * @param {boolean} [options.sites=true] - Include nearest live / planning sites
+     * @param {boolean} [options.complaints=true] - Include complaints within the radius
+     * @param {number} [options.radius=200] - Complaint search radius (m)
+     * @param {number} [options.siteLimit=3] - Nearest sites per kind
+     * @param {SpatialScope} [options.scope] - Limits the nearby sites and complaints (the user's scope)
+     * @returns {Promise<Object>}
+     */
+    async identify(lon, lat, { layers, sites = true, complaints = true, radius = DEFAULT_COMPLAINT_RADIUS, siteLimit = DEFAULT_SITE_LIMIT, scope = null }) {
+        if (!Number.isFinite(lon) || !Number.isFinite(lat) || lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+            throw new IdentifyError('lon and lat are required (WGS84 degrees)');
+        }
+        const radiusMeters = Math.min(Math.max(parseInt(radius, 10) || DEFAULT_COMPLAINT_RADIUS, 1), MAX_COMPLAINT_RADIUS);
+        const startedAt = Date.now();
+        const errors = [];
+        const settle = async (source, task) => {
+            try {
+                return await task();
+            } catch (err) {
+                console.error(`🚨 [Identify] ${source} failed:`, err.message);
+                errors.push({ source, message: err.message });
+                return null;
+            }
+        };
+
+        const layerHits = [];
+        const queue = [...layers];
+        const layerWorkers = Array.from({ length: Math.min(LAYER_QUERY_CONCURRENCY, queue.length) }, async () => {
+            for (let layer = queue.shift(); layer; layer = queue.shift()) {
+                const current = layer;
+                const features = await settle(current.id, () => this.identifyLayer(current, lon, lat));
+                if (features && features.length > 0) {
+                    layerHits.push({ layerId: current.id, label: current.label, group: current.group, dataset: current.dataset, features });
+                }
+            }
+        });
+
+        const [microGrid, liveSites, planningSites, complaintSummary] = await Promise.all([
+            settle('micro_grid', () => this.microGridAt(lon, lat)),
+            sites ? settle('live_sites', () => this.nearestLiveSites(lon, lat, siteLimit, scope)) : null,
+            sites ? settle('planning_sites', () => this.nearestPlanningSites(lon, lat, siteLimit, scope)) : null,
+            complaints ? settle('complaints', () => this.complaintsWithin(lon, lat, radiusMeters, scope)) : null,
+            ...layerWorkers
+        ]);
+
+        // Group hits for display, in registry order
+        const order = new Map(layers.map((layer, index) => [layer.id, index]));
+        layerHits.sort((a, b) => order.get(a.layerId) - order.get(b.layerId));
+        const groups = {};
+        layerHits.forEach(hit => {
+            (groups[hit.group] = groups[hit.group] || []).push(hit);
+        });
+
+        return {
+            location: { lon, lat },
+            microGrid,
+            layers: groups,
+            sites: sites ? { live: liveSites || [], planning: planningSites || [] } : null,
+            complaints: complaints ? complaintSummary || { radiusMeters, total: 0, records: [] } : null,
+            metadata: {
+                layersQueried: layers.length,
+                layersMatched: layerHits.length,
+                errors,
+                queryTimeMs: Date.now() - startedAt
+            }
+        };
+    }
+}
+
+module.exports = {
+    IdentifyService,
+    IdentifyError
+};
@@ -0,0 +1,466 @@
+// filename: layerRegistry.js - Declarative MVT Layer Registry
+
+/**
+ * 🗂️ LAYER REGISTRY: Every MVT data layer served by the backend is declared once here.
+ * A layer declaration describes WHERE the data lives (pool, table, SRID, geometry column),
+ * WHAT is emitted (attribute columns, WHERE predicate) and whether reads are audited.
+ * Who may read it is decided per user by the spatial scope (auth.enforceScope), not per layer.
+ * server.js turns each declaration into tiles through the generic /tiles/:layerId/:z/:x/:y route.
+ *
+ * Adding a new band or dataset = adding one entry to the relevant list below.
+ */
+
+const TILE_EXTENT = 4096;
+const DEFAULT_BUFFER = 64;
+const SUPPORTED_SRIDS = [2326, 3857, 4326];
+
+const layers = new Map();
+
+/**
+ * Register a layer definition
+ * @param {Object} def - Layer definition
+ * @param {string} def.id - Unique layer ID (also the base of the Redis cache key)
+ * @param {string} def.label - Human readable label used in logs
+ * @param {string} def.group - Data group (six_dimension, other_test_data, simulation)
+ * @param {string} [def.dataset=def.id] - Cache tag of the source dataset (POST /cache/invalidate?dataset=...)
+ * @param {string} def.pool - Name of the database pool ('pool', 'newPool', ...)
+ * @param {string} def.table - Fully qualified (and quoted if needed) table name
+ * @param {number} def.srid - SRID of the geometry column (2326, 3857 or 4326)
+ * @param {string} [def.geomColumn='geom'] - Geometry column name
+ * @param {Object} def.columns - Attribute columns: { outputName: 'SQL expression' }
+ * @param {string} [def.where] - Extra WHERE predicate, may use $1..$n for def.params
+ * @param {Array} [def.params] - Values bound to the placeholders in columns/where
+ * @param {number} [def.buffer=64] - ST_AsMVTGeom buffer in tile units
+ * @param {boolean} [def.spatialFilter=true] - Apply micro grid spatial filtering
+ * @param {string|null} [def.audit] - Audit dataset name - tile requests are written to the data access audit log
+ */
+function defineLayer(def) {
+    if (!def.id || !def.pool || !def.table || !def.columns) {
+        throw new Error(`Invalid layer definition: ${JSON.stringify(def)}`);
+    }
+    if (!SUPPORTED_SRIDS.includes(def.srid)) {
+        throw new Error(`Layer ${def.id}: unsupported SRID ${def.srid}`);
+    }
+    if (layers.has(def.id)) {
+        throw new Error(`Layer ${def.id} is already registered`);
+    }
+
+    layers.set(def.id, Object.freeze({
+        geomColumn: 'geom',
+        where: null,
+        params: [],
+        buffer: DEFAULT_BUFFER,
+        spatialFilter: true,
+        audit: null,
+        dataset: def.id,
+        ...def
+    }));
+}
+
+// ********************************************************************* //
+// 六维数据 Layers
+// ********************************************************************* //
+
+const FOUR_QUADRANT_TABLES = {
+    lte: 'public.cmhk_grid_drive_test_four_quadrants_lte_new',
+    nr: 'public.cmhk_grid_drive_test_four_quadrants_nr_new'
+};
+
+// 3. 六维数据 -> 测试数据 -> 競對場景 (LTE/NR)
+const COMPETITION_SCENARIOS = ['競強我強', '競強我弱', '競弱我強', '競弱我弱'];
+
+Object.entries(FOUR_QUADRANT_TABLES).forEach(([technology, table]) => {
+    COMPETITION_SCENARIOS.forEach((scenario) => {
+        defineLayer({
+            id: `competition_scenario_test_${technology}_${scenario}`,
+            label: `Competition Scenario MVT ${technology.toUpperCase()} ${scenario}`,
+            group: 'six_dimension',
+            pool: 'pool',
+            table,
+            srid: 2326,
+            columns: {
+                id: 't.grid_id',
+                max_rsrp_scenario: 't.max_rsrp_場景'
+            },
+            where: 't.max_rsrp_場景 = $1',
+            params: [scenario],
+            dataset: 'cmhk_test_data'
+        });
+    });
+});
+
+// 3.1 / 3.2 六维数据 -> 测试数据 -> RSRP / SINR 数据 (LTE/NR)
+const DRIVE_TEST_METRICS = [
+    { metric: 'rsrp', label: 'RSRP', columns: { lte: 'l_rsrp_cmhk', nr: 'n_rsrp_cmhk' } },
+    { metric: 'sinr', label: 'SINR', columns: { lte: 'l_sinr_cmhk', nr: 'n_sinr_cmhk' } }
+];
+
+DRIVE_TEST_METRICS.forEach(({ metric, label, columns }) => {
+    Object.entries(FOUR_QUADRANT_TABLES).forEach(([technology, table]) => {
+        defineLayer({
+            id: `cmhk_${metric}_data_${technology}`,
+            label: `${label} MVT ${technology.toUpperCase()}`,
+            group: 'six_dimension',
+            pool: 'pool',
+            table,
+            srid: 2326,
+            columns: {
+                id: 't.grid_id',
+                [`${metric}_value`]: `t.${columns[technology]}`
+            },
+            where: `t.${columns[technology]} IS NOT NULL`,
+            dataset: 'cmhk_test_data'
+        });
+    });
+});
+
+// 4. 六维数据 -> MR 竞对数据 -> 竞对数据
+const DISCOVERY_MR_SCENARIOS = [
+    { scenario: 'strong', category: '競強我弱', table: 'public.cmhk_grid_problemdb_after_discovery_競強我弱' },
+    { scenario: 'weak', category: '競弱我弱', table: 'public.cmhk_grid_problemdb_after_discovery_競弱我弱' },
+    { scenario: 'strong_we_strong', category: '競強我強', table: 'public.cmhk_grid_discovery_four_quadrants_combined_after_latest', combined: true },
+    { scenario: 'weak_we_strong', category: '競弱我強', table: 'public.cmhk_grid_discovery_four_quadrants_combined_after_latest', combined: true }
+];
+
+DISCOVERY_MR_SCENARIOS.forEach(({ scenario, category, table, combined }) => {
+    defineLayer({
+        id: `discovery_mr_${scenario}`,
+        label: `Discovery MR MVT ${scenario}`,
+        group: 'six_dimension',
+        pool: 'pool',
+        table,
+        srid: 2326,
+        // The combined four-quadrant table stores its geometry in geometry_2326
+        geomColumn: combined ? 'geometry_2326' : 'geom',
+        columns: {
+            id: combined ? 't.grid_id' : 't.id',
+            category: '$1::text'
+        },
+        where: combined ? 't.max_rsrp場景 = $1' : null,
+        params: [category],
+        dataset: 'discovery_mr'
+    });
+});
+
+// 5. 六维数据 -> 投诉数据 -> 投诉网格
+defineLayer({
+    id: 'complaint_data',
+    label: 'Complaint MVT',
+    group: 'six_dimension',
+    pool: 'pool',
+    table: 'public.cmhk_grid_problemdb',
+    srid: 2326,
+    columns: {
+        id: 't.id',
+        highcomplaint: 't.highcomplaint'
+    },
+    where: 't.highcomplaint IS TRUE',
+    buffer: 0,
+    dataset: 'complaint',
+    audit: 'complaint'
+});
+
+// 6. 六维数据 -> 话统数据 -> 高负载数据
+defineLayer({
+    id: 'cmhk_grid_highload',
+    label: 'HighLoad MVT',
+    group: 'six_dimension',
+    pool: 'pool',
+    table: 'public.cmhk_grid_highload',
+    srid: 2326,
+    columns: {
+        id: 't.id',
+        s_dl_prb_util: 't.s_dl_prb_util'
+    },
+    dataset: 'highload'
+});
+
+// ********************************************************************* //
+// 仿真原數據 Layers
+// ********************************************************************* //
+
+// 📊 Tables created from the dissolved simulation GeoJSON (EPSG:32650 → EPSG:4326)
+// One layer per simulation run - runs are registered in public.simulation_runs (see simulationRuns.js)
+// and turned into layers when the run registry loads, so importing a run needs no code change.
+const SIMULATION_DATASETS = { '5g': 'simulation_5g', '4g': 'simulation_4g' };
+
+function simulationRunLayerId(technology, runId) {
+    return `simulation_${technology}_run_${runId}`;
+}
+
+/**
+ * Register (once) the tile layer of a simulation run
+ * @param {Object} run - { id, technology: '5g' | '4g', tableName, runDate } from the run registry
+ * @returns {Object} - Layer definition
+ */
+function defineSimulationRunLayer(run) {
+    const id = simulationRunLayerId(run.technology, run.id);
+    if (!layers.has(id)) {
+        defineLayer({
+            id,
+            label: `Simulation ${run.technology.toUpperCase()} PBF MVT (run ${run.id}, ${run.runDate || 'undated'})`,
+            group: 'simulation',
+            dataset: SIMULATION_DATASETS[run.technology],
+            pool: 'newPool',
+            table: `public."${run.tableName}"`,
+            srid: 4326,
+            columns: {
+                id: 't.id',
+                dn: 't.dn'
+            }
+        });
+    }
+    return layers.get(id);
+}
+
+// ********************************************************************* //
+// 其他测试数据 Layers
+// ********************************************************************* //
+
+// Other operators field-test tables (weak coverage only, no spatial filtering)
+const OTHER_OPERATOR_WEAK_TABLES = {
+    lte: {
+        srid: 4326,
+        tables: [
+            'xcsl_l900', 'xcsl_l1800', 'xcsl_l2600',
+            'xhut_l700', 'xhut_l900', 'xhut_l1800', 'xhut_l2300', 'xhut_l2600',
+            'xsmt_l900', 'xsmt_l1800', 'xsmt_l2600'
+        ]
+    },
+    nr: {
+        srid: 2326,
+        tables: [
+            'fieldtest_grid_xcsl_ft_nr2100_rsrp', 'fieldtest_grid_xcsl_ft_nr3500_rsrp', 'fieldtest_grid_xcsl_ft_nr4900_rsrp',
+            'fieldtest_grid_xhut_ft_nr2100_rsrp', 'fieldtest_grid_xhut_ft_nr3500_rsrp',
+            'fieldtest_grid_xsmt_ft_nr2100_rsrp', 'fieldtest_grid_xsmt_ft_nr3500_rsrp', 'fieldtest_grid_xsmt_ft_nr4900_rsrp'
+        ]
+    }
+};
+
+Object.entries(OTHER_OPERATOR_WEAK_TABLES).forEach(([technology, { srid, tables }]) => {
+    tables.forEach((table) => {
+        defineLayer({
+            id: `other_${technology}_weak_${table}`,
+            label: `Other ${technology.toUpperCase()} Weak MVT ${table}`,
+            group: 'other_test_data',
+            dataset: 'other_test_data',
+            pool: 'newPool',
+            table: `public.${table}`,
+            srid,
+            columns: {
+                rsrp_value: 't.rsrp_value'
+            },
+            where: 't.rsrp_value < -110',
+            spatialFilter: false
+        });
+    });
+});
+
+// CMHK field-test weak coverage bands (LTE tables in EPSG:4326, NR tables in EPSG:2326)
+const CMHK_WEAK_COVERAGE_BANDS = [
+    { type: 'lte', band: '700', table: 'public.cmhk_l700', srid: 4326 },
+    { type: 'lte', band: '900', table: 'public.cmhk_l900', srid: 4326 },
+    { type: 'lte', band: '1800', table: 'public.cmhk_l1800', srid: 4326 },
+    { type: 'lte', band: '2300', table: 'public.cmhk_l2300', srid: 4326 },
+    { type: 'lte', band: '2600', table: 'public.cmhk_l2600', srid: 4326 },
+    { type: 'nr', band: '2100', table: 'public.fieldtest_grid_cmhk_ft_nr2100_rsrp', srid: 2326 },
+    { type: 'nr', band: '3500', table: 'public.fieldtest_grid_cmhk_ft_nr3500_rsrp', srid: 2326 },
+    { type: 'nr', band: '4900', table: 'public.fieldtest_grid_cmhk_ft_nr4900_rsrp', srid: 2326 }
+];
+
+CMHK_WEAK_COVERAGE_BANDS.forEach(({ type, band, table, srid }) => {
+    defineLayer({
+        id: `cmhk_weak_coverage_${type}_${band}`,
+        label: `CMHK Weak Coverage MVT ${type.toUpperCase()}${band}`,
+        group: 'other_test_data',
+        pool: 'newPool',
+        table,
+        srid,
+        columns: {
+            grid_id: 't.grid_id',
+            rsrp_value: 't.rsrp_value',
+            aa_date: 't.aa_date',
+            band_type: '$1::text'
+        },
+        where: 't.rsrp_value IS NOT NULL',
+        params: [`${type.toUpperCase()}${band}`],
+        dataset: 'cmhk_weak_coverage'
+    });
+});
+
+// ********************************************************************* //
+// Registry lookups and SQL generation
+// ********************************************************************* //
+
+/**
+ * Get a layer definition by ID
+ * @param {string} layerId - Layer ID
+ * @returns {Object|null} Layer definition or null when unknown
+ */
+function getLayer(layerId) {
+    return layers.get(layerId) || null;
+}
+
+/**
+ * List all registered layers (optionally filtered by group)
+ * @param {string} [group] - Optional group filter
+ */
+function listLayers(group) {
+    const all = [...layers.values()];
+    return group ? all.filter(layer => layer.group === group) : all;
+}
+
+/**
+ * Compute tile bounds in WGS84 (EPSG:4326) from XYZ tile coordinates
+ * @returns {Object} { lonLeft, latBottom, lonRight, latTop }
+ */
+function tileToBounds(z, x, y) {
+    const n = Math.pow(2, z);
+    const lonLeft = (x / n) * 360 - 180;
+    const lonRight = ((x + 1) / n) * 360 - 180;
+    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n)));
+    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + 1) / n)));
+    return {
+        lonLeft,
+        latBottom: (latBottomRad * 180) / Math.PI,
+        lonRight,
+        latTop: (latTopRad * 180) / Math.PI
+    };
+}
+
+/**
+ * Shift $n placeholders in a SQL fragment by an offset
+ * Layer fragments number their own params from $1; the tile query binds bounds and
+ * spatial filter params first, so the layer params are renumbered behind them.
+ */
+function shiftPlaceholders(fragment, offset) {
+    return fragment.replace(/\$(\d+)/g, (_, index) => `$${parseInt(index, 10) + offset}`);
+}
+
+/**
+ * Build the base cache key for a tile (before hierarchical micro grid suffixing)
+ */
+function buildTileCacheKey(layer, z, x, y) {
+    return `${layer.id}_mvt_${z}_${x}_${y}`;
+}
+
+/**
+ * Build the ST_AsMVT query for a layer tile
+ * Parameter order: $1-$4 tile bounds, then spatial filter params (starting at $5), then layer params
+ * @param {Object} layer - Layer definition
+ * @param {Object} bounds - Result of tileToBounds()
+ * @param {Object} spatialFilter - { whereClause, params } from SpatialScope.toFilter(..., { offset: 4 })
+ * @param {Object} [options]
+ * @param {string} [options.mvtLayerName='grid'] - Name of the layer inside the MVT
+ * @returns {Object} { sql, params }
+ */
+function buildTileQuery(layer, bounds, spatialFilter = { whereClause: '', params: [] }, options = {}) {
+    const { mvtLayerName = 'grid' } = options;
+    const layerParamOffset = 4 + spatialFilter.params.length;
+
+    const columns = Object.entries(layer.columns)
+        .map(([name, expression]) => `${shiftPlaceholders(expression, layerParamOffset)} AS "${name}"`)
+        .join(',\n                ');
+    const layerWhere = layer.where ? `AND (${shiftPlaceholders(layer.where, layerParamOffset)})` : '';
+    const geom = `t.${layer.geomColumn}`;
+
+    const sql = `
+        WITH bounds AS (
+            SELECT
+                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
+                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), ${layer.srid}) AS native_bounds
+        ), mvtgeom AS (
+            SELECT
+                ${columns},
+                ST_AsMVTGeom(
+                    ST_Transform(${geom}, 3857),
+                    b.merc_bounds,
+                    ${TILE_EXTENT},
+                    ${layer.buffer},
+                    true
+                ) AS geom
+            FROM ${layer.table} t, bounds b
+            WHERE ${geom} && b.native_bounds
+              AND ST_Intersects(${geom}, b.native_bounds)
+              ${layerWhere}
+              ${spatialFilter.whereClause}
+        )
+        SELECT ST_AsMVT(mvtgeom, '${mvtLayerName}', ${TILE_EXTENT}, 'geom') AS tile FROM mvtgeom;
+    `;
+
+    const params = [
+        bounds.lonLeft, bounds.latBottom, bounds.lonRight, bounds.latTop,
+        ...spatialFilter.params,
+        ...layer.params
+    ];
+
+    return { sql, params };
+}
+
+/**
+ * Build the point-in-polygon query of a layer: attributes of the features containing a lon/lat
+ * Parameter order: $1-$2 lon/lat (WGS84), then layer params
+ * @param {Object} layer - Layer definition
+ * @param {number} lon
+ * @param {number} lat
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Maximum features returned (overlapping polygons)
+ * @returns {Object} { sql, params }
+ */
+function buildIdentifyQuery(layer, lon, lat, options = {}) {
+    const { limit = 5 } = options;
+    const layerParamOffset = 2;
+
+    const columns = Object.entries(layer.columns)
+        .map(([name, expression]) => `${shiftPlaceholders(expression, layerParamOffset)} AS "${name}"`)
+        .join(',\n                ');
+    const layerWhere = layer.where ? `AND (${shiftPlaceholders(layer.where, layerParamOffset)})` : '';
+    const geom = `t.${layer.geomColumn}`;
+
+    const sql = `
+        WITH point AS (
+            SELECT ST_Transform(ST_SetSRID(ST_MakePoint($1, $2), 4326), ${layer.srid}) AS geom
+        )
+        SELECT
+                ${columns}
+        FROM ${layer.table} t, point p
+        WHERE ${geom} && p.geom
+          AND ST_Intersects(${geom}, p.geom)
+          ${layerWhere}
+        LIMIT ${parseInt(limit, 10)};
+    `;
+
+    return { sql, params: [lon, lat, ...layer.params] };
+}
+
+/**
+ * Public description of a layer (no SQL internals) for the layer listing endpoint
+ */
+function describeLayer(layer) {
+    return {
+        id: layer.id,
+        label: layer.label,
+        group: layer.group,
+        srid: layer.srid,
+        attributes: Object.keys(layer.columns),
+        spatialFilter: layer.spatialFilter,
+        audited: Boolean(layer.audit),
+        dataset: layer.dataset,
+        tileUrl: `/tiles/${encodeURIComponent(layer.id)}/{z}/{x}/{y}`
+    };
+}
+
+module.exports = {
+    defineLayer,
+    getLayer,
+    listLayers,
+    describeLayer,
+    defineSimulationRunLayer,
+    simulationRunLayerId,
+    SIMULATION_DATASETS,
+    tileToBounds,
+    buildTileQuery,
+    buildTileCacheKey,
+    buildIdentifyQuery,
+    TILE_EXTENT
+};
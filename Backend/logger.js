@@ -0,0 +1,268 @@
+// filename: logger.js - Structured JSON Logging with Request Context
+
+/**
+ * 📜 LOGGER: One JSON object per line on stdout / stderr (PM2 log files stay greppable / parsable).
+ *
+ *   {"time":"…","level":"info","msg":"request completed","instance":"0","requestId":"5f2c…","route":"/tiles/:layerId/:z/:x/:y",…}
+ *
+ * - Every request gets a request ID (incoming X-Request-Id is kept, otherwise generated) which is
+ *   returned in the X-Request-Id header and added to every line logged while serving it.
+ * - Instrumented pg pools add pool name, query count, DB time and row counts to the request line.
+ * - console.* is routed through the logger: console.log → debug, console.info → info,
+ *   console.warn → warn, console.error → error (Error arguments keep their stack).
+ *
+ * Settings (config.logging): LOG_LEVEL = error | warn | info (default) | debug, LOG_FORMAT = json (default) | pretty
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const LEVEL = config.logging.level;
+const PRETTY = config.logging.format === 'pretty';
+const INSTANCE = config.instanceId;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+// Query parameters never written to the log or the audit table (credentials)
+const REDACTED_PARAMS = ['session', 'password', 'token'];
+
+const requestContext = new AsyncLocalStorage();
+// Original console methods - the logger writes through these after console is captured
+const output = {
+    log: console.log.bind(console),
+    error: console.error.bind(console)
+};
+
+/**
+ * Error → plain object with its stack
+ */
+function serializeError(err) {
+    if (!(err instanceof Error)) {
+        return err;
+    }
+    return {
+        name: err.name,
+        message: err.message,
+        code: err.code,
+        status: err.status,
+        stack: err.stack
+    };
+}
+
+function redactQuery(query = {}) {
+    const redacted = { ...query };
+    REDACTED_PARAMS.forEach(param => {
+        if (redacted[param] !== undefined) redacted[param] = '[redacted]';
+    });
+    return redacted;
+}
+
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] > LEVELS[LEVEL]) {
+        return;
+    }
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        instance: INSTANCE,
+        pid: process.pid,
+        ...(context ? { requestId: context.requestId } : {}),
+        ...fields
+    };
+    if (entry.err) {
+        entry.err = serializeError(entry.err);
+        // The request summary line reports the first error of the request
+        if (context && !context.error && level === 'error') {
+            context.error = entry.err;
+        }
+    }
+
+    let line;
+    if (PRETTY) {
+        const { time, level: lvl, msg: message, instance, pid, requestId, err, ...rest } = entry;
+        const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+        line = `${time} ${lvl.toUpperCase().padEnd(5)} [${instance}${requestId ? ` ${requestId}` : ''}] ${message}${extra}${err && err.stack ? `\n${err.stack}` : ''}`;
+    } else {
+        try {
+            line = JSON.stringify(entry);
+        } catch (stringifyErr) {
+            line = JSON.stringify({ time: entry.time, level, msg, instance: INSTANCE, note: 'unserializable fields' });
+        }
+    }
+    (LEVELS[level] <= LEVELS.warn ? output.error : output.log)(line);
+}
+
+const logger = {
+    level: LEVEL,
+    error: (msg, fields) => write('error', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    debug: (msg, fields) => write('debug', msg, fields),
+    isLevelEnabled: level => LEVELS[level] <= LEVELS[LEVEL],
+
+    /**
+     * The current request's context ({ requestId, db, ... }) or undefined outside requests
+     */
+    context: () => requestContext.getStore(),
+
+    /**
+     * Run fn with its own context (work detached from the request that started it, see queryGuard.detached)
+     * @param {Object} fields - Context fields; requestId is kept for the log lines
+     */
+    runWithContext: (fields, fn) => requestContext.run({
+        db: { queries: 0, durationMs: 0, rows: 0, pools: [] },
+        bytes: 0,
+        error: null,
+        ...fields
+    }, fn),
+
+    /**
+     * Route console.* through the logger (existing console calls become structured lines)
+     */
+    captureConsole() {
+        const capture = level => (...args) => {
+            const err = args.find(arg => arg instanceof Error);
+            const text = util.format(...args.map(arg => (arg instanceof Error ? arg.message : arg)));
+            write(level, text, err ? { err } : {});
+        };
+        console.log = capture('debug');
+        console.debug = capture('debug');
+        console.info = capture('info');
+        console.warn = capture('warn');
+        console.error = capture('error');
+    },
+
+    /**
+     * Time every query of a pg Pool and add it to the current request's DB statistics
+     * @param {Object} pool - pg Pool
+     * @param {string} name - Pool name used in log lines
+     * @param {Object} [options]
+     * @param {Function} [options.onQuery] - Called with { pool, durationMs, rows, error } after every query
+     */
+    instrumentPool(pool, name, { onQuery } = {}) {
+        const query = pool.query.bind(pool);
+        pool.query = (...args) => {
+            const result = query(...args);
+            // Callback style queries are passed through untouched
+            if (!result || typeof result.then !== 'function') {
+                return result;
+            }
+
+            const startedAt = Date.now();
+            const text = typeof args[0] === 'string' ? args[0] : (args[0] && args[0].text) || '';
+            const record = (rows, err) => {
+                const durationMs = Date.now() - startedAt;
+                const context = requestContext.getStore();
+                if (context) {
+                    context.db.queries++;
+                    context.db.durationMs += durationMs;
+                    context.db.rows += rows;
+                    if (!context.db.pools.includes(name)) context.db.pools.push(name);
+                }
+                const fields = { pool: name, durationMs, rows, sql: text.replace(/\s+/g, ' ').trim().slice(0, 120) };
+                if (err) {
+                    write('error', 'db query failed', { ...fields, err });
+                } else {
+                    write('debug', 'db query', fields);
+                }
+                if (onQuery) onQuery({ pool: name, durationMs, rows, error: err || null });
+            };
+
+            return result.then(
+                res => {
+                    record(res && typeof res.rowCount === 'number' ? res.rowCount : 0);
+                    return res;
+                },
+                err => {
+                    record(0, err);
+                    throw err;
+                }
+            );
+        };
+        return pool;
+    },
+
+    /**
+     * Express middleware: request ID, request context and one summary line per request
+     * (method, route, params, status, duration, cache status, DB statistics, response bytes, error)
+     * @param {Object} [options]
+     * @param {Function} [options.onFinish] - Called with the summary fields of every finished request
+     */
+    requestLogger({ onFinish } = {}) {
+        return (req, res, next) => {
+            const incoming = req.get('X-Request-Id');
+            const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomBytes(8).toString('hex');
+            req.id = requestId;
+            res.setHeader('X-Request-Id', requestId);
+
+            const startedAt = Date.now();
+            const context = {
+                requestId,
+                db: { queries: 0, durationMs: 0, rows: 0, pools: [] },
+                bytes: 0,
+                error: null
+            };
+
+            // Count payload bytes (before compression)
+            const originalWrite = res.write;
+            const originalEnd = res.end;
+            res.write = function (chunk, ...rest) {
+                if (chunk) context.bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(String(chunk));
+                return originalWrite.call(this, chunk, ...rest);
+            };
+            res.end = function (chunk, ...rest) {
+                if (chunk && typeof chunk !== 'function') {
+                    context.bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(String(chunk));
+                }
+                return originalEnd.call(this, chunk, ...rest);
+            };
+
+            res.on('finish', () => {
+                const status = res.statusCode;
+                const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+                const fields = {
+                    method: req.method,
+                    route: req.route ? `${req.baseUrl || ''}${req.route.path}` : null,
+                    path: req.path,
+                    params: req.params && Object.keys(req.params).length > 0 ? req.params : undefined,
+                    query: Object.keys(req.query || {}).length > 0 ? redactQuery(req.query) : undefined,
+                    status,
+                    durationMs: Date.now() - startedAt,
+                    cache: res.getHeader('X-Cache') || undefined,
+                    db: context.db.queries > 0 ? context.db : undefined,
+                    bytes: context.bytes,
+                    user: req.user ? req.user.username : undefined,
+                    err: context.error || undefined
+                };
+                // Already reported when logged - keep the summary line from repeating the full stack
+                if (fields.err && fields.err.stack) {
+                    fields.err = { message: fields.err.message, name: fields.err.name };
+                }
+                requestContext.run(context, () => write(level, 'request completed', fields));
+                if (onFinish) onFinish(fields, req, res);
+            });
+
+            // Client went away before the response was finished (e.g. abandoned tile requests)
+            res.on('close', () => {
+                if (!res.writableFinished) {
+                    requestContext.run(context, () => write('info', 'request aborted by client', {
+                        method: req.method,
+                        path: req.path,
+                        durationMs: Date.now() - startedAt,
+                        db: context.db.queries > 0 ? context.db : undefined
+                    }));
+                }
+            });
+
+            requestContext.run(context, next);
+        };
+    },
+
+    serializeError,
+    redactQuery
+};
+
+module.exports = logger;
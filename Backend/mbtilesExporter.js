@@ -0,0 +1,193 @@
+// filename: mbtilesExporter.js - Offline MBTiles Export of Data Layers
+
+/**
+ * 📦 MBTILES EXPORT: Renders a set of registered layers for a micro grid selection / bbox and
+ * zoom range into one vector MBTiles file (the reverse of the /base-tiles route), so engineers
+ * can take layers to site visits or open them in QGIS without server access.
+ *
+ * Each tile holds one MVT layer per exported data layer (named after the layer ID, gzip
+ * compressed as the MBTiles spec expects); empty tiles are not written. The metadata table
+ * carries bounds, center, zoom range and vector_layers with attribute fields.
+ *
+ * Files are written to MBTILES_EXPORT_DIR (default Backend/exports); POST /export/mbtiles sends them
+ * and removes them again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const MBTiles = require('@mapbox/mbtiles');
+const { tileToBounds, buildTileQuery } = require('./layerRegistry');
+const { SeedRequestError, resolveTileScope, tileRange } = require('./tileSeeder');
+const config = require('./config');
+
+const gzip = promisify(zlib.gzip);
+
+const EXPORT_DIR = config.paths.mbtilesExport;
+// Exports render synchronously within one request - keep them to a site visit sized area
+const MAX_EXPORT_TILES = config.tiles.maxExportTiles;
+const RESERVED_CONNECTIONS = 2;
+
+/**
+ * Promise wrappers for the callback based @mapbox/mbtiles API
+ */
+function openMBTiles(uri) {
+    return new Promise((resolve, reject) => {
+        new MBTiles(uri, (err, mbtiles) => (err ? reject(err) : resolve(mbtiles)));
+    });
+}
+
+function call(mbtiles, method, ...args) {
+    return new Promise((resolve, reject) => {
+        mbtiles[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+}
+
+class MBTilesExporter {
+    /**
+     * @param {Object} deps
+     * @param {Function} deps.getLayer - layerId => layer definition (layerRegistry)
+     * @param {Function} deps.getPool - layer => pg Pool the layer renders from
+     * @param {Function} deps.resolveMicroGridBounds - async (microGridIds) => [west, south, east, north] | null
+     * @param {Function} deps.resolveSpatialScope - async (microGridIds) => SpatialScope (spatialScope.js)
+     */
+    constructor({ getLayer, getPool, resolveMicroGridBounds, resolveSpatialScope }) {
+        this.getLayer = getLayer;
+        this.getPool = getPool;
+        this.resolveMicroGridBounds = resolveMicroGridBounds;
+        this.resolveSpatialScope = resolveSpatialScope;
+    }
+
+    /**
+     * Render all layers of one tile into a single gzipped MVT (null if every layer is empty)
+     */
+    async renderTile(scope, filters, z, x, y) {
+        const bounds = tileToBounds(z, x, y);
+        const parts = [];
+        for (const layer of scope.layers) {
+            const { sql, params } = buildTileQuery(layer, bounds, filters[layer.id], { mvtLayerName: layer.id });
+            const { rows } = await this.getPool(layer).query(sql, params);
+            if (rows[0] && rows[0].tile && rows[0].tile.length > 0) {
+                parts.push(rows[0].tile);
+            }
+        }
+        // MVT layers are independent protobuf messages - concatenating tiles merges their layers
+        return parts.length > 0 ? gzip(Buffer.concat(parts)) : null;
+    }
+
+    /**
+     * 📦 Export layers to a new MBTiles file
+     * @param {Object} params - { layers, minZoom, maxZoom, microGrids | bbox, name? }
+     * @param {Object} [user] - Requesting user (recorded in the metadata)
+     * @returns {Promise<Object>} - { fileName, path, tiles, emptyTiles, bytes, ... }
+     */
+    async export(params, user = null) {
+        const scope = await resolveTileScope(params, this);
+
+        let total = 0;
+        for (let z = scope.minZoom; z <= scope.maxZoom; z++) {
+            const { minX, maxX, minY, maxY } = tileRange(scope.bbox, z);
+            total += (maxX - minX + 1) * (maxY - minY + 1);
+        }
+        if (total > MAX_EXPORT_TILES) {
+            throw new SeedRequestError(`Export covers ${total} tiles (limit ${MAX_EXPORT_TILES}) - narrow the area or zoom range`);
+        }
+
+        // One spatial filter per layer (geometry columns and SRIDs differ); layers without spatial filtering
+        // export unfiltered. $1-$4 of the tile query are the tile bounds.
+        const spatialScope = await this.resolveSpatialScope(scope.microGrids);
+        const filters = {};
+        for (const layer of scope.layers) {
+            filters[layer.id] = layer.spatialFilter
+                ? spatialScope.toFilter(`t.${layer.geomColumn}`, { srid: layer.srid, offset: 4 })
+                : { whereClause: '', params: [] };
+        }
+
+        const baseName = String(params.name || scope.layerIds.join('_')).replace(/[^a-z0-9_-]+/gi, '_').slice(0, 80);
+        const fileName = `${baseName}_${Date.now()}.mbtiles`;
+        const filePath = path.join(EXPORT_DIR, fileName);
+        await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+        const startedAt = Date.now();
+        console.log(`📦 [MBTiles Export] ${fileName}: ${total} tiles (${scope.layerIds.join(', ')}, z${scope.minZoom}-${scope.maxZoom})`);
+
+        const mbtiles = await openMBTiles(`${filePath}?mode=rwc`);
+        let written = 0;
+        try {
+            await call(mbtiles, 'startWriting');
+
+            const [west, south, east, north] = scope.bbox;
+            await call(mbtiles, 'putInfo', {
+                name: baseName,
+                description: `${scope.layers.map(layer => layer.label).join(', ')}${scope.microGrids.length > 0 ? ` - micro grids ${scope.microGrids.join(', ')}` : ''}`,
+                format: 'pbf',
+                type: 'overlay',
+                version: '1.0',
+                minzoom: scope.minZoom,
+                maxzoom: scope.maxZoom,
+                bounds: [west, south, east, north],
+                center: [(west + east) / 2, (south + north) / 2, scope.minZoom],
+                generator: 'Grid Data Display MBTiles export',
+                exported_by: user ? user.username : 'unknown',
+                exported_at: new Date().toISOString(),
+                vector_layers: scope.layers.map(layer => ({
+                    id: layer.id,
+                    description: layer.label,
+                    minzoom: scope.minZoom,
+                    maxzoom: scope.maxZoom,
+                    fields: Object.fromEntries(Object.keys(layer.columns).map(column => [column, 'String']))
+                }))
+            });
+
+            // Render with a few workers - leave pool connections for interactive users
+            const poolMax = Math.min(...scope.layers.map(layer => this.getPool(layer).options.max || 10));
+            const workers = Math.max(1, poolMax - RESERVED_CONNECTIONS);
+            const tiles = (function* () {
+                for (let z = scope.minZoom; z <= scope.maxZoom; z++) {
+                    const { minX, maxX, minY, maxY } = tileRange(scope.bbox, z);
+                    for (let x = minX; x <= maxX; x++) {
+                        for (let y = minY; y <= maxY; y++) yield { z, x, y };
+                    }
+                }
+            })();
+
+            await Promise.all(Array.from({ length: workers }, async () => {
+                for (let next = tiles.next(); !next.done; next = tiles.next()) {
+                    const { z, x, y } = next.value;
+                    const tile = await this.renderTile(scope, filters, z, x, y);
+                    if (tile) {
+                        await call(mbtiles, 'putTile', z, x, y, tile);
+                        written++;
+                    }
+                }
+            }));
+
+            await call(mbtiles, 'stopWriting');
+        } catch (err) {
+            await call(mbtiles, 'close').catch(() => {});
+            await fs.promises.unlink(filePath).catch(() => {});
+            throw err;
+        }
+        await call(mbtiles, 'close');
+
+        const { size } = await fs.promises.stat(filePath);
+        console.log(`✅ [MBTiles Export] ${fileName}: ${written} tiles written, ${(size / 1024).toFixed(1)} KB in ${Date.now() - startedAt}ms`);
+
+        return {
+            fileName,
+            path: filePath,
+            layers: scope.layerIds,
+            minZoom: scope.minZoom,
+            maxZoom: scope.maxZoom,
+            bbox: scope.bbox,
+            microGrids: scope.microGrids,
+            tiles: written,
+            emptyTiles: total - written,
+            bytes: size,
+            durationMs: Date.now() - startedAt
+        };
+    }
+}
+
+module.exports = MBTilesExporter;
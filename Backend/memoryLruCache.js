@@ -0,0 +1,138 @@
+// filename: memoryLruCache.js - Bounded In-Process LRU Cache (first cache tier)
+
+/**
+ * 🧠 MEMORY LRU: Byte-budgeted least-recently-used cache kept inside each Node process.
+ * RedisCacheHelper puts it in front of Redis (short TTL, absorbs hot tiles) and uses it alone
+ * while Redis is unavailable, so an outage does not send every tile straight to PostGIS.
+ *
+ * Values are stored in their serialized form (see cacheValueFormat.js) and decoded on every read.
+ * Relies on Map preserving insertion order: the first entry is the least recently used one.
+ */
+class MemoryLruCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxBytes=64MB] - Byte budget for all stored values
+     * @param {number} [options.maxEntryBytes=maxBytes/8] - Larger values are not kept in memory
+     */
+    constructor({ maxBytes = 64 * 1024 * 1024, maxEntryBytes } = {}) {
+        this.maxBytes = maxBytes;
+        this.maxEntryBytes = maxEntryBytes || Math.floor(maxBytes / 8);
+        this.entries = new Map(); // key → { raw, bytes, expiresAt, tags }
+        this.bytes = 0;
+        this.evictions = 0;
+    }
+
+    static sizeOf(raw) {
+        return Buffer.isBuffer(raw) ? raw.length : Buffer.byteLength(raw);
+    }
+
+    /**
+     * @returns {string|Buffer|null} - Serialized value or null (missing/expired)
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.remove(key);
+            return null;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.raw;
+    }
+
+    /**
+     * @param {string} key
+     * @param {string|Buffer} raw - Serialized value
+     * @param {number} ttl - Seconds
+     * @param {Array<string>} [tags]
+     * @returns {boolean} - false when the value exceeds maxEntryBytes
+     */
+    set(key, raw, ttl, tags = []) {
+        const bytes = MemoryLruCache.sizeOf(raw);
+        this.remove(key);
+        if (bytes > this.maxEntryBytes) {
+            return false;
+        }
+
+        this.entries.set(key, { raw, bytes, expiresAt: Date.now() + ttl * 1000, tags });
+        this.bytes += bytes;
+
+        // Evict least recently used entries until back within budget
+        for (const oldestKey of this.entries.keys()) {
+            if (this.bytes <= this.maxBytes) break;
+            this.remove(oldestKey);
+            this.evictions++;
+        }
+        return true;
+    }
+
+    has(key) {
+        return this.get(key) !== null;
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return false;
+        }
+        this.entries.delete(key);
+        this.bytes -= entry.bytes;
+        return true;
+    }
+
+    /**
+     * Remove every entry carrying the tag
+     * @returns {number} - Entries removed
+     */
+    invalidateTag(tag) {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.tags.includes(tag) && this.remove(key)) removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * Remove every entry except those carrying one of keepTags
+     * @param {Array<string>} [keepTags]
+     * @returns {number} - Entries removed
+     */
+    clear(keepTags = []) {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (!entry.tags.some(tag => keepTags.includes(tag)) && this.remove(key)) removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * Remove entries whose key matches a Redis glob pattern ('*' and '?' wildcards)
+     * @returns {number} - Entries removed
+     */
+    removePattern(pattern) {
+        const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        const regex = new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+        let removed = 0;
+        for (const key of [...this.entries.keys()]) {
+            if (regex.test(key) && this.remove(key)) removed++;
+        }
+        return removed;
+    }
+
+    getStats() {
+        return {
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            utilization: this.maxBytes > 0 ? +(this.bytes / this.maxBytes * 100).toFixed(1) : 0,
+            evictions: this.evictions
+        };
+    }
+}
+
+module.exports = MemoryLruCache;
@@ -0,0 +1,149 @@
+// filename: metrics.js - Prometheus Metrics
+
+/**
+ * 📈 METRICS: Prometheus text format at GET /metrics (one scrape target per PM2 instance).
+ * Every series carries an `instance_id` label (PM2 INSTANCE_ID) so the two cluster workers
+ * can be told apart (and summed) in Prometheus.
+ *
+ * - http_requests_total / http_request_duration_seconds  per method, route and status
+ * - cache_requests_total                                  per layer and result (hit / stale / miss)
+ * - tile_size_bytes                                       per layer (MVT / PBF responses)
+ * - db_query_duration_seconds / db_query_errors_total     per pool
+ * - db_pool_connections                                   per pool and state (total / idle / waiting)
+ * - redis_up                                              1 when the shared Redis tier is connected
+ * - process / Node.js defaults (heap, event loop lag, GC, ...)
+ */
+
+const client = require('prom-client');
+const config = require('./config');
+
+const TILE_CONTENT_TYPES = ['application/x-protobuf', 'application/vnd.mapbox-vector-tile'];
+
+class Metrics {
+    /**
+     * @param {Object} options
+     * @param {Array<{name: string, instance: Object}>} options.pools - pg Pools to report
+     * @param {Function} options.isRedisReady - () => boolean
+     * @param {string} [options.instanceId] - PM2 instance (defaults to config.instanceId)
+     */
+    constructor({ pools, isRedisReady, instanceId = config.instanceId }) {
+        this.register = new client.Registry();
+        this.register.setDefaultLabels({ instance_id: String(instanceId) });
+        client.collectDefaultMetrics({ register: this.register });
+
+        this.httpRequests = new client.Counter({
+            name: 'http_requests_total',
+            help: 'HTTP requests by method, route and status code',
+            labelNames: ['method', 'route', 'status'],
+            registers: [this.register]
+        });
+        this.httpDuration = new client.Histogram({
+            name: 'http_request_duration_seconds',
+            help: 'HTTP request latency by method and route',
+            labelNames: ['method', 'route'],
+            buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+            registers: [this.register]
+        });
+        this.cacheRequests = new client.Counter({
+            name: 'cache_requests_total',
+            help: 'Cached responses by layer and result (hit, stale, miss)',
+            labelNames: ['layer', 'result', 'tier'],
+            registers: [this.register]
+        });
+        this.tileSize = new client.Histogram({
+            name: 'tile_size_bytes',
+            help: 'Size of served vector tiles (before compression)',
+            labelNames: ['layer'],
+            buckets: [0, 1024, 4096, 16384, 65536, 131072, 262144, 524288, 1048576, 4194304],
+            registers: [this.register]
+        });
+        this.dbDuration = new client.Histogram({
+            name: 'db_query_duration_seconds',
+            help: 'PostGIS query duration by pool',
+            labelNames: ['pool'],
+            buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+            registers: [this.register]
+        });
+        this.dbErrors = new client.Counter({
+            name: 'db_query_errors_total',
+            help: 'Failed PostGIS queries by pool',
+            labelNames: ['pool'],
+            registers: [this.register]
+        });
+
+        // Gauges are read at scrape time
+        new client.Gauge({
+            name: 'db_pool_connections',
+            help: 'pg pool connections by pool and state (total, idle, waiting)',
+            labelNames: ['pool', 'state'],
+            registers: [this.register],
+            collect() {
+                pools.forEach(({ name, instance }) => {
+                    this.set({ pool: name, state: 'total' }, instance.totalCount);
+                    this.set({ pool: name, state: 'idle' }, instance.idleCount);
+                    this.set({ pool: name, state: 'waiting' }, instance.waitingCount);
+                });
+            }
+        });
+        new client.Gauge({
+            name: 'redis_up',
+            help: 'Whether the shared Redis cache tier is connected (1) or not (0)',
+            registers: [this.register],
+            collect() {
+                this.set(isRedisReady() ? 1 : 0);
+            }
+        });
+
+        this.observeRequest = this.observeRequest.bind(this);
+        this.observeQuery = this.observeQuery.bind(this);
+    }
+
+    /**
+     * Record a finished request - passed to logger.requestLogger({ onFinish })
+     * @param {Object} summary - Request summary fields (route, status, durationMs, cache, bytes)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    observeRequest(summary, req, res) {
+        // Unmatched paths (static files, 404s) share one label to keep cardinality bounded
+        const route = summary.route || 'unmatched';
+        this.httpRequests.inc({ method: summary.method, route, status: String(summary.status) });
+        this.httpDuration.observe({ method: summary.method, route }, summary.durationMs / 1000);
+
+        const layer = (req.params && req.params.layerId) || route;
+        if (summary.cache) {
+            // X-Cache: MISS | HIT-REDIS | HIT-memory | STALE-redis ...
+            const [result, tier = 'none'] = String(summary.cache).toLowerCase().split('-');
+            this.cacheRequests.inc({ layer, result, tier });
+        }
+
+        const contentType = String(res.getHeader('Content-Type') || '');
+        if (summary.status === 200 && TILE_CONTENT_TYPES.some(type => contentType.startsWith(type))) {
+            this.tileSize.observe({ layer }, summary.bytes);
+        }
+    }
+
+    /**
+     * Record a finished query - passed to logger.instrumentPool(pool, name, { onQuery })
+     */
+    observeQuery({ pool, durationMs, error }) {
+        this.dbDuration.observe({ pool }, durationMs / 1000);
+        if (error) {
+            this.dbErrors.inc({ pool });
+        }
+    }
+
+    get contentType() {
+        return this.register.contentType;
+    }
+
+    /**
+     * Prometheus text exposition of all metrics
+     * @returns {Promise<string>}
+     */
+    render() {
+        return this.register.metrics();
+    }
+}
+
+module.exports = Metrics;
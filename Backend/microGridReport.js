@@ -0,0 +1,625 @@
+// filename: microGridReport.js - Micro Grid Analysis Report (Excel Workbook)
+
+/**
+ * 📊 MICRO GRID REPORT: Monthly management pack for a set of micro grids as one .xlsx workbook.
+ * Sheets (same data sources as the dashboard endpoints):
+ * - 摘要: grids in the report
+ * - MR覆蓋: MR coverage of the four operators (micro_grid.micro_gird_mr, GET /api/micro-grid-mr)
+ * - 競對象限: competition quadrant percentages (micro_gird_mr)
+ * - 投訴趨勢: monthly weak coverage complaints (GET /api/complaint-trend)
+ * - 話務趨勢: monthly LTE / NR traffic since January last year (GET /api/vol-trend)
+ * - 規劃站點 / 現網站點: planning and live sites inside each grid (GET /planning_sites, GET /live_sites)
+ * - 高負荷網格: high-load grids inside each grid (cmhk_grid_highload)
+ *
+ * Formatting (header styles, number formats, frozen headers, filters) is applied with ExcelJS,
+ * native charts are added by xlsxCharts.js.
+ */
+
+const ExcelJS = require('exceljs');
+const { addCharts } = require('./xlsxCharts');
+
+const MAX_GRIDS = 50;
+// Trend charts draw one line per grid up to this many grids, the total only beyond
+const MAX_CHART_SERIES = 8;
+const SERIES_COLORS = ['#E60012', '#1976D2', '#388E3C', '#F9A825', '#7B1FA2', '#00838F', '#6D4C41', '#546E7A'];
+
+const OPERATORS = [
+    { key: 'cmhk', label: 'CMHK', color: '#E60012' },
+    { key: '3hk', label: '3HK', color: '#7B1FA2' },
+    { key: 'hkt', label: 'HKT', color: '#1976D2' },
+    { key: 'smt', label: 'SMT', color: '#F9A825' }
+];
+const TECHNOLOGIES = [
+    { key: 'nr', label: 'NR' },
+    { key: 'cband', label: 'C-Band' },
+    { key: 'lte', label: 'LTE' }
+];
+// Same order and colours as CompetitionDonutChart
+const QUADRANTS = [
+    { key: 'comp_strong_we_strong', column: '競強我強 (%)', label: '競強我強', color: '#22C55E' },
+    { key: 'comp_weak_we_strong', column: '競弱我強 (%)', label: '競弱我強', color: '#86EFAC' },
+    { key: 'comp_strong_we_weak', column: '競強我弱 (%)', label: '競強我弱', color: '#EF4444' },
+    { key: 'comp_weak_we_weak', column: '競弱我弱 (%)', label: '競弱我弱', color: '#9CA3AF' }
+];
+const LIVE_SITE_COLUMNS = [
+    { key: 'live_site_id', header: '站點ID', width: 14 },
+    { key: 'plan_site_name', header: '站點名稱', width: 28 },
+    { key: 'site_type', header: '站點類型', width: 14 },
+    { key: 'indoor_category', header: '室內分類', width: 14 },
+    { key: 'district', header: '地區', width: 14 },
+    { key: 'address', header: '地址', width: 40 },
+    { key: 'site_on_air_date', header: '開通日期', width: 14 },
+    { key: 'nr_active_date', header: 'NR開通日期', width: 14 }
+];
+const PLANNING_SCENARIOS = ['1_高投訴', '2_重點場景', '3_弱覆蓋', '4_高負荷', '5_高端區域', '6_tobgn'];
+const PLANNING_GEOMETRY = 'COALESCE(ST_Transform(t.geom, 4326), ST_SetSRID(ST_MakePoint(t.longitude, t.latitude), 4326))';
+// Sites without geom are placed by longitude / latitude (filtered per column so the geom index is used)
+const PLANNING_LOCATION = { geom: 't.geom', lon: 't.longitude', lat: 't.latitude', table: 'public.master_planning_table' };
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E79' } };
+const HEADER_FONT = { bold: true, color: { argb: 'FFFFFFFF' } };
+const THIN_BORDER = { style: 'thin', color: { argb: 'FFBFBFBF' } };
+const PERCENT_FORMAT = '0.00"%"';
+const NUMBER_FORMAT = '#,##0.00';
+
+class MicroGridReportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MicroGridReportError';
+        this.status = status;
+    }
+}
+
+/**
+ * Parse ?ids=1,2,3 into unique micro grid IDs
+ * @throws {MicroGridReportError} 400 when empty, invalid or more than MAX_GRIDS
+ */
+function parseIds(value) {
+    const raw = String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (raw.length === 0) {
+        throw new MicroGridReportError('ids parameter is required (comma separated micro grid IDs)');
+    }
+    const ids = [...new Set(raw.map(id => Number(id)))];
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+        throw new MicroGridReportError('ids must be positive integers');
+    }
+    if (ids.length > MAX_GRIDS) {
+        throw new MicroGridReportError(`A report covers at most ${MAX_GRIDS} micro grids`);
+    }
+    return ids;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * complaint month (YYYYMM, number or text) → YYYY-MM
+ */
+function formatComplaintMonth(month) {
+    const text = String(month);
+    return /^\d{6}$/.test(text) ? `${text.slice(0, 4)}-${text.slice(4)}` : text;
+}
+
+/**
+ * Header row styling, frozen header, auto filter and column widths
+ */
+function styleTable(worksheet, headerRowNumber, columnCount) {
+    const header = worksheet.getRow(headerRowNumber);
+    header.eachCell((cell) => {
+        cell.fill = HEADER_FILL;
+        cell.font = HEADER_FONT;
+        cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+        cell.border = { top: THIN_BORDER, bottom: THIN_BORDER, left: THIN_BORDER, right: THIN_BORDER };
+    });
+    header.height = 30;
+    worksheet.views = [{ state: 'frozen', ySplit: headerRowNumber }];
+    if (worksheet.rowCount > headerRowNumber) {
+        worksheet.autoFilter = {
+            from: { row: headerRowNumber, column: 1 },
+            to: { row: headerRowNumber, column: columnCount }
+        };
+    }
+    for (let rowNumber = headerRowNumber + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+        worksheet.getRow(rowNumber).eachCell({ includeEmpty: true }, (cell) => {
+            cell.border = { bottom: THIN_BORDER };
+        });
+    }
+}
+
+function addEmptyNote(worksheet, text) {
+    const row = worksheet.addRow([text]);
+    row.getCell(1).font = { italic: true, color: { argb: 'FF808080' } };
+}
+
+class MicroGridReport {
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.pool - pg Pool of the micro grid database (micro_grid.*, public.micro_grid, cmhk_grid_highload)
+     * @param {Object} deps.siteDbPool - pg Pool of the site database (master_planning_table, cmhk_livesite)
+     * @param {Function} deps.resolveSpatialScope - async (microGridIds) => SpatialScope
+     */
+    constructor({ pool, siteDbPool, resolveSpatialScope }) {
+        this.pool = pool;
+        this.siteDbPool = siteDbPool;
+        this.resolveSpatialScope = resolveSpatialScope;
+    }
+
+    /**
+     * Build the workbook for the micro grids in ?ids=
+     * @param {string} idsParam - Comma separated micro grid IDs
+     * @param {Object} [user] - Requesting user (workbook creator)
+     * @returns {Promise<Object>} { fileName, buffer, grids }
+     */
+    async generate(idsParam, user) {
+        const ids = parseIds(idsParam);
+        const grids = await this.loadGrids(ids);
+        const gridNames = grids.map(grid => grid.grid_name);
+
+        const [mrRows, complaintRows, volRows, siteRows, highLoadRows] = await Promise.all([
+            this.loadMr(gridNames),
+            this.loadComplaintTrend(gridNames),
+            this.loadVolTrend(gridNames),
+            this.loadSites(grids),
+            this.loadHighLoad(grids)
+        ]);
+
+        const workbook = new ExcelJS.Workbook();
+        workbook.creator = user ? user.username : 'microgrid-report';
+        workbook.created = new Date();
+
+        const charts = [];
+        this.addSummarySheet(workbook, grids);
+        charts.push(...this.addMrSheet(workbook, grids, mrRows));
+        charts.push(...this.addQuadrantSheet(workbook, grids, mrRows));
+        charts.push(...this.addComplaintSheet(workbook, grids, complaintRows));
+        charts.push(...this.addVolSheet(workbook, grids, volRows));
+        this.addPlanningSitesSheet(workbook, siteRows.planning);
+        this.addLiveSitesSheet(workbook, siteRows.live);
+        this.addHighLoadSheet(workbook, highLoadRows);
+
+        const buffer = addCharts(Buffer.from(await workbook.xlsx.writeBuffer()), charts);
+        const stamp = new Date().toISOString().slice(0, 10);
+        const fileName = grids.length === 1
+            ? `microgrid_report_${grids[0].id}_${stamp}.xlsx`
+            : `microgrid_report_${grids.length}_grids_${stamp}.xlsx`;
+
+        return { fileName, buffer, grids };
+    }
+
+    /**
+     * @throws {MicroGridReportError} 404 when an ID is not a micro grid
+     */
+    async loadGrids(ids) {
+        const { rows } = await this.pool.query(`
+            SELECT id, grid_name, district
+            FROM public.micro_grid
+            WHERE id = ANY($1::int[])
+            ORDER BY id
+        `, [ids]);
+        const missing = ids.filter(id => !rows.some(row => Number(row.id) === id));
+        if (missing.length > 0) {
+            throw new MicroGridReportError(`Micro grids not found: ${missing.join(', ')}`, 404);
+        }
+        return rows.map(row => ({ ...row, id: Number(row.id) }));
+    }
+
+    async loadMr(gridNames) {
+        const coverageColumns = TECHNOLOGIES.flatMap(tech =>
+            OPERATORS.map(op => `mr_${tech.key}_coverage_${op.key}`));
+        const { rows } = await this.pool.query(`
+            SELECT grid_name, grid_name_eng, district,
+                   ${coverageColumns.join(', ')},
+                   ${QUADRANTS.map(q => `"${q.column}" AS ${q.key}`).join(', ')},
+                   "領先/落後" AS leading_status,
+                   "領先/落後%" AS leading_percentage
+            FROM micro_grid.micro_gird_mr
+            WHERE grid_name = ANY($1::text[])
+        `, [gridNames]);
+        return rows;
+    }
+
+    async loadComplaintTrend(gridNames) {
+        const { rows } = await this.pool.query(`
+            SELECT month, grid_name, SUM(count) AS count
+            FROM micro_grid.weak_coverage_complaint
+            WHERE grid_name = ANY($1::text[]) AND count > 0
+            GROUP BY month, grid_name
+            ORDER BY month
+        `, [gridNames]);
+        return rows;
+    }
+
+    async loadVolTrend(gridNames) {
+        // Same window as GET /api/vol-trend: months after January 1st of last year
+        const since = `${new Date().getFullYear() - 1}-01-01`;
+        const { rows } = await this.pool.query(`
+            SELECT TO_CHAR(month, 'YYYY-MM') AS month, grid_name,
+                   SUM(lte_vol_gb) AS lte_vol_gb,
+                   SUM(nr_vol_gb) AS nr_vol_gb
+            FROM micro_grid.micro_grid_monthly_vol
+            WHERE grid_name = ANY($1::text[]) AND month > $2
+            GROUP BY TO_CHAR(month, 'YYYY-MM'), grid_name
+            ORDER BY month
+        `, [gridNames, since]);
+        return rows;
+    }
+
+    /**
+     * Planning and live sites per grid (the site database has no micro grids - filtered by each grid's scope)
+     */
+    async loadSites(grids) {
+        const planning = [];
+        const live = [];
+        for (const grid of grids) {
+            const scope = await this.resolveSpatialScope([grid.id]);
+
+            const planningParams = [];
+            const planningWhere = scope.appendLonLatFilter(planningParams, PLANNING_LOCATION);
+            const planningResult = await this.siteDbPool.query(`
+                SELECT t.*,
+                       ST_X(${PLANNING_GEOMETRY}) AS report_longitude,
+                       ST_Y(${PLANNING_GEOMETRY}) AS report_latitude
+                FROM public.master_planning_table t
+                WHERE t.master_solution_type = '新站'
+                  AND (${PLANNING_SCENARIOS.map(s => `t."${s}" = true`).join(' OR ')})
+                  ${planningWhere}
+            `, planningParams);
+            planningResult.rows.forEach(row => planning.push({ grid, row }));
+
+            const liveParams = [];
+            const liveWhere = scope.appendFilter('t.geom', liveParams);
+            const liveResult = await this.siteDbPool.query(`
+                SELECT ${LIVE_SITE_COLUMNS.map(c => `t.${c.key}`).join(', ')},
+                       ST_X(ST_Transform(ST_Centroid(t.geom), 4326)) AS longitude,
+                       ST_Y(ST_Transform(ST_Centroid(t.geom), 4326)) AS latitude
+                FROM public.cmhk_livesite t
+                WHERE t.geom IS NOT NULL
+                  ${liveWhere}
+                ORDER BY t.live_site_id
+            `, liveParams);
+            liveResult.rows.forEach(row => live.push({ grid, row }));
+        }
+        return { planning, live };
+    }
+
+    async loadHighLoad(grids) {
+        const result = [];
+        for (const grid of grids) {
+            const scope = await this.resolveSpatialScope([grid.id]);
+            const params = [];
+            const where = scope.appendFilter('t.geom', params, { srid: 2326 });
+            const { rows } = await this.pool.query(`
+                SELECT t.id, t.s_dl_prb_util,
+                       ST_X(ST_Transform(ST_Centroid(t.geom), 4326)) AS longitude,
+                       ST_Y(ST_Transform(ST_Centroid(t.geom), 4326)) AS latitude
+                FROM public.cmhk_grid_highload t
+                WHERE t.geom IS NOT NULL
+                  ${where}
+                ORDER BY t.s_dl_prb_util DESC NULLS LAST
+            `, params);
+            rows.forEach(row => result.push({ grid, row }));
+        }
+        return result;
+    }
+
+    addSummarySheet(workbook, grids) {
+        const worksheet = workbook.addWorksheet('摘要');
+        worksheet.columns = [
+            { header: '微網格ID', key: 'id', width: 12 },
+            { header: '微網格名稱', key: 'grid_name', width: 30 },
+            { header: '地區', key: 'district', width: 16 }
+        ];
+        grids.forEach(grid => worksheet.addRow(grid));
+        styleTable(worksheet, 1, 3);
+        worksheet.addRow([]);
+        worksheet.addRow([`報告日期：${new Date().toISOString().slice(0, 10)}`]);
+    }
+
+    addMrSheet(workbook, grids, mrRows) {
+        const worksheet = workbook.addWorksheet('MR覆蓋');
+        const columns = [
+            { header: '微網格名稱', key: 'grid_name', width: 28 },
+            { header: '英文名稱', key: 'grid_name_eng', width: 28 },
+            { header: '地區', key: 'district', width: 14 }
+        ];
+        TECHNOLOGIES.forEach(tech => OPERATORS.forEach(op => columns.push({
+            header: `${tech.label} ${op.label}`,
+            key: `mr_${tech.key}_coverage_${op.key}`,
+            width: 11,
+            style: { numFmt: PERCENT_FORMAT }
+        })));
+        worksheet.columns = columns;
+
+        const rows = grids.map(grid => mrRows.find(row => row.grid_name === grid.grid_name)).filter(Boolean);
+        rows.forEach((row) => {
+            const values = { ...row };
+            columns.slice(3).forEach(column => { values[column.key] = toNumber(row[column.key]); });
+            worksheet.addRow(values);
+        });
+        styleTable(worksheet, 1, columns.length);
+        if (rows.length === 0) {
+            addEmptyNote(worksheet, '沒有MR數據');
+            return [];
+        }
+
+        // CMHK vs competitors by technology, averaged over the grids
+        const summaryStart = rows.length + 3;
+        worksheet.getCell(summaryStart, 1).value = '平均覆蓋率';
+        worksheet.getCell(summaryStart, 1).font = { bold: true };
+        const headerRow = summaryStart + 1;
+        worksheet.getRow(headerRow).values = ['制式', ...OPERATORS.map(op => op.label)];
+        worksheet.getRow(headerRow).font = { bold: true };
+        TECHNOLOGIES.forEach((tech, index) => {
+            const row = worksheet.getRow(headerRow + 1 + index);
+            row.getCell(1).value = tech.label;
+            OPERATORS.forEach((op, opIndex) => {
+                const values = rows.map(r => toNumber(r[`mr_${tech.key}_coverage_${op.key}`])).filter(v => v !== null);
+                const cell = row.getCell(2 + opIndex);
+                cell.value = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+                cell.numFmt = PERCENT_FORMAT;
+            });
+        });
+
+        const firstRow = headerRow + 1;
+        const lastRow = headerRow + TECHNOLOGIES.length;
+        return [{
+            worksheet,
+            type: 'column',
+            title: rows.length === 1 ? `MR覆蓋率 - ${rows[0].grid_name}` : `平均MR覆蓋率 (${rows.length}個微網格)`,
+            valueFormat: '0"%"',
+            headerRow,
+            firstRow,
+            lastRow,
+            categoryColumn: 1,
+            categories: TECHNOLOGIES.map(tech => tech.label),
+            series: OPERATORS.map((op, opIndex) => ({
+                column: 2 + opIndex,
+                name: op.label,
+                color: op.color,
+                values: TECHNOLOGIES.map((tech, index) => worksheet.getRow(firstRow + index).getCell(2 + opIndex).value)
+            })),
+            position: { col: 7, row: summaryStart - 1, width: 9, height: 18 }
+        }];
+    }
+
+    addQuadrantSheet(workbook, grids, mrRows) {
+        const worksheet = workbook.addWorksheet('競對象限');
+        const columns = [
+            { header: '微網格名稱', key: 'grid_name', width: 28 },
+            { header: '地區', key: 'district', width: 14 },
+            ...QUADRANTS.map(q => ({ header: q.label, key: q.key, width: 12, style: { numFmt: PERCENT_FORMAT } })),
+            { header: '領先/落後', key: 'leading_status', width: 12 },
+            { header: '領先/落後%', key: 'leading_percentage', width: 12, style: { numFmt: PERCENT_FORMAT } }
+        ];
+        worksheet.columns = columns;
+
+        const rows = grids.map(grid => mrRows.find(row => row.grid_name === grid.grid_name)).filter(Boolean);
+        rows.forEach((row) => {
+            const values = { ...row, leading_percentage: toNumber(row.leading_percentage) };
+            QUADRANTS.forEach(q => { values[q.key] = toNumber(row[q.key]); });
+            worksheet.addRow(values);
+        });
+        styleTable(worksheet, 1, columns.length);
+        if (rows.length === 0) {
+            addEmptyNote(worksheet, '沒有競對象限數據');
+            return [];
+        }
+
+        // Quadrant share over the grids (average) as a doughnut, like CompetitionDonutChart
+        const headerRow = rows.length + 3;
+        worksheet.getRow(headerRow).values = ['象限', '平均 (%)'];
+        worksheet.getRow(headerRow).font = { bold: true };
+        const averages = QUADRANTS.map((q) => {
+            const values = rows.map(r => toNumber(r[q.key])).filter(v => v !== null);
+            return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+        });
+        QUADRANTS.forEach((q, index) => {
+            const row = worksheet.getRow(headerRow + 1 + index);
+            row.getCell(1).value = q.label;
+            row.getCell(2).value = averages[index];
+            row.getCell(2).numFmt = PERCENT_FORMAT;
+        });
+
+        return [{
+            worksheet,
+            type: 'doughnut',
+            title: rows.length === 1 ? `競對象限 - ${rows[0].grid_name}` : `競對象限平均 (${rows.length}個微網格)`,
+            headerRow,
+            firstRow: headerRow + 1,
+            lastRow: headerRow + QUADRANTS.length,
+            categoryColumn: 1,
+            categories: QUADRANTS.map(q => q.label),
+            colors: QUADRANTS.map(q => q.color),
+            series: [{ column: 2, name: '平均 (%)', values: averages }],
+            position: { col: 4, row: headerRow - 1, width: 6, height: 16 }
+        }];
+    }
+
+    /**
+     * Month × grid table: 合計 column, then one column per grid
+     * @returns {Object} { months, totals, byGrid }
+     */
+    static pivotByMonth(grids, rows, valueOf) {
+        const months = [...new Set(rows.map(row => row.month))].sort();
+        const byGrid = grids.map(grid => months.map((month) => {
+            const row = rows.find(r => r.month === month && r.grid_name === grid.grid_name);
+            return row ? valueOf(row) : null;
+        }));
+        const totals = months.map((month, index) => byGrid.reduce((sum, values) => sum + (values[index] || 0), 0));
+        return { months, totals, byGrid };
+    }
+
+    addComplaintSheet(workbook, grids, complaintRows) {
+        const worksheet = workbook.addWorksheet('投訴趨勢');
+        const rows = complaintRows.map(row => ({ ...row, month: formatComplaintMonth(row.month) }));
+        const { months, totals, byGrid } = MicroGridReport.pivotByMonth(grids, rows, row => toNumber(row.count));
+
+        worksheet.columns = [
+            { header: '月份', key: 'month', width: 12 },
+            { header: '合計', key: 'total', width: 10 },
+            ...grids.map(grid => ({ header: grid.grid_name, key: `grid_${grid.id}`, width: 16 }))
+        ];
+        months.forEach((month, index) => {
+            const values = { month, total: totals[index] };
+            grids.forEach((grid, gridIndex) => { values[`grid_${grid.id}`] = byGrid[gridIndex][index]; });
+            worksheet.addRow(values);
+        });
+        styleTable(worksheet, 1, grids.length + 2);
+        if (months.length === 0) {
+            addEmptyNote(worksheet, '沒有弱覆蓋投訴數據');
+            return [];
+        }
+
+        const series = grids.length > 1 && grids.length <= MAX_CHART_SERIES
+            ? grids.map((grid, gridIndex) => ({ column: 3 + gridIndex, name: grid.grid_name, values: byGrid[gridIndex], color: SERIES_COLORS[gridIndex] }))
+            : [{ column: 2, name: '合計', values: totals, color: '#E60012' }];
+        return [{
+            worksheet,
+            type: 'line',
+            title: '每月弱覆蓋投訴趨勢',
+            headerRow: 1,
+            firstRow: 2,
+            lastRow: months.length + 1,
+            categoryColumn: 1,
+            categories: months,
+            series,
+            position: { col: grids.length + 3, row: 1, width: 10, height: 18 }
+        }];
+    }
+
+    addVolSheet(workbook, grids, volRows) {
+        const worksheet = workbook.addWorksheet('話務趨勢');
+        const lte = MicroGridReport.pivotByMonth(grids, volRows, row => toNumber(row.lte_vol_gb));
+        const nr = MicroGridReport.pivotByMonth(grids, volRows, row => toNumber(row.nr_vol_gb));
+        const { months } = lte;
+
+        worksheet.columns = [
+            { header: '月份', key: 'month', width: 12 },
+            { header: 'LTE (GB)', key: 'lte', width: 14, style: { numFmt: NUMBER_FORMAT } },
+            { header: 'NR (GB)', key: 'nr', width: 14, style: { numFmt: NUMBER_FORMAT } },
+            { header: '合計 (GB)', key: 'total', width: 14, style: { numFmt: NUMBER_FORMAT } },
+            { header: 'NR佔比', key: 'nr_ratio', width: 10, style: { numFmt: '0.0%' } },
+            ...grids.map(grid => ({ header: `${grid.grid_name} (GB)`, key: `grid_${grid.id}`, width: 18, style: { numFmt: NUMBER_FORMAT } }))
+        ];
+        months.forEach((month, index) => {
+            const total = lte.totals[index] + nr.totals[index];
+            const values = {
+                month,
+                lte: lte.totals[index],
+                nr: nr.totals[index],
+                total,
+                nr_ratio: total > 0 ? nr.totals[index] / total : null
+            };
+            grids.forEach((grid, gridIndex) => {
+                const gridLte = lte.byGrid[gridIndex][index];
+                const gridNr = nr.byGrid[gridIndex][index];
+                values[`grid_${grid.id}`] = gridLte === null && gridNr === null ? null : (gridLte || 0) + (gridNr || 0);
+            });
+            worksheet.addRow(values);
+        });
+        styleTable(worksheet, 1, grids.length + 5);
+        if (months.length === 0) {
+            addEmptyNote(worksheet, '沒有話務數據');
+            return [];
+        }
+
+        return [{
+            worksheet,
+            type: 'column',
+            stacked: true,
+            title: '每月話務量 (GB)',
+            valueFormat: '#,##0',
+            headerRow: 1,
+            firstRow: 2,
+            lastRow: months.length + 1,
+            categoryColumn: 1,
+            categories: months,
+            series: [
+                { column: 2, name: 'LTE (GB)', values: lte.totals, color: '#1976D2' },
+                { column: 3, name: 'NR (GB)', values: nr.totals, color: '#E60012' }
+            ],
+            position: { col: grids.length + 6, row: 1, width: 10, height: 18 }
+        }];
+    }
+
+    addPlanningSitesSheet(workbook, planningRows) {
+        const worksheet = workbook.addWorksheet('規劃站點');
+        const omit = ['geom', 'report_longitude', 'report_latitude', 'longitude', 'latitude'];
+        const attributeKeys = planningRows.length > 0
+            ? Object.keys(planningRows[0].row).filter(key => !omit.includes(key))
+            : [];
+        const columns = [
+            { header: '微網格', key: 'report_grid', width: 24 },
+            ...attributeKeys.map(key => ({ header: key, key, width: Math.min(Math.max(key.length + 4, 12), 30) })),
+            { header: '經度', key: 'report_longitude', width: 12, style: { numFmt: '0.000000' } },
+            { header: '緯度', key: 'report_latitude', width: 12, style: { numFmt: '0.000000' } }
+        ];
+        worksheet.columns = columns;
+        planningRows.forEach(({ grid, row }) => worksheet.addRow({
+            ...row,
+            report_grid: grid.grid_name,
+            report_longitude: toNumber(row.report_longitude),
+            report_latitude: toNumber(row.report_latitude)
+        }));
+        styleTable(worksheet, 1, columns.length);
+        if (planningRows.length === 0) {
+            addEmptyNote(worksheet, '微網格內沒有規劃站點');
+        }
+    }
+
+    addLiveSitesSheet(workbook, liveRows) {
+        const worksheet = workbook.addWorksheet('現網站點');
+        const columns = [
+            { header: '微網格', key: 'report_grid', width: 24 },
+            ...LIVE_SITE_COLUMNS,
+            { header: '經度', key: 'longitude', width: 12, style: { numFmt: '0.000000' } },
+            { header: '緯度', key: 'latitude', width: 12, style: { numFmt: '0.000000' } }
+        ];
+        worksheet.columns = columns;
+        liveRows.forEach(({ grid, row }) => worksheet.addRow({
+            ...row,
+            report_grid: grid.grid_name,
+            longitude: toNumber(row.longitude),
+            latitude: toNumber(row.latitude)
+        }));
+        styleTable(worksheet, 1, columns.length);
+        if (liveRows.length === 0) {
+            addEmptyNote(worksheet, '微網格內沒有現網站點');
+        }
+    }
+
+    addHighLoadSheet(workbook, highLoadRows) {
+        const worksheet = workbook.addWorksheet('高負荷網格');
+        const columns = [
+            { header: '微網格', key: 'report_grid', width: 24 },
+            { header: '高負荷網格ID', key: 'id', width: 16 },
+            { header: '下行PRB利用率', key: 's_dl_prb_util', width: 16, style: { numFmt: PERCENT_FORMAT } },
+            { header: '經度', key: 'longitude', width: 12, style: { numFmt: '0.000000' } },
+            { header: '緯度', key: 'latitude', width: 12, style: { numFmt: '0.000000' } }
+        ];
+        worksheet.columns = columns;
+        highLoadRows.forEach(({ grid, row }) => worksheet.addRow({
+            report_grid: grid.grid_name,
+            id: row.id,
+            s_dl_prb_util: toNumber(row.s_dl_prb_util),
+            longitude: toNumber(row.longitude),
+            latitude: toNumber(row.latitude)
+        }));
+        styleTable(worksheet, 1, columns.length);
+        if (highLoadRows.length === 0) {
+            addEmptyNote(worksheet, '微網格內沒有高負荷網格');
+        }
+    }
+}
+
+module.exports = {
+    MicroGridReport,
+    MicroGridReportError,
+    parseIds,
+    MAX_GRIDS
+};
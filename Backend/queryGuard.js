@@ -0,0 +1,231 @@
+// filename: queryGuard.js - Statement Timeouts and Query Cancellation
+
+/**
+ * ⏱️ QUERY GUARD: Every pool.query() runs on a connection whose statement_timeout matches the
+ * class of the route it serves, and is cancelled when the client goes away.
+ *
+ *   tiles      MVT / PBF tiles          - short: an abandoned pan must not hold a connection
+ *   lists      site / grid lists, admin  - medium
+ *   analytics  grid details, stats, exports, reports, trends - long
+ *   background no request (schema setup, seeding jobs) - configurable, 0 = no limit
+ *
+ * - The route class is derived from the request path (ROUTE_CLASS_PATTERNS) by the middleware and
+ *   kept in the request context (logger AsyncLocalStorage), so call sites stay `pool.query(sql, params)`.
+ * - When the request closes before the response is finished (Leaflet abandons tile requests while
+ *   panning) the running statements are cancelled with pg_cancel_backend() over a short-lived
+ *   connection outside the pool (the pool may be exhausted by the very queries being cancelled).
+ *   The cancelled query's connection goes back to the pool only once the cancel has completed, so
+ *   the signal can never reach a backend already running another request's statement.
+ * - A statement timeout answers 504 JSON: handlers keep their generic 500 error paths, the
+ *   middleware turns their error response into the timeout answer.
+ *
+ * - Work shared by several requests (the cache single-flight leader) or by none (background
+ *   refresh, tile seeding) runs detached() from the request that started it, so one client going
+ *   away cannot cancel a statement other requests are waiting on.
+ *
+ * Clients taken with pool.connect() (transactions) keep whatever timeout the connection last had.
+ */
+
+const { Client } = require('pg');
+const logger = require('./logger');
+const config = require('./config');
+
+const QUERY_CANCELED = '57014';
+const TIMEOUTS_MS = {
+    tiles: config.queries.tilesTimeoutMs,
+    lists: config.queries.listsTimeoutMs,
+    analytics: config.queries.analyticsTimeoutMs,
+    background: config.queries.backgroundTimeoutMs
+};
+
+// First match wins; anything else is a list request
+const ROUTE_CLASS_PATTERNS = [
+    { routeClass: 'tiles', pattern: /\/mvt\/|^\/tiles\/[^/]+\/\d+\/\d+\/\d+|^\/api\/simulation(-4g)?-pbf\/|^\/api\/simulation-diff\/[^/]+\/\d+\/\d+\/\d+/ },
+    {
+        routeClass: 'analytics',
+        pattern: /^\/api\/(grid-details|complaint-trend|vol-trend|whole_coverage|micro_grid_rankings|selected-grids-mr-summary|identify|rasters)|^\/api\/simulation-diff\/[^/]+\/stats|^\/api\/reports\/|^\/export\/|^\/live_sites_clustering|^\/audit\/export/
+    }
+];
+
+/**
+ * Statement hit its route class timeout (HTTP 504)
+ */
+class QueryTimeoutError extends Error {
+    constructor(routeClass, timeoutMs) {
+        super(`Query exceeded the ${timeoutMs}ms limit of ${routeClass} requests`);
+        this.name = 'QueryTimeoutError';
+        this.status = 504;
+        this.code = QUERY_CANCELED;
+        this.routeClass = routeClass;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * Statement cancelled because the client disconnected (nobody receives an answer)
+ */
+class QueryCancelledError extends Error {
+    constructor() {
+        super('Query cancelled - client disconnected');
+        this.name = 'QueryCancelledError';
+        this.status = 499;
+        this.code = QUERY_CANCELED;
+    }
+}
+
+function routeClassOf(path) {
+    const match = ROUTE_CLASS_PATTERNS.find(({ pattern }) => pattern.test(path));
+    return match ? match.routeClass : 'lists';
+}
+
+/**
+ * Cancel the statement running on a backend, over a connection outside the pool
+ */
+async function cancelBackend(pool, processID) {
+    // Bounded connect: the cancelled query's connection is held until this settles
+    const client = new Client({ connectionTimeoutMillis: 5000, ...pool.options, statement_timeout: 0 });
+    try {
+        await client.connect();
+        await client.query('SELECT pg_cancel_backend($1)', [processID]);
+    } finally {
+        client.end().catch(() => {});
+    }
+}
+
+const queryGuard = {
+    TIMEOUTS_MS,
+    QueryTimeoutError,
+    QueryCancelledError,
+    routeClassOf,
+
+    /**
+     * Run a computation outside the calling request's cancellation: its statements get their own
+     * context, which no client disconnect aborts
+     * @param {Function} compute - async () => result
+     * @param {Object} [options]
+     * @param {string} [options.routeClass] - Timeout class; default the caller's ('background' outside requests)
+     */
+    detached(compute, { routeClass } = {}) {
+        const parent = logger.context();
+        return logger.runWithContext({
+            requestId: parent ? parent.requestId : undefined,
+            routeClass: routeClass || (parent && parent.routeClass) || 'background',
+            activeQueries: new Set(),
+            aborted: false,
+            timedOut: null
+        }, compute);
+    },
+
+    /**
+     * Pass a statement timeout of a shared computation on to the current request (504 answer)
+     */
+    noteTimeout(err) {
+        const context = logger.context();
+        if (err instanceof QueryTimeoutError && context && context.activeQueries) {
+            context.timedOut = { routeClass: err.routeClass, timeoutMs: err.timeoutMs };
+        }
+    },
+
+    /**
+     * Route pool.query() through a connection with the route class statement_timeout
+     * (callback style calls are passed through untouched)
+     * @param {Object} pool - pg Pool
+     */
+    guardPool(pool) {
+        const query = pool.query.bind(pool);
+        pool.query = async (...args) => {
+            if (typeof args[args.length - 1] === 'function') {
+                return query(...args);
+            }
+
+            const context = logger.context();
+            const routeClass = (context && context.routeClass) || 'background';
+            const timeoutMs = TIMEOUTS_MS[routeClass];
+            if (context && context.aborted) {
+                throw new QueryCancelledError();
+            }
+
+            const client = await pool.connect();
+            const active = { pool, client };
+            try {
+                // Connections are reused across classes - only send SET when the limit changes
+                if (client.statementTimeoutMs !== timeoutMs) {
+                    await client.query(`SET statement_timeout = ${parseInt(timeoutMs, 10)}`);
+                    client.statementTimeoutMs = timeoutMs;
+                }
+                if (context) context.activeQueries.add(active);
+                return await client.query(...args);
+            } catch (err) {
+                if (err.code === QUERY_CANCELED) {
+                    if (context && context.aborted) {
+                        throw new QueryCancelledError();
+                    }
+                    if (context) context.timedOut = { routeClass, timeoutMs };
+                    throw new QueryTimeoutError(routeClass, timeoutMs);
+                }
+                throw err;
+            } finally {
+                if (context) context.activeQueries.delete(active);
+                if (active.cancelling) await active.cancelling;
+                client.release();
+            }
+        };
+        return pool;
+    },
+
+    /**
+     * Express middleware (after logger.requestLogger): route class, cancellation on disconnect
+     * and the 504 answer of timed out requests
+     */
+    middleware() {
+        return (req, res, next) => {
+            const context = logger.context();
+            if (!context) {
+                return next();
+            }
+            context.routeClass = routeClassOf(req.path);
+            context.activeQueries = new Set();
+            context.aborted = false;
+            context.timedOut = null;
+
+            res.on('close', () => {
+                if (res.writableFinished || context.activeQueries.size === 0) {
+                    return;
+                }
+                context.aborted = true;
+                logger.info('⏹️ Client disconnected - cancelling running queries', { queries: context.activeQueries.size, routeClass: context.routeClass });
+                // guardPool holds each connection until its cancel settles (see active.cancelling)
+                context.activeQueries.forEach(active => {
+                    active.cancelling = cancelBackend(active.pool, active.client.processID).catch(err => {
+                        logger.warn('⚠️ pg_cancel_backend failed', { err });
+                    });
+                });
+            });
+
+            // A handler answering 500 after a statement timeout sends the 504 timeout answer instead
+            // (res.json ends in res.send, so patching send covers both)
+            const status = res.status.bind(res);
+            const send = res.send.bind(res);
+            let answeredTimeout = false;
+            res.status = code => status(code === 500 && context.timedOut ? 504 : code);
+            res.send = body => {
+                if (!context.timedOut || res.statusCode !== 504 || answeredTimeout) {
+                    return send(body);
+                }
+                answeredTimeout = true;
+                const { routeClass, timeoutMs } = context.timedOut;
+                return res.json({
+                    error: 'Query timed out',
+                    message: `資料庫查詢超時 (${timeoutMs / 1000} 秒)，請縮小範圍後重試`,
+                    routeClass,
+                    timeoutMs,
+                    requestId: context.requestId
+                });
+            };
+
+            next();
+        };
+    }
+};
+
+module.exports = queryGuard;
@@ -0,0 +1,434 @@
+// filename: rasterService.js - Simulation Raster (GeoTIFF) Value Service
+
+/**
+ * 🛰️ RASTER SERVICE: Reads the simulation GeoTIFFs of the simulation-raw-data folder server side.
+ * - list: every raster with its CRS, size, resolution and extent (native and WGS84)
+ * - sample: value at a lon/lat (one raster, or every raster covering the point)
+ * - profile: values along a polyline at equal spacing
+ * - zonal statistics: mean / percentiles / % area below a threshold inside a polygon
+ *
+ * Only the header of a file is read when it is opened; pixel values are read per request window
+ * (geotiff reads the needed strips / tiles only). Open files are kept until the file changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fromFile } = require('geotiff');
+const proj4 = require('proj4');
+const geolib = require('geolib');
+const config = require('./config');
+
+const RASTER_FILE_PATTERN = /^[\w.\- ]+\.tiff?$/i;
+const MAX_PROFILE_POINTS = 1000;
+// Pixel windows above this size are refused (Float32 window ≈ 4 bytes per pixel)
+const MAX_WINDOW_PIXELS = config.raster.maxWindowPixels;
+const DEFAULT_PERCENTILES = [10, 50, 90];
+const METERS_PER_DEGREE = 111320;
+
+// CRS of the simulation exports (proj4 knows EPSG:4326 and EPSG:3857 itself)
+proj4.defs('EPSG:2326', '+proj=tmerc +lat_0=22.31213333333334 +lon_0=114.1785555555556 +k=1 +x_0=836694.05 +y_0=819069.8 ' +
+    '+ellps=intl +towgs84=-162.619,-276.959,-161.764,0.067753,-2.243649,-1.158827,-1.094246 +units=m +no_defs');
+
+/**
+ * Invalid raster request (HTTP 400 / 404)
+ */
+class RasterError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RasterError';
+        this.status = status;
+    }
+}
+
+/**
+ * proj4 code of an EPSG code, defining WGS84 UTM zones on first use
+ */
+function projectionCode(epsg) {
+    const code = `EPSG:${epsg}`;
+    if (!proj4.defs(code)) {
+        const utm = /^32([67])(\d{2})$/.exec(String(epsg));
+        if (!utm) {
+            return null;
+        }
+        proj4.defs(code, `+proj=utm +zone=${parseInt(utm[2], 10)}${utm[1] === '7' ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`);
+    }
+    return code;
+}
+
+/**
+ * Ray casting point-in-polygon test (rings: outer ring first, then holes)
+ */
+function pointInRings(x, y, rings) {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+/**
+ * Value at a percentile (linear interpolation) of sorted values
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function round(value, digits = 2) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+class RasterService {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Folder holding the GeoTIFF files
+     */
+    constructor({ directory }) {
+        this.directory = directory;
+        this.rasters = new Map(); // name → { mtimeMs, tiff, image, info }
+    }
+
+    /**
+     * Open (or reuse) a raster by file name
+     * @returns {Promise<Object>} - { image, info }
+     * @throws {RasterError} - Invalid name or unknown file
+     */
+    async open(name) {
+        if (!RASTER_FILE_PATTERN.test(name || '')) {
+            throw new RasterError(`Invalid raster name: ${name}`);
+        }
+        const filePath = path.join(this.directory, name);
+
+        let stat;
+        try {
+            stat = await fs.promises.stat(filePath);
+        } catch (err) {
+            throw new RasterError(`Raster not found: ${name}`, 404);
+        }
+
+        const cached = this.rasters.get(name);
+        if (cached && cached.mtimeMs === stat.mtimeMs) {
+            return cached;
+        }
+        if (cached) {
+            // File replaced on disk - drop the old handle
+            cached.tiff.close();
+        }
+
+        const tiff = await fromFile(filePath);
+        const image = await tiff.getImage();
+        const geoKeys = image.getGeoKeys() || {};
+        const epsg = geoKeys.ProjectedCSTypeGeoKey || geoKeys.GeographicTypeGeoKey || null;
+        const crs = epsg ? projectionCode(epsg) : null;
+        const [originX, originY] = image.getOrigin();
+        const [resX, resY] = image.getResolution();
+        const extent = image.getBoundingBox();
+
+        let bounds = null;
+        if (crs) {
+            const [west, south] = proj4(crs, 'EPSG:4326', [extent[0], extent[1]]);
+            const [east, north] = proj4(crs, 'EPSG:4326', [extent[2], extent[3]]);
+            bounds = [west, south, east, north].map(value => round(value, 6));
+        }
+
+        const noData = image.getGDALNoData();
+        const entry = {
+            mtimeMs: stat.mtimeMs,
+            tiff,
+            image,
+            crs,
+            geographic: Boolean(geoKeys.GeographicTypeGeoKey && !geoKeys.ProjectedCSTypeGeoKey),
+            originX,
+            originY,
+            resX,
+            resY,
+            noData,
+            info: {
+                name,
+                crs: crs || 'unknown',
+                width: image.getWidth(),
+                height: image.getHeight(),
+                bands: image.getSamplesPerPixel(),
+                resolution: [resX, Math.abs(resY)],
+                extent,
+                bounds,
+                noData,
+                sizeBytes: stat.size,
+                modifiedAt: new Date(stat.mtimeMs).toISOString()
+            }
+        };
+        this.rasters.set(name, entry);
+        return entry;
+    }
+
+    /**
+     * 🛰️ Every raster of the folder
+     */
+    async list() {
+        let files = [];
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (err) {
+            console.warn(`⚠️ [Rasters] Cannot read ${this.directory}: ${err.message}`);
+            return [];
+        }
+
+        const rasters = [];
+        for (const name of files.filter(file => RASTER_FILE_PATTERN.test(file)).sort()) {
+            try {
+                rasters.push((await this.open(name)).info);
+            } catch (err) {
+                console.warn(`⚠️ [Rasters] Skipping unreadable raster ${name}: ${err.message}`);
+            }
+        }
+        return rasters;
+    }
+
+    /**
+     * Raster CRS coordinates of a lon/lat
+     */
+    project(raster, lon, lat) {
+        if (!raster.crs) {
+            throw new RasterError(`Raster ${raster.info.name} has no known CRS`);
+        }
+        return proj4('EPSG:4326', raster.crs, [lon, lat]);
+    }
+
+    /**
+     * Pixel (column / row) of a raster CRS coordinate, null when outside the raster
+     */
+    pixelOf(raster, x, y) {
+        const col = Math.floor((x - raster.originX) / raster.resX);
+        const row = Math.floor((y - raster.originY) / raster.resY);
+        if (col < 0 || row < 0 || col >= raster.info.width || row >= raster.info.height) {
+            return null;
+        }
+        return { col, row };
+    }
+
+    /**
+     * Read one band of a pixel window [left, top, right, bottom)
+     */
+    async readWindow(raster, window, band) {
+        const [left, top, right, bottom] = window;
+        if ((right - left) * (bottom - top) > MAX_WINDOW_PIXELS) {
+            throw new RasterError(`Area too large for raster ${raster.info.name} (over ${MAX_WINDOW_PIXELS} pixels)`);
+        }
+        const [values] = await raster.image.readRasters({ window, samples: [band] });
+        return values;
+    }
+
+    isNoData(raster, value) {
+        return value === undefined || Number.isNaN(value) ||
+            (raster.noData !== null && raster.noData !== undefined && value === raster.noData);
+    }
+
+    validateBand(raster, band) {
+        const index = band === undefined || band === '' ? 0 : parseInt(band, 10);
+        if (Number.isNaN(index) || index < 0 || index >= raster.info.bands) {
+            throw new RasterError(`band must be 0..${raster.info.bands - 1}`);
+        }
+        return index;
+    }
+
+    /**
+     * Values of many pixels: one window read covering all of them (profiles are short lines)
+     */
+    async readPixels(raster, pixels, band) {
+        const inside = pixels.filter(Boolean);
+        if (inside.length === 0) {
+            return pixels.map(() => null);
+        }
+        const left = Math.min(...inside.map(p => p.col));
+        const top = Math.min(...inside.map(p => p.row));
+        const right = Math.max(...inside.map(p => p.col)) + 1;
+        const bottom = Math.max(...inside.map(p => p.row)) + 1;
+
+        const values = await this.readWindow(raster, [left, top, right, bottom], band);
+        return pixels.map(p => {
+            if (!p) return null;
+            const value = values[(p.row - top) * (right - left) + (p.col - left)];
+            return this.isNoData(raster, value) ? null : value;
+        });
+    }
+
+    /**
+     * 📍 Value at a lon/lat
+     * @returns {Promise<Object>} - { name, lon, lat, band, value } (value null outside the raster / no data)
+     */
+    async sample(name, lon, lat, band) {
+        const raster = await this.open(name);
+        const bandIndex = this.validateBand(raster, band);
+        const [x, y] = this.project(raster, lon, lat);
+        const [value] = await this.readPixels(raster, [this.pixelOf(raster, x, y)], bandIndex);
+        return { name, crs: raster.info.crs, lon, lat, band: bandIndex, value };
+    }
+
+    /**
+     * 📍 Values of every raster covering a lon/lat (first band)
+     */
+    async sampleAll(lon, lat) {
+        const results = [];
+        for (const info of await this.list()) {
+            const [west, south, east, north] = info.bounds || [];
+            if (!info.bounds || lon < west || lon > east || lat < south || lat > north) continue;
+            const { value } = await this.sample(info.name, lon, lat, 0);
+            if (value !== null) {
+                results.push({ name: info.name, value });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * 📈 Values along a polyline at equal spacing
+     * @param {string} name - Raster file name
+     * @param {Array<[number, number]>} coordinates - Polyline vertices [lon, lat]
+     * @param {Object} [options] - { points = 200, band = 0 }
+     * @returns {Promise<Object>} - { name, lengthMeters, points: [{ distance, lon, lat, value }] }
+     */
+    async profile(name, coordinates, { points = 200, band } = {}) {
+        if (!Array.isArray(coordinates) || coordinates.length < 2 ||
+            coordinates.some(c => !Array.isArray(c) || !Number.isFinite(c[0]) || !Number.isFinite(c[1]))) {
+            throw new RasterError('coordinates must be a line of at least two [lon, lat] points');
+        }
+        const count = Math.min(Math.max(parseInt(points, 10) || 200, 2), MAX_PROFILE_POINTS);
+        const raster = await this.open(name);
+        const bandIndex = this.validateBand(raster, band);
+
+        // Cumulative distance of each vertex along the line
+        const cumulative = [0];
+        for (let i = 1; i < coordinates.length; i++) {
+            const [lon1, lat1] = coordinates[i - 1];
+            const [lon2, lat2] = coordinates[i];
+            cumulative.push(cumulative[i - 1] + geolib.getPreciseDistance(
+                { latitude: lat1, longitude: lon1 }, { latitude: lat2, longitude: lon2 }, 0.01));
+        }
+        const length = cumulative[cumulative.length - 1];
+
+        const stations = [];
+        let segment = 1;
+        for (let i = 0; i < count; i++) {
+            const distance = (length * i) / (count - 1);
+            while (segment < coordinates.length - 1 && cumulative[segment] < distance) segment++;
+            const span = cumulative[segment] - cumulative[segment - 1];
+            const t = span > 0 ? (distance - cumulative[segment - 1]) / span : 0;
+            const [lon1, lat1] = coordinates[segment - 1];
+            const [lon2, lat2] = coordinates[segment];
+            stations.push({ distance: round(distance, 1), lon: lon1 + (lon2 - lon1) * t, lat: lat1 + (lat2 - lat1) * t });
+        }
+
+        const pixels = stations.map(({ lon, lat }) => {
+            const [x, y] = this.project(raster, lon, lat);
+            return this.pixelOf(raster, x, y);
+        });
+        const values = await this.readPixels(raster, pixels, bandIndex);
+
+        return {
+            name,
+            crs: raster.info.crs,
+            band: bandIndex,
+            lengthMeters: round(length, 1),
+            points: stations.map((station, i) => ({
+                ...station,
+                lon: round(station.lon, 6),
+                lat: round(station.lat, 6),
+                value: values[i]
+            }))
+        };
+    }
+
+    /**
+     * 📊 Zonal statistics of the pixels whose centre lies inside a polygon
+     * @param {string} name - Raster file name
+     * @param {Object} geometry - GeoJSON Polygon / MultiPolygon in EPSG:4326
+     * @param {Object} [options] - { threshold, percentiles = [10, 50, 90], band = 0 }
+     * @returns {Promise<Object>} - { count, areaM2, min, max, mean, percentiles, threshold, percentBelowThreshold }
+     */
+    async zonalStats(name, geometry, { threshold = null, percentiles = DEFAULT_PERCENTILES, band } = {}) {
+        if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+            throw new RasterError('A Polygon or MultiPolygon geometry is required');
+        }
+        const raster = await this.open(name);
+        const bandIndex = this.validateBand(raster, band);
+
+        const polygons = (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates)
+            .map(rings => rings.map(ring => ring.map(([lon, lat]) => this.project(raster, lon, lat))));
+        const allPoints = polygons.flat(2);
+        const minX = Math.min(...allPoints.map(p => p[0]));
+        const maxX = Math.max(...allPoints.map(p => p[0]));
+        const minY = Math.min(...allPoints.map(p => p[1]));
+        const maxY = Math.max(...allPoints.map(p => p[1]));
+
+        // Pixel window of the polygon bbox, clipped to the raster
+        const cols = [(minX - raster.originX) / raster.resX, (maxX - raster.originX) / raster.resX];
+        const rows = [(minY - raster.originY) / raster.resY, (maxY - raster.originY) / raster.resY];
+        const left = Math.max(0, Math.floor(Math.min(...cols)));
+        const right = Math.min(raster.info.width, Math.ceil(Math.max(...cols)));
+        const top = Math.max(0, Math.floor(Math.min(...rows)));
+        const bottom = Math.min(raster.info.height, Math.ceil(Math.max(...rows)));
+
+        const collected = [];
+        if (left < right && top < bottom) {
+            const values = await this.readWindow(raster, [left, top, right, bottom], bandIndex);
+            const width = right - left;
+            for (let row = top; row < bottom; row++) {
+                const y = raster.originY + (row + 0.5) * raster.resY;
+                for (let col = left; col < right; col++) {
+                    const x = raster.originX + (col + 0.5) * raster.resX;
+                    if (!polygons.some(rings => pointInRings(x, y, rings))) continue;
+                    const value = values[(row - top) * width + (col - left)];
+                    if (!this.isNoData(raster, value)) collected.push(value);
+                }
+            }
+        }
+
+        const sorted = Float64Array.from(collected).sort();
+        // Geographic rasters: pixel size converted to metres at the polygon's latitude
+        const pixelArea = raster.geographic
+            ? Math.abs(raster.resX * raster.resY) * METERS_PER_DEGREE ** 2 * Math.cos((((minY + maxY) / 2) * Math.PI) / 180)
+            : Math.abs(raster.resX * raster.resY);
+        const sum = sorted.reduce((total, value) => total + value, 0);
+        const thresholdValue = threshold === null || threshold === undefined || threshold === '' ? null : Number(threshold);
+        if (thresholdValue !== null && Number.isNaN(thresholdValue)) {
+            throw new RasterError('threshold must be a number');
+        }
+        const below = thresholdValue === null ? null : sorted.filter(value => value < thresholdValue).length;
+
+        return {
+            name,
+            crs: raster.info.crs,
+            band: bandIndex,
+            count: sorted.length,
+            areaM2: Math.round(sorted.length * pixelArea),
+            min: sorted.length ? round(sorted[0]) : null,
+            max: sorted.length ? round(sorted[sorted.length - 1]) : null,
+            mean: sorted.length ? round(sum / sorted.length) : null,
+            percentiles: Object.fromEntries(percentiles.map(p => [`p${p}`, round(percentile(sorted, p))])),
+            threshold: thresholdValue,
+            percentBelowThreshold: below === null || sorted.length === 0 ? null : round((below / sorted.length) * 100)
+        };
+    }
+
+    close() {
+        this.rasters.forEach(raster => raster.tiff.close());
+        this.rasters.clear();
+    }
+}
+
+module.exports = {
+    RasterService,
+    RasterError,
+    DEFAULT_PERCENTILES
+};
@@ -1,12 +1,70 @@
 // filename: redisCacheHelper.js - Redis Cache Helper Module
 const redisClient = require('./redisClient');
+const MemoryLruCache = require('./memoryLruCache');
+const cacheValueFormat = require('./cacheValueFormat');
+const config = require('./config');
+const queryGuard = require('./queryGuard');
+
+// 🧠 MEMORY TIER: Per-process LRU in front of Redis. While Redis is up, entries live at most
+// MEMORY_MAX_TTL seconds (other instances may change the Redis value); while Redis is down the
+// memory tier is the only cache and keeps the full TTL.
+const MEMORY_MAX_BYTES = config.cache.memoryMaxBytes;
+const MEMORY_MAX_TTL = config.cache.memoryMaxTtl;
+// Deletions are broadcast on this channel so every PM2 instance drops its memory copies
+const INVALIDATION_CHANNEL = 'cache:invalidate';
+const INSTANCE_TOKEN = `${config.instanceId}:${process.pid}`;
+
+// 🏷️ CACHE TAGS: Every tagged key is also a member of the Redis set `cache_tag:<tag>`,
+// so a dataset's keys can be invalidated without SCANning the whole keyspace.
+const TAG_SET_PREFIX = 'cache_tag:';
+// Tag sets outlive their longest member (base tiles: 24h); refreshed on every tagged SET
+const TAG_SET_TTL = 2 * 86400;
+const INVALIDATE_BATCH_SIZE = 500;
+// Per-tag counter bumped by invalidateTag(); recorded as datasetVersion in each value's header
+const TAG_VERSION_PREFIX = 'cache_tag_version:';
+// Keys that are not cache values (skipped by migrateLegacyValues)
+const INTERNAL_KEY_PREFIXES = [TAG_SET_PREFIX, TAG_VERSION_PREFIX, 'lock:'];
+
+// 🔒 SINGLE-FLIGHT: One worker (across all PM2 instances) computes a missing key, the others wait.
+// `lock:<key>` is held by the computing worker; `fresh:<key>` marks the value as within its TTL -
+// the value itself lives ttl + staleTtl seconds so it can be served stale while being refreshed.
+const LOCK_PREFIX = 'lock:';
+const FRESH_PREFIX = 'fresh:';
+const LOCK_TTL_MS = 15000;        // longer than the slowest ST_AsMVT query
+const LOCK_WAIT_TIMEOUT_MS = 8000; // waiters give up and compute themselves after this
+// acquireLock() failed (Redis error) or Redis is down: compute without a lock instead of waiting
+const LOCK_UNAVAILABLE = Symbol('lock unavailable');
+const LOCK_POLL_INTERVAL_MS = 50;
+
+// Release the lock only if this worker still owns it (it may have expired and been re-acquired)
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
  * 🚀 REDIS CACHE HELPER: Unified caching interface for MVT tiles and JSON data
+ * Two tiers: a bounded in-process LRU (memory) in front of Redis - the memory tier alone
+ * keeps caching while Redis is unavailable.
  * Compatible with Redis Server 4.0.9
  */
 class RedisCacheHelper {
-    
+
+    constructor() {
+        // 🔒 In-process single-flight: key → Promise of the running getOrCompute()
+        this.inflight = new Map();
+        this.memory = new MemoryLruCache({ maxBytes: MEMORY_MAX_BYTES });
+        this.stats = {
+            memory: { hits: 0, misses: 0 },
+            redis: { hits: 0, misses: 0, errors: 0 }
+        };
+        this.subscriber = null;
+        redisClient.on('ready', () => this.subscribeInvalidations());
+    }
+
     /**
      * Check if Redis is connected and ready
      */
@@ -15,74 +73,132 @@ class RedisCacheHelper {
     }
 
     /**
-     * Get cached data from Redis
+     * Decode a stored value; values written before the typed-header format are migrated in place
      * @param {string} key - Cache key
-     * @returns {Promise<any|null>} - Parsed cached data or null
+     * @param {Buffer} raw - Stored bytes
+     * @returns {{value: any, header: Object}}
      */
-    async get(key) {
-        try {
-            if (!this.isReady()) {
-                console.warn('⚠️  Redis not ready, skipping cache get');
-                return null;
-            }
+    decodeStored(key, raw) {
+        if (cacheValueFormat.isEncoded(raw)) {
+            return cacheValueFormat.decode(raw);
+        }
+        const legacy = cacheValueFormat.decodeLegacy(key, raw);
+        this.migrateLegacyKey(key, legacy);
+        return legacy;
+    }
 
-            const cached = await redisClient.get(key);
-            if (!cached) {
-                return null;
-            }
-            
-            // 🚀 MVT tiles are binary data - return as Buffer
-            if (key.includes('_mvt_')) {
-                return Buffer.from(cached, 'base64');
+    /**
+     * Seconds a value stays in the memory tier
+     */
+    memoryTtl(ttl) {
+        return this.isReady() ? Math.min(ttl, MEMORY_MAX_TTL) : ttl;
+    }
+
+    /**
+     * Read the stored bytes from Redis only (no stats, no memory population)
+     * @returns {Promise<Buffer|null>}
+     */
+    async readRedis(key) {
+        if (!this.isReady()) {
+            return null;
+        }
+        const cached = await redisClient.get(redisClient.commandOptions({ returnBuffers: true }), key);
+        // Empty string is a valid value (empty MVT tile) - only a missing key is a miss
+        return cached === null || cached === undefined ? null : cached;
+    }
+
+    /**
+     * Look a key up in memory, then Redis (a Redis hit is copied into memory)
+     * @param {string} key - Cache key
+     * @returns {Promise<{value: any, header: Object|null, tier: string|null}>} - tier is 'MEMORY', 'REDIS' or null (miss)
+     */
+    async lookup(key) {
+        const local = this.memory.get(key);
+        if (local !== null) {
+            this.stats.memory.hits++;
+            return { ...cacheValueFormat.decode(local), tier: 'MEMORY' };
+        }
+        this.stats.memory.misses++;
+
+        if (!this.isReady()) {
+            return { value: null, header: null, tier: null };
+        }
+
+        try {
+            const cached = await this.readRedis(key);
+            if (cached === null) {
+                this.stats.redis.misses++;
+                return { value: null, header: null, tier: null };
             }
-            
-            // 🚀 JSON data - parse it
-            try {
-                return JSON.parse(cached);
-            } catch (parseErr) {
-                // If not JSON, return as string
-                return cached;
+            this.stats.redis.hits++;
+            const { value, header } = this.decodeStored(key, cached);
+            if (!header.legacy) {
+                this.memory.set(key, cached, MEMORY_MAX_TTL);
             }
+            return { value, header, tier: 'REDIS' };
         } catch (err) {
+            this.stats.redis.errors++;
             console.error(`❌ Redis GET error for key "${key}":`, err.message);
-            return null;
+            return { value: null, header: null, tier: null };
         }
     }
 
     /**
-     * Set cached data in Redis with TTL
+     * Get cached data (memory tier first, then Redis)
+     * @param {string} key - Cache key
+     * @returns {Promise<any|null>} - Parsed cached data or null
+     */
+    async get(key) {
+        return (await this.lookup(key)).value;
+    }
+
+    /**
+     * Get cached data together with its header (contentType, encoding, datasetVersion, createdAt)
+     * @param {string} key - Cache key
+     * @returns {Promise<{value: any, header: Object}|null>}
+     */
+    async getEntry(key) {
+        const { value, header } = await this.lookup(key);
+        return value === null ? null : { value, header };
+    }
+
+    /**
+     * Set cached data in memory and Redis with TTL
      * @param {string} key - Cache key
      * @param {any} value - Data to cache (Buffer, Object, Array, or String)
      * @param {number} ttl - Time to live in seconds (default: 300 = 5 minutes)
+     * @param {Array<string>} tags - Dataset tags, used by invalidateTag() (e.g. ['simulation_5g', 'mvt'])
+     * @param {Object} [meta] - Header fields for Buffer values: contentType (e.g. 'application/x-protobuf'), encoding (e.g. 'gzip')
+     * @returns {Promise<boolean>} - true if stored in at least one tier
      */
-    async set(key, value, ttl = 300) {
+    async set(key, value, ttl = 300, tags = [], meta = {}) {
+        const datasetVersion = tags.length > 0 ? await this.getTagVersion(tags[0]) : null;
+        const dataToStore = cacheValueFormat.encode(value, { ...meta, datasetVersion });
+        const inMemory = this.memory.set(key, dataToStore, this.memoryTtl(ttl), tags);
+
         try {
             if (!this.isReady()) {
-                console.warn('⚠️  Redis not ready, skipping cache set');
-                return false;
+                return inMemory;
             }
 
-            let dataToStore;
-            
-            // 🚀 Handle Buffer (binary MVT tiles)
-            if (Buffer.isBuffer(value)) {
-                dataToStore = value.toString('base64');
-            } 
-            // 🚀 Handle Objects/Arrays
-            else if (typeof value === 'object') {
-                dataToStore = JSON.stringify(value);
-            } 
-            // 🚀 Handle primitives
-            else {
-                dataToStore = String(value);
-            }
-            
             // Use SETEX for Redis 4.0.9 compatibility (SET with EX option)
-            await redisClient.setEx(key, ttl, dataToStore);
+            if (tags.length === 0) {
+                await redisClient.setEx(key, ttl, dataToStore);
+                return true;
+            }
+
+            // 🏷️ Value and tag memberships in one MULTI so a key is never cached untagged
+            const multi = redisClient.multi().setEx(key, ttl, dataToStore);
+            tags.forEach(tag => {
+                multi.sAdd(this.tagKey(tag), key);
+                multi.expire(this.tagKey(tag), TAG_SET_TTL);
+            });
+            await multi.exec();
             return true;
         } catch (err) {
+            this.stats.redis.errors++;
             console.error(`❌ Redis SET error for key "${key}":`, err.message);
-            return false;
+            return inMemory;
         }
     }
 
@@ -91,16 +207,19 @@ class RedisCacheHelper {
      * @param {string} key - Cache key
      */
     async del(key) {
+        const removed = this.memory.remove(key);
         try {
             if (!this.isReady()) {
-                return false;
+                return removed;
             }
-            
+
             await redisClient.del(key);
+            this.publishInvalidation('key', key);
             return true;
         } catch (err) {
+            this.stats.redis.errors++;
             console.error(`❌ Redis DEL error for key "${key}":`, err.message);
-            return false;
+            return removed;
         }
     }
 
@@ -110,9 +229,10 @@ class RedisCacheHelper {
      * Uses SCAN instead of KEYS to avoid blocking Redis in production
      */
     async delPattern(pattern) {
+        const removedFromMemory = this.memory.removePattern(pattern);
         try {
             if (!this.isReady()) {
-                return 0;
+                return removedFromMemory;
             }
 
             let cursor = '0';
@@ -135,7 +255,7 @@ class RedisCacheHelper {
                     keysToDelete.push(...keys);
                 }
 
-            } while (cursor !== '0'); // cursor=0 means iteration complete
+            } while (Number(cursor) !== 0); // cursor=0 means iteration complete (the client returns a number)
 
             // Delete all matched keys in batches to avoid overwhelming Redis
             if (keysToDelete.length > 0) {
@@ -148,10 +268,346 @@ class RedisCacheHelper {
                 console.log(`✅ Deleted ${totalDeleted} Redis keys matching "${pattern}"`);
             }
 
+            this.publishInvalidation('pattern', pattern);
             return totalDeleted;
         } catch (err) {
+            this.stats.redis.errors++;
             console.error(`❌ Redis DEL PATTERN error for "${pattern}":`, err.message);
-            return 0;
+            return removedFromMemory;
+        }
+    }
+
+    /**
+     * 🔒 Get a key, computing it at most once across concurrent callers and PM2 instances
+     * - HIT: value within its TTL
+     * - STALE: value past its TTL but within staleTtl - returned at once, refreshed in the background
+     * - COALESCED: another caller (this process or another instance) computed it while we waited
+     * - MISS: computed by this caller
+     * @param {string} key - Cache key
+     * @param {Function} compute - async () => value; null/undefined results are returned but not cached
+     * @param {Object} [options]
+     * @param {number} [options.ttl=300] - Seconds the value is fresh
+     * @param {number} [options.staleTtl=0] - Extra seconds a stale value may be served while refreshing
+     * @param {Array<string>} [options.tags=[]] - Dataset tags (see invalidateTag)
+     * @param {string} [options.contentType] - Header content type of Buffer values (e.g. 'application/x-protobuf')
+     * @returns {Promise<{value: any, status: string, tier: string|null}>} - tier: 'MEMORY' or 'REDIS' (null on MISS)
+     */
+    async getOrCompute(key, compute, options = {}) {
+        const running = this.inflight.get(key);
+        if (running) {
+            try {
+                const { value } = await running;
+                return { value, status: 'COALESCED', tier: 'MEMORY' };
+            } catch (err) {
+                queryGuard.noteTimeout(err);
+                throw err;
+            }
+        }
+
+        // Detached from this request: its client disconnecting must not cancel the statements
+        // the coalesced requests are waiting on (the route class timeout still applies)
+        const promise = queryGuard.detached(() => this.resolveOrCompute(key, compute, options));
+        this.inflight.set(key, promise);
+        try {
+            return await promise;
+        } catch (err) {
+            queryGuard.noteTimeout(err);
+            throw err;
+        } finally {
+            this.inflight.delete(key);
+        }
+    }
+
+    async resolveOrCompute(key, compute, { ttl = 300, staleTtl = 0, tags = [], contentType } = {}) {
+        const { value: cached, tier } = await this.lookup(key);
+        if (cached !== null) {
+            if (staleTtl === 0 || await this.exists(`${FRESH_PREFIX}${key}`)) {
+                return { value: cached, status: 'HIT', tier };
+            }
+
+            // ♻️ STALE-WHILE-REVALIDATE: serve the old value, one worker refreshes it
+            this.refreshInBackground(key, compute, { ttl, staleTtl, tags, contentType });
+            return { value: cached, status: 'STALE', tier };
+        }
+
+        // 🧠 Redis down (or failing): no cross-instance lock - this.inflight still coalesces within the process
+        const lockToken = this.isReady() ? await this.acquireLock(key).catch(() => LOCK_UNAVAILABLE) : LOCK_UNAVAILABLE;
+        if (!lockToken) {
+            // Another instance is computing this key - wait for its result
+            const waited = await this.waitForValue(key);
+            if (waited !== null) {
+                return { value: waited, status: 'COALESCED', tier: 'REDIS' };
+            }
+            console.warn(`⚠️  Lock wait timed out for "${key}", computing locally`);
+        }
+
+        try {
+            const value = await compute();
+            await this.storeFresh(key, value, { ttl, staleTtl, tags, contentType });
+            return { value, status: 'MISS', tier: null };
+        } finally {
+            if (lockToken && lockToken !== LOCK_UNAVAILABLE) {
+                await this.releaseLock(key, lockToken);
+            }
+        }
+    }
+
+    /**
+     * Store a value together with its freshness marker
+     */
+    async storeFresh(key, value, { ttl, staleTtl, tags, contentType }) {
+        if (value === null || value === undefined) {
+            return false;
+        }
+        const stored = await this.set(key, value, ttl + staleTtl, tags, { contentType });
+        if (stored && staleTtl > 0) {
+            await this.set(`${FRESH_PREFIX}${key}`, '1', ttl);
+        }
+        return stored;
+    }
+
+    /**
+     * Refresh a stale key unless another worker is already doing it (fire and forget)
+     */
+    refreshInBackground(key, compute, options) {
+        if (this.inflight.has(`refresh:${key}`)) {
+            return;
+        }
+
+        // Nobody waits on a refresh - it runs under the background timeout, outside any request
+        const refresh = queryGuard.detached(async () => {
+            if (!this.isReady()) {
+                // Memory tier only - the inflight entry already keeps this process to one refresh
+                await this.storeFresh(key, await compute(), options);
+                return;
+            }
+            const lockToken = await this.acquireLock(key).catch(() => LOCK_UNAVAILABLE);
+            if (!lockToken) {
+                return; // another instance is refreshing
+            }
+            if (lockToken === LOCK_UNAVAILABLE) {
+                await this.storeFresh(key, await compute(), options);
+                return;
+            }
+            try {
+                await this.storeFresh(key, await compute(), options);
+            } finally {
+                await this.releaseLock(key, lockToken);
+            }
+        }, { routeClass: 'background' })
+            .catch(err => console.error(`❌ Background refresh failed for key "${key}":`, err.message))
+            .finally(() => this.inflight.delete(`refresh:${key}`));
+
+        this.inflight.set(`refresh:${key}`, refresh);
+    }
+
+    /**
+     * Try to take the compute lock of a key
+     * @returns {Promise<string|null>} - Lock token if acquired, null while another caller holds it
+     * @throws When Redis fails - nobody can hold the lock then, callers compute at once
+     */
+    async acquireLock(key) {
+        const token = `${config.instanceId}:${process.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+        try {
+            const acquired = await redisClient.set(`${LOCK_PREFIX}${key}`, token, { NX: true, PX: LOCK_TTL_MS });
+            return acquired === 'OK' ? token : null;
+        } catch (err) {
+            this.stats.redis.errors++;
+            console.error(`❌ Redis LOCK error for key "${key}":`, err.message);
+            throw err;
+        }
+    }
+
+    async releaseLock(key, token) {
+        try {
+            await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [`${LOCK_PREFIX}${key}`], arguments: [token] });
+        } catch (err) {
+            console.error(`❌ Redis UNLOCK error for key "${key}":`, err.message);
+        }
+    }
+
+    /**
+     * Poll for a key computed by the lock holder; stops early if the lock disappears without a value
+     * @returns {Promise<any|null>}
+     */
+    async waitForValue(key) {
+        const deadline = Date.now() + LOCK_WAIT_TIMEOUT_MS;
+        while (Date.now() < deadline) {
+            await sleep(LOCK_POLL_INTERVAL_MS);
+            const value = await this.readRedis(key).catch(() => null);
+            if (value !== null) {
+                return this.decodeStored(key, value).value;
+            }
+            if (!(await this.exists(`${LOCK_PREFIX}${key}`))) {
+                // Holder finished without caching (error or uncacheable result) - one last look
+                return this.get(key);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Redis set holding the keys of a tag
+     * @param {string} tag - Dataset tag
+     */
+    tagKey(tag) {
+        return `${TAG_SET_PREFIX}${tag}`;
+    }
+
+    tagVersionKey(tag) {
+        return `${TAG_VERSION_PREFIX}${tag}`;
+    }
+
+    /**
+     * Current dataset version of a tag (number of invalidations so far; null if Redis is down)
+     */
+    async getTagVersion(tag) {
+        try {
+            if (!this.isReady()) {
+                return null;
+            }
+            return Number(await redisClient.get(this.tagVersionKey(tag))) || 0;
+        } catch (err) {
+            console.error(`❌ Redis GET tag version error for "${tag}":`, err.message);
+            return null;
+        }
+    }
+
+    /**
+     * 🔄 MIGRATION: Rewrite one pre-typed-header value in the current format, keeping its TTL
+     * Called on read (lazily, fire and forget) and by migrateLegacyValues()
+     * @returns {Promise<boolean>} - true if rewritten
+     */
+    async migrateLegacyKey(key, { value, header }) {
+        try {
+            if (!this.isReady()) {
+                return false;
+            }
+            const remainingMs = await redisClient.pTTL(key);
+            if (remainingMs <= 0) {
+                return false; // gone, or no expiry (never written by this helper)
+            }
+            const encoded = cacheValueFormat.encode(value, { contentType: header.contentType, encoding: header.encoding });
+            // XX: do not resurrect a key deleted since it was read
+            await redisClient.set(key, encoded, { PX: remainingMs, XX: true });
+            return true;
+        } catch (err) {
+            console.error(`❌ Redis MIGRATE error for key "${key}":`, err.message);
+            return false;
+        }
+    }
+
+    /**
+     * 🔄 MIGRATION: Convert every value still stored as base64/JSON text to the typed-header format
+     * Values are also migrated one by one when read, so running this is optional.
+     * @returns {Promise<{scanned: number, migrated: number}>}
+     */
+    async migrateLegacyValues() {
+        const result = { scanned: 0, migrated: 0 };
+        if (!this.isReady()) {
+            return result;
+        }
+
+        let cursor = 0;
+        do {
+            const page = await redisClient.scan(cursor, { COUNT: 200 });
+            cursor = Number(page.cursor);
+            const keys = page.keys.filter(key => !INTERNAL_KEY_PREFIXES.some(prefix => key.startsWith(prefix)));
+            if (keys.length === 0) continue;
+
+            // MGET returns null for non-string keys (tag sets), so only values are examined
+            const values = await redisClient.mGet(redisClient.commandOptions({ returnBuffers: true }), keys);
+            for (let i = 0; i < keys.length; i++) {
+                if (values[i] === null) continue;
+                result.scanned++;
+                if (!cacheValueFormat.isEncoded(values[i]) &&
+                    await this.migrateLegacyKey(keys[i], cacheValueFormat.decodeLegacy(keys[i], values[i]))) {
+                    result.migrated++;
+                }
+            }
+        } while (cursor !== 0);
+
+        console.log(`✅ Cache format migration: ${result.migrated} of ${result.scanned} values rewritten`);
+        return result;
+    }
+
+    /**
+     * Empty this instance's memory tier (the whole cache while Redis is down)
+     * @param {Array<string>} [keepTags] - Entries carrying one of these tags stay
+     * @returns {number} - Entries removed
+     */
+    clearMemory(keepTags = []) {
+        return this.memory.clear(keepTags);
+    }
+
+    /**
+     * 🏷️ Delete every key cached with the given tag
+     * Members are removed from the tag set as they are deleted, so keys cached while the
+     * invalidation runs (already built from the new data) stay tagged.
+     * @param {string} tag - Dataset tag
+     * @returns {Promise<number>} - Number of cached keys deleted
+     */
+    async invalidateTag(tag) {
+        const removedFromMemory = this.memory.invalidateTag(tag);
+        try {
+            if (!this.isReady()) {
+                return removedFromMemory;
+            }
+            this.publishInvalidation('tag', tag);
+
+            // Values built from the new data carry the new version
+            await redisClient.incr(this.tagVersionKey(tag));
+
+            const setKey = this.tagKey(tag);
+            let cursor = 0;
+            let totalDeleted = 0;
+
+            do {
+                const result = await redisClient.sScan(setKey, cursor, { COUNT: INVALIDATE_BATCH_SIZE });
+                cursor = Number(result.cursor);
+
+                if (result.members.length > 0) {
+                    totalDeleted += await redisClient.del(result.members);
+                    await redisClient.sRem(setKey, result.members);
+                    // Memory copies of Redis hits carry no tags - drop them by key, on every instance
+                    result.members.forEach(member => this.memory.remove(member));
+                    this.publishInvalidation('keys', result.members);
+                }
+            } while (cursor !== 0);
+
+            console.log(`✅ Invalidated tag "${tag}": ${totalDeleted} Redis keys deleted`);
+            return totalDeleted;
+        } catch (err) {
+            this.stats.redis.errors++;
+            console.error(`❌ Redis INVALIDATE TAG error for "${tag}":`, err.message);
+            return removedFromMemory;
+        }
+    }
+
+    /**
+     * List all tags with their number of tracked keys (expired keys included until invalidated)
+     * @returns {Promise<Object>} - { tag: memberCount }
+     */
+    async listTags() {
+        try {
+            if (!this.isReady()) {
+                return {};
+            }
+
+            const tags = {};
+            let cursor = 0;
+            do {
+                const result = await redisClient.scan(cursor, { MATCH: `${TAG_SET_PREFIX}*`, COUNT: 100 });
+                cursor = Number(result.cursor);
+                for (const setKey of result.keys) {
+                    tags[setKey.slice(TAG_SET_PREFIX.length)] = await redisClient.sCard(setKey);
+                }
+            } while (cursor !== 0);
+
+            return tags;
+        } catch (err) {
+            console.error('❌ Redis LIST TAGS error:', err.message);
+            return {};
         }
     }
 
@@ -160,11 +616,15 @@ class RedisCacheHelper {
      * @param {string} key - Cache key
      */
     async exists(key) {
+        if (this.memory.has(key)) {
+            return true;
+        }
         try {
             if (!this.isReady()) {
                 return false;
             }
-            
+
+
             return (await redisClient.exists(key)) === 1;
         } catch (err) {
             console.error(`❌ Redis EXISTS error for key "${key}":`, err.message);
@@ -219,6 +679,83 @@ class RedisCacheHelper {
         }
     }
 
+    /**
+     * 📊 Hit/miss counters per tier (since process start) plus memory tier usage
+     */
+    getTierStats() {
+        const rate = ({ hits, misses }) => hits + misses > 0 ? +(hits / (hits + misses) * 100).toFixed(1) : 0;
+        return {
+            memory: {
+                ...this.stats.memory,
+                hitRate: rate(this.stats.memory),
+                ...this.memory.getStats(),
+                maxTtl: MEMORY_MAX_TTL
+            },
+            redis: {
+                ...this.stats.redis,
+                hitRate: rate(this.stats.redis),
+                connected: this.isReady()
+            }
+        };
+    }
+
+    /**
+     * 📣 Tell the other instances to drop memory copies ('key', 'keys', 'pattern' or 'tag')
+     */
+    publishInvalidation(type, value) {
+        if (!this.isReady()) {
+            return;
+        }
+        redisClient.publish(INVALIDATION_CHANNEL, JSON.stringify({ origin: INSTANCE_TOKEN, type, value }))
+            .catch(err => console.error('❌ Redis PUBLISH invalidation error:', err.message));
+    }
+
+    /**
+     * Apply invalidations published by other instances to this memory tier
+     * (a duplicate connection is needed - a subscribed client cannot run other commands)
+     */
+    async subscribeInvalidations() {
+        if (this.subscriber) {
+            return;
+        }
+        this.subscriber = redisClient.duplicate();
+        this.subscriber.on('error', err => console.error('❌ Redis invalidation subscriber error:', err.message));
+
+        try {
+            await this.subscriber.connect();
+            await this.subscriber.subscribe(INVALIDATION_CHANNEL, (message) => {
+                try {
+                    const { origin, type, value } = JSON.parse(message);
+                    if (origin === INSTANCE_TOKEN) return;
+                    if (type === 'key') this.memory.remove(value);
+                    else if (type === 'keys') value.forEach(key => this.memory.remove(key));
+                    else if (type === 'pattern') this.memory.removePattern(value);
+                    else if (type === 'tag') this.memory.invalidateTag(value);
+                } catch (err) {
+                    console.error('❌ Invalid cache invalidation message:', err.message);
+                }
+            });
+        } catch (err) {
+            console.error('❌ Failed to subscribe to cache invalidations:', err.message);
+            this.subscriber = null;
+        }
+    }
+
+    /**
+     * Close the invalidation subscriber - called by server.js gracefulShutdown
+     */
+    async close() {
+        if (!this.subscriber) {
+            return;
+        }
+        try {
+            await this.subscriber.quit();
+        } catch (err) {
+            console.error('⚠️  Error closing Redis invalidation subscriber:', err.message);
+        }
+        this.subscriber = null;
+    }
+
     /**
      * Get TTL (time to live) for a key
      */
@@ -1,26 +1,28 @@
 // filename: redisClient.js - Redis Connection Module
 const redis = require('redis');
+const logger = require('./logger');
+const config = require('./config');
 
 // 🚀 Redis Client Configuration for Redis 4.0.9 server
 // Compatible with redis npm package v4.x
 const redisClient = redis.createClient({
     socket: {
-        host: process.env.REDIS_HOST || 'localhost',
-        port: parseInt(process.env.REDIS_PORT) || 6379,
+        host: config.redis.host,
+        port: config.redis.port,
         reconnectStrategy: (retries) => {
             if (retries > 10) {
                 console.error('❌ Redis: Too many reconnection attempts, giving up');
                 return new Error('Redis reconnection failed');
             }
             const delay = Math.min(retries * 100, 3000);
-            console.log(`🔄 Redis: Reconnecting in ${delay}ms... (attempt ${retries})`);
+            logger.warn(`🔄 Redis: Reconnecting in ${delay}ms... (attempt ${retries})`, { retries, delay });
             return delay;
         },
         // Add timeouts for better error handling
         connectTimeout: 10000
     },
-    password: process.env.REDIS_PASSWORD || undefined,
-    database: parseInt(process.env.REDIS_DB) || 0,
+    password: config.redis.password,
+    database: config.redis.database,
     // Gracefully handle connection errors without crashing
     legacyMode: false
 });
@@ -32,19 +34,19 @@ redisClient.on('error', (err) => {
 });
 
 redisClient.on('connect', () => {
-    console.log('✅ Redis: Connection established');
+    logger.info('✅ Redis: Connection established');
 });
 
 redisClient.on('ready', () => {
-    console.log('✅ Redis: Ready to accept commands (Server version should be 4.0.9)');
+    logger.info('✅ Redis: Ready to accept commands (Server version should be 4.0.9)');
 });
 
 redisClient.on('reconnecting', () => {
-    console.log('🔄 Redis: Attempting to reconnect...');
+    logger.warn('🔄 Redis: Attempting to reconnect...');
 });
 
 redisClient.on('end', () => {
-    console.log('⚠️  Redis: Connection closed');
+    logger.warn('⚠️  Redis: Connection closed');
 });
 
 // 🚀 Connect to Redis with error handling
@@ -55,11 +57,11 @@ redisClient.on('end', () => {
         const info = await redisClient.info('server');
         const versionMatch = info.match(/redis_version:(\d+\.\d+\.\d+)/);
         if (versionMatch) {
-            console.log(`✅ Redis: Server version ${versionMatch[1]} detected`);
+            logger.info(`✅ Redis: Server version ${versionMatch[1]} detected`, { version: versionMatch[1] });
         }
     } catch (err) {
         console.error('❌ Failed to connect to Redis:', err.message);
-        console.error('⚠️  Application will continue with node-cache only');
+        console.error('⚠️  Application will continue with the in-process memory cache tier only');
         // Don't crash the server, just log the error
     }
 })();
@@ -70,7 +72,7 @@ redisClient.closeGracefully = async () => {
     try {
         if (redisClient.isReady) {
             await redisClient.quit();
-            console.log('✅ Redis connection closed cleanly');
+            logger.info('✅ Redis connection closed cleanly');
         } else {
             console.log('ℹ️  Redis already disconnected');
         }
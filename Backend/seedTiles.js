@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+// filename: seedTiles.js - Tile Pre-Seeding CLI
+
+/**
+ * 🌱 SEED TILES: Command line client of the server's /tiles/seed admin API.
+ * The job runs inside the server (its pools, cache keys and concurrency limits); this command
+ * starts or resumes it and prints progress until it finishes. Suitable for cron / post-import hooks.
+ *
+ *   node seedTiles.js --layers simulation_5g_run_1,complaint_data --zoom 12-16 --micro-grids 101,102,103
+ *   node seedTiles.js --layers cmhk_grid_highload --zoom 10-14 --bbox 113.82,22.15,114.44,22.57 --concurrency 3
+ *   node seedTiles.js --resume <jobId>
+ *   node seedTiles.js --status <jobId>        (or --status alone to list recent jobs)
+ *   node seedTiles.js --cancel <jobId>
+ *
+ * Environment: SEED_SERVER_URL (default http://localhost:$PORT), and either SEED_SESSION_TOKEN
+ * or SEED_USERNAME + SEED_PASSWORD of an admin account.
+ */
+
+require('dotenv').config();
+const http = require('http');
+const https = require('https');
+
+const SERVER_URL = process.env.SEED_SERVER_URL || `http://localhost:${parseInt(process.env.PORT) || 3000}`;
+const POLL_INTERVAL_MS = 3000;
+
+const USAGE = 'Usage: node seedTiles.js --layers <ids> --zoom <min>-<max> (--micro-grids <ids> | --bbox <w,s,e,n>) [--concurrency <n>] [--no-wait]\n' +
+    '       node seedTiles.js --resume <jobId> | --status [jobId] | --cancel <jobId>';
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const name = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[name] = true;
+        } else {
+            args[name] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Minimal JSON request helper (no fetch on older Node versions)
+ */
+function request(method, path, { body, token } = {}) {
+    const url = new URL(path, SERVER_URL);
+    const payload = body ? JSON.stringify(body) : null;
+    const headers = { Accept: 'application/json' };
+    if (payload) {
+        headers['Content-Type'] = 'application/json';
+        headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = (url.protocol === 'https:' ? https : http).request(url, { method, headers }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => {
+                let data = {};
+                try {
+                    data = text ? JSON.parse(text) : {};
+                } catch (parseErr) {
+                    data = { error: text };
+                }
+                if (res.statusCode >= 400) {
+                    reject(new Error(`${method} ${path} → HTTP ${res.statusCode}: ${data.error || text}`));
+                } else {
+                    resolve(data);
+                }
+            });
+        });
+        req.on('error', reject);
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
+async function getToken() {
+    if (process.env.SEED_SESSION_TOKEN) {
+        return process.env.SEED_SESSION_TOKEN;
+    }
+    if (!process.env.SEED_USERNAME || !process.env.SEED_PASSWORD) {
+        throw new Error('Set SEED_SESSION_TOKEN or SEED_USERNAME and SEED_PASSWORD (admin account)');
+    }
+    const { token } = await request('POST', '/auth/login', {
+        body: { username: process.env.SEED_USERNAME, password: process.env.SEED_PASSWORD }
+    });
+    return token;
+}
+
+function formatJob(job) {
+    const eta = job.etaSeconds !== null && job.etaSeconds !== undefined ? `, ETA ${job.etaSeconds}s` : '';
+    return `[${job.id}] ${job.status} ${job.percent}% - ${job.done}/${job.total} tiles ` +
+        `(${job.rendered} rendered, ${job.cached} cached, ${job.failed} failed, ${job.tilesPerSecond} tiles/s${eta})`;
+}
+
+async function waitForJob(jobId, token) {
+    for (;;) {
+        const job = await request('GET', `/tiles/seed/${jobId}`, { token });
+        console.log(`🌱 ${formatJob(job)}`);
+        if (!['queued', 'running', 'cancelling'].includes(job.status)) {
+            if (job.lastError) {
+                console.log(`   last error: ${job.lastError}`);
+            }
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const token = await getToken();
+
+    if (args.status) {
+        if (args.status === true) {
+            const { jobs } = await request('GET', '/tiles/seed', { token });
+            jobs.forEach(job => console.log(formatJob(job)));
+        } else {
+            console.log(formatJob(await request('GET', `/tiles/seed/${args.status}`, { token })));
+        }
+        return 0;
+    }
+
+    if (args.cancel) {
+        console.log(formatJob(await request('POST', `/tiles/seed/${args.cancel}/cancel`, { token })));
+        return 0;
+    }
+
+    let job;
+    if (args.resume) {
+        job = await request('POST', `/tiles/seed/${args.resume}/resume`, { token });
+        console.log(`🔄 Resuming job ${job.id} at tile ${job.done}/${job.total}`);
+    } else {
+        const [minZoom, maxZoom = minZoom] = String(args.zoom || '').split('-');
+        if (!args.layers || !args.zoom || (!args['micro-grids'] && !args.bbox)) {
+            console.error(USAGE);
+            return 2;
+        }
+        job = await request('POST', '/tiles/seed', {
+            token,
+            body: {
+                layers: args.layers,
+                minZoom,
+                maxZoom,
+                microGrids: args['micro-grids'],
+                bbox: args.bbox,
+                concurrency: args.concurrency
+            }
+        });
+        console.log(`🚀 Started job ${job.id}: ${job.total} tiles (resume with --resume ${job.id})`);
+    }
+
+    if (args['no-wait']) {
+        return 0;
+    }
+    const finished = await waitForJob(job.id, token);
+    return finished.status === 'completed' && finished.failed === 0 ? 0 : 1;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    });
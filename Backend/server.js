@@ -2,8 +2,26 @@
 const express = require('express');
 const cors = require('cors');
 const compression = require('compression');
-require('dotenv').config();
+// ⚙️ CONFIG: Validated settings (Backend/.env / PM2 env) - refuse to start with a report of every problem
+let config;
+try {
+    config = require('./config');
+} catch (err) {
+    console.error(err.name === 'ConfigError' ? err.message : err);
+    process.exit(1);
+}
 const { Pool } = require('pg');
+// 📜 LOGGING: Structured JSON lines with request IDs (console.* is routed through the logger,
+// so it is captured before any other module logs)
+const logger = require('./logger');
+logger.captureConsole();
+// 📈 METRICS: Prometheus /metrics (request latency, cache hits, pools, tile sizes, Redis)
+const Metrics = require('./metrics');
+config.warnings.forEach(warning => logger.warn(`⚙️ ${warning}`));
+// 🩺 HEALTH: Liveness / readiness probes (PM2 ready signal waits for readiness)
+const HealthChecker = require('./health');
+// ⏱️ QUERY GUARD: Per route class statement_timeout, cancellation on client disconnect, 504 on timeout
+const queryGuard = require('./queryGuard');
 // 🚀 REDIS: Centralized Redis-only caching architecture
 // All caching now handled by Redis for:
 // - API responses and MVT tiles
@@ -13,14 +31,60 @@ const { Pool } = require('pg');
 const redisCache = require('./redisCacheHelper');
 const redisClient = require('./redisClient'); // For graceful shutdown
 
+// 🗂️ LAYER REGISTRY: Declarative MVT layer definitions served by /tiles/:layerId/:z/:x/:y
+const {
+    getLayer, listLayers, describeLayer, tileToBounds, buildTileQuery, buildTileCacheKey,
+    defineSimulationRunLayer, simulationRunLayerId, SIMULATION_DATASETS
+} = require('./layerRegistry');
+
+// 🔐 AUTH: User accounts, sessions, roles and per-user spatial scope
+const { AuthService, AuthError, ROLES } = require('./auth');
+
+// 📝 AUDIT: Who fetched which complaint / competitor records
+const { AuditLog, AuditQueryError } = require('./audit');
+
+// 🌱 TILE SEEDING: Pre-render tiles of registered layers into the cache
+const { TileSeeder, SeedRequestError } = require('./tileSeeder');
+
+// 📦 MBTILES EXPORT: Offline packages of data layers
+const MBTilesExporter = require('./mbtilesExporter');
+
+// 📤 FEATURE EXPORT: Layers inside the current scope as GeoJSON / KML / CSV / GeoPackage
+const { FeatureExporter, FeatureExportError } = require('./featureExporter');
+const { MicroGridReport, MicroGridReportError } = require('./microGridReport');
+const { BriefingRenderer, BriefingError } = require('./briefingRenderer');
+// 🔎 COMPLAINT QUERY: Filtered, sorted, cursor-paginated complaint records
+const { ComplaintQuery, ComplaintQueryError, parseComplaintQuery } = require('./complaintQuery');
+
+// 📊 SIMULATION RUNS: Registered simulation runs (one tile layer per run)
+const { SimulationRunRegistry, SimulationRunError, TECHNOLOGIES: SIMULATION_TECHNOLOGIES } = require('./simulationRuns');
+const { buildDiffTileQuery, buildDiffTileCacheKey, buildDiffStatsQuery, toDiffStats } = require('./simulationDiff');
+
+// 🛰️ RASTERS: Values of the simulation GeoTIFFs (point sample, profile, zonal statistics)
+const { RasterService, RasterError, DEFAULT_PERCENTILES: DEFAULT_RASTER_PERCENTILES } = require('./rasterService');
+
+// 🔎 IDENTIFY: Everything known at a clicked location
+const { IdentifyService, IdentifyError } = require('./identify');
+
+// 🗺️ SPATIAL SCOPE: Micro grids / districts / saved areas / polygons → one SQL filter for every route
+const { SpatialScopeService, SpatialScopeError, UNFILTERED: UNFILTERED_SCOPE } = require('./spatialScope');
+
+// 📐 AREAS OF INTEREST: User-drawn polygons usable as spatial scope (aoi=<id>)
+const { AoiStore, AoiError } = require('./aoi');
+const { UserLayerStore, UserLayerError } = require('./userLayers');
+
 // 🗺️ MBTILES: Serve local Hong Kong base map tiles
 const MBTiles = require('@mapbox/mbtiles');
 const path = require('path');
 
 const app = express();
-const port = parseInt(process.env.PORT) || 3000;
+const port = config.port;
 
-app.use(cors());
+// 📜 Request ID + one summary line per request (first middleware - times everything below)
+// 📈 The same summary feeds the request / cache / tile size metrics (metrics is created with the pools below)
+app.use(logger.requestLogger({ onFinish: (...args) => metrics.observeRequest(...args) }));
+app.use(queryGuard.middleware());
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'X-Cache', 'Content-Disposition', 'X-Export-Layers', 'X-Export-Summary'] }));
 // 🚀 PERFORMANCE: Enable Gzip compression for all responses
 // 🗺️ EXCEPTION: Disable compression for base-tiles (PBF tiles are pre-compressed)
 app.use((req, res, next) => {
@@ -34,11 +98,13 @@ app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // 🚀 NEW: Serve simulation raw data (TIF files) from simulation-raw-data folder
-const simulationDataPath = '/home/radio/Grid Data Display/Backend/simulation-raw-data';
-app.use('/simulation-raw-data', express.static(simulationDataPath));
+// (mounted after the auth middlewares below - Hong Kong wide files, so full area users only;
+//  restricted users read values through the scope-clipped raster API)
+const simulationDataPath = config.paths.simulationRawData;
 
 
 // 🚀 SECURITY FIX: Setup the PostgreSQL connection pool with environment variables
+// ⚙️ Credentials are required settings (config.db) - no fallbacks
 // 🚀 PERFORMANCE FIX: Add proper connection pool limits and timeouts
 // 🚀 CONNECTION FIX: Reduced max connections to prevent exhausting database connection slots
 const poolConfig = {
@@ -53,47 +119,27 @@ const poolConfig = {
 };
 
 const pool = new Pool({
-    user: process.env.DB_USER || 'xxxxxxxx',
-    host: process.env.DB_HOST || 'xxxxxxxxx',
-    database: process.env.DB_NAME || 'xxxxxxxxx',
-    password: process.env.DB_PASSWORD || 'xxxxxxxxx',
-    port: parseInt(process.env.DB_PORT) || xxxxxxxxx,
+    ...config.db.main,
     ...poolConfig
 });
 
 const hkmapPool = new Pool({
-    user: process.env.HKMAP_DB_USER || 'xxxxxxxxx',
-    host: process.env.HKMAP_DB_HOST || 'xxxxxxxxx',
-    database: process.env.HKMAP_DB_NAME || 'xxxxxxxxx',
-    password: process.env.HKMAP_DB_PASSWORD || 'xxxxxxxxx',
-    port: parseInt(process.env.HKMAP_DB_PORT) || xxxxxxxxx,
+    ...config.db.hkmap,
     ...poolConfig
 });
 
 const newPool = new Pool({
-    user: process.env.DISCOVERY_DB_USER || 'xxxxxxxxx',
-    host: process.env.DISCOVERY_DB_HOST || 'xxxxxxxxx',
-    database: process.env.DISCOVERY_DB_NAME || 'xxxxxxxxx',
-    password: process.env.DISCOVERY_DB_PASSWORD || 'xxxxxxxxx',
-    port: parseInt(process.env.DISCOVERY_DB_PORT) || xxxxxxxxx,
+    ...config.db.discovery,
     ...poolConfig
 });
 
 const siteDbPool = new Pool({
-    user: process.env.SITE_DB_USER || 'xxxxxxxxx',
-    host: process.env.SITE_DB_HOST || 'xxxxxxxxx',
-    database: process.env.SITE_DB_NAME || 'xxxxxxxxx',
-    password: process.env.SITE_DB_PASSWORD || 'xxxxxxxxx',
-    port: parseInt(process.env.SITE_DB_PORT) || xxxxxxxxx,
+    ...config.db.site,
     ...poolConfig
 });
 
 const complaintDbPool = new Pool({
-    user: process.env.SITE_DB_USER || 'xxxxxxxxx',
-    host: process.env.SITE_DB_HOST || 'xxxxxxxxx',
-    database: process.env.SITE_DB_NAME || 'nodxxxxxxxxx',
-    password: process.env.SITE_DB_PASSWORD || 'xxxxxxxxx',
-    port: parseInt(process.env.SITE_DB_PORT) || xxxxxxxxx,
+    ...config.db.complaint,
     ...poolConfig
 });
 
@@ -107,6 +153,213 @@ const pools = [
     { name: 'complaintDbPool', instance: complaintDbPool }
 ];
 
+const metrics = new Metrics({ pools, isRedisReady: () => redisCache.isReady() });
+
+// ⏱️ Every query runs with the statement_timeout of its route class and is cancelled with its request
+// 📜 Per-request DB statistics (pool, query count, DB time, rows) for the request log line
+// 📈 and the per-pool query duration histogram
+pools.forEach(({ name, instance }) => {
+    queryGuard.guardPool(instance);
+    logger.instrumentPool(instance, name, { onQuery: metrics.observeQuery });
+});
+
+// Pool lookup used by registered layers (layer.pool holds the pool name)
+const poolsByName = Object.fromEntries(pools.map(({ name, instance }) => [name, instance]));
+
+// 📊 Simulation tables live in the discovery database; every loaded run gets a tile layer
+const simulationRuns = new SimulationRunRegistry(newPool, { onRun: defineSimulationRunLayer });
+
+// 🗺️ Micro grids and saved areas live in the main database, district boundaries in hkmap
+const aoiStore = new AoiStore(pool);
+const spatialScope = new SpatialScopeService({
+    gridPool: pool,
+    districtPool: hkmapPool,
+    cache: redisCache,
+    resolveAoi: (ids, user) => aoiStore.wkt(ids, user)
+});
+
+// 🗺️ Imported GeoJSON / KML / Shapefile overlays (main database)
+const userLayers = new UserLayerStore(pool);
+
+/**
+ * Send a SpatialScopeError (invalid microGrids / districts / aoi / polygon) or a generic 500
+ */
+function sendSpatialScopeError(res, error) {
+    if (error instanceof SpatialScopeError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error('🚨 [Spatial Scope] Resolving the requested area failed:', error);
+    res.status(500).json({ error: 'Spatial scope resolution failed', message: error.message });
+}
+
+// ********************************************************************* //
+// 🔐 身份驗證 開始 - Sessions, roles and per-user spatial scope
+// ********************************************************************* //
+
+// Base map tiles carry no operator data and stay public
+// /metrics is scraped by Prometheus (optionally protected by METRICS_TOKEN instead of a session)
+const auth = new AuthService(pool, {
+    publicPaths: ['/auth/login', '/base-tiles/', '/metrics', '/health/']
+});
+
+// Order matters: resolve session → refuse anonymous → clip spatial params to the user's scope
+app.use(auth.authenticate);
+app.use(auth.requireAuth);
+app.use(auth.enforceScope);
+app.use('/simulation-raw-data', auth.requireFullArea, express.static(simulationDataPath));
+
+// 📝 AUDIT: Complaint and competitor routes are recorded in public.data_access_audit
+const auditLog = new AuditLog(pool);
+// GeoJSON features or table rows (GET /api/complaints?format=table)
+const auditComplaintRecords = auditLog.track('complaint', { recordId: record => (record.properties || record).raw_ref_no });
+const auditCompetitorSites = auditLog.track('competitor_sites');
+const auditLayerTiles = auditLog.track(req => {
+    const layer = getLayer(req.params.layerId);
+    return layer ? layer.audit : null;
+});
+
+/**
+ * Send an AuthError (or any other error) as JSON
+ */
+function sendAuthError(res, err, context) {
+    if (err instanceof AuthError) {
+        return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error(`🚨 [Auth] ${context} failed:`, err);
+    res.status(500).json({ error: `${context} failed` });
+}
+
+// 🚀 ENDPOINT: Log in - returns the session token used by the frontend
+app.post('/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const session = await auth.login(username, password);
+        res.json(session);
+    } catch (err) {
+        sendAuthError(res, err, 'Login');
+    }
+});
+
+// 🚀 ENDPOINT: Log out - closes the current session
+app.post('/auth/logout', async (req, res) => {
+    try {
+        await auth.logout(req.sessionToken);
+        res.json({ success: true });
+    } catch (err) {
+        sendAuthError(res, err, 'Logout');
+    }
+});
+
+// 🚀 ENDPOINT: Current user, role and scope
+app.get('/auth/me', (req, res) => {
+    res.json({
+        user: req.user,
+        scope: {
+            restricted: req.scope.restricted,
+            microGrids: req.scope.microGridIds,
+            districts: req.scope.districts
+        },
+        roles: ROLES
+    });
+});
+
+// 🚀 ENDPOINT (admin): User management
+app.get('/auth/users', auth.requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ users: await auth.listUsers() });
+    } catch (err) {
+        sendAuthError(res, err, 'List users');
+    }
+});
+
+app.post('/auth/users', auth.requireRole('admin'), async (req, res) => {
+    try {
+        res.status(201).json({ user: await auth.createUser(req.body || {}) });
+    } catch (err) {
+        sendAuthError(res, err, 'Create user');
+    }
+});
+
+app.patch('/auth/users/:id', auth.requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    try {
+        res.json({ user: await auth.updateUser(id, req.body || {}) });
+    } catch (err) {
+        sendAuthError(res, err, 'Update user');
+    }
+});
+
+/**
+ * 🔐 Shared caches hold Hong Kong wide results - restricted users get the part inside their scope
+ */
+function scopeMicroGridCollection(scope, collection) {
+    if (!scope.restricted) return collection;
+    const allowed = new Set(scope.microGridIds);
+    return { ...collection, features: collection.features.filter(f => allowed.has(f.properties.id)) };
+}
+
+function scopeDistrictMapping(scope, mapping) {
+    if (!scope.restricted) return mapping;
+    const allowed = new Set(scope.microGridIds);
+    const districts = mapping.districts
+        .map(district => {
+            const microgrids = district.microgrids.filter(grid => allowed.has(grid.id));
+            return { ...district, microgrids, microgrid_count: microgrids.length };
+        })
+        .filter(district => district.microgrid_count > 0);
+    return { ...mapping, districts };
+}
+
+function scopeRankings(scope, rankings) {
+    if (!scope.restricted) return rankings;
+    const allowed = new Set(scope.gridNames);
+    const data = rankings.data.filter(row => allowed.has(row.grid_name));
+    return { ...rankings, data, total_records: data.length };
+}
+
+// 🚀 ENDPOINT (admin): Data access audit log
+// Filters: user, dataset, route (prefix), record (e.g. complaint ref no), from, to; paging: limit, offset
+app.get('/audit', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const { limit, offset, ...filters } = req.query;
+        res.json(await auditLog.query(filters, { limit, offset }));
+    } catch (err) {
+        if (err instanceof AuditQueryError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('🚨 [Audit] Query failed:', err);
+        res.status(500).json({ error: 'Failed to query audit log' });
+    }
+});
+
+// 🚀 ENDPOINT (admin): CSV export of the audit log (same filters as /audit)
+app.get('/audit/export.csv', auth.requireRole('admin'), async (req, res) => {
+    const { limit, offset, ...filters } = req.query;
+    try {
+        auditLog.buildFilter(filters); // validate before the headers are sent
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="data_access_audit_${stamp}.csv"`);
+    try {
+        await auditLog.exportCsv(filters, res);
+        res.end();
+    } catch (err) {
+        console.error('🚨 [Audit] CSV export failed:', err);
+        res.destroy(err);
+    }
+});
+
+// ********************************************************************* //
+// 🔐 身份驗證 結束
+// ********************************************************************* //
+
 pools.forEach(({ name, instance }) => {
     instance.on('error', (err) => {
         console.error(`Database pool ${name} error:`, err);
@@ -117,7 +370,7 @@ pools.forEach(({ name, instance }) => {
 });
 
 // 🚀 PERFORMANCE FIX: Add pool status monitoring endpoint
-app.get('/pool-status', (req, res) => {
+app.get('/pool-status', auth.requireRole('admin'), (req, res) => {
     const status = pools.map(({ name, instance }) => ({
         name,
         totalCount: instance.totalCount,
@@ -127,19 +380,36 @@ app.get('/pool-status', (req, res) => {
     res.json({ pools: status });
 });
 
+// 📈 Prometheus scrape endpoint - each PM2 instance reports its own series (instance_id label)
+app.get('/metrics', async (req, res) => {
+    const token = config.metricsToken;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+    try {
+        res.setHeader('Content-Type', metrics.contentType);
+        res.end(await metrics.render());
+    } catch (error) {
+        console.error('🚨 [Metrics] Failed to render metrics:', error);
+        res.status(500).json({ error: 'Failed to render metrics', message: error.message });
+    }
+});
+
 // 🚀 REDIS-ONLY: Cache statistics endpoint
-app.get('/cache-stats', async (req, res) => {
+app.get('/cache-stats', auth.requireRole('admin'), async (req, res) => {
     try {
         const redisStats = await redisCache.getStats();
         const redisConnected = redisCache.isReady();
 
         res.json({
-            architecture: 'Redis-Only Centralized Caching',
+            architecture: 'Two-tier caching: in-process LRU in front of Redis',
             redis: {
                 connected: redisConnected,
-                status: redisConnected ? 'All caching handled by Redis' : 'Redis disconnected - no caching active',
+                status: redisConnected ? 'Shared cache for all instances' : 'Redis disconnected - in-process memory tier only',
                 stats: redisConnected ? redisStats : null
             },
+            tiers: redisCache.getTierStats(),
+            cacheTags: redisConnected ? await redisCache.listTags() : {},
             cacheTypes: {
                 mvtTiles: 'MVT vector tiles (5-minute TTL)',
                 apiResponses: 'API JSON responses (5-minute TTL)',
@@ -150,7 +420,7 @@ app.get('/cache-stats', async (req, res) => {
             memory: {
                 used: (process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2) + ' MB',
                 total: (process.memoryUsage().heapTotal / 1024 / 1024).toFixed(2) + ' MB',
-                note: 'Memory usage significantly reduced - no in-memory node-cache'
+                note: 'Includes the in-process LRU tier (see tiers.memory.bytes)'
             }
         });
     } catch (error) {
@@ -162,7 +432,7 @@ app.get('/cache-stats', async (req, res) => {
 });
 
 // 🚀 REDIS: Redis cache monitoring endpoint
-app.get('/redis-cache-comparison', async (req, res) => {
+app.get('/redis-cache-comparison', auth.requireRole('admin'), async (req, res) => {
     try {
         // Get Redis stats
         const redisStats = await redisCache.getStats();
@@ -215,17 +485,84 @@ app.get('/redis-cache-comparison', async (req, res) => {
     }
 });
 
-// 🚀 REDIS EXPERIMENT: Clear Redis cache endpoint (for testing)
-app.post('/clear-redis-cache', async (req, res) => {
+// 🏷️ CACHE TAGS: Every cached response is tagged with the dataset(s) it was built from.
+// Tiles of registered layers carry their registry `dataset` plus 'mvt'.
+// Static datasets (base map, micro grid / district geometry) survive /clear-all-caches.
+const STATIC_CACHE_TAGS = ['base_tiles', 'micro_grid', 'district_boundary'];
+
+// 🚀 ENDPOINT (admin): Known cache tags with their number of tracked keys
+app.get('/cache/tags', auth.requireRole('admin'), async (req, res) => {
+    res.json({
+        tags: await redisCache.listTags(),
+        layerDatasets: [...new Set(listLayers().map(layer => layer.dataset))],
+        staticTags: STATIC_CACHE_TAGS,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// 🚀 ENDPOINT (admin): Invalidate the cache of one or more datasets after a table reload
+// e.g. POST /cache/invalidate?dataset=simulation_5g  or  ?dataset=complaint,grid_details
+app.post('/cache/invalidate', auth.requireRole('admin'), async (req, res) => {
+    const datasets = String(req.query.dataset || (req.body && req.body.dataset) || '')
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(Boolean);
+
+    if (datasets.length === 0) {
+        return res.status(400).json({
+            error: 'dataset parameter is required',
+            knownTags: Object.keys(await redisCache.listTags())
+        });
+    }
+
+    const deletedKeys = {};
+    for (const dataset of datasets) {
+        deletedKeys[dataset] = await redisCache.invalidateTag(dataset);
+    }
+
+    res.json({
+        success: true,
+        deletedKeys,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// 🔄 Rewrite cached values still in the old base64/JSON text format (also migrated lazily on read)
+app.post('/cache/migrate-format', auth.requireRole('admin'), async (req, res) => {
+    if (!redisCache.isReady()) {
+        return res.status(503).json({ error: 'Redis not connected' });
+    }
+    try {
+        const result = await redisCache.migrateLegacyValues();
+        res.json({
+            success: true,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Cache format migration failed',
+            message: error.message
+        });
+    }
+});
+
+// 🚀 REDIS EXPERIMENT: Clear Redis cache by key pattern (explicit pattern required)
+app.post('/clear-redis-cache', auth.requireRole('admin'), async (req, res) => {
     try {
         const { pattern } = req.body;
-        const cachePattern = pattern || 'complaint_data_mvt_*';
-        
-        const deletedCount = await redisCache.delPattern(cachePattern);
-        
+        if (!pattern) {
+            return res.status(400).json({
+                error: 'pattern is required',
+                message: 'To clear one dataset use POST /cache/invalidate?dataset=<tag>'
+            });
+        }
+
+        const deletedCount = await redisCache.delPattern(pattern);
+
         res.json({
             success: true,
-            message: `Cleared Redis cache matching pattern: ${cachePattern}`,
+            message: `Cleared Redis cache matching pattern: ${pattern}`,
             deletedKeys: deletedCount
         });
     } catch (err) {
@@ -237,35 +574,26 @@ app.post('/clear-redis-cache', async (req, res) => {
 });
 
 // 🚀 NEW: Clear all server-side caches endpoint - for hard refresh functionality
-app.post('/clear-all-caches', async (req, res) => {
+// Invalidates every dataset tag except STATIC_CACHE_TAGS (pass { includeStatic: true } to clear those too)
+app.post('/clear-all-caches', auth.requireRole('admin'), async (req, res) => {
     try {
+        const includeStatic = Boolean(req.body && req.body.includeStatic);
 
-        // 🚀 REDIS-ONLY: Clear all Redis caches
+        // 🏷️ REDIS-ONLY: Clear tagged caches dataset by dataset
         const clearedCaches = {};
 
         if (redisCache.isReady()) {
-            // Clear all MVT tiles
-            const mvtDeleted = await redisCache.delPattern('*_mvt_*');
-            clearedCaches.mvtTiles = mvtDeleted;
-
-            // Clear all spatial query results
-            const spatialDeleted = await redisCache.delPattern('spatial_*');
-            clearedCaches.spatialQueries = spatialDeleted;
-
-            // Clear all GeoJSON file caches
-            const geojsonDeleted = await redisCache.delPattern('geojson_*');
-            clearedCaches.competitiveSites = geojsonDeleted;
-
-            // Clear all other API response caches
-            const apiDeleted = await redisCache.delPattern('*');
-            clearedCaches.totalKeys = apiDeleted;
-
-            console.log(`✅ Cleared ${apiDeleted} total Redis keys`);
-            console.log(`   - MVT tiles: ${mvtDeleted}`);
-            console.log(`   - Spatial queries: ${spatialDeleted}`);
-            console.log(`   - Competitive sites: ${geojsonDeleted}`);
+            const tags = Object.keys(await redisCache.listTags())
+                .filter(tag => includeStatic || !STATIC_CACHE_TAGS.includes(tag));
+
+            for (const tag of tags) {
+                clearedCaches[tag] = await redisCache.invalidateTag(tag);
+            }
         } else {
-            console.warn('⚠️  Redis not connected - no caches to clear');
+            // The memory tier is the only cache while Redis is down (this instance's - the others
+            // only hear invalidations through Redis)
+            clearedCaches.memory = redisCache.clearMemory(includeStatic ? [] : STATIC_CACHE_TAGS);
+            console.warn(`⚠️  Redis not connected - cleared ${clearedCaches.memory} in-process cache entries of this instance`);
         }
 
         // Force garbage collection if available
@@ -274,18 +602,16 @@ app.post('/clear-all-caches', async (req, res) => {
             try {
                 global.gc();
                 gcTriggered = true;
-                console.log('✅ Manual garbage collection triggered');
             } catch (err) {
                 console.warn('⚠️  Failed to trigger garbage collection:', err.message);
             }
-        } else {
-            console.log('ℹ️  Manual GC not available (start Node.js with --expose-gc to enable)');
         }
 
-
         res.json({
             success: true,
-            message: 'All server-side caches cleared successfully',
+            message: includeStatic
+                ? 'All server-side caches cleared successfully'
+                : `All server-side caches cleared (kept: ${STATIC_CACHE_TAGS.join(', ')})`,
             clearedCaches,
             gcTriggered,
             timestamp: new Date().toISOString()
@@ -306,7 +632,7 @@ app.post('/clear-all-caches', async (req, res) => {
 // 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
 app.get('/planning_sites', async (req, res) => {
     // 🚀 PERFORMANCE FIX: 不再一次性加載所有數據，只返回站點類型信息用於selection list
-    const { scenarios, districts, microGrids } = req.query;
+    const { scenarios } = req.query;
 
     if (!scenarios) {
         // 只返回空結構，讓前端知道需要選擇場景
@@ -325,8 +651,15 @@ app.get('/planning_sites', async (req, res) => {
         });
     }
 
+    let scope;
+    try {
+        scope = await spatialScope.fromRequest(req);
+    } catch (error) {
+        return sendSpatialScopeError(res, error);
+    }
+
     // 🚀 REDIS CACHE: Generate cache key based on query parameters
-    const cacheKey = `planning_sites_${scenarios}_${districts || 'no_districts'}_${microGrids || 'no_microgrids'}`;
+    const cacheKey = `planning_sites_${scenarios}_${scope.key}`;
     console.log(`🔍 [Planning Sites] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
     const cached = await redisCache.get(cacheKey);
 
@@ -349,57 +682,19 @@ app.get('/planning_sites', async (req, res) => {
         });
     }
 
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
-    const districtArray = districts ? districts.split(',').filter(d => d.trim()) : [];
-
     // Safe to use validated scenarios in dynamic SQL
     const scenarioConditions = validScenarios.map((scenario) => {
         return `"${scenario}" = true`;
     }).join(' OR ');
 
-    // 🚀 FIX: Build spatial filter conditions by first querying spatial tables from cmhk_grid_data database
-    let spatialWhereClause = '';
-    let queryParams = [];
-    let paramIndex = 1;
-
-    // Step 1: Get actual microgrid geometries from cmhk_grid_data database (districts ignored)
-    // Two-step approach: Query micro_grid from correct database (pool), then use in site query
-    try {
-        if (microGridArray.length > 0) {
-            console.log(`🔍 [/planning_sites] Applying spatial filter for microgrids: ${microGridArray.join(',')}`);
-
-            // STEP 1: Query actual geometries from cmhk_grid_data database (pool)
-            const microGridPlaceholders = microGridArray.map((_, index) => `$${index + 1}`).join(',');
-            const geomQuery = `
-                SELECT ST_AsText(ST_Union(ST_Transform(geom, 4326))) as union_geom 
-                FROM public.micro_grid 
-                WHERE id IN (${microGridPlaceholders})
-            `;
-            const geomResult = await pool.query(geomQuery, microGridArray);
-
-            if (geomResult.rows.length > 0 && geomResult.rows[0].union_geom) {
-                const unionGeomWKT = geomResult.rows[0].union_geom;
-
-                // STEP 2: Use the geometry WKT in the site database query
-                spatialWhereClause = `
-                    AND ST_Intersects(
-                        ST_Transform(geom, 4326),
-                        ST_GeomFromText($${paramIndex}, 4326)
-                    )`;
-
-                queryParams = [unionGeomWKT];
-                paramIndex++;
-
-                console.log(`✅ [/planning_sites] Spatial filter applied successfully`);
-            }
-        }
-    } catch (spatialErr) {
-        console.warn('⚠️ [/planning_sites] Spatial filtering failed, proceeding without spatial filter:', spatialErr.message);
-        spatialWhereClause = '';
-        queryParams = [];
-        paramIndex = 1;
-    }
+    // 🗺️ Spatial scope: sites without geom are placed by their longitude / latitude
+    const queryParams = [];
+    const spatialWhereClause = scope.appendLonLatFilter(queryParams, {
+        geom: 'geom',
+        lon: 'longitude',
+        lat: 'latitude',
+        table: 'public.master_planning_table'
+    });
 
     const query = `
         SELECT *,
@@ -458,7 +753,7 @@ app.get('/planning_sites', async (req, res) => {
 
         // 🚀 REDIS ONLY: Store in Redis with 300s TTL
         console.log(`💾 [Planning Sites] Storing ${features.length} features in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['planning_sites']);
         if (redisStored) {
             console.log(`✅ [Planning Sites] Successfully stored in Redis with 300s TTL`);
         } else {
@@ -473,18 +768,34 @@ app.get('/planning_sites', async (req, res) => {
     }
 });
 
-// 🚀 FIXED: Planning Sites Data Endpoint - 改為基於選擇的優化版本
-// 1. 六维数据 -> 站点结构数据 -> 规划站点 (Enhanced with spatial filtering)
+const complaintQuery = new ComplaintQuery({ pool: complaintDbPool });
+
+function sendComplaintQueryError(res, error) {
+    if (error instanceof ComplaintQueryError || error instanceof SpatialScopeError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error('🚨 [Complaint Query] Request failed:', error);
+    res.status(500).json({ error: 'Complaint query failed', message: error.message });
+}
+
+// 5. 六维数据 -> 投诉数据 -> 投诉记录 (map layer: every record of the selected years, GeoJSON)
 // 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/complaint_year', async (req, res) => {
-    // 🚀 PERFORMANCE FIX: 不再一次性加載所有數據，只返回站點類型信息用於selection list
-    const { years, microGrids } = req.query;
-    const yearArray = years.split(',');
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
+app.get('/complaint_year', auditComplaintRecords, async (req, res) => {
+    let spec;
+    let scope;
+    try {
+        if (!req.query.years) {
+            throw new ComplaintQueryError('years is required (comma separated four digit years)');
+        }
+        // Only the years (and the spatial scope) apply to the map layer
+        spec = parseComplaintQuery({ years: req.query.years }, { paginate: false });
+        scope = await spatialScope.fromRequest(req);
+    } catch (error) {
+        return sendComplaintQueryError(res, error);
+    }
 
     // 🚀 REDIS CACHE: Generate cache key based on query parameters
-    const cacheKey = `complaint_year_${years}_${microGrids || 'no_microgrids'}`;
+    const cacheKey = `complaint_year_${[...spec.years].sort().join(',')}_${scope.key}`;
     console.log(`🔍 [Complaint Year] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
     const cached = await redisCache.get(cacheKey);
 
@@ -496,86 +807,12 @@ app.get('/complaint_year', async (req, res) => {
 
     console.log(`❌ [Complaint Year] REDIS MISS - Will query database and store in Redis`);
 
-    // 🚀 FIX: Build spatial filter conditions using actual microgrid geometries
-    // Two-step approach: Query micro_grid from correct database (pool), then use in complaint query
-    let spatialWhereClause = '';
-    let queryParams = [];
-    let paramIndex = 1;
-
-    try {
-        if (microGridArray.length > 0) {
-            console.log(`🔍 [/complaint_year] Applying spatial filter for microgrids: ${microGridArray.join(',')}`);
-
-            // STEP 1: Query actual geometries from cmhk_grid_data database (pool)
-            const microGridPlaceholders = microGridArray.map((_, index) => `$${index + 1}`).join(',');
-            const geomQuery = `
-                SELECT ST_AsText(ST_Union(ST_Transform(geom, 4326))) as union_geom 
-                FROM public.micro_grid 
-                WHERE id IN (${microGridPlaceholders})
-            `;
-            const geomResult = await pool.query(geomQuery, microGridArray);
-
-            if (geomResult.rows.length > 0 && geomResult.rows[0].union_geom) {
-                const unionGeomWKT = geomResult.rows[0].union_geom;
-
-                // STEP 2: Use the geometry WKT in the complaint database query
-                spatialWhereClause = `
-                    AND ST_Intersects(
-                        ST_Transform(ST_SetSRID(geom, 2326), 4326),
-                        ST_GeomFromText($${paramIndex}, 4326)
-                    )`;
-
-                queryParams = [unionGeomWKT];
-                paramIndex++;
-
-                console.log(`✅ [/complaint_year] Spatial filter applied successfully`);
-            }
-        }
-    } catch (spatialErr) {
-        console.warn('⚠️ [/complaint_year] Spatial filtering failed, proceeding without spatial filter:', spatialErr.message);
-        spatialWhereClause = '';
-        queryParams = [];
-        paramIndex = 1;
-    }
-
-    let yearSQL = '';
-    for (const year of yearArray)
-        yearSQL += `raw_input_date BETWEEN '${year}-01-01' AND '${year}-12-31' OR `;
-    yearSQL = yearSQL.slice(0, -4);
-
-    const query = `
-        SELECT raw_month, raw_input_date, raw_ref_no, raw_sub_case_no, raw_addess_seq, raw_ref_no_addess_seq, raw_sam_complaint_defination, raw_category, raw_complaint_type_level_4, raw_complaint_type_level_5, raw_complaint_type_level_6, raw_complaint_type_level_7, raw_remark, raw_customer_type, raw_rateplan, raw_postpaid_prepaid, raw_customer_class, raw_indoor_outdoor_signal_bar, root_user, root_rne_current_situation, root_rne_action, root_volte_active, root_locaion_invalid, root_cmhk_define_id, root_root_cause, root_sub_root_cause, root_root_cause_site, root_root_cause_cell, root_root_cause_remark, root_4g_serving_site, root_3g_serving_cell, root_emos_ticket, root_emos_status, root_clear_date, final_final_name_eng, final_layer1_eng, final_layer2_eng, final_final_name_chi, final_layer1_chi, final_layer2_chi, final_street_name_eng, final_street_name_chi, final_street_no, final_region_eng, final_region_chi, final_hk_district_eng, final_hk_district_chi, final_x, final_y, final_cmhk_define_id, final_mtr_line_eng, final_mtr_line_chi, solu_type, solu_sub_type, solu_related_site, solu_related_cell, solu_details,
-               ST_AsGeoJSON(
-                   ST_Transform(ST_SetSRID(geom, 2326), 4326)
-               )::json AS geometry
-        FROM masscomplaint.complaint_root_master_final
-        WHERE (geom IS NOT NULL)
-          AND raw_month != 'removed'
-          AND (${yearSQL})
-          ${spatialWhereClause};
-    `;
-
     try {
-        const { rows } = await complaintDbPool.query(query, queryParams);
-        const features = rows
-            .filter(r => r.geometry) // ensure valid geometry is returned to the client
-            .map(row => {
-                const { geometry, geom, ...props} = row;
-                return {
-                    type: 'Feature',
-                    properties: props,
-                    geometry,
-                };
-            });
-
-        const responseData = {
-            type: 'FeatureCollection',
-            features
-        };
+        const responseData = await complaintQuery.run(spec, scope);
 
         // 🚀 REDIS ONLY: Store in Redis with 300s TTL
-        console.log(`💾 [Complaint Year] Storing ${features.length} features in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        console.log(`💾 [Complaint Year] Storing ${responseData.features.length} features in Redis...`);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['complaint']);
         if (redisStored) {
             console.log(`✅ [Complaint Year] Successfully stored in Redis with 300s TTL`);
         } else {
@@ -590,9 +827,25 @@ app.get('/complaint_year', async (req, res) => {
     }
 });
 
+// 🔎 GET /api/complaints?[from=YYYY-MM-DD][&to=YYYY-MM-DD][&years=2024,2025]
+//    [&category=..][&type_level_4..7=..][&root_cause=..][&district=..][&customer_class=..]
+//    [&mtr_line=..][&emos_status=..][&microGrids=1,2][&aoi=3]
+//    [&sort=-raw_input_date][&fields=a,b][&limit=500][&cursor=..][&format=geojson|table]
+// List filters take comma separated values (any of). The next page is requested with the
+// response's next_cursor (null on the last page) and otherwise unchanged parameters
+app.get('/api/complaints', auditComplaintRecords, async (req, res) => {
+    try {
+        const spec = parseComplaintQuery(req.query);
+        const scope = await spatialScope.fromRequest(req);
+        res.json(await complaintQuery.run(spec, scope));
+    } catch (error) {
+        sendComplaintQueryError(res, error);
+    }
+});
+
 // 🚀 NEW: 126 New Site Data Endpoint - 基於GeoJSON文件
 // 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/126_new_sites', async (req, res) => {
+app.get('/126_new_sites', auth.requireFullArea, async (req, res) => {
     const fs = require('fs');
     const path = require('path');
 
@@ -704,7 +957,7 @@ app.get('/126_new_sites', async (req, res) => {
 
         // 🚀 REDIS ONLY: Store in Redis with 300s TTL
         console.log(`💾 [126 New Sites] Storing ${validFeatures.length} features in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['new_sites_126']);
         if (redisStored) {
             console.log(`✅ [126 New Sites] Successfully stored in Redis with 300s TTL`);
         } else {
@@ -727,7 +980,7 @@ app.get('/126_new_sites', async (req, res) => {
 // 🚀 NEW: 126 Activated Sites Data Endpoint - 已開通站點
 // Filters sites from the main 126sitelist.geojson where 完成情況 and 完成日期 are not null
 // 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/126_activated_sites', async (req, res) => {
+app.get('/126_activated_sites', auth.requireFullArea, async (req, res) => {
     const fs = require('fs');
     const path = require('path');
 
@@ -803,7 +1056,7 @@ app.get('/126_activated_sites', async (req, res) => {
 
         // 🚀 REDIS ONLY: Store in Redis with 300s TTL
         console.log(`💾 [126 Activated Sites] Storing ${activatedFeatures.length} features in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['new_sites_126']);
         if (redisStored) {
             console.log(`✅ [126 Activated Sites] Successfully stored in Redis with 300s TTL`);
         } else {
@@ -827,10 +1080,15 @@ app.get('/126_activated_sites', async (req, res) => {
 // Display all planning sites from micro_grid.planning_729list table with click-to-display details
 // 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
 app.get('/planning_729_sites', async (req, res) => {
-    const { districts, microGrids } = req.query;
+    let scope;
+    try {
+        scope = await spatialScope.fromRequest(req);
+    } catch (error) {
+        return sendSpatialScopeError(res, error);
+    }
 
     // 🚀 REDIS CACHE: Generate cache key based on query parameters
-    const cacheKey = `planning_729_sites_${districts || 'no_districts'}_${microGrids || 'no_microgrids'}`;
+    const cacheKey = `planning_729_sites_${scope.key}`;
     console.log(`🔍 [Planning 729 Sites] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
     const cached = await redisCache.get(cacheKey);
 
@@ -843,41 +1101,8 @@ app.get('/planning_729_sites', async (req, res) => {
     console.log(`❌ [Planning 729 Sites] REDIS MISS - Will query database and store in Redis`);
 
     try {
-        // Parse spatial filter parameters
-        const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
-        const districtArray = districts ? districts.split(',').filter(d => d.trim()) : [];
-
-        // Build spatial filter conditions using actual microgrid geometries
-        let spatialWhereClause = '';
-        let queryParams = [];
-        let paramIndex = 1;
-
-        try {
-            if (microGridArray.length > 0) {
-                console.log(`🔍 [/planning_729_sites] Applying spatial filter for microgrids: ${microGridArray.join(',')}`);
-
-                // Use actual microgrid geometries for precise spatial filtering
-                const microGridPlaceholders = microGridArray.map((_, index) => `$${paramIndex + index}`).join(',');
-
-                spatialWhereClause = `
-                    AND ST_Intersects(
-                        geom,
-                        (SELECT ST_Union(ST_Transform(mg.geom, 4326))
-                         FROM public.micro_grid mg
-                         WHERE mg.id IN (${microGridPlaceholders}))
-                    )`;
-
-                queryParams = [...queryParams, ...microGridArray];
-                paramIndex += microGridArray.length;
-
-                console.log(`✅ [/planning_729_sites] Spatial filter applied successfully`);
-            }
-        } catch (spatialErr) {
-            console.warn('⚠️ [/planning_729_sites] Spatial filtering failed, proceeding without spatial filter:', spatialErr.message);
-            spatialWhereClause = '';
-            queryParams = [];
-            paramIndex = 1;
-        }
+        const queryParams = [];
+        const spatialWhereClause = scope.appendFilter('geom', queryParams, { srid: 4326 });
 
         // Query the planning_729list table
         const query = `
@@ -951,7 +1176,7 @@ app.get('/planning_729_sites', async (req, res) => {
 
         // 🚀 REDIS ONLY: Store in Redis with 300s TTL
         console.log(`💾 [Planning 729 Sites] Storing ${features.length} features in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['planning_729_sites']);
         if (redisStored) {
             console.log(`✅ [Planning 729 Sites] Successfully stored in Redis with 300s TTL`);
         } else {
@@ -976,7 +1201,7 @@ app.get('/planning_729_sites', async (req, res) => {
 // 2. 六维数据 -> 站点结构数据 -> 现网站点 (Enhanced with spatial filtering)
 // 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
 app.get('/live_sites', async (req, res) => {
-    const { site_types, districts, microGrids } = req.query;
+    const { site_types } = req.query;
 
     if (!site_types) {
         // 返回空結構，讓前端知道需要選擇站點類型
@@ -995,8 +1220,15 @@ app.get('/live_sites', async (req, res) => {
         });
     }
 
+    let scope;
+    try {
+        scope = await spatialScope.fromRequest(req);
+    } catch (error) {
+        return sendSpatialScopeError(res, error);
+    }
+
     // 🚀 REDIS CACHE: Generate cache key based on query parameters
-    const cacheKey = `live_sites_${site_types}_${districts || 'no_districts'}_${microGrids || 'no_microgrids'}`;
+    const cacheKey = `live_sites_${site_types}_${scope.key}`;
     console.log(`🔍 [Live Sites] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
     const cached = await redisCache.get(cacheKey);
 
@@ -1035,53 +1267,11 @@ app.get('/live_sites', async (req, res) => {
         });
     }
 
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
-    const districtArray = districts ? districts.split(',').filter(d => d.trim()) : [];
-
     // 🚀 SECURITY FIX: Use parameterized query to prevent SQL injection
     // Generate placeholders for the parameterized query
-    let queryParams = [...dbSiteTypes];
-    let paramIndex = dbSiteTypes.length + 1;
+    const queryParams = [...dbSiteTypes];
     const placeholders = dbSiteTypes.map((_, index) => `$${index + 1}`).join(', ');
-
-    // 🚀 FIX: Build spatial filter conditions using actual microgrid geometries
-    // Two-step approach: Query micro_grid from correct database (pool), then use in site query
-    let spatialWhereClause = '';
-
-    try {
-        if (microGridArray.length > 0) {
-            console.log(`🔍 [/live_sites] Applying spatial filter for microgrids: ${microGridArray.join(',')}`);
-
-            // STEP 1: Query actual geometries from cmhk_grid_data database (pool)
-            const microGridPlaceholders = microGridArray.map((_, index) => `$${index + 1}`).join(',');
-            const geomQuery = `
-                SELECT ST_AsText(ST_Union(ST_Transform(geom, 4326))) as union_geom 
-                FROM public.micro_grid 
-                WHERE id IN (${microGridPlaceholders})
-            `;
-            const geomResult = await pool.query(geomQuery, microGridArray);
-
-            if (geomResult.rows.length > 0 && geomResult.rows[0].union_geom) {
-                const unionGeomWKT = geomResult.rows[0].union_geom;
-
-                // STEP 2: Use the geometry WKT in the site database query
-                spatialWhereClause = `
-                    AND ST_Intersects(
-                        ST_Transform(geom, 4326),
-                        ST_GeomFromText($${paramIndex}, 4326)
-                    )`;
-
-                queryParams = [...queryParams, unionGeomWKT];
-                paramIndex++;
-
-                console.log(`✅ [/live_sites] Spatial filter applied successfully`);
-            }
-        }
-    } catch (spatialErr) {
-        console.warn('⚠️ [/live_sites] Spatial filtering failed, proceeding without spatial filter:', spatialErr.message);
-        spatialWhereClause = '';
-    }
+    const spatialWhereClause = scope.appendFilter('geom', queryParams);
 
     const query = `
         SELECT master_idx, live_site_id, plan_site_name, coverage_objective, address,
@@ -1124,7 +1314,7 @@ app.get('/live_sites', async (req, res) => {
 
         // 🚀 REDIS ONLY: Store in Redis with 300s TTL
         console.log(`💾 [Live Sites] Storing ${features.length} features in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['live_sites']);
         if (redisStored) {
             console.log(`✅ [Live Sites] Successfully stored in Redis with 300s TTL`);
         } else {
@@ -1183,223 +1373,101 @@ app.get('/live_sites', async (req, res) => {
     }
 });
 
-// Competition Scenario Testing Data as Mapbox Vector Tiles (MVT) 
-// 3. 六维数据 -> 测试数据 -> 競對場景 (LTE/NR)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/competition_scenario_test/:technology/:scenario/mvt/:z/:x/:y', async (req, res) => {
-    const { technology, scenario, z, x, y } = req.params;
-    const { microGrids, renderingMode } = req.query;
+// ********************************************************************* //
+// 🗂️ MVT 圖層註冊表 開始 - Generic tile route for every registered layer
+// ********************************************************************* //
 
-    // Validate technology parameter
-    if (technology !== 'lte' && technology !== 'nr') {
-        return res.status(400).json({
-            error: 'Invalid technology',
-            validTechnologies: ['lte', 'nr']
-        });
+/**
+ * Parse the microGrids query parameter into an array of integer IDs
+ * @param {string|Array} microGrids - Comma separated string or array of IDs
+ * @returns {Array<number>}
+ */
+function parseMicroGridParam(microGrids) {
+    if (!microGrids) {
+        return [];
     }
+    const rawIds = typeof microGrids === 'string' ? microGrids.split(',') : microGrids;
+    return rawIds.map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id));
+}
 
-    // Validate scenario parameter (expect Chinese scenario names directly)
-    const validScenarios = ['競強我強', '競強我弱', '競弱我強', '競弱我弱'];
-    if (!validScenarios.includes(scenario)) {
-        return res.status(400).json({
-            error: 'Invalid competition scenario',
-            validScenarios: validScenarios
-        });
-    }
+// ♻️ Seconds an expired tile may still be served while one worker re-renders it
+const TILE_STALE_TTL = config.cache.tileStaleTtl;
 
-    const chineseScenario = scenario; // Already in Chinese
+/**
+ * Get one tile of a registered layer from the cache, rendering it on a miss
+ * Shared by serveLayerTile and the tile seeder so both use the same cache keys
+ * @param {Object} layer - Layer definition from layerRegistry
+ * @param {number} zi, xi, yi - Tile coordinates
+ * @param {SpatialScope} scope - Resolved spatial scope (UNFILTERED = whole layer)
+ * @returns {Promise<{value: Buffer, status: string, tier: string|null}>}
+ */
+function getLayerTile(layer, zi, xi, yi, scope) {
+    const baseKey = buildTileCacheKey(layer, zi, xi, yi);
+    const cacheKey = scope.isFiltered ? `${baseKey}_scope_${scope.key}` : baseKey;
+
+    const bounds = tileToBounds(zi, xi, yi);
+    const dbPool = poolsByName[layer.pool];
+
+    // 🔒 SINGLE-FLIGHT: Concurrent misses for the same tile (all PM2 instances) share one ST_AsMVT query;
+    // ♻️ after the 300s TTL the old tile is served for up to TILE_STALE_TTL while one worker refreshes it
+    const renderTile = async () => {
+        console.log(`❌ [${layer.label}] REDIS MISS - Querying database: ${cacheKey.substring(0, 60)}...`);
+        // $1-$4 are the tile bounds, the scope geometry follows
+        const spatialFilter = scope.toFilter(`t.${layer.geomColumn}`, { srid: layer.srid, offset: 4 });
+        const { sql, params } = buildTileQuery(layer, bounds, spatialFilter);
+        const { rows } = await dbPool.query(sql, params);
+        // Empty tiles are cached too - most of the map is empty for sparse layers
+        return rows[0] && rows[0].tile ? rows[0].tile : Buffer.alloc(0);
+    };
 
-    // 🚀 SECURITY: Block 六維數據 (CMHK test data) access in 區域模式 - micro grids only
-    if (renderingMode === 'spatial' && (!microGrids || microGrids === '')) {
-        return res.status(403).json({
-            error: 'Access denied',
-            message: '請先選擇微網格後才能存取六維數據競對場景資料'
-        });
-    }
+    return redisCache.getOrCompute(cacheKey, renderTile, {
+        ttl: 300,
+        staleTtl: TILE_STALE_TTL,
+        tags: [layer.dataset, 'mvt'],
+        contentType: 'application/x-protobuf'
+    });
+}
 
-    const zi = parseInt(z, 10);
-    const xi = parseInt(x, 10);
-    const yi = parseInt(y, 10);
+/**
+ * 🚀 GENERIC MVT HANDLER: Serves one tile of a registered layer
+ * parse z/x/y → scope → Redis lookup (single-flight, stale-while-revalidate) → spatial filter → ST_AsMVT → Redis store
+ * 🚀 REDIS ONLY: This handler uses Redis cache exclusively (no node-cache fallback)
+ * @param {Object} req - Express request (params: z, x, y; query: microGrids - already clipped by auth.enforceScope)
+ * @param {Object} res - Express response
+ * @param {Object} layer - Layer definition from layerRegistry
+ */
+async function serveLayerTile(req, res, layer) {
+    const { z, x, y } = req.params;
+
+    const zi = parseInt(z, 10);
+    const xi = parseInt(x, 10);
+    const yi = parseInt(y, 10);
     if ([zi, xi, yi].some(Number.isNaN)) {
         return res.status(400).send('Invalid tile coordinates');
     }
 
-    // 🔍 DEBUG: Log received query parameters
-
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
-    const districtArray = []; // No districts parameter in this endpoint
-
-    // 🔍 DEBUG: Log parsed arrays
-
-    // 🚀 OPTIMIZED: Use hierarchical cache key generation for better cache hit rates
-    const baseCacheKey = `competition_scenario_test_${technology}_${scenario}_mvt_${zi}_${xi}_${yi}`;
-    const cacheKey = generateHierarchicalCacheKey(baseCacheKey, microGridArray, zi);
-
-    // 🔍 DEBUG: Log cache key
-
-    // 🚀 REDIS ONLY: No fallback to node-cache (Plan B)
-    console.log(`🔍 [Competition Scenario MVT] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
-    const cached = await redisCache.get(cacheKey);
-
-    if (cached) {
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('X-Cache', 'HIT-REDIS');
-        res.setHeader('X-Cache-Experiment', 'Redis-Only-No-Fallback');
-        console.log(`✅ [Competition Scenario MVT] REDIS HIT! Returning cached tile (${cached.length} bytes)`);
-        console.log(`✅ [Competition Scenario MVT] Cache key: ${cacheKey}`);
-        return res.send(cached);
-    }
-
-    console.log(`❌ [Competition Scenario MVT] REDIS MISS - Will query database and store in Redis`);
-    console.log(`❌ [Competition Scenario MVT] Cache key: ${cacheKey}`);
-
-    // Compute tile bounds in WGS84 (EPSG:4326)
-    const n = Math.pow(2, zi);
-    const lonLeft = (xi / n) * 360 - 180;
-    const lonRight = ((xi + 1) / n) * 360 - 180;
-    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * yi / n)));
-    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (yi + 1) / n)));
-    const latTop = (latTopRad * 180) / Math.PI;
-    const latBottom = (latBottomRad * 180) / Math.PI;
-
-    // 🚀 OPTIMIZED: Generate spatial filter clause with enhanced caching
-    const { whereClause: spatialWhere, params: spatialParams } = await generateSpatialFilter(microGridArray);
-
-    // 🔍 DEBUG: Log generated spatial filter
-
-    // Build technology-specific query based on LTE or NR - using new four-quadrant tables
-    let tableName;
-    const scenarioColumn = 'max_rsrp_場景'; // Both new tables use the same column name
-
-    if (technology === 'nr') {
-        // For NR data, use the new NR four-quadrant table
-        tableName = 'public.cmhk_grid_drive_test_four_quadrants_nr_new';
-    } else {
-        // For LTE data, use the new LTE four-quadrant table
-        tableName = 'public.cmhk_grid_drive_test_four_quadrants_lte_new';
+    // 🔐 SECURITY: Layers without spatial filtering ignore the area selection (and share one
+    // cache entry) - except for restricted users, whose scope is always applied
+    let scope = UNFILTERED_SCOPE;
+    if (layer.spatialFilter || req.scope.restricted) {
+        try {
+            scope = await spatialScope.fromRequest(req);
+        } catch (error) {
+            return sendSpatialScopeError(res, error);
+        }
     }
 
-    const sql = `
-        WITH bounds AS (
-            SELECT 
-                ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-        ), mvtgeom AS (
-            SELECT 
-                t.grid_id as id,
-                t.${scenarioColumn} as max_rsrp_scenario,
-                ST_AsMVTGeom(
-                    ST_Transform(t.geom, 3857),
-                    b.merc_bounds,
-                    4096,
-                    64,
-                    true
-                ) AS geom
-            FROM ${tableName} t, bounds b
-            WHERE t.${scenarioColumn} = $${spatialParams.length + 5}
-              AND t.geom && b.hk_bounds_2326
-              AND ST_Intersects(t.geom, b.hk_bounds_2326)
-              ${spatialWhere}
-        )
-        SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-    `;
+    const dbPool = poolsByName[layer.pool];
 
     try {
-        const queryParams = [lonLeft, latBottom, lonRight, latTop, ...spatialParams, chineseScenario];
-
-        // 🔍 DEBUG: Log final query parameters
-
-        const { rows } = await pool.query(sql, queryParams);
-        const tile = rows[0] && rows[0].tile ? rows[0].tile : null;
-
-        // 🔍 DEBUG: Log query results
+        const { value: tile, status, tier } = await getLayerTile(layer, zi, xi, yi, scope);
 
         res.setHeader('Content-Type', 'application/x-protobuf');
-        if (!tile || tile.length === 0) {
-            return res.send(Buffer.from([]));
-        }
-
-        // 🚀 REDIS ONLY: Store in Redis only (no node-cache backup)
-        if (tile) {
-            console.log(`💾 [Competition Scenario MVT] Storing tile in Redis (${tile.length} bytes)...`);
-            const redisStored = await redisCache.set(cacheKey, tile, 300);
-            if (redisStored) {
-                console.log(`✅ [Competition Scenario MVT] Successfully stored in Redis with 300s TTL`);
-                console.log(`✅ [Competition Scenario MVT] Cache key: ${cacheKey}`);
-            } else {
-                console.error(`❌ [Competition Scenario MVT] FAILED to store in Redis!`);
-            }
-        }
-
-        res.setHeader('X-Cache', 'MISS');
-        console.log(`📤 [Competition Scenario MVT] Sending tile to client (${tile.length} bytes)`);
+        res.setHeader('X-Cache', status === 'MISS' ? 'MISS' : `${status}-${tier}`);
         res.send(tile);
     } catch (err) {
-        console.error(`🚨 Error generating MVT for ${chineseScenario} competition scenario:`, err.message);
-        console.error('Cache stats - Hits:', cacheStats.hits, 'Misses:', cacheStats.misses);
-        console.error('🚨 Full error stack:', err.stack);
-
-        // 🔍 DEBUG: Log SQL and parameters that caused the error
-        console.error('🚨 Failed SQL query:', sql);
-        console.error('🚨 Failed query parameters:', [lonLeft, latBottom, lonRight, latTop, ...spatialParams, chineseScenario]);
-
-        // 🚀 FAILSAFE: Try simpler spatial filter if complex one fails
-        if (spatialWhere && (districtArray.length > 0 || microGridArray.length > 0)) {
-            try {
-                const { whereClause: simpleSpatialWhere, params: simpleSpatialParams } = generateSimpleSpatialFilter(districtArray, microGridArray);
-
-                const fallbackSql = `
-                    WITH bounds AS (
-                        SELECT 
-                            ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                            ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                            ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-                    ), mvtgeom AS (
-                        SELECT 
-                            t.grid_id as id,
-                            t.${scenarioColumn} as max_rsrp_scenario,
-                            ST_AsMVTGeom(
-                                ST_Transform(t.geom, 3857),
-                                b.merc_bounds,
-                                4096,
-                                64,
-                                true
-                            ) AS geom
-                        FROM ${tableName} t, bounds b
-                        WHERE t.${scenarioColumn} = $${simpleSpatialParams.length + 5}
-                          AND t.geom && b.hk_bounds_2326
-                          AND ST_Intersects(t.geom, b.hk_bounds_2326)
-                          ${simpleSpatialWhere}
-                    )
-                    SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-                `;
-
-                const fallbackParams = [lonLeft, latBottom, lonRight, latTop, ...simpleSpatialParams, chineseScenario];
-
-                const { rows: fallbackRows } = await pool.query(fallbackSql, fallbackParams);
-                const fallbackTile = fallbackRows[0] && fallbackRows[0].tile ? fallbackRows[0].tile : null;
-
-
-                res.setHeader('Content-Type', 'application/x-protobuf');
-                if (!fallbackTile || fallbackTile.length === 0) {
-                    return res.send(Buffer.from([]));
-                }
-
-                // Return fallback tile (Redis-only architecture, no node-cache fallback)
-                return res.send(fallbackTile);
-
-            } catch (fallbackErr) {
-                console.error(`🚨 FAILSAFE: Simple spatial filter also failed for ${chineseScenario}:`, fallbackErr.message);
-            }
-        }
-
-        // Check for specific SQL errors that might indicate spatial filtering issues
-        if (err.message.includes('relation') && err.message.includes('does not exist')) {
-            console.error('🚨 SPATIAL FILTER ERROR: Spatial filtering table does not exist!');
-            console.error('🚨 This suggests that micro_grid table is missing from cmhk_grid_data database');
-        }
+        console.error(`🚨 Error generating MVT for layer ${layer.id}:`, err);
+        console.error(`Pool status after error - Total: ${dbPool.totalCount}, Idle: ${dbPool.idleCount}, Waiting: ${dbPool.waitingCount}`);
 
         if (err.message.includes('too many clients') || err.message.includes('remaining connection slots')) {
             return res.status(503).json({
@@ -1409,1140 +1477,998 @@ app.get('/competition_scenario_test/:technology/:scenario/mvt/:z/:x/:y', async (
         }
 
         res.status(500).json({
-            error: `Internal server error generating map tiles for ${chineseScenario}`,
+            error: `Internal server error generating map tiles for ${layer.id}`,
             debug: {
-                scenario: chineseScenario,
-                districts: districtArray,
-                microGrids: microGridArray,
-                spatialFilterApplied: spatialWhere ? true : false,
+                layer: layer.id,
+                scope: scope.describe(),
                 sqlError: err.message
             }
         });
     }
-});
-
-// 3.1. 六维数据 -> 测试数据 -> RSRP 数据 (LTE/NR)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/cmhk_rsrp_data/:technology/mvt/:z/:x/:y', async (req, res) => {
-    const { technology, z, x, y } = req.params;
-    const { microGrids, renderingMode } = req.query;
+}
 
-    if (technology !== 'lte' && technology !== 'nr') {
-        return res.status(400).json({
-            error: 'Invalid technology',
-            validTechnologies: ['lte', 'nr']
-        });
-    }
+// 🚀 ENDPOINT: Registered layer listing
+app.get('/tiles', (req, res) => {
+    const { group } = req.query;
+    res.json({
+        layers: listLayers(group).map(describeLayer),
+        timestamp: new Date().toISOString()
+    });
+});
 
-    if (renderingMode === 'spatial' && (!microGrids || microGrids === '')) {
-        return res.status(403).json({
-            error: 'Access denied',
-            message: '請先選擇微網格後才能存取六維數據RSRP資料'
+// 🚀 ENDPOINT: Generic MVT tile route for every registered layer
+app.get('/tiles/:layerId/:z/:x/:y', auditLayerTiles, async (req, res) => {
+    const layer = getLayer(req.params.layerId);
+    if (!layer) {
+        return res.status(404).json({
+            error: 'Unknown layer',
+            layerId: req.params.layerId,
+            validLayers: listLayers().map(l => l.id)
         });
     }
+    return serveLayerTile(req, res, layer);
+});
 
-    const zi = parseInt(z, 10);
-    const xi = parseInt(x, 10);
-    const yi = parseInt(y, 10);
-    if ([zi, xi, yi].some(Number.isNaN)) {
-        return res.status(400).send('Invalid tile coordinates');
-    }
-
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
-    const districtArray = []; // No districts parameter in this endpoint
+// ********************************************************************* //
+// 🌱 圖塊預熱 開始 - Tile pre-seeding jobs (admin; CLI: node seedTiles.js)
+// ********************************************************************* //
 
-    // 🚀 OPTIMIZED: Use hierarchical cache key generation for better cache hit rates
-    const baseCacheKey = `cmhk_rsrp_data_${technology}_mvt_${zi}_${xi}_${yi}`;
-    const cacheKey = generateHierarchicalCacheKey(baseCacheKey, microGridArray, zi);
+/**
+ * WGS84 bbox [west, south, east, north] of a micro grid selection
+ */
+async function resolveMicroGridBounds(microGridIds) {
+    const { rows } = await pool.query(`
+        SELECT ST_XMin(extent) AS west, ST_YMin(extent) AS south, ST_XMax(extent) AS east, ST_YMax(extent) AS north
+        FROM (
+            SELECT ST_Extent(ST_Transform(geom, 4326)) AS extent
+            FROM public.micro_grid
+            WHERE id = ANY($1::int[]) AND geom IS NOT NULL
+        ) e
+    `, [microGridIds]);
+    const row = rows[0];
+    return row && row.west !== null ? [row.west, row.south, row.east, row.north] : null;
+}
 
-    // 🚀 REDIS ONLY: No fallback to node-cache (Plan B)
-    console.log(`🔍 [RSRP MVT] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
-    const cached = await redisCache.get(cacheKey);
+const tileSeeder = new TileSeeder({
+    getLayer,
+    // Jobs store micro grid IDs - resolved scopes are remembered in memory, so this is one lookup per job
+    getTile: async (layer, z, x, y, microGrids) => getLayerTile(layer, z, x, y, await spatialScope.resolve({ microGrids })),
+    getPool: layer => poolsByName[layer.pool],
+    resolveMicroGridBounds
+});
 
-    if (cached) {
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('X-Cache', 'HIT-REDIS');
-        res.setHeader('X-Cache-Experiment', 'Redis-Only-No-Fallback');
-        console.log(`✅ [RSRP MVT] REDIS HIT! Returning cached tile (${cached.length} bytes)`);
-        console.log(`✅ [RSRP MVT] Cache key: ${cacheKey}`);
-        return res.send(cached);
-    }
-
-    console.log(`❌ [RSRP MVT] REDIS MISS - Will query database and store in Redis`);
-    console.log(`❌ [RSRP MVT] Cache key: ${cacheKey}`);
-
-    // Compute tile bounds in WGS84 (EPSG:4326)
-    const n = Math.pow(2, zi);
-    const lonLeft = (xi / n) * 360 - 180;
-    const lonRight = ((xi + 1) / n) * 360 - 180;
-    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * yi / n)));
-    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (yi + 1) / n)));
-    const latTop = (latTopRad * 180) / Math.PI;
-    const latBottom = (latBottomRad * 180) / Math.PI;
-
-    // 🚀 OPTIMIZED: Generate spatial filter clause with enhanced caching
-    const { whereClause: spatialWhere, params: spatialParams } = await generateSpatialFilter(microGridArray);
-
-    // Build technology-specific query based on LTE or NR
-    let tableName;
-    let rsrpColumn;
-
-    if (technology === 'nr') {
-        // For NR data, use the NR four-quadrant table
-        tableName = 'public.cmhk_grid_drive_test_four_quadrants_nr_new';
-        rsrpColumn = 'n_rsrp_cmhk';
-    } else {
-        // For LTE data, use the LTE four-quadrant table
-        tableName = 'public.cmhk_grid_drive_test_four_quadrants_lte_new';
-        rsrpColumn = 'l_rsrp_cmhk';
+function sendSeedError(res, error) {
+    if (error instanceof SeedRequestError) {
+        return res.status(error.status).json({ error: error.message });
     }
+    console.error('🚨 [Tile Seed] Request failed:', error);
+    res.status(500).json({ error: 'Tile seed request failed', message: error.message });
+}
 
-    const sql = `
-        WITH bounds AS (
-            SELECT 
-                ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-        ), mvtgeom AS (
-            SELECT 
-                t.grid_id as id,
-                t.${rsrpColumn} as rsrp_value,
-                ST_AsMVTGeom(
-                    ST_Transform(t.geom, 3857),
-                    b.merc_bounds,
-                    4096,
-                    64,
-                    true
-                ) AS geom
-            FROM ${tableName} t, bounds b
-            WHERE t.${rsrpColumn} IS NOT NULL
-              AND t.geom && b.hk_bounds_2326
-              AND ST_Intersects(t.geom, b.hk_bounds_2326)
-              ${spatialWhere}
-        )
-        SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-    `;
-
+// 🌱 Start a job: { layers, minZoom, maxZoom, microGrids | bbox, concurrency }
+app.post('/tiles/seed', auth.requireRole('admin'), async (req, res) => {
     try {
-        const queryParams = [lonLeft, latBottom, lonRight, latTop, ...spatialParams];
+        const job = await tileSeeder.createJob({ ...req.query, ...(req.body || {}) }, req.user);
+        res.status(202).json(TileSeeder.describeJob(job));
+    } catch (error) {
+        sendSeedError(res, error);
+    }
+});
 
-        const { rows } = await pool.query(sql, queryParams);
-        const tile = rows[0] && rows[0].tile ? rows[0].tile : null;
+app.get('/tiles/seed', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const jobs = await tileSeeder.listJobs();
+        res.json({ jobs: jobs.map(TileSeeder.describeJob) });
+    } catch (error) {
+        sendSeedError(res, error);
+    }
+});
 
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        if (!tile || tile.length === 0) {
-            return res.send(Buffer.from([]));
+app.get('/tiles/seed/:jobId', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const job = await tileSeeder.getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: `Seed job not found: ${req.params.jobId}` });
         }
+        res.json(TileSeeder.describeJob(job));
+    } catch (error) {
+        sendSeedError(res, error);
+    }
+});
 
-        // 🚀 REDIS ONLY: Store in Redis only (no node-cache backup)
-        if (tile) {
-            console.log(`💾 [RSRP MVT] Storing tile in Redis (${tile.length} bytes)...`);
-            const redisStored = await redisCache.set(cacheKey, tile, 300);
-            if (redisStored) {
-                console.log(`✅ [RSRP MVT] Successfully stored in Redis with 300s TTL`);
-                console.log(`✅ [RSRP MVT] Cache key: ${cacheKey}`);
-            } else {
-                console.error(`❌ [RSRP MVT] FAILED to store in Redis!`);
-            }
-        }
+app.post('/tiles/seed/:jobId/resume', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const job = await tileSeeder.resumeJob(req.params.jobId);
+        res.status(202).json(TileSeeder.describeJob(job));
+    } catch (error) {
+        sendSeedError(res, error);
+    }
+});
 
-        res.setHeader('X-Cache', 'MISS');
-        console.log(`📤 [RSRP MVT] Sending tile to client (${tile.length} bytes)`);
-        res.send(tile);
-    } catch (err) {
-        console.error(`🚨 Error generating MVT for ${technology} RSRP data:`, err.message);
-        console.error('Cache stats - Hits:', cacheStats.hits, 'Misses:', cacheStats.misses);
-        console.error('🚨 Full error stack:', err.stack);
+app.post('/tiles/seed/:jobId/cancel', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const job = await tileSeeder.cancelJob(req.params.jobId);
+        res.json(TileSeeder.describeJob(job));
+    } catch (error) {
+        sendSeedError(res, error);
+    }
+});
 
-        // 🚀 FAILSAFE: Try simpler spatial filter if complex one fails
-        if (spatialWhere && (districtArray.length > 0 || microGridArray.length > 0)) {
-            try {
-                const { whereClause: simpleSpatialWhere, params: simpleSpatialParams } = generateSimpleSpatialFilter(districtArray, microGridArray);
+// ********************************************************************* //
+// 🌱 圖塊預熱 結束
+// ********************************************************************* //
 
-                const fallbackSql = `
-                    WITH bounds AS (
-                        SELECT 
-                            ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                            ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                            ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-                    ), mvtgeom AS (
-                        SELECT 
-                            t.grid_id as id,
-                            t.${rsrpColumn} as rsrp_value,
-                            ST_AsMVTGeom(
-                                ST_Transform(t.geom, 3857),
-                                b.merc_bounds,
-                                4096,
-                                64,
-                                true
-                            ) AS geom
-                        FROM ${tableName} t, bounds b
-                        WHERE t.${rsrpColumn} IS NOT NULL
-                          AND t.geom && b.hk_bounds_2326
-                          AND ST_Intersects(t.geom, b.hk_bounds_2326)
-                          ${simpleSpatialWhere}
-                    )
-                    SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-                `;
+// ********************************************************************* //
+// 📦 MBTiles 匯出 開始 - Offline layer packages for site visits / QGIS
+// ********************************************************************* //
 
-                const fallbackParams = [lonLeft, latBottom, lonRight, latTop, ...simpleSpatialParams];
+const mbtilesExporter = new MBTilesExporter({
+    getLayer,
+    getPool: layer => poolsByName[layer.pool],
+    resolveMicroGridBounds,
+    resolveSpatialScope: microGrids => spatialScope.resolve({ microGrids })
+});
 
-                const { rows: fallbackRows } = await pool.query(fallbackSql, fallbackParams);
-                const fallbackTile = fallbackRows[0] && fallbackRows[0].tile ? fallbackRows[0].tile : null;
+// Audited layers (complaint data) in an export are written to the data access audit log
+const auditMBTilesExport = auditLog.track(req => {
+    const audited = String(req.query.layers || '').split(',')
+        .map(id => getLayer(id.trim()))
+        .find(layer => layer && layer.audit);
+    return audited ? audited.audit : null;
+});
 
-                res.setHeader('Content-Type', 'application/x-protobuf');
-                if (!fallbackTile || fallbackTile.length === 0) {
-                    return res.send(Buffer.from([]));
-                }
+// 📦 POST /export/mbtiles?layers=a,b&minZoom=12&maxZoom=16&microGrids=1,2[&bbox=w,s,e,n][&name=x]
+// Answers the .mbtiles file itself (summary in X-Export-Summary) and removes it from MBTILES_EXPORT_DIR
+// once sent, so every role can take its export and nothing piles up on the server.
+// Restricted users always export their selected micro grids (validated by auth.enforceScope) - never a free bbox
+app.post('/export/mbtiles', auditMBTilesExport, async (req, res) => {
+    const params = { ...req.query };
+    if (req.scope.restricted) {
+        delete params.bbox;
+    }
 
-                // Return fallback tile (Redis-only architecture, no node-cache fallback)
-                return res.send(fallbackTile);
+    let result;
+    try {
+        result = await mbtilesExporter.export(params, req.user);
+    } catch (error) {
+        return sendSeedError(res, error);
+    }
 
-            } catch (fallbackErr) {
-                console.error(`🚨 FAILSAFE: Simple spatial filter also failed for ${technology} RSRP:`, fallbackErr.message);
-            }
+    const { path: filePath, ...summary } = result;
+    res.setHeader('X-Export-Summary', JSON.stringify(summary));
+    res.download(filePath, result.fileName, (error) => {
+        if (error && !res.headersSent) {
+            sendSeedError(res, error);
         }
-
-        res.status(500).json({
-            error: `Internal server error generating map tiles for ${technology} RSRP data`,
-            debug: {
-                technology: technology,
-                districts: districtArray,
-                microGrids: microGridArray,
-                spatialFilterApplied: spatialWhere ? true : false,
-                sqlError: err.message
-            }
-        });
-    }
+        fs.promises.unlink(filePath).catch(() => {});
+    });
 });
 
-// 3.2. 六维数据 -> 测试数据 -> SINR 数据 (LTE/NR)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/cmhk_sinr_data/:technology/mvt/:z/:x/:y', async (req, res) => {
-    const { technology, z, x, y } = req.params;
-    const { microGrids, renderingMode } = req.query;
+// ********************************************************************* //
+// 📦 MBTiles 匯出 結束
+// ********************************************************************* //
 
-    // Validate technology parameter
-    if (technology !== 'lte' && technology !== 'nr') {
-        return res.status(400).json({
-            error: 'Invalid technology',
-            validTechnologies: ['lte', 'nr']
-        });
-    }
+// ********************************************************************* //
+// 📤 圖層要素匯出 開始 - Features of the selected layers as GeoJSON / KML / CSV / GeoPackage
+// ********************************************************************* //
 
-    // 🚀 SECURITY: Block 六維數據 (CMHK test data) access in 區域模式 - micro grids only
-    if (renderingMode === 'spatial' && (!microGrids || microGrids === '')) {
-        return res.status(403).json({
-            error: 'Access denied',
-            message: '請先選擇微網格後才能存取六維數據SINR資料'
-        });
+const featureExporter = new FeatureExporter({
+    getLayer,
+    getPool: poolName => poolsByName[poolName],
+    // simulation_5g / simulation_4g = the active run of the technology
+    resolveAlias: async (layerId) => {
+        const simulation = /^simulation_(5g|4g)$/.exec(layerId);
+        if (!simulation) {
+            return null;
+        }
+        const run = await simulationRuns.resolve(simulation[1]);
+        return getLayer(simulationRunLayerId(run.technology, run.id));
     }
+});
 
-    const zi = parseInt(z, 10);
-    const xi = parseInt(x, 10);
-    const yi = parseInt(y, 10);
-    if ([zi, xi, yi].some(Number.isNaN)) {
-        return res.status(400).send('Invalid tile coordinates');
+function sendFeatureExportError(res, error) {
+    if (error instanceof FeatureExportError || error instanceof SimulationRunError) {
+        return res.status(error.status).json({ error: error.message });
     }
+    console.error('🚨 [Feature Export] Request failed:', error);
+    res.status(500).json({ error: 'Feature export failed', message: error.message });
+}
 
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
-    const districtArray = []; // No districts parameter in this endpoint
-
-    // 🚀 OPTIMIZED: Use hierarchical cache key generation for better cache hit rates
-    const baseCacheKey = `cmhk_sinr_data_${technology}_mvt_${zi}_${xi}_${yi}`;
-    const cacheKey = generateHierarchicalCacheKey(baseCacheKey, microGridArray, zi);
-
-    // 🚀 REDIS ONLY: No fallback to node-cache (Plan B)
-    console.log(`🔍 [SINR MVT] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
-    const cached = await redisCache.get(cacheKey);
+// Exports holding audited layers (complaint data) are written to the data access audit log
+const auditFeatureExport = auditLog.track(req => featureExporter.auditDataset(req.query.layers));
 
-    if (cached) {
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('X-Cache', 'HIT-REDIS');
-        res.setHeader('X-Cache-Experiment', 'Redis-Only-No-Fallback');
-        console.log(`✅ [SINR MVT] REDIS HIT! Returning cached tile (${cached.length} bytes)`);
-        console.log(`✅ [SINR MVT] Cache key: ${cacheKey}`);
-        return res.send(cached);
-    }
-
-    console.log(`❌ [SINR MVT] REDIS MISS - Will query database and store in Redis`);
-    console.log(`❌ [SINR MVT] Cache key: ${cacheKey}`);
-
-    // Compute tile bounds in WGS84 (EPSG:4326)
-    const n = Math.pow(2, zi);
-    const lonLeft = (xi / n) * 360 - 180;
-    const lonRight = ((xi + 1) / n) * 360 - 180;
-    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * yi / n)));
-    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (yi + 1) / n)));
-    const latTop = (latTopRad * 180) / Math.PI;
-    const latBottom = (latBottomRad * 180) / Math.PI;
-
-    // 🚀 OPTIMIZED: Generate spatial filter clause with enhanced caching
-    const { whereClause: spatialWhere, params: spatialParams } = await generateSpatialFilter(microGridArray);
-
-    // Build technology-specific query based on LTE or NR
-    let tableName;
-    let sinrColumn;
-
-    if (technology === 'nr') {
-        // For NR data, use the NR four-quadrant table
-        tableName = 'public.cmhk_grid_drive_test_four_quadrants_nr_new';
-        sinrColumn = 'n_sinr_cmhk';
-    } else {
-        // For LTE data, use the LTE four-quadrant table
-        tableName = 'public.cmhk_grid_drive_test_four_quadrants_lte_new';
-        sinrColumn = 'l_sinr_cmhk';
+// 📤 GET /export/features?layers=a,b&format=geojson|kml|csv|gpkg[&csvGeometry=wkt|lonlat][&bbox=w,s,e,n]
+//    [&microGrids=1,2][&aoi=3][&scenarios=..][&site_types=..][&years=..][&name=x]
+// The spatial scope is always applied (restricted users: their micro grids, see auth.enforceScope);
+// bbox further narrows it to the viewport
+app.get('/export/features', auditFeatureExport, async (req, res) => {
+    let scope;
+    try {
+        scope = await spatialScope.fromRequest(req);
+    } catch (error) {
+        return sendSpatialScopeError(res, error);
     }
 
-    const sql = `
-        WITH bounds AS (
-            SELECT 
-                ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-        ), mvtgeom AS (
-            SELECT 
-                t.grid_id as id,
-                t.${sinrColumn} as sinr_value,
-                ST_AsMVTGeom(
-                    ST_Transform(t.geom, 3857),
-                    b.merc_bounds,
-                    4096,
-                    64,
-                    true
-                ) AS geom
-            FROM ${tableName} t, bounds b
-            WHERE t.${sinrColumn} IS NOT NULL
-              AND t.geom && b.hk_bounds_2326
-              AND ST_Intersects(t.geom, b.hk_bounds_2326)
-              ${spatialWhere}
-        )
-        SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-    `;
-
     try {
-        const queryParams = [lonLeft, latBottom, lonRight, latTop, ...spatialParams];
+        const result = await featureExporter.export(req.query, scope, req.user);
+        res.locals.auditCount = {
+            count: result.layers.reduce((sum, layer) => sum + layer.features, 0),
+            unit: 'features',
+            recordIds: result.recordIds
+        };
+        res.setHeader('Content-Type', result.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+        res.setHeader('X-Export-Layers', JSON.stringify(result.layers.map(({ id, features }) => ({ id, features }))));
+        res.send(result.body);
+    } catch (error) {
+        sendFeatureExportError(res, error);
+    }
+});
 
-        const { rows } = await pool.query(sql, queryParams);
-        const tile = rows[0] && rows[0].tile ? rows[0].tile : null;
+// Exportable GeoJSON sources (registry layers: GET /tiles)
+app.get('/export/features/sources', (req, res) => {
+    res.json({ sources: FeatureExporter.listSources() });
+});
 
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        if (!tile || tile.length === 0) {
-            return res.send(Buffer.from([]));
-        }
+// ********************************************************************* //
+// 📤 圖層要素匯出 結束
+// ********************************************************************* //
 
-        // 🚀 REDIS ONLY: Store in Redis only (no node-cache backup)
-        if (tile) {
-            console.log(`💾 [SINR MVT] Storing tile in Redis (${tile.length} bytes)...`);
-            const redisStored = await redisCache.set(cacheKey, tile, 300);
-            if (redisStored) {
-                console.log(`✅ [SINR MVT] Successfully stored in Redis with 300s TTL`);
-                console.log(`✅ [SINR MVT] Cache key: ${cacheKey}`);
-            } else {
-                console.error(`❌ [SINR MVT] FAILED to store in Redis!`);
-            }
-        }
+// ********************************************************************* //
+// 📊 微網格報告 開始 - Monthly micro grid analysis workbook (.xlsx) and printable briefing (PDF)
+// ********************************************************************* //
 
-        res.setHeader('X-Cache', 'MISS');
-        console.log(`📤 [SINR MVT] Sending tile to client (${tile.length} bytes)`);
-        res.send(tile);
-    } catch (err) {
-        console.error(`🚨 Error generating MVT for ${technology} SINR data:`, err.message);
-        console.error('Cache stats - Hits:', cacheStats.hits, 'Misses:', cacheStats.misses);
-        console.error('🚨 Full error stack:', err.stack);
+const microGridReport = new MicroGridReport({
+    pool,
+    siteDbPool,
+    resolveSpatialScope: microGrids => spatialScope.resolve({ microGrids })
+});
 
-        // 🚀 FAILSAFE: Try simpler spatial filter if complex one fails
-        if (spatialWhere && (districtArray.length > 0 || microGridArray.length > 0)) {
-            try {
-                const { whereClause: simpleSpatialWhere, params: simpleSpatialParams } = generateSimpleSpatialFilter(districtArray, microGridArray);
+function sendMicroGridReportError(res, error) {
+    if (error instanceof MicroGridReportError || error instanceof SpatialScopeError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error('🚨 [Micro Grid Report] Request failed:', error);
+    res.status(500).json({ error: 'Micro grid report failed', message: error.message });
+}
 
-                const fallbackSql = `
-                    WITH bounds AS (
-                        SELECT 
-                            ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                            ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                            ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-                    ), mvtgeom AS (
-                        SELECT 
-                            t.grid_id as id,
-                            t.${sinrColumn} as sinr_value,
-                            ST_AsMVTGeom(
-                                ST_Transform(t.geom, 3857),
-                                b.merc_bounds,
-                                4096,
-                                64,
-                                true
-                            ) AS geom
-                        FROM ${tableName} t, bounds b
-                        WHERE t.${sinrColumn} IS NOT NULL
-                          AND t.geom && b.hk_bounds_2326
-                          AND ST_Intersects(t.geom, b.hk_bounds_2326)
-                          ${simpleSpatialWhere}
-                    )
-                    SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-                `;
+// 📊 GET /api/reports/microgrid?ids=1,2,3
+// MR coverage, competition quadrants, complaint / traffic trends, sites and high-load grids with charts.
+// The workbook holds complaint figures (monthly counts per micro grid, no individual records), so it is
+// audited like GET /api/complaint-trend with the micro grids it covers as record IDs;
+// restricted users may only request micro grids of their scope (auth.enforceScope)
+app.get('/api/reports/microgrid', auditLog.track('complaint'), async (req, res) => {
+    try {
+        const report = await microGridReport.generate(req.query.ids, req.user);
+        res.locals.auditCount = {
+            count: report.grids.length,
+            unit: 'micro grids',
+            recordIds: report.grids.map(grid => grid.id)
+        };
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${report.fileName}"`);
+        res.send(report.buffer);
+    } catch (error) {
+        sendMicroGridReportError(res, error);
+    }
+});
 
-                const fallbackParams = [lonLeft, latBottom, lonRight, latTop, ...simpleSpatialParams];
+const briefingRenderer = new BriefingRenderer(config.briefing);
 
-                const { rows: fallbackRows } = await pool.query(fallbackSql, fallbackParams);
-                const fallbackTile = fallbackRows[0] && fallbackRows[0].tile ? fallbackRows[0].tile : null;
+// 🖨️ GET /api/reports/briefing?ids=1,2[&bands=a,b][&run5g=3][&run4g=4][&title=x]
+// Printable briefing (map snapshot of the selected layers, legend, coverage gauges, competition donut,
+// complaint / traffic charts, ranking position) rendered from the frontend print route as PDF.
+// The page loads its data with the caller's session, so the scope rules apply to every request it makes
+// and the complaint records drawn on its map are audited with their reference numbers in their own GET /export/features row
+app.get('/api/reports/briefing', auditLog.track('complaint'), async (req, res) => {
+    try {
+        const pdf = await briefingRenderer.render(req.query, { token: req.sessionToken, user: req.user });
+        const gridIds = String(req.query.ids).split(',').filter(Boolean);
+        res.locals.auditCount = { count: gridIds.length, unit: 'micro grids', recordIds: gridIds };
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="microgrid_briefing_${stamp}.pdf"`);
+        res.send(pdf);
+    } catch (error) {
+        if (error instanceof BriefingError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('🚨 [Briefing] Render failed:', error);
+        res.status(500).json({ error: 'Briefing render failed', message: error.message });
+    }
+});
 
-                res.setHeader('Content-Type', 'application/x-protobuf');
-                if (!fallbackTile || fallbackTile.length === 0) {
-                    return res.send(Buffer.from([]));
-                }
+// ********************************************************************* //
+// 📊 微網格報告 結束
+// ********************************************************************* //
 
-                // Return fallback tile (Redis-only architecture, no node-cache fallback)
-                return res.send(fallbackTile);
+// ********************************************************************* //
+// Legacy MVT routes - kept as aliases of the generic /tiles route
+// ********************************************************************* //
 
-            } catch (fallbackErr) {
-                console.error(`🚨 FAILSAFE: Simple spatial filter also failed for ${technology} SINR:`, fallbackErr.message);
-            }
-        }
+// Competition Scenario Testing Data as Mapbox Vector Tiles (MVT)
+// 3. 六维数据 -> 测试数据 -> 競對場景 (LTE/NR)
+app.get('/competition_scenario_test/:technology/:scenario/mvt/:z/:x/:y', async (req, res) => {
+    const { technology, scenario } = req.params;
 
-        res.status(500).json({
-            error: `Internal server error generating map tiles for ${technology} SINR data`,
-            debug: {
-                technology: technology,
-                districts: districtArray,
-                microGrids: microGridArray,
-                spatialFilterApplied: spatialWhere ? true : false,
-                sqlError: err.message
-            }
+    if (technology !== 'lte' && technology !== 'nr') {
+        return res.status(400).json({
+            error: 'Invalid technology',
+            validTechnologies: ['lte', 'nr']
         });
     }
-});
 
-// Discovery MR NR (strong/weak) as Mapbox Vector Tiles (MVT)
-// 4. 六维数据 -> MR 竞对数据 -> 竞对数据 (Enhanced with spatial filtering)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/discovery_mr/:scenario/mvt/:z/:x/:y', async (req, res) => {
-    const { scenario, z, x, y } = req.params;
-    const { microGrids, renderingMode } = req.query;
-
-    // 🚀 SECURITY: Block 六維數據 (Discovery MR data) access in 區域模式 - micro grids only
-    if (renderingMode === 'spatial' && (!microGrids || microGrids === '')) {
-        return res.status(403).json({
-            error: 'Access denied',
-            message: '請先選擇微網格後才能存取六維數據Discovery MR資料'
+    const layer = getLayer(`competition_scenario_test_${technology}_${scenario}`);
+    if (!layer) {
+        return res.status(400).json({
+            error: 'Invalid competition scenario',
+            validScenarios: ['競強我強', '競強我弱', '競弱我強', '競弱我弱']
         });
     }
+    return serveLayerTile(req, res, layer);
+});
 
-    const normalized = (scenario || '').toLowerCase();
+// 3.1. 六维数据 -> 测试数据 -> RSRP 数据 (LTE/NR)
+// 3.2. 六维数据 -> 测试数据 -> SINR 数据 (LTE/NR)
+['rsrp', 'sinr'].forEach((metric) => {
+    app.get(`/cmhk_${metric}_data/:technology/mvt/:z/:x/:y`, async (req, res) => {
+        const layer = getLayer(`cmhk_${metric}_data_${req.params.technology}`);
+        if (!layer) {
+            return res.status(400).json({
+                error: 'Invalid technology',
+                validTechnologies: ['lte', 'nr']
+            });
+        }
+        return serveLayerTile(req, res, layer);
+    });
+});
 
-    if (!['strong', 'weak', 'strong_we_strong', 'weak_we_strong'].includes(normalized)) {
+// Discovery MR NR (strong/weak) as Mapbox Vector Tiles (MVT)
+// 4. 六维数据 -> MR 竞对数据 -> 竞对数据
+app.get('/discovery_mr/:scenario/mvt/:z/:x/:y', async (req, res) => {
+    const normalized = (req.params.scenario || '').toLowerCase();
+    const layer = getLayer(`discovery_mr_${normalized}`);
+    if (!layer) {
         return res.status(400).json({
             error: 'Invalid scenario',
             message: `Use supported scenarios: strong, weak, strong_we_strong, weak_we_strong`,
             received: normalized
         });
     }
+    return serveLayerTile(req, res, layer);
+});
 
-    const zi = parseInt(z, 10);
-    const xi = parseInt(x, 10);
-    const yi = parseInt(y, 10);
-    if ([zi, xi, yi].some(Number.isNaN)) {
-        return res.status(400).send('Invalid tile coordinates');
-    }
-
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
-
-    // 🚀 OPTIMIZED: Use hierarchical cache key generation for better cache hit rates
-    const baseCacheKey = `discovery_mr_mvt_${normalized}_${zi}_${xi}_${yi}`;
-    const cacheKey = generateHierarchicalCacheKey(baseCacheKey, microGridArray, zi);
+// 5. 六维数据 -> 投诉数据 -> 投诉网格
+app.get('/complaint_data/mvt/:z/:x/:y', auditLog.track('complaint'), async (req, res) => {
+    return serveLayerTile(req, res, getLayer('complaint_data'));
+});
 
-    // 🚀 REDIS ONLY: No fallback to node-cache (Plan B)
-    console.log(`🔍 [Discovery MR MVT] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
-    const cached = await redisCache.get(cacheKey);
+// 6. 六维数据 -> 话统数据 -> 高负载数据
+app.get('/cmhk_grid_highload/mvt/:z/:x/:y', async (req, res) => {
+    return serveLayerTile(req, res, getLayer('cmhk_grid_highload'));
+});
 
-    if (cached) {
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('X-Cache', 'HIT-REDIS');
-        res.setHeader('X-Cache-Experiment', 'Redis-Only-No-Fallback');
-        console.log(`✅ [Discovery MR MVT] REDIS HIT! Returning cached tile (${cached.length} bytes)`);
-        console.log(`✅ [Discovery MR MVT] Cache key: ${cacheKey}`);
-        return res.send(cached);
-    }
-
-    console.log(`❌ [Discovery MR MVT] REDIS MISS - Will query database and store in Redis`);
-    console.log(`❌ [Discovery MR MVT] Cache key: ${cacheKey}`);
-
-    // Compute tile bounds in WGS84 (EPSG:4326)
-    const n = Math.pow(2, zi);
-    const lonLeft = (xi / n) * 360 - 180;
-    const lonRight = ((xi + 1) / n) * 360 - 180;
-    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * yi / n)));
-    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (yi + 1) / n)));
-    const latTop = (latTopRad * 180) / Math.PI;
-    const latBottom = (latBottomRad * 180) / Math.PI;
-
-    // Map scenarios to categories and determine table/view to use
-    let category, tableName, isNewTable = false;
-
-    if (normalized === 'strong') {
-        category = '競強我弱';
-        tableName = 'cmhk_grid_problemdb_after_discovery_競強我弱';
-    } else if (normalized === 'weak') {
-        category = '競弱我弱';
-        tableName = 'cmhk_grid_problemdb_after_discovery_競弱我弱';
-    } else if (normalized === 'strong_we_strong') {
-        category = '競強我強';
-        tableName = 'cmhk_grid_discovery_four_quadrants_combined_after_latest';
-        isNewTable = true;
-    } else if (normalized === 'weak_we_strong') {
-        category = '競弱我強';
-        tableName = 'cmhk_grid_discovery_four_quadrants_combined_after_latest';
-        isNewTable = true;
-    }
-
-    // 🚀 OPTIMIZED: Generate spatial filter clause with enhanced caching
-    // Pass the correct geometry column name based on table type
-    const geomColumn = isNewTable ? 'geometry_2326' : 'geom';
-    const { whereClause: spatialWhere, params: spatialParams } = await generateSpatialFilter(microGridArray, geomColumn);
-
-    // Build SQL query based on table type
-    let sql;
-
-    if (isNewTable) {
-        // For new scenarios using cmhk_grid_discovery_four_quadrants_combined_after_latest
-        sql = `
-            WITH bounds AS (
-                SELECT 
-                    ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                    ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                    ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-            ), mvtgeom AS (
-                SELECT 
-                    t.grid_id as id,
-                    '${category}'::text AS category,
-                    ST_AsMVTGeom(
-                        ST_Transform(t.geometry_2326, 3857),
-                        b.merc_bounds,
-                        4096,
-                        64,
-                        true
-                    ) AS geom
-                FROM public.${tableName} t, bounds b
-                WHERE t.geometry_2326 && b.hk_bounds_2326
-                  AND ST_Intersects(t.geometry_2326, b.hk_bounds_2326)
-                  AND t.max_rsrp場景 = '${category}'
-                  ${spatialWhere}
-            )
-            SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-        `;
-    } else {
-        // For existing scenarios using views
-        sql = `
-            WITH bounds AS (
-                SELECT 
-                    ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                    ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                    ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-            ), mvtgeom AS (
-                SELECT 
-                    t.id,
-                    '${category}'::text AS category,
-                    ST_AsMVTGeom(
-                        ST_Transform(t.geom, 3857),
-                        b.merc_bounds,
-                        4096,
-                        64,
-                        true
-                    ) AS geom
-                FROM public.${tableName} t, bounds b
-                WHERE t.geom && b.hk_bounds_2326
-                  AND ST_Intersects(t.geom, b.hk_bounds_2326)
-                  ${spatialWhere}
-            )
-            SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-        `;
+// 仿真原數據 (5G/4G) - ?run=<id> selects a registered run, default is the active run
+async function serveSimulationRunTile(req, res, technology) {
+    let run;
+    try {
+        run = await simulationRuns.resolve(technology, req.query.run);
+    } catch (error) {
+        return sendSimulationRunError(res, error);
     }
+    return serveLayerTile(req, res, defineSimulationRunLayer(run));
+}
 
-    try {
-        const { rows } = await pool.query(sql, [lonLeft, latBottom, lonRight, latTop, ...spatialParams]);
-        const tile = rows[0] && rows[0].tile ? rows[0].tile : null;
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        if (!tile || tile.length === 0) {
-            return res.send(Buffer.from([]));
-        }
+app.get('/api/simulation-pbf/:z/:x/:y', async (req, res) => {
+    return serveSimulationRunTile(req, res, '5g');
+});
 
-        // 🚀 REDIS ONLY: Store in Redis only (no node-cache backup)
-        if (tile) {
-            console.log(`💾 [Discovery MR MVT] Storing tile in Redis (${tile.length} bytes)...`);
-            const redisStored = await redisCache.set(cacheKey, tile, 300);
-            if (redisStored) {
-                console.log(`✅ [Discovery MR MVT] Successfully stored in Redis with 300s TTL`);
-                console.log(`✅ [Discovery MR MVT] Cache key: ${cacheKey}`);
-            } else {
-                console.error(`❌ [Discovery MR MVT] FAILED to store in Redis!`);
-            }
-        }
+app.get('/api/simulation-4g-pbf/:z/:x/:y', async (req, res) => {
+    return serveSimulationRunTile(req, res, '4g');
+});
 
-        res.setHeader('X-Cache', 'MISS');
-        console.log(`📤 [Discovery MR MVT] Sending tile to client (${tile.length} bytes)`);
-        res.send(tile);
-    } catch (err) {
-        console.error('Error generating MVT for discovery MR:', err.message);
-        console.error('Cache stats - Hits:', cacheStats.hits, 'Misses:', cacheStats.misses);
+// ********************************************************************* //
+// 📊 仿真批次 開始 - Simulation run registry (public.simulation_runs)
+// ********************************************************************* //
 
-        if (err.message.includes('too many clients') || err.message.includes('remaining connection slots')) {
-            return res.status(503).json({
-                error: 'Service temporarily unavailable due to high load. Please try again later.',
-                retryAfter: 5
-            });
-        }
+function describeSimulationRun(run) {
+    const layerId = simulationRunLayerId(run.technology, run.id);
+    return {
+        ...run,
+        layerId,
+        tileUrl: `${run.technology === '4g' ? '/api/simulation-4g-pbf' : '/api/simulation-pbf'}/{z}/{x}/{y}?run=${run.id}`
+    };
+}
 
-        res.status(500).json({ error: 'Internal server error generating map tiles' });
+function sendSimulationRunError(res, error) {
+    if (error instanceof SimulationRunError) {
+        return res.status(error.status).json({ error: error.message });
     }
-});
-
-// Complaint high-complaint grids as Mapbox Vector Tiles (MVT)
-// 5. 六维数据 -> 投诉数据 -> 投诉网格 (Enhanced with spatial filtering)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/complaint_data/mvt/:z/:x/:y', async (req, res) => {
-    const { z, x, y } = req.params;
-    const { microGrids, renderingMode } = req.query;
+    console.error('🚨 [Simulation Runs] Request failed:', error);
+    res.status(500).json({ error: 'Simulation run request failed', message: error.message });
+}
 
-    // 🚀 SECURITY: Block 六維數據 (complaint data) access in 區域模式 - micro grids only
-    if (renderingMode === 'spatial' && (!microGrids || microGrids === '')) {
-        return res.status(403).json({
-            error: 'Access denied',
-            message: '請先選擇微網格後才能存取六維數據投訴資料'
-        });
+// 📊 GET /api/simulation-runs?technology=5g
+app.get('/api/simulation-runs', async (req, res) => {
+    const { technology } = req.query;
+    if (technology && !SIMULATION_TECHNOLOGIES.includes(technology)) {
+        return res.status(400).json({ error: `technology must be one of: ${SIMULATION_TECHNOLOGIES.join(', ')}` });
     }
-
-    const zi = parseInt(z, 10);
-    const xi = parseInt(x, 10);
-    const yi = parseInt(y, 10);
-    if ([zi, xi, yi].some(Number.isNaN)) {
-        return res.status(400).send('Invalid tile coordinates');
+    try {
+        const runs = await simulationRuns.list(technology);
+        res.json({ runs: runs.map(describeSimulationRun) });
+    } catch (error) {
+        sendSimulationRunError(res, error);
     }
+});
 
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
-
-    // 🚀 OPTIMIZED: Use hierarchical cache key generation for better cache hit rates  
-    const baseCacheKey = `complaint_data_mvt_${zi}_${xi}_${yi}`;
-    const cacheKey = generateHierarchicalCacheKey(baseCacheKey, microGridArray, zi);
-    
-    // 🚀 REDIS ONLY: No fallback to node-cache (Plan B)
-    console.log(`🔍 [Complaint MVT] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
-    const cached = await redisCache.get(cacheKey);
-    
-    if (cached) {
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('X-Cache', 'HIT-REDIS');
-        res.setHeader('X-Cache-Experiment', 'Redis-Only-No-Fallback');
-        console.log(`✅ [Complaint MVT] REDIS HIT! Returning cached tile (${cached.length} bytes)`);
-        console.log(`✅ [Complaint MVT] Cache key: ${cacheKey}`);
-        return res.send(cached);
+// 📊 Register an imported run: { technology, tableName, runDate, description, active }
+app.post('/api/simulation-runs', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const run = await simulationRuns.create(req.body || {});
+        res.status(201).json(describeSimulationRun(run));
+    } catch (error) {
+        sendSimulationRunError(res, error);
     }
-    
-    console.log(`❌ [Complaint MVT] REDIS MISS - Will query database and store in Redis`);
-    console.log(`❌ [Complaint MVT] Cache key: ${cacheKey}`);
-
-    const n = Math.pow(2, zi);
-    const lonLeft = (xi / n) * 360 - 180;
-    const lonRight = ((xi + 1) / n) * 360 - 180;
-    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * yi / n)));
-    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (yi + 1) / n)));
-    const latTop = (latTopRad * 180) / Math.PI;
-    const latBottom = (latBottomRad * 180) / Math.PI;
-
-    // 🚀 OPTIMIZED: Generate spatial filter clause with enhanced caching
-    const { whereClause: spatialWhere, params: spatialParams } = await generateSpatialFilter(microGridArray);
-
-    const sql = `
-        WITH bounds AS (
-            SELECT 
-                ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-        ), mvtgeom AS (
-            SELECT 
-                t.id,
-                t.highcomplaint,
-                ST_AsMVTGeom(
-                    ST_Transform(t.geom, 3857),
-                    b.merc_bounds,
-                    4096,
-                    0,
-                    true
-                ) AS geom
-            FROM public.cmhk_grid_problemdb t, bounds b
-            WHERE t.highcomplaint IS TRUE
-              AND t.geom && b.hk_bounds_2326
-              AND ST_Intersects(t.geom, b.hk_bounds_2326)
-              ${spatialWhere}
-        )
-        SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-    `;
+});
 
+// 📊 Edit a run or make it the active run of its technology: { description, runDate, active }
+app.patch('/api/simulation-runs/:id', auth.requireRole('admin'), async (req, res) => {
     try {
-        const queryParams = [lonLeft, latBottom, lonRight, latTop, ...spatialParams];
-        const { rows } = await pool.query(sql, queryParams);
-        const tile = rows[0] && rows[0].tile ? rows[0].tile : null;
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        if (!tile || tile.length === 0) {
-            return res.send(Buffer.from([]));
-        }
-        
-        // 🚀 REDIS ONLY: Store in Redis only (no node-cache backup)
-        if (tile) {
-            console.log(`💾 [Complaint MVT] Storing tile in Redis (${tile.length} bytes)...`);
-            const redisStored = await redisCache.set(cacheKey, tile, 300);
-            if (redisStored) {
-                console.log(`✅ [Complaint MVT] Successfully stored in Redis with 300s TTL`);
-                console.log(`✅ [Complaint MVT] Cache key: ${cacheKey}`);
-            } else {
-                console.error(`❌ [Complaint MVT] FAILED to store in Redis!`);
-            }
-        }
-        
-        res.setHeader('X-Cache', 'MISS');
-        console.log(`📤 [Complaint MVT] Sending tile to client (${tile.length} bytes)`);
-        res.send(tile);
-    } catch (err) {
-        console.error('Error generating MVT for complaint data:', err.message);
-        console.error('Cache stats - Hits:', cacheStats.hits, 'Misses:', cacheStats.misses);
-
-        if (err.message.includes('too many clients') || err.message.includes('remaining connection slots')) {
-            return res.status(503).json({
-                error: 'Service temporarily unavailable due to high load. Please try again later.',
-                retryAfter: 5
-            });
-        }
-
-        res.status(500).json({ error: 'Internal server error generating map tiles' });
+        const run = await simulationRuns.update(req.params.id, req.body || {});
+        res.json(describeSimulationRun(run));
+    } catch (error) {
+        sendSimulationRunError(res, error);
     }
 });
 
-// Microphone high-load grid as Mapbox Vector Tiles (MVT)
-// 6. 六维数据 -> 话统数据 -> 高负载数据 (Enhanced with spatial filtering)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/cmhk_grid_highload/mvt/:z/:x/:y', async (req, res) => {
-    const { z, x, y } = req.params;
-    const { microGrids, renderingMode } = req.query;
-
-    // 🚀 SECURITY: Block 六維數據 (microphone/high-load data) access in 區域模式 - micro grids only
-    if (renderingMode === 'spatial' && (!microGrids || microGrids === '')) {
-        return res.status(403).json({
-            error: 'Access denied',
-            message: '請先選擇微網格後才能存取六維數據話筒資料'
-        });
+// ⚖️ Run comparison: ?base=<runId> (default: active run) & compare=<runId>
+async function resolveDiffRuns(technology, query) {
+    if (!SIMULATION_TECHNOLOGIES.includes(technology)) {
+        throw new SimulationRunError(`technology must be one of: ${SIMULATION_TECHNOLOGIES.join(', ')}`);
+    }
+    if (!query.compare) {
+        throw new SimulationRunError('compare=<runId> is required');
     }
+    const baseRun = await simulationRuns.resolve(technology, query.base);
+    const compareRun = await simulationRuns.resolve(technology, query.compare);
+    return { baseRun, compareRun };
+}
 
-    const zi = parseInt(z, 10);
-    const xi = parseInt(x, 10);
-    const yi = parseInt(y, 10);
+// ⚖️ GET /api/simulation-diff/:technology/:z/:x/:y?base=1&compare=2 - delta dn tiles (delta, delta_class)
+app.get('/api/simulation-diff/:technology/:z/:x/:y', async (req, res) => {
+    const zi = parseInt(req.params.z, 10);
+    const xi = parseInt(req.params.x, 10);
+    const yi = parseInt(req.params.y, 10);
     if ([zi, xi, yi].some(Number.isNaN)) {
         return res.status(400).send('Invalid tile coordinates');
     }
 
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
-
-    // 🚀 OPTIMIZED: Use hierarchical cache key generation for better cache hit rates
-    const baseCacheKey = `cmhk_grid_highload_mvt_${zi}_${xi}_${yi}`;
-    const cacheKey = generateHierarchicalCacheKey(baseCacheKey, microGridArray, zi);
+    let runs;
+    try {
+        runs = await resolveDiffRuns(req.params.technology, req.query);
+    } catch (error) {
+        return sendSimulationRunError(res, error);
+    }
+    let scope;
+    try {
+        scope = await spatialScope.fromRequest(req);
+    } catch (error) {
+        return sendSpatialScopeError(res, error);
+    }
+    const { baseRun, compareRun } = runs;
+    const baseKey = buildDiffTileCacheKey(baseRun, compareRun, zi, xi, yi);
+    const cacheKey = scope.isFiltered ? `${baseKey}_scope_${scope.key}` : baseKey;
+
+    const renderTile = async () => {
+        console.log(`❌ [Simulation Diff] REDIS MISS - Querying database: ${cacheKey.substring(0, 60)}...`);
+        // Simulation run polygons are WGS84; $1-$4 are the tile bounds
+        const spatialFilter = scope.toFilter('t.geom', { srid: 4326, offset: 4 });
+        const { sql, params } = buildDiffTileQuery(baseRun, compareRun, tileToBounds(zi, xi, yi), spatialFilter);
+        const { rows } = await newPool.query(sql, params);
+        return rows[0] && rows[0].tile ? rows[0].tile : Buffer.alloc(0);
+    };
 
-    // 🚀 REDIS ONLY: No fallback to node-cache (Plan B)
-    console.log(`🔍 [HighLoad MVT] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
-    const cached = await redisCache.get(cacheKey);
+    try {
+        const { value: tile, status, tier } = await redisCache.getOrCompute(cacheKey, renderTile, {
+            ttl: 300,
+            staleTtl: TILE_STALE_TTL,
+            tags: [SIMULATION_DATASETS[baseRun.technology], 'mvt'],
+            contentType: 'application/x-protobuf'
+        });
 
-    if (cached) {
         res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('X-Cache', 'HIT-REDIS');
-        res.setHeader('X-Cache-Experiment', 'Redis-Only-No-Fallback');
-        console.log(`✅ [HighLoad MVT] REDIS HIT! Returning cached tile (${cached.length} bytes)`);
-        console.log(`✅ [HighLoad MVT] Cache key: ${cacheKey}`);
-        return res.send(cached);
+        res.setHeader('X-Cache', status === 'MISS' ? 'MISS' : `${status}-${tier}`);
+        res.send(tile);
+    } catch (error) {
+        console.error(`🚨 [Simulation Diff] Tile ${zi}/${xi}/${yi} (runs ${baseRun.id} → ${compareRun.id}) failed:`, error);
+        res.status(500).json({ error: 'Internal server error generating simulation diff tiles', message: error.message });
     }
+});
 
-    console.log(`❌ [HighLoad MVT] REDIS MISS - Will query database and store in Redis`);
-    console.log(`❌ [HighLoad MVT] Cache key: ${cacheKey}`);
-
-    // Compute tile bounds
-    const n = Math.pow(2, zi);
-    const lonLeft = (xi / n) * 360 - 180;
-    const lonRight = ((xi + 1) / n) * 360 - 180;
-    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * yi / n)));
-    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (yi + 1) / n)));
-    const latTop = (latTopRad * 180) / Math.PI;
-    const latBottom = (latBottomRad * 180) / Math.PI;
-
-    // 🚀 OPTIMIZED: Generate spatial filter clause with enhanced caching
-    const { whereClause: spatialWhere, params: spatialParams } = await generateSpatialFilter(microGridArray);
-
-    const sql = `
-        WITH bounds AS (
-            SELECT 
-                ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-        ), mvtgeom AS (
-            SELECT 
-                t.id,
-                t.s_dl_prb_util,
-                ST_AsMVTGeom(
-                    ST_Transform(t.geom, 3857),
-                    b.merc_bounds,
-                    4096,
-                    64,
-                    true
-                ) AS geom
-            FROM public.cmhk_grid_highload t, bounds b
-            WHERE t.geom && b.hk_bounds_2326
-              AND ST_Intersects(t.geom, b.hk_bounds_2326)
-              ${spatialWhere}
-        )
-        SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-    `;
+// ⚖️ GET /api/simulation-diff/:technology/stats?base=1&compare=2&microGrids=101,102
+// Per micro grid: area improved / degraded / unchanged (m²), net change (improved - degraded) and mean delta (dB)
+const MAX_DIFF_STATS_MICRO_GRIDS = 50;
 
+app.get('/api/simulation-diff/:technology/stats', async (req, res) => {
     try {
-        const queryParams = [lonLeft, latBottom, lonRight, latTop, ...spatialParams];
-        const { rows } = await pool.query(sql, queryParams);
-        const tile = rows[0] && rows[0].tile ? rows[0].tile : null;
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        if (!tile || tile.length === 0) {
-            return res.send(Buffer.from([]));
+        const { baseRun, compareRun } = await resolveDiffRuns(req.params.technology, req.query);
+
+        const microGridIds = [...new Set(parseMicroGridParam(req.query.microGrids))].sort((a, b) => a - b);
+        if (microGridIds.length === 0) {
+            throw new SimulationRunError('microGrids=<ids> is required');
+        }
+        if (microGridIds.length > MAX_DIFF_STATS_MICRO_GRIDS) {
+            throw new SimulationRunError(`At most ${MAX_DIFF_STATS_MICRO_GRIDS} micro grids per request`);
         }
 
-        // 🚀 REDIS ONLY: Store in Redis only (no node-cache backup)
-        if (tile) {
-            console.log(`💾 [HighLoad MVT] Storing tile in Redis (${tile.length} bytes)...`);
-            const redisStored = await redisCache.set(cacheKey, tile, 300);
-            if (redisStored) {
-                console.log(`✅ [HighLoad MVT] Successfully stored in Redis with 300s TTL`);
-                console.log(`✅ [HighLoad MVT] Cache key: ${cacheKey}`);
-            } else {
-                console.error(`❌ [HighLoad MVT] FAILED to store in Redis!`);
+        const cacheKey = `simulation_${baseRun.technology}_diff_stats_${baseRun.id}_${compareRun.id}_${microGridIds.join('_')}`;
+        const { value: stats, status } = await redisCache.getOrCompute(cacheKey, async () => {
+            const { rows: grids } = await pool.query(`
+                SELECT id, district, grid_name, ST_AsText(ST_Transform(geom, 4326)) AS wkt
+                FROM public.micro_grid
+                WHERE id = ANY($1::int[]) AND geom IS NOT NULL
+                ORDER BY id
+            `, [microGridIds]);
+            if (grids.length === 0) {
+                return [];
             }
-        }
 
-        res.setHeader('X-Cache', 'MISS');
-        console.log(`📤 [HighLoad MVT] Sending tile to client (${tile.length} bytes)`);
-        res.send(tile);
-    } catch (err) {
-        console.error('Error generating MVT for high-load:', err.message);
-        console.error('Cache stats - Hits:', cacheStats.hits, 'Misses:', cacheStats.misses);
+            const { sql, params } = buildDiffStatsQuery(baseRun, compareRun, grids);
+            const { rows } = await newPool.query(sql, params);
+            const gridsById = new Map(grids.map(grid => [grid.id, grid]));
+            return rows.map(row => ({
+                ...toDiffStats(row),
+                district: gridsById.get(row.micro_grid_id).district,
+                gridName: gridsById.get(row.micro_grid_id).grid_name
+            }));
+        }, {
+            ttl: 600,
+            tags: [SIMULATION_DATASETS[baseRun.technology], 'micro_grid']
+        });
 
-        if (err.message.includes('too many clients') || err.message.includes('remaining connection slots')) {
-            return res.status(503).json({
-                error: 'Service temporarily unavailable due to high load. Please try again later.',
-                retryAfter: 5
-            });
-        }
+        const totals = stats.reduce((sum, grid) => ({
+            improvedArea: sum.improvedArea + grid.improvedArea,
+            degradedArea: sum.degradedArea + grid.degradedArea,
+            unchangedArea: sum.unchangedArea + grid.unchangedArea,
+            netChangeArea: sum.netChangeArea + grid.netChangeArea
+        }), { improvedArea: 0, degradedArea: 0, unchangedArea: 0, netChangeArea: 0 });
 
-        res.status(500).json({ error: 'Internal server error generating map tiles' });
+        res.setHeader('X-Cache', status);
+        res.json({
+            technology: baseRun.technology,
+            base: describeSimulationRun(baseRun),
+            compare: describeSimulationRun(compareRun),
+            unit: 'm2',
+            microGrids: stats,
+            totals
+        });
+    } catch (error) {
+        sendSimulationRunError(res, error);
     }
 });
 
 // ********************************************************************* //
-// 仿真原數據 開始
+// 📊 仿真批次 結束
 // ********************************************************************* //
 
-// 🚀 CONFIGURATION: Simulation 5G Raw Data Table Name
-// Update this when importing new simulation data with different timestamp
-// ⚠️  IMPORTANT: After changing this table, clear Redis cache or wait for TTL (300s) expiration
-const SIMULATION_5G_TABLE = 'nr_simulation_data_20251104';
+// ********************************************************************* //
+// 🛰️ 仿真柵格 開始 - Server side GeoTIFF values (simulation-raw-data folder)
+// ********************************************************************* //
 
-// 🚀 NEW: Simulation 5G Raw Data as Mapbox Vector Tiles (MVT)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-// 📊 Data Source: Table created from 5G_Simulation_Data_Dissolved.geojson (EPSG:32650 → EPSG:4326)
-// 📋 Table Structure: id, dn (signal strength), geom (MultiPolygon geometry - dissolved), created_at, data_description
-app.get('/api/simulation-pbf/:z/:x/:y', async (req, res) => {
-    const { z, x, y } = req.params;
-    const { microGrids, renderingMode } = req.query;
+const rasterService = new RasterService({ directory: simulationDataPath });
+const MAX_ZONAL_MICRO_GRIDS = 20;
 
-    const zi = parseInt(z, 10);
-    const xi = parseInt(x, 10);
-    const yi = parseInt(y, 10);
-    if ([zi, xi, yi].some(Number.isNaN)) {
-        return res.status(400).send('Invalid tile coordinates');
+function sendRasterError(res, error) {
+    if (error instanceof RasterError) {
+        return res.status(error.status).json({ error: error.message });
     }
+    console.error('🚨 [Rasters] Request failed:', error);
+    res.status(500).json({ error: 'Raster request failed', message: error.message });
+}
 
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
-
-    // 🚀 OPTIMIZED: Use hierarchical cache key generation for better cache hit rates
-    const baseCacheKey = `simulation_5g_raw_mvt_${zi}_${xi}_${yi}`;
-    const cacheKey = generateHierarchicalCacheKey(baseCacheKey, microGridArray, zi);
-
-    // 🚀 REDIS ONLY: No fallback to node-cache (Plan B)
-    console.log(`🔍 [Simulation PBF MVT] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
-    const cached = await redisCache.get(cacheKey);
-
-    if (cached) {
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('X-Cache', 'HIT-REDIS');
-        res.setHeader('X-Cache-Experiment', 'Redis-Only-No-Fallback');
-        console.log(`✅ [Simulation PBF MVT] REDIS HIT! Returning cached tile (${cached.length} bytes)`);
-        console.log(`✅ [Simulation PBF MVT] Cache key: ${cacheKey}`);
-        return res.send(cached);
+function parseLonLat(query) {
+    const lon = parseFloat(query.lon);
+    const lat = parseFloat(query.lat);
+    if (Number.isNaN(lon) || Number.isNaN(lat) || lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+        throw new RasterError('lon and lat are required (WGS84 degrees)');
     }
+    return { lon, lat };
+}
 
-    console.log(`❌ [Simulation PBF MVT] REDIS MISS - Will query database and store in Redis`);
-    console.log(`❌ [Simulation PBF MVT] Cache key: ${cacheKey}`);
-
-    // Compute tile bounds in WGS84 (EPSG:4326)
-    const n = Math.pow(2, zi);
-    const lonLeft = (xi / n) * 360 - 180;
-    const lonRight = ((xi + 1) / n) * 360 - 180;
-    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * yi / n)));
-    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (yi + 1) / n)));
-    const latTop = (latTopRad * 180) / Math.PI;
-    const latBottom = (latBottomRad * 180) / Math.PI;
+// 🛰️ GET /api/rasters - Available rasters with CRS, size and extent
+app.get('/api/rasters', async (req, res) => {
+    try {
+        res.json({ rasters: await rasterService.list() });
+    } catch (error) {
+        sendRasterError(res, error);
+    }
+});
 
-    // 🚀 OPTIMIZED: Generate spatial filter clause with enhanced caching
-    const { whereClause: spatialWhere, params: spatialParams } = await generateSpatialFilter(microGridArray);
+// 🔐 SECURITY: Restricted users only read raster values inside their scope (as GET /api/identify)
+function sendOutOfScope(res) {
+    return res.status(403).json({
+        error: 'Access denied',
+        message: '此位置不在你的帳戶可存取範圍內'
+    });
+}
 
-    const sql = `
-        WITH bounds AS (
-            SELECT 
-                ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds
-        ), mvtgeom AS (
-            SELECT 
-                t.id,
-                t.dn,
-                ST_AsMVTGeom(
-                    t.geom,
-                    b.wgs_bounds,
-                    4096,
-                    64,
-                    true
-                ) AS geom
-            FROM "${SIMULATION_5G_TABLE}" t, bounds b
-            WHERE t.geom && b.wgs_bounds
-              AND ST_Intersects(t.geom, b.wgs_bounds)
-              ${spatialWhere}
-        )
-        SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-    `;
+// 📍 GET /api/rasters/sample?lon=114.17&lat=22.31 - Value of every raster covering the point
+app.get('/api/rasters/sample', async (req, res) => {
+    try {
+        const { lon, lat } = parseLonLat(req.query);
+        if (!(await auth.isPointInScope(req.scope, lat, lon))) {
+            return sendOutOfScope(res);
+        }
+        res.json({ lon, lat, values: await rasterService.sampleAll(lon, lat) });
+    } catch (error) {
+        sendRasterError(res, error);
+    }
+});
 
+// 📍 GET /api/rasters/:name/sample?lon=114.17&lat=22.31[&band=0]
+app.get('/api/rasters/:name/sample', async (req, res) => {
     try {
-        const queryParams = [lonLeft, latBottom, lonRight, latTop, ...spatialParams];
-        const { rows } = await newPool.query(sql, queryParams);
-        const tile = rows[0] && rows[0].tile ? rows[0].tile : null;
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        if (!tile || tile.length === 0) {
-            return res.send(Buffer.from([]));
+        const { lon, lat } = parseLonLat(req.query);
+        if (!(await auth.isPointInScope(req.scope, lat, lon))) {
+            return sendOutOfScope(res);
         }
+        res.json(await rasterService.sample(req.params.name, lon, lat, req.query.band));
+    } catch (error) {
+        sendRasterError(res, error);
+    }
+});
 
-        // 🚀 REDIS ONLY: Store in Redis only (no node-cache backup)
-        if (tile) {
-            console.log(`💾 [Simulation PBF MVT] Storing tile in Redis (${tile.length} bytes)...`);
-            const redisStored = await redisCache.set(cacheKey, tile, 300);
-            if (redisStored) {
-                console.log(`✅ [Simulation PBF MVT] Successfully stored in Redis with 300s TTL`);
-                console.log(`✅ [Simulation PBF MVT] Cache key: ${cacheKey}`);
-            } else {
-                console.error(`❌ [Simulation PBF MVT] FAILED to store in Redis!`);
+// 📈 Profile along a polyline: GET ?line=lon,lat;lon,lat;...&points=200 or POST { coordinates, points, band }
+// Restricted users: points outside their scope are clipped (value null, outOfScope true)
+async function serveRasterProfile(req, res, coordinates) {
+    try {
+        const { points, band } = { ...req.query, ...(req.body || {}) };
+        const profile = await rasterService.profile(req.params.name, coordinates, { points, band });
+        if (req.scope && req.scope.restricted) {
+            const inside = await auth.pointsInScope(req.scope, profile.points);
+            if (!inside.some(Boolean)) {
+                return sendOutOfScope(res);
             }
+            profile.points = profile.points.map((point, i) => (inside[i] ? point : { ...point, value: null, outOfScope: true }));
         }
+        res.json(profile);
+    } catch (error) {
+        sendRasterError(res, error);
+    }
+}
 
-        res.setHeader('X-Cache', 'MISS');
-        console.log(`📤 [Simulation PBF MVT] Sending tile to client (${tile.length} bytes)`);
-        res.send(tile);
-    } catch (err) {
-        console.error('Error generating MVT for 5G simulation raw data:', err.message);
-        console.error('Cache stats - Hits:', cacheStats.hits, 'Misses:', cacheStats.misses);
+app.get('/api/rasters/:name/profile', (req, res) => {
+    const coordinates = String(req.query.line || '').split(';').filter(Boolean)
+        .map(pair => pair.split(',').map(Number));
+    return serveRasterProfile(req, res, coordinates);
+});
 
-        if (err.message.includes('too many clients') || err.message.includes('remaining connection slots')) {
-            return res.status(503).json({
-                error: 'Service temporarily unavailable due to high load. Please try again later.',
-                retryAfter: 5
-            });
+app.post('/api/rasters/:name/profile', (req, res) => {
+    const body = req.body || {};
+    // Accepts a bare coordinate list or a GeoJSON LineString
+    const coordinates = body.type === 'LineString' ? body.coordinates : body.coordinates || (body.geometry && body.geometry.coordinates);
+    return serveRasterProfile(req, res, coordinates);
+});
+
+// 📊 GET /api/rasters/:name/zonal-stats?microGrids=101,102&threshold=-105[&percentiles=10,50,90][&band=0]
+// One result per micro grid (restricted users: micro grids are checked / defaulted by auth.enforceScope)
+app.get('/api/rasters/:name/zonal-stats', async (req, res) => {
+    try {
+        const microGridIds = [...new Set(parseMicroGridParam(req.query.microGrids))].sort((a, b) => a - b);
+        if (microGridIds.length === 0) {
+            throw new RasterError('microGrids=<ids> is required');
         }
+        if (microGridIds.length > MAX_ZONAL_MICRO_GRIDS) {
+            throw new RasterError(`At most ${MAX_ZONAL_MICRO_GRIDS} micro grids per request`);
+        }
+        const percentiles = req.query.percentiles
+            ? String(req.query.percentiles).split(',').map(Number).filter(p => p >= 0 && p <= 100)
+            : DEFAULT_RASTER_PERCENTILES;
+        const { threshold, band } = req.query;
+
+        // The file's modification time is part of the key - replacing a raster never serves old statistics
+        const { info } = await rasterService.open(req.params.name);
+        const cacheKey = `raster_zonal_${info.name}_${Date.parse(info.modifiedAt)}_${band || 0}_${threshold || ''}_${percentiles.join('-')}_${microGridIds.join('_')}`;
+
+        const { value: microGrids, status } = await redisCache.getOrCompute(cacheKey, async () => {
+            const { rows } = await pool.query(`
+                SELECT id, district, grid_name, ST_AsGeoJSON(ST_Transform(geom, 4326))::json AS geometry
+                FROM public.micro_grid
+                WHERE id = ANY($1::int[]) AND geom IS NOT NULL
+                ORDER BY id
+            `, [microGridIds]);
+
+            const results = [];
+            for (const row of rows) {
+                const stats = await rasterService.zonalStats(info.name, row.geometry, { threshold, percentiles, band });
+                results.push({ microGridId: row.id, district: row.district, gridName: row.grid_name, ...stats });
+            }
+            return results;
+        }, {
+            ttl: 3600,
+            tags: ['raster', 'micro_grid']
+        });
 
-        res.status(500).json({ error: 'Internal server error generating map tiles' });
+        res.setHeader('X-Cache', status);
+        res.json({ raster: info, microGrids });
+    } catch (error) {
+        sendRasterError(res, error);
     }
 });
 
 // ********************************************************************* //
-// 🚀 NEW: Simulation 4G/LTE Raw Data as Mapbox Vector Tiles (MVT)
+// 🛰️ 仿真柵格 結束
 // ********************************************************************* //
 
-// 🚀 CONFIGURATION: Simulation 4G Raw Data Table Name
-// Update this when importing new simulation data with different timestamp
-// ⚠️  IMPORTANT: After changing this table, clear Redis cache or wait for TTL (300s) expiration
-const SIMULATION_4G_TABLE = 'lte_simulation_data_20251104';
+// ********************************************************************* //
+// 🔎 位置查詢 開始 - Everything known at a clicked location
+// ********************************************************************* //
 
-// 🚀 NEW: Simulation 4G Raw Data as Mapbox Vector Tiles (MVT)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-// 📊 Data Source: Table created from 4G_Simulation_Data_Dissolved.geojson (EPSG:32650 → EPSG:4326)
-// 📋 Table Structure: id, dn (signal strength), geom (MultiPolygon geometry - dissolved), created_at, data_description
-app.get('/api/simulation-4g-pbf/:z/:x/:y', async (req, res) => {
-    const { z, x, y } = req.params;
-    const { microGrids, renderingMode } = req.query;
+const identifyService = new IdentifyService({
+    getPool: layer => poolsByName[layer.pool],
+    gridPool: pool,
+    siteDbPool,
+    complaintDbPool
+});
 
-    const zi = parseInt(z, 10);
-    const xi = parseInt(x, 10);
-    const yi = parseInt(y, 10);
-    if ([zi, xi, yi].some(Number.isNaN)) {
-        return res.status(400).send('Invalid tile coordinates');
+function sendIdentifyError(res, error) {
+    if (error instanceof IdentifyError) {
+        return res.status(error.status).json({ error: error.message });
     }
+    console.error('🚨 [Identify] Request failed:', error);
+    res.status(500).json({ error: 'Identify request failed', message: error.message });
+}
 
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
+/**
+ * Layers an identify request covers: layer IDs and/or group names (default: every layer)
+ * Simulation layers are limited to the active runs unless a run layer is named explicitly
+ */
+async function resolveIdentifyLayers(layersParam) {
+    const activeRunLayerIds = new Set((await simulationRuns.list())
+        .filter(run => run.active)
+        .map(run => defineSimulationRunLayer(run).id));
+    const isDefaultLayer = layer => layer.group !== 'simulation' || activeRunLayerIds.has(layer.id);
+
+    const requested = String(layersParam || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (requested.length === 0) {
+        return listLayers().filter(isDefaultLayer);
+    }
 
-    // 🚀 OPTIMIZED: Use hierarchical cache key generation for better cache hit rates
-    const baseCacheKey = `simulation_4g_raw_mvt_${zi}_${xi}_${yi}`;
-    const cacheKey = generateHierarchicalCacheKey(baseCacheKey, microGridArray, zi);
+    const groups = new Set(listLayers().map(layer => layer.group));
+    const unknown = requested.filter(id => !getLayer(id) && !groups.has(id));
+    if (unknown.length > 0) {
+        throw new IdentifyError(`Unknown layers: ${unknown.join(', ')}`);
+    }
+    return listLayers().filter(layer => requested.includes(layer.id) || (requested.includes(layer.group) && isDefaultLayer(layer)));
+}
 
-    // 🚀 REDIS ONLY: No fallback to node-cache (Plan B)
-    console.log(`🔍 [Simulation 4G PBF MVT] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
-    const cached = await redisCache.get(cacheKey);
+// Complaint records in the answer (reference numbers) are written to the data access audit log
+const auditIdentify = auditLog.track(req => (req.query.complaints === '0' ? null : 'complaint'), {
+    records: result => (result.complaints ? result.complaints.records : null),
+    recordId: record => record.raw_ref_no
+});
 
-    if (cached) {
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('X-Cache', 'HIT-REDIS');
-        res.setHeader('X-Cache-Experiment', 'Redis-Only-No-Fallback');
-        console.log(`✅ [Simulation 4G PBF MVT] REDIS HIT! Returning cached tile (${cached.length} bytes)`);
-        console.log(`✅ [Simulation 4G PBF MVT] Cache key: ${cacheKey}`);
-        return res.send(cached);
-    }
+// 🔎 GET /api/identify?lon=114.17&lat=22.31[&layers=ids|groups][&radius=200][&sites=0][&complaints=0]
+app.get('/api/identify', auditIdentify, async (req, res) => {
+    try {
+        const lon = parseFloat(req.query.lon);
+        const lat = parseFloat(req.query.lat);
+        if (Number.isNaN(lon) || Number.isNaN(lat)) {
+            throw new IdentifyError('lon and lat are required (WGS84 degrees)');
+        }
 
-    console.log(`❌ [Simulation 4G PBF MVT] REDIS MISS - Will query database and store in Redis`);
-    console.log(`❌ [Simulation 4G PBF MVT] Cache key: ${cacheKey}`);
+        // 🔐 SECURITY: Restricted users can only identify locations inside their scope
+        if (!(await auth.isPointInScope(req.scope, lat, lon))) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: '此位置不在你的帳戶可存取範圍內'
+            });
+        }
 
-    // Compute tile bounds in WGS84 (EPSG:4326)
-    const n = Math.pow(2, zi);
-    const lonLeft = (xi / n) * 360 - 180;
-    const lonRight = ((xi + 1) / n) * 360 - 180;
-    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * yi / n)));
-    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (yi + 1) / n)));
-    const latTop = (latTopRad * 180) / Math.PI;
-    const latBottom = (latBottomRad * 180) / Math.PI;
+        // Nearby sites and complaints of restricted users stay inside their micro grids
+        const scope = req.scope.restricted
+            ? await spatialScope.resolve({ microGrids: req.scope.microGridIds })
+            : UNFILTERED_SCOPE;
+        const layers = await resolveIdentifyLayers(req.query.layers);
+        const result = await identifyService.identify(lon, lat, {
+            layers,
+            scope,
+            sites: req.query.sites !== '0',
+            complaints: req.query.complaints !== '0',
+            radius: req.query.radius,
+            siteLimit: Math.min(Math.max(parseInt(req.query.siteLimit, 10) || 3, 1), 10)
+        });
+        res.json(result);
+    } catch (error) {
+        sendIdentifyError(res, error);
+    }
+});
 
-    // 🚀 OPTIMIZED: Generate spatial filter clause with enhanced caching
-    const { whereClause: spatialWhere, params: spatialParams } = await generateSpatialFilter(microGridArray);
+// ********************************************************************* //
+// 🔎 位置查詢 結束
+// ********************************************************************* //
 
-    const sql = `
-        WITH bounds AS (
-            SELECT 
-                ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds
-        ), mvtgeom AS (
-            SELECT 
-                t.id,
-                t.dn,
-                ST_AsMVTGeom(
-                    t.geom,
-                    b.wgs_bounds,
-                    4096,
-                    64,
-                    true
-                ) AS geom
-            FROM "${SIMULATION_4G_TABLE}" t, bounds b
-            WHERE t.geom && b.wgs_bounds
-              AND ST_Intersects(t.geom, b.wgs_bounds)
-              ${spatialWhere}
-        )
-        SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-    `;
+// ********************************************************************* //
+// 📐 自訂區域 開始 - User-drawn areas of interest (aoi=<id> on every tile / GeoJSON route)
+// ********************************************************************* //
 
-    try {
-        const queryParams = [lonLeft, latBottom, lonRight, latTop, ...spatialParams];
-        const { rows } = await newPool.query(sql, queryParams);
-        const tile = rows[0] && rows[0].tile ? rows[0].tile : null;
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        if (!tile || tile.length === 0) {
-            return res.send(Buffer.from([]));
-        }
+/**
+ * Send an AoiError (or any other error) as JSON
+ */
+function sendAoiError(res, error) {
+    if (error instanceof AoiError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error('🚨 [AOI] Request failed:', error);
+    res.status(500).json({ error: 'Area of interest request failed', message: error.message });
+}
 
-        // 🚀 REDIS ONLY: Store in Redis only (no node-cache backup)
-        if (tile) {
-            console.log(`💾 [Simulation 4G PBF MVT] Storing tile in Redis (${tile.length} bytes)...`);
-            const redisStored = await redisCache.set(cacheKey, tile, 300);
-            if (redisStored) {
-                console.log(`✅ [Simulation 4G PBF MVT] Successfully stored in Redis with 300s TTL`);
-                console.log(`✅ [Simulation 4G PBF MVT] Cache key: ${cacheKey}`);
-            } else {
-                console.error(`❌ [Simulation 4G PBF MVT] FAILED to store in Redis!`);
-            }
-        }
+// 📐 GET /api/aoi - own and shared areas (admins: all), without geometry
+app.get('/api/aoi', async (req, res) => {
+    try {
+        res.json({ aois: await aoiStore.list(req.user) });
+    } catch (error) {
+        sendAoiError(res, error);
+    }
+});
 
-        res.setHeader('X-Cache', 'MISS');
-        console.log(`📤 [Simulation 4G PBF MVT] Sending tile to client (${tile.length} bytes)`);
-        res.send(tile);
-    } catch (err) {
-        console.error('Error generating MVT for 4G simulation raw data:', err.message);
-        console.error('Cache stats - Hits:', cacheStats.hits, 'Misses:', cacheStats.misses);
+// 📐 POST /api/aoi { name, geometry (GeoJSON Polygon, WGS84), shape: polygon | rectangle | circle, shared }
+app.post('/api/aoi', async (req, res) => {
+    try {
+        const aoi = await aoiStore.create(req.user, req.body || {});
+        console.log(`📐 [AOI] ${req.user.username} saved "${aoi.name}" (${aoi.shape}, ${aoi.areaKm2} km²)`);
+        res.status(201).json(aoi);
+    } catch (error) {
+        sendAoiError(res, error);
+    }
+});
 
-        if (err.message.includes('too many clients') || err.message.includes('remaining connection slots')) {
-            return res.status(503).json({
-                error: 'Service temporarily unavailable due to high load. Please try again later.',
-                retryAfter: 5
-            });
-        }
+// 📐 GET /api/aoi/:id - one area with its GeoJSON geometry
+app.get('/api/aoi/:id', async (req, res) => {
+    try {
+        res.json(await aoiStore.get(req.params.id, req.user));
+    } catch (error) {
+        sendAoiError(res, error);
+    }
+});
 
-        res.status(500).json({ error: 'Internal server error generating map tiles' });
+// 📐 DELETE /api/aoi/:id - owner or admin; resolved scopes using the area are dropped from the caches
+app.delete('/api/aoi/:id', async (req, res) => {
+    try {
+        const aoi = await aoiStore.remove(req.params.id, req.user);
+        spatialScope.clearMemory();
+        await redisCache.invalidateTag('aoi');
+        res.json({ success: true, id: aoi.id });
+    } catch (error) {
+        sendAoiError(res, error);
     }
 });
 
-// 仿真原數據 結束
+// ********************************************************************* //
+// 📐 自訂區域 結束
 // ********************************************************************* //
 
 // ********************************************************************* //
-// 🚀 SPATIAL FILTERING ENHANCEMENT: Utility function for spatial filtering
+// 🗺️ 用戶圖層 開始 - Imported GeoJSON / KML / KMZ / zipped Shapefile overlays of each user
 // ********************************************************************* //
 
 /**
- * 🚀 PERFORMANCE OPTIMIZED: Generates spatial filtering SQL clause based on micro grids only
- * @param {Array} microGrids - Array of micro grid IDs
- * @param {String} geomColumn - Name of the geometry column (default: 'geom')
- * @returns {Promise<Object>} { whereClause, params }
+ * Send a UserLayerError (or any other error) as JSON
  */
-async function generateSpatialFilter(microGrids = [], geomColumn = 'geom') {
-    // 🔍 DEBUG: Log input parameters
+function sendUserLayerError(res, error) {
+    if (error instanceof UserLayerError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error('🚨 [User Layers] Request failed:', error);
+    res.status(500).json({ error: 'User layer request failed', message: error.message });
+}
+
+// 📤 The upload body is the raw file - sent as application/octet-stream (express.json() above claims application/json)
+const userLayerUploadParser = express.raw({ type: () => true, limit: `${config.userLayers.maxUploadMb}mb` });
+function receiveUserLayerUpload(req, res, next) {
+    userLayerUploadParser(req, res, (err) => {
+        if (!err) return next();
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({ error: `File larger than ${config.userLayers.maxUploadMb} MB` });
+        }
+        res.status(err.status || 400).json({ error: err.message });
+    });
+}
+
+// 🗺️ GET /api/user-layers - the user's layers (style, extent, tile URL)
+app.get('/api/user-layers', async (req, res) => {
+    try {
+        res.json({ layers: await userLayers.list(req.user) });
+    } catch (error) {
+        sendUserLayerError(res, error);
+    }
+});
 
-    if (microGrids.length === 0) {
-        return { whereClause: '', params: [] };
+// 📤 POST /api/user-layers?filename=venue.kml&name=...&srid=2326 - body: file content
+// (.geojson / .json, .kml, .kmz, .zip with one or more Shapefiles; srid only when the file does not say)
+app.post('/api/user-layers', receiveUserLayerUpload, async (req, res) => {
+    try {
+        const { filename, name, srid } = req.query;
+        const layer = await userLayers.create(req.user, req.body, { filename, name, srid });
+        console.log(`🗺️ [User Layers] ${req.user.username} imported "${layer.name}" (${layer.format}, EPSG:${layer.sourceSrid}, ${layer.featureCount} features)`);
+        res.status(201).json(layer);
+    } catch (error) {
+        sendUserLayerError(res, error);
     }
+});
 
-    // 🚀 NEW: Use optimized bounds-based filtering instead of complex spatial joins
+// 🗺️ GET /api/user-layers/:id
+app.get('/api/user-layers/:id', async (req, res) => {
     try {
-        const result = await generateBoundsBasedSpatialFilter(microGrids, geomColumn);
-        return result;
+        res.json(await userLayers.get(req.params.id, req.user));
     } catch (error) {
-        console.warn(`🌍 Optimized filtering failed, falling back to simple spatial filter:`, error.message);
-        // Fallback to simple filtering
-        return generateSimpleSpatialFilter(microGrids, geomColumn);
+        sendUserLayerError(res, error);
     }
-}
+});
 
-/**
- * Simple spatial filter that uses basic SRID assumptions (fallback method) - micro grids only
- * @param {Array} microGrids - Array of micro grid IDs
- * @param {String} geomColumn - Name of the geometry column (default: 'geom')
- * @returns {Object} { whereClause, params }
- */
-function generateSimpleSpatialFilter(microGrids = [], geomColumn = 'geom') {
-    if (microGrids.length === 0) {
-        return { whereClause: '', params: [] };
-    }
-
-    let whereClause = '';
-    let params = [];
-    let paramIndex = 5;
-
-    // Only use micro grids for spatial filtering
-    const microGridPlaceholders = microGrids.map((_, index) => `$${paramIndex + index}`).join(',');
-    whereClause = `
-        AND EXISTS (
-            SELECT 1 FROM public.micro_grid m
-            WHERE m.id IN (${microGridPlaceholders})  
-            AND ST_Intersects(t.${geomColumn}, m.geom)
-        )`;
-    params = [...params, ...microGrids];
-
-    return { whereClause, params };
-}
+// 🎨 PATCH /api/user-layers/:id { name?, style?: { color, weight, opacity, fillColor, fillOpacity, radius } }
+// (styling happens in the browser - tiles stay cached)
+app.patch('/api/user-layers/:id', async (req, res) => {
+    try {
+        res.json(await userLayers.update(req.params.id, req.user, req.body || {}));
+    } catch (error) {
+        sendUserLayerError(res, error);
+    }
+});
+
+// 🗑️ DELETE /api/user-layers/:id - drops the layer, its features and its cached tiles
+app.delete('/api/user-layers/:id', async (req, res) => {
+    try {
+        const layer = await userLayers.remove(req.params.id, req.user);
+        await redisCache.invalidateTag(userLayers.tileLayer(layer).dataset);
+        res.json({ success: true, id: layer.id });
+    } catch (error) {
+        sendUserLayerError(res, error);
+    }
+});
+
+// 🗺️ GET /api/user-layers/:id/geojson?bbox=west,south,east,north - features as GeoJSON (WGS84)
+app.get('/api/user-layers/:id/geojson', async (req, res) => {
+    let bbox;
+    if (req.query.bbox) {
+        bbox = String(req.query.bbox).split(',').map(Number);
+        if (bbox.length !== 4 || bbox.some(value => !Number.isFinite(value))) {
+            return res.status(400).json({ error: 'bbox must be west,south,east,north' });
+        }
+    }
+    try {
+        res.json(await userLayers.geojson(req.params.id, req.user, bbox));
+    } catch (error) {
+        sendUserLayerError(res, error);
+    }
+});
+
+// 🗺️ GET /api/user-layers/:id/mvt/:z/:x/:y - MVT tile (layer name 'grid', feature properties as attributes)
+// The owner's own data - drawn in full, the area selection does not apply
+app.get('/api/user-layers/:id/mvt/:z/:x/:y', async (req, res) => {
+    const [zi, xi, yi] = [req.params.z, req.params.x, req.params.y].map(value => parseInt(value, 10));
+    if ([zi, xi, yi].some(Number.isNaN)) {
+        return res.status(400).send('Invalid tile coordinates');
+    }
+    try {
+        const layer = await userLayers.get(req.params.id, req.user);
+        const { value: tile, status, tier } = await getLayerTile(userLayers.tileLayer(layer), zi, xi, yi, UNFILTERED_SCOPE);
+        res.setHeader('Content-Type', 'application/x-protobuf');
+        res.setHeader('X-Cache', status === 'MISS' ? 'MISS' : `${status}-${tier}`);
+        res.send(tile);
+    } catch (error) {
+        sendUserLayerError(res, error);
+    }
+});
+
+// ********************************************************************* //
+// 🗺️ 用戶圖層 結束
+// ********************************************************************* //
+
+// ********************************************************************* //
+// 🗂️ MVT 圖層註冊表 結束
+// ********************************************************************* //
 
 // ********************************************************************* //
 // 六维数据 结束
@@ -2552,39 +2478,53 @@ function generateSimpleSpatialFilter(microGrids = [], geomColumn = 'geom') {
 // 六维数据详情接口 开始 (This group of endpoints will be further verified and examinated)
 // ********************************************************************* //
 
+// 🏷️ Dataset tags of each grid-details category (invalidating a dataset drops the details built from it)
+const GRID_DETAIL_CATEGORY_TAGS = {
+    complaint_data: ['complaint'],
+    discovery_mr: ['discovery_mr'],
+    high_load_data: ['highload'],
+    simulation_data: ['simulation_5g', 'simulation_4g'],
+    cmhk_test_data: ['cmhk_test_data']
+};
+
+function gridDetailsCacheTags(requestedCategories) {
+    const categories = requestedCategories || Object.keys(GRID_DETAIL_CATEGORY_TAGS);
+    const tags = categories.flatMap(category => GRID_DETAIL_CATEGORY_TAGS[category] || []);
+    return ['grid_details', ...new Set(tags)];
+}
+
 // Unified Grid Details endpoint for Six-Dimension Data (excluding planning sites and live sites)
 // 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
 app.get('/api/grid-details/:grid_id', async (req, res) => {
     const { grid_id } = req.params;
-    const { categories, renderingMode, districts, microGrids } = req.query; // Optional filter for specific categories
+    const { categories } = req.query; // Optional filter for specific categories
 
-    // 🚀 SECURITY: Block 六維數據 details access in 區域模式 - micro grids only
-    if (renderingMode === 'spatial' && categories && (!microGrids || microGrids === '')) {
-        const sixDimensionCategories = ['complaint_data', 'discovery_mr', 'high_load_data', 'simulation_data', 'cmhk_test_data'];
-        const requestedCategories = categories.split(',');
-        const hasSixDimensionData = requestedCategories.some(cat => sixDimensionCategories.includes(cat));
+    if (!grid_id) {
+        return res.status(400).json({ error: 'Grid ID is required' });
+    }
 
-        if (hasSixDimensionData) {
+    // 🔐 SECURITY: Restricted users only see details of grids inside their scope
+    const sendIfInScope = async (details) => {
+        const [lat, lon] = details.coordinates || [];
+        if (!(await auth.isPointInScope(req.scope, lat, lon))) {
             return res.status(403).json({
                 error: 'Access denied',
-                message: '請先選擇微網格後才能存取六維數據詳細資訊'
+                message: '此網格不在你的帳戶可存取範圍內'
             });
         }
-    }
-
-    if (!grid_id) {
-        return res.status(400).json({ error: 'Grid ID is required' });
-    }
+        return res.json(details);
+    };
 
     // 🚀 REDIS CACHE: Check Redis cache first for grid details
-    const cacheKey = `grid_details_${grid_id}_${categories || 'all'}_${renderingMode || 'default'}`;
+    // (details do not depend on the caller - scope is checked on every response)
+    const cacheKey = `grid_details_${grid_id}_${categories || 'all'}`;
     console.log(`🔍 [Grid Details] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
     const cachedResult = await redisCache.get(cacheKey);
 
     if (cachedResult) {
         res.setHeader('X-Cache', 'HIT-REDIS');
         console.log(`✅ [Grid Details] REDIS HIT! Returning cached data`);
-        return res.json(cachedResult);
+        return sendIfInScope(cachedResult);
     }
 
     console.log(`❌ [Grid Details] REDIS MISS - Will query database and store in Redis`);
@@ -2600,13 +2540,21 @@ app.get('/api/grid-details/:grid_id', async (req, res) => {
             metadata: {
                 last_updated: new Date().toISOString(),
                 total_records: 0,
-                query_time: Date.now()
+                query_time: Date.now(),
+                // 📜 Categories whose query failed - the response is partial when not empty
+                errors: []
             }
         };
 
         // Array to store all query promises for parallel execution
         const queryPromises = [];
 
+        // Failed category queries are logged with their stack and reported in metadata.errors
+        const reportQueryError = (category, err) => {
+            console.error(`🚨 [Grid Details] ${category} query failed:`, err);
+            gridDetails.metadata.errors.push({ category, message: err.message });
+        };
+
         // Parse requested categories (if specified)
         const requestedCategories = categories ? categories.split(',').map(c => c.trim()) : null;
 
@@ -2649,7 +2597,7 @@ app.get('/api/grid-details/:grid_id', async (req, res) => {
                             hasData = true;
                         }
                     } catch (err) {
-                        console.warn('Failed to query strong competition data:', err.message);
+                        reportQueryError('discovery_mr.strong', err);
                     }
 
                     // Query weak competition scenario (競弱我弱)  
@@ -2678,7 +2626,7 @@ app.get('/api/grid-details/:grid_id', async (req, res) => {
                             hasData = true;
                         }
                     } catch (err) {
-                        console.warn('Failed to query weak competition data:', err.message);
+                        reportQueryError('discovery_mr.weak', err);
                     }
 
                     if (hasData) {
@@ -2687,7 +2635,7 @@ app.get('/api/grid-details/:grid_id', async (req, res) => {
                     }
 
                 } catch (err) {
-                    console.error('Error querying Discovery MR data:', err.message);
+                    reportQueryError('discovery_mr', err);
                 }
             };
             queryPromises.push(discoveryMrPromise());
@@ -2721,7 +2669,7 @@ app.get('/api/grid-details/:grid_id', async (req, res) => {
                         gridDetails.available_categories.push('complaint_data');
                     }
                 } catch (err) {
-                    console.error('Error querying complaint data:', err.message);
+                    reportQueryError('complaint_data', err);
                 }
             };
             queryPromises.push(complaintPromise());
@@ -2758,7 +2706,7 @@ app.get('/api/grid-details/:grid_id', async (req, res) => {
                         gridDetails.available_categories.push('high_load_data');
                     }
                 } catch (err) {
-                    console.error('Error querying high load data:', err.message);
+                    reportQueryError('high_load_data', err);
                 }
             };
             queryPromises.push(highLoadPromise());
@@ -2796,7 +2744,7 @@ app.get('/api/grid-details/:grid_id', async (req, res) => {
                         gridDetails.available_categories.push('simulation_data');
                     }
                 } catch (err) {
-                    console.error('Error querying simulation data:', err.message);
+                    reportQueryError('simulation_data', err);
                 }
             };
             queryPromises.push(simulationPromise());
@@ -2838,7 +2786,7 @@ app.get('/api/grid-details/:grid_id', async (req, res) => {
                         gridDetails.available_categories.push('cmhk_test_data');
                     }
                 } catch (err) {
-                    console.error('Error querying CMHK test data:', err.message);
+                    reportQueryError('cmhk_test_data', err);
                 }
             };
             queryPromises.push(testDataPromise());
@@ -2863,19 +2811,24 @@ app.get('/api/grid-details/:grid_id', async (req, res) => {
         }
 
         // 🚀 REDIS ONLY: Store in Redis with 300s TTL
-        console.log(`💾 [Grid Details] Storing grid details in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, gridDetails, 300);
-        if (redisStored) {
-            console.log(`✅ [Grid Details] Successfully stored in Redis with 300s TTL`);
+        // (partial results are not cached - the failed categories are retried on the next request)
+        if (gridDetails.metadata.errors.length > 0) {
+            console.warn(`⚠️ [Grid Details] ${gridDetails.metadata.errors.length} category queries failed - not caching partial result`);
         } else {
-            console.error(`❌ [Grid Details] FAILED to store in Redis!`);
+            console.log(`💾 [Grid Details] Storing grid details in Redis...`);
+            const redisStored = await redisCache.set(cacheKey, gridDetails, 300, gridDetailsCacheTags(requestedCategories));
+            if (redisStored) {
+                console.log(`✅ [Grid Details] Successfully stored in Redis with 300s TTL`);
+            } else {
+                console.error(`❌ [Grid Details] FAILED to store in Redis!`);
+            }
         }
 
         res.setHeader('X-Cache', 'MISS');
-        res.json(gridDetails);
+        await sendIfInScope(gridDetails);
 
     } catch (err) {
-        console.error('Error fetching grid details:', err.stack);
+        console.error('Error fetching grid details:', err);
         res.status(500).json({
             error: 'Internal server error fetching grid details',
             grid_id: grid_id
@@ -2885,457 +2838,48 @@ app.get('/api/grid-details/:grid_id', async (req, res) => {
 
 // ********************************************************************* //
 // 六维数据详情接口 结束
-// ********************************************************************* //
-
-// ********************************************************************* //
-// 其他测试数据 开始
-// ********************************************************************* //
-
-// Other operators LTE weak coverage as Mapbox Vector Tiles (MVT)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/other_lte_weak/mvt/:table/:z/:x/:y', async (req, res) => {
-    const { table, z, x, y } = req.params;
-
-    // Whitelist allowed non-CMHK LTE field-test tables
-    const allowedTables = new Set([
-        'xcsl_l900',
-        'xcsl_l1800',
-        'xcsl_l2600',
-        'xhut_l700',
-        'xhut_l900',
-        'xhut_l1800',
-        'xhut_l2300',
-        'xhut_l2600',
-        'xsmt_l900',
-        'xsmt_l1800',
-        'xsmt_l2600'
-    ]);
-
-    if (!allowedTables.has(table)) {
-        return res.status(400).json({
-            error: 'Invalid table. Allowed: xcsl_l900, xcsl_l1800, xcsl_l2600, xhut_l700, xhut_l900, xhut_l1800, xhut_l2300, xhut_l2600, xsmt_l900, xsmt_l1800, xsmt_l2600'
-        });
-    }
-
-    const zi = parseInt(z, 10);
-    const xi = parseInt(x, 10);
-    const yi = parseInt(y, 10);
-    if ([zi, xi, yi].some(Number.isNaN)) {
-        return res.status(400).send('Invalid tile coordinates');
-    }
-
-    const cacheKey = `other_lte_weak_mvt_${table}_${zi}_${xi}_${yi}`;
-
-    // 🚀 REDIS ONLY: No fallback to node-cache (Plan B)
-    console.log(`🔍 [Other LTE Weak MVT] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
-    const cached = await redisCache.get(cacheKey);
-
-    if (cached) {
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('X-Cache', 'HIT-REDIS');
-        res.setHeader('X-Cache-Experiment', 'Redis-Only-No-Fallback');
-        console.log(`✅ [Other LTE Weak MVT] REDIS HIT! Returning cached tile (${cached.length} bytes)`);
-        console.log(`✅ [Other LTE Weak MVT] Cache key: ${cacheKey}`);
-        return res.send(cached);
-    }
-
-    console.log(`❌ [Other LTE Weak MVT] REDIS MISS - Will query database and store in Redis`);
-    console.log(`❌ [Other LTE Weak MVT] Cache key: ${cacheKey}`);
-
-    // Compute tile bounds in WGS84 (4326)
-    const n = Math.pow(2, zi);
-    const lonLeft = (xi / n) * 360 - 180;
-    const lonRight = ((xi + 1) / n) * 360 - 180;
-    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * yi / n)));
-    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (yi + 1) / n)));
-    const latTop = (latTopRad * 180) / Math.PI;
-    const latBottom = (latBottomRad * 180) / Math.PI;
-
-    // Build MVT using PostGIS ST_AsMVT with bounds supplied as WGS84 envelope
-    const sql = `
-        WITH bounds AS (
-            SELECT 
-                ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds
-        ), mvtgeom AS (
-            SELECT 
-                t.rsrp_value,
-                ST_AsMVTGeom(
-                    ST_Transform(t.geom, 3857),
-                    b.merc_bounds,
-                    4096,
-                    64,
-                    true
-                ) AS geom
-            FROM public.${table} t, bounds b
-            WHERE t.rsrp_value < -110
-              AND t.geom && b.wgs_bounds
-              AND ST_Intersects(t.geom, b.wgs_bounds)
-        )
-        SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-    `;
-
-    try {
-        const { rows } = await newPool.query(sql, [lonLeft, latBottom, lonRight, latTop]);
-        const tile = rows[0] && rows[0].tile ? rows[0].tile : null;
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        if (!tile || tile.length === 0) {
-            return res.send(Buffer.from([]));
-        }
-
-        // 🚀 REDIS ONLY: Store in Redis only (no node-cache backup)
-        if (tile) {
-            console.log(`💾 [Other LTE Weak MVT] Storing tile in Redis (${tile.length} bytes)...`);
-            const redisStored = await redisCache.set(cacheKey, tile, 300);
-            if (redisStored) {
-                console.log(`✅ [Other LTE Weak MVT] Successfully stored in Redis with 300s TTL`);
-                console.log(`✅ [Other LTE Weak MVT] Cache key: ${cacheKey}`);
-            } else {
-                console.error(`❌ [Other LTE Weak MVT] FAILED to store in Redis!`);
-            }
-        }
-
-        res.setHeader('X-Cache', 'MISS');
-        console.log(`📤 [Other LTE Weak MVT] Sending tile to client (${tile.length} bytes)`);
-        res.send(tile);
-    } catch (err) {
-        console.error('Error generating MVT for other LTE weak:', err.message);
-        console.error('Cache stats - Hits:', cacheStats.hits, 'Misses:', cacheStats.misses);
-
-        if (err.message.includes('too many clients') || err.message.includes('remaining connection slots')) {
-            return res.status(503).json({
-                error: 'Service temporarily unavailable due to high load. Please try again later.',
-                retryAfter: 5
-            });
-        }
-
-        res.status(500).json({ error: 'Internal server error generating map tiles' });
-    }
-});
-
-// Other operators NR weak coverage as Mapbox Vector Tiles (MVT)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/other_nr_weak/mvt/:table/:z/:x/:y', async (req, res) => {
-    const { table, z, x, y } = req.params;
-
-    // Whitelist allowed non-CMHK NR field-test tables
-    const allowedTables = new Set([
-        'fieldtest_grid_xcsl_ft_nr2100_rsrp',
-        'fieldtest_grid_xcsl_ft_nr3500_rsrp',
-        'fieldtest_grid_xcsl_ft_nr4900_rsrp',
-        'fieldtest_grid_xhut_ft_nr2100_rsrp',
-        'fieldtest_grid_xhut_ft_nr3500_rsrp',
-        'fieldtest_grid_xsmt_ft_nr2100_rsrp',
-        'fieldtest_grid_xsmt_ft_nr3500_rsrp',
-        'fieldtest_grid_xsmt_ft_nr4900_rsrp'
-    ]);
-
-    if (!allowedTables.has(table)) {
-        return res.status(400).json({
-            error: 'Invalid table. Allowed: fieldtest_grid_xcsl_ft_nr2100_rsrp, fieldtest_grid_xcsl_ft_nr3500_rsrp, fieldtest_grid_xcsl_ft_nr4900_rsrp, fieldtest_grid_xhut_ft_nr2100_rsrp, fieldtest_grid_xhut_ft_nr3500_rsrp, fieldtest_grid_xsmt_ft_nr2100_rsrp, fieldtest_grid_xsmt_ft_nr3500_rsrp, fieldtest_grid_xsmt_ft_nr4900_rsrp'
-        });
-    }
-
-    const zi = parseInt(z, 10);
-    const xi = parseInt(x, 10);
-    const yi = parseInt(y, 10);
-    if ([zi, xi, yi].some(Number.isNaN)) {
-        return res.status(400).send('Invalid tile coordinates');
-    }
-
-    const cacheKey = `other_nr_weak_mvt_${table}_${zi}_${xi}_${yi}`;
-
-    // 🚀 REDIS ONLY: No fallback to node-cache (Plan B)
-    console.log(`🔍 [Other NR Weak MVT] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
-    const cached = await redisCache.get(cacheKey);
-
-    if (cached) {
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('X-Cache', 'HIT-REDIS');
-        res.setHeader('X-Cache-Experiment', 'Redis-Only-No-Fallback');
-        console.log(`✅ [Other NR Weak MVT] REDIS HIT! Returning cached tile (${cached.length} bytes)`);
-        console.log(`✅ [Other NR Weak MVT] Cache key: ${cacheKey}`);
-        return res.send(cached);
-    }
-
-
-    console.log(`❌ [Other NR Weak MVT] REDIS MISS - Will query database and store in Redis`);
-    console.log(`❌ [Other NR Weak MVT] Cache key: ${cacheKey}`);
-
-    // Compute tile bounds in WGS84 (EPSG:4326)
-    const n = Math.pow(2, zi);
-    const lonLeft = (xi / n) * 360 - 180;
-    const lonRight = ((xi + 1) / n) * 360 - 180;
-    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * yi / n)));
-    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (yi + 1) / n)));
-    const latTop = (latTopRad * 180) / Math.PI;
-    const latBottom = (latBottomRad * 180) / Math.PI;
-
-    // Build MVT using PostGIS ST_AsMVT. Source geom is EPSG:2326; clip in EPSG:3857; filter in native SRID
-    const sql = `
-        WITH bounds AS (
-            SELECT 
-                ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-        ), mvtgeom AS (
-            SELECT 
-                t.rsrp_value,
-                ST_AsMVTGeom(
-                    ST_Transform(t.geom, 3857),
-                    b.merc_bounds,
-                    4096,
-                    64,
-                    true
-                ) AS geom
-            FROM public.${table} t, bounds b
-            WHERE t.rsrp_value < -110
-              AND t.geom && b.hk_bounds_2326
-              AND ST_Intersects(t.geom, b.hk_bounds_2326)
-        )
-        SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-    `;
-
-    try {
-        const { rows } = await newPool.query(sql, [lonLeft, latBottom, lonRight, latTop]);
-        const tile = rows[0] && rows[0].tile ? rows[0].tile : null;
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        if (!tile || tile.length === 0) {
-            return res.send(Buffer.from([]));
-        }
-
-        // 🚀 REDIS ONLY: Store in Redis only (no node-cache backup)
-        if (tile) {
-            console.log(`💾 [Other NR Weak MVT] Storing tile in Redis (${tile.length} bytes)...`);
-            const redisStored = await redisCache.set(cacheKey, tile, 300);
-            if (redisStored) {
-                console.log(`✅ [Other NR Weak MVT] Successfully stored in Redis with 300s TTL`);
-                console.log(`✅ [Other NR Weak MVT] Cache key: ${cacheKey}`);
-            } else {
-                console.error(`❌ [Other NR Weak MVT] FAILED to store in Redis!`);
-            }
-        }
-
-        res.setHeader('X-Cache', 'MISS');
-        console.log(`📤 [Other NR Weak MVT] Sending tile to client (${tile.length} bytes)`);
-        res.send(tile);
-    } catch (err) {
-        console.error('Error generating MVT for other NR weak:', err.message);
-        console.error('Cache stats - Hits:', cacheStats.hits, 'Misses:', cacheStats.misses);
-
-        if (err.message.includes('too many clients') || err.message.includes('remaining connection slots')) {
-            return res.status(503).json({
-                error: 'Service temporarily unavailable due to high load. Please try again later.',
-                retryAfter: 5
-            });
-        }
-
-        res.status(500).json({ error: 'Internal server error generating map tiles' });
-    }
-});
-
-//  CMHK Testing Data (LTE and NR) as Mapbox Vector Tiles (MVT) (Enhanced with spatial filtering)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/cmhk_weak_coverage/mvt/:type/:band/:z/:x/:y', async (req, res) => {
-    const { type, band, z, x, y } = req.params;
-    const { microGrids, renderingMode } = req.query;
-
-    // 🚀 SECURITY: Block 六維數據 (CMHK weak coverage data) access in 區域模式 - micro grids only
-    if (renderingMode === 'spatial' && (!microGrids || microGrids === '')) {
-        return res.status(403).json({
-            error: 'Access denied',
-            message: '請先選擇微網格後才能存取六維數據CMHK弱覆蓋資料'
-        });
-    }
-
-    // Validate type (lte or nr)
-    if (!['lte', 'nr'].includes(type.toLowerCase())) {
-        return res.status(400).json({
-            error: 'Invalid type. Use: lte | nr'
-        });
-    }
-
-    // Validate bands and map to table names
-    const lteTableMap = {
-        '700': 'cmhk_l700',
-        '900': 'cmhk_l900',
-        '1800': 'cmhk_l1800',
-        '2300': 'cmhk_l2300',
-        '2600': 'cmhk_l2600'
-    };
-
-    const nrTableMap = {
-        '2100': 'fieldtest_grid_cmhk_ft_nr2100_rsrp',
-        '3500': 'fieldtest_grid_cmhk_ft_nr3500_rsrp',
-        '4900': 'fieldtest_grid_cmhk_ft_nr4900_rsrp'
-    };
-
-    let tableName;
-    let geomSrid;
-
-    if (type.toLowerCase() === 'lte') {
-        tableName = lteTableMap[band];
-        geomSrid = 4326; // LTE tables use EPSG:4326
-        if (!tableName) {
-            return res.status(400).json({
-                error: 'Invalid LTE band. Use: 700, 900, 1800, 2300, 2600'
-            });
-        }
-    } else {
-        tableName = nrTableMap[band];
-        geomSrid = 2326; // NR tables use EPSG:2326
-        if (!tableName) {
-            return res.status(400).json({
-                error: 'Invalid NR band. Use: 2100, 3500, 4900'
-            });
-        }
-    }
-
-    const zi = parseInt(z, 10);
-    const xi = parseInt(x, 10);
-    const yi = parseInt(y, 10);
-    if ([zi, xi, yi].some(Number.isNaN)) {
-        return res.status(400).send('Invalid tile coordinates');
-    }
-
-    // Parse spatial filter parameters
-    const microGridArray = microGrids ? (typeof microGrids === 'string' ? microGrids.split(',').map(id => parseInt(id, 10)) : microGrids.map(id => parseInt(id, 10))) : [];
-
-    // 🚀 OPTIMIZED: Use hierarchical cache key generation for better cache hit rates
-    const baseCacheKey = `cmhk_weak_coverage_mvt_${type}_${band}_${zi}_${xi}_${yi}`;
-    const cacheKey = generateHierarchicalCacheKey(baseCacheKey, microGridArray, zi);
-
-    // 🚀 REDIS ONLY: No fallback to node-cache (Plan B)
-    console.log(`🔍 [CMHK Weak Coverage MVT] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
-    const cached = await redisCache.get(cacheKey);
-
-    if (cached) {
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        res.setHeader('X-Cache', 'HIT-REDIS');
-        res.setHeader('X-Cache-Experiment', 'Redis-Only-No-Fallback');
-        console.log(`✅ [CMHK Weak Coverage MVT] REDIS HIT! Returning cached tile (${cached.length} bytes)`);
-        console.log(`✅ [CMHK Weak Coverage MVT] Cache key: ${cacheKey}`);
-        return res.send(cached);
-    }
-
-    console.log(`❌ [CMHK Weak Coverage MVT] REDIS MISS - Will query database and store in Redis`);
-    console.log(`❌ [CMHK Weak Coverage MVT] Cache key: ${cacheKey}`);
-
-    // Compute tile bounds in WGS84 (EPSG:4326)
-    const n = Math.pow(2, zi);
-    const lonLeft = (xi / n) * 360 - 180;
-    const lonRight = ((xi + 1) / n) * 360 - 180;
-    const latTopRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * yi / n)));
-    const latBottomRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (yi + 1) / n)));
-    const latTop = (latTopRad * 180) / Math.PI;
-    const latBottom = (latBottomRad * 180) / Math.PI;
-
-    // 🚀 OPTIMIZED: Generate spatial filter clause with enhanced caching
-    const { whereClause: spatialWhere, params: spatialParams } = await generateSpatialFilter(microGridArray);
-
-    // Build MVT using PostGIS ST_AsMVT with different SRID handling
-    let sql;
-    if (geomSrid === 4326) {
-        // LTE tables: geometry already in WGS84
-        // Note: For LTE tables, we need to transform the geom to 2326 for spatial filter comparison
-        sql = `
-            WITH bounds AS (
-                SELECT 
-                    ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                    ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds
-            ), mvtgeom AS (
-                SELECT 
-                    t.grid_id,
-                    t.rsrp_value,
-                    t.aa_date,
-                    '${type.toUpperCase()}${band}' AS band_type,
-                    ST_AsMVTGeom(
-                        ST_Transform(t.geom, 3857),
-                        b.merc_bounds,
-                        4096,
-                        64,
-                        true
-                    ) AS geom
-                FROM public.${tableName} t, bounds b
-                WHERE t.rsrp_value IS NOT NULL
-                  AND t.geom && b.wgs_bounds
-                  AND ST_Intersects(t.geom, b.wgs_bounds)
-                  ${spatialWhere ? spatialWhere.replace(/t\.geom/g, 'ST_Transform(t.geom, 2326)') : ''}
-            )
-            SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-        `;
-    } else {
-        // NR tables: geometry in EPSG:2326, transform bounds for filtering
-        sql = `
-            WITH bounds AS (
-                SELECT 
-                    ST_MakeEnvelope($1, $2, $3, $4, 4326) AS wgs_bounds,
-                    ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
-                    ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 2326) AS hk_bounds_2326
-            ), mvtgeom AS (
-                SELECT 
-                    t.grid_id,
-                    t.rsrp_value,
-                    t.aa_date,
-                    'NR${band}' AS band_type,
-                    ST_AsMVTGeom(
-                        ST_Transform(t.geom, 3857),
-                        b.merc_bounds,
-                        4096,
-                        64,
-                        true
-                    ) AS geom
-                FROM public.${tableName} t, bounds b
-                WHERE t.rsrp_value IS NOT NULL
-                  AND t.geom && b.hk_bounds_2326
-                  AND ST_Intersects(t.geom, b.hk_bounds_2326)
-                  ${spatialWhere}
-            )
-            SELECT ST_AsMVT(mvtgeom, 'grid', 4096, 'geom') AS tile FROM mvtgeom;
-        `;
-    }
-
-    try {
-
-        const { rows } = await newPool.query(sql, [lonLeft, latBottom, lonRight, latTop, ...spatialParams]);
-        const tile = rows[0] && rows[0].tile ? rows[0].tile : null;
-
-        res.setHeader('Content-Type', 'application/x-protobuf');
-        if (!tile || tile.length === 0) {
-            return res.send(Buffer.from([]));
-        }
-
-        // 🚀 REDIS ONLY: Store in Redis only (no node-cache backup)
-        if (tile) {
-            console.log(`💾 [CMHK Weak Coverage MVT] Storing tile in Redis (${tile.length} bytes)...`);
-            const redisStored = await redisCache.set(cacheKey, tile, 300);
-            if (redisStored) {
-                console.log(`✅ [CMHK Weak Coverage MVT] Successfully stored in Redis with 300s TTL`);
-                console.log(`✅ [CMHK Weak Coverage MVT] Cache key: ${cacheKey}`);
-            } else {
-                console.error(`❌ [CMHK Weak Coverage MVT] FAILED to store in Redis!`);
-            }
-        }
-
-        res.setHeader('X-Cache', 'MISS');
-        console.log(`📤 [CMHK Weak Coverage MVT] Sending tile to client (${tile.length} bytes)`);
-        res.send(tile);
-    } catch (err) {
-        console.error(`Error generating MVT for CMHK ${type.toUpperCase()} ${band} weak coverage:`, err.message);
-        console.error('Cache stats - Hits:', cacheStats.hits, 'Misses:', cacheStats.misses);
-        console.error(`Pool status after error - Total: ${newPool.totalCount}, Idle: ${newPool.idleCount}, Waiting: ${newPool.waitingCount}`);
+// ********************************************************************* //
 
-        // Handle specific connection pool errors
-        if (err.message.includes('too many clients') || err.message.includes('remaining connection slots')) {
-            console.error('Connection pool exhausted, consider increasing pool size or reducing concurrent requests');
-            return res.status(503).json({
-                error: 'Service temporarily unavailable due to high load. Please try again later.',
-                retryAfter: 5
+// ********************************************************************* //
+// 其他测试数据 开始
+// ********************************************************************* //
+
+// Other operators LTE/NR weak coverage as Mapbox Vector Tiles (MVT)
+// Tables are whitelisted by the layer registry (other_lte_weak_* / other_nr_weak_*)
+['lte', 'nr'].forEach((technology) => {
+    app.get(`/other_${technology}_weak/mvt/:table/:z/:x/:y`, async (req, res) => {
+        const layer = getLayer(`other_${technology}_weak_${req.params.table}`);
+        if (!layer) {
+            const allowed = listLayers('other_test_data')
+                .filter(l => l.id.startsWith(`other_${technology}_weak_`))
+                .map(l => l.id.replace(`other_${technology}_weak_`, ''));
+            return res.status(400).json({
+                error: `Invalid table. Allowed: ${allowed.join(', ')}`
             });
         }
+        return serveLayerTile(req, res, layer);
+    });
+});
+
+//  CMHK Testing Data (LTE and NR) as Mapbox Vector Tiles (MVT) (Enhanced with spatial filtering)
+app.get('/cmhk_weak_coverage/mvt/:type/:band/:z/:x/:y', async (req, res) => {
+    const type = req.params.type.toLowerCase();
+    if (!['lte', 'nr'].includes(type)) {
+        return res.status(400).json({
+            error: 'Invalid type. Use: lte | nr'
+        });
+    }
 
-        res.status(500).json({ error: 'Internal server error generating map tiles' });
+    const layer = getLayer(`cmhk_weak_coverage_${type}_${req.params.band}`);
+    if (!layer) {
+        const bands = listLayers('other_test_data')
+            .filter(l => l.id.startsWith(`cmhk_weak_coverage_${type}_`))
+            .map(l => l.id.replace(`cmhk_weak_coverage_${type}_`, ''));
+        return res.status(400).json({
+            error: `Invalid ${type.toUpperCase()} band. Use: ${bands.join(', ')}`
+        });
     }
+    return serveLayerTile(req, res, layer);
 });
 
 // ********************************************************************* //
@@ -3362,7 +2906,7 @@ app.get('/micro_grids', async (req, res) => {
         if (cached) {
             res.setHeader('X-Cache', 'HIT-REDIS');
             console.log(`✅ [Micro Grids] REDIS HIT! Returning cached data`);
-            return res.json(cached);
+            return res.json(scopeMicroGridCollection(req.scope, cached));
         }
 
         console.log(`❌ [Micro Grids] REDIS MISS - Will query database and store in Redis`);
@@ -3408,13 +2952,13 @@ app.get('/micro_grids', async (req, res) => {
 
         // Store in Redis with 300s TTL
         console.log(`💾 [Micro Grids] Storing data in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['micro_grid']);
         if (redisStored) {
             console.log(`✅ [Micro Grids] Successfully stored in Redis with 300s TTL`);
         }
 
         res.setHeader('X-Cache', 'MISS');
-        res.json(responseData);
+        res.json(scopeMicroGridCollection(req.scope, responseData));
     } catch (err) {
         console.error('Error fetching micro grids:', err.stack);
         res.status(500).json({ error: 'Failed to fetch micro grids' });
@@ -3433,6 +2977,14 @@ app.get('/micro_grid_mr/:grid_name', async (req, res) => {
             return res.status(400).json({ error: 'Grid name is required' });
         }
 
+        // 🔐 SECURITY: Restricted users only read MR data of their own micro grids
+        if (!auth.isGridNameInScope(req.scope, grid_name)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: '此微網格不在你的帳戶可存取範圍內'
+            });
+        }
+
         // Generate cache key based on grid_name
         const cacheKey = `micro_grid_mr_${grid_name}`;
         console.log(`🔍 [Micro Grid MR] Checking Redis for key: ${cacheKey}`);
@@ -3542,7 +3094,7 @@ app.get('/micro_grid_mr/:grid_name', async (req, res) => {
 
         // Store in Redis with 300s TTL
         console.log(`💾 [Micro Grid MR] Storing data in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['micro_grid']);
         if (redisStored) {
             console.log(`✅ [Micro Grid MR] Successfully stored in Redis with 300s TTL`);
         }
@@ -3579,7 +3131,7 @@ app.get('/districts_with_microgrids', async (req, res) => {
         if (cached) {
             res.setHeader('X-Cache', 'HIT-REDIS');
             console.log(`✅ [Districts With Microgrids] REDIS HIT! Returning cached data`);
-            return res.json(cached);
+            return res.json(scopeDistrictMapping(req.scope, cached));
         }
 
         console.log(`❌ [Districts With Microgrids] REDIS MISS - Will query database and store in Redis`);
@@ -3614,13 +3166,13 @@ app.get('/districts_with_microgrids', async (req, res) => {
 
         // Store in Redis with 300s TTL
         console.log(`💾 [Districts With Microgrids] Storing data in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['micro_grid']);
         if (redisStored) {
             console.log(`✅ [Districts With Microgrids] Successfully stored in Redis with 300s TTL`);
         }
 
         res.setHeader('X-Cache', 'MISS');
-        res.json(responseData);
+        res.json(scopeDistrictMapping(req.scope, responseData));
     } catch (err) {
         console.error('Error fetching district-microgrid mapping:', err.stack);
         res.status(500).json({ error: 'Failed to fetch district-microgrid mapping' });
@@ -3702,7 +3254,7 @@ app.get('/api/micro_grid_rankings', async (req, res) => {
         if (cached) {
             res.setHeader('X-Cache', 'HIT-REDIS');
             console.log(`✅ [Micro Grid Rankings] REDIS HIT! Returning cached data`);
-            return res.json(cached);
+            return res.json(scopeRankings(req.scope, cached));
         }
 
         console.log(`❌ [Micro Grid Rankings] REDIS MISS - Will query database and store in Redis`);
@@ -3734,13 +3286,13 @@ app.get('/api/micro_grid_rankings', async (req, res) => {
 
         // Store in Redis with 300s TTL
         console.log(`💾 [Micro Grid Rankings] Storing data in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['micro_grid']);
         if (redisStored) {
             console.log(`✅ [Micro Grid Rankings] Successfully stored in Redis with 300s TTL`);
         }
 
         res.setHeader('X-Cache', 'MISS');
-        res.json(responseData);
+        res.json(scopeRankings(req.scope, responseData));
 
     } catch (error) {
         console.error('🚨 Error fetching micro grid rankings data:', error);
@@ -3754,7 +3306,7 @@ app.get('/api/micro_grid_rankings', async (req, res) => {
 
 // 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
 // 🚀 NEW: Whole Coverage API - Returns Hong Kong-wide coverage statistics
-app.get('/api/whole_coverage', async (req, res) => {
+app.get('/api/whole_coverage', auth.requireFullArea, async (req, res) => {
     try {
         // Generate cache key (no parameters, so simple key)
         const cacheKey = 'whole_coverage_hongkong';
@@ -3836,7 +3388,7 @@ app.get('/api/whole_coverage', async (req, res) => {
 
         // Store in Redis with 300s TTL
         console.log(`💾 [Whole Coverage] Storing data in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['micro_grid']);
         if (redisStored) {
             console.log(`✅ [Whole Coverage] Successfully stored in Redis with 300s TTL`);
         }
@@ -3854,191 +3406,6 @@ app.get('/api/whole_coverage', async (req, res) => {
     }
 });
 
-// ********************************************************************* //
-// 🚀 PERFORMANCE OPTIMIZATION: Enhanced Spatial Filtering for Regional Mode
-// ********************************************************************* //
-
-/**
- * 🚀 REDIS: Pre-fetch and cache micro grid union geometry
- * Uses Redis cache with 1-hour TTL for expensive PostGIS ST_Union results
- * This provides accurate spatial filtering using actual geometries instead of bounding boxes
- */
-async function getMicroGridUnion(microGridIds) {
-    if (!microGridIds || microGridIds.length === 0) {
-        return null;
-    }
-
-    // Sort IDs for consistent cache key
-    const sortedIds = [...microGridIds].sort((a, b) => a - b);
-    const cacheKey = `spatial_microgrid_union_${sortedIds.join('_')}`;
-
-    // Check Redis cache first
-    let unionGeom = await redisCache.get(cacheKey);
-    if (unionGeom) {
-        console.log(`✅ [Micro Grid Union] Redis HIT: ${sortedIds.length} grids`);
-        return unionGeom;
-    }
-
-    console.log(`❌ [Micro Grid Union] Redis MISS: ${sortedIds.length} grids - querying PostGIS`);
-
-    try {
-        // 🚀 FIX: Use ST_Union to get actual merged geometries instead of bounding box
-        const placeholders = microGridIds.map((_, index) => `$${index + 1}`).join(',');
-        const query = `
-            SELECT ST_AsText(ST_Transform(ST_Union(geom), 4326)) as union_geom
-            FROM public.micro_grid
-            WHERE id IN (${placeholders})
-            AND geom IS NOT NULL
-        `;
-
-        const result = await pool.query(query, microGridIds);
-
-        if (result.rows.length > 0 && result.rows[0].union_geom) {
-            unionGeom = {
-                wkt: result.rows[0].union_geom
-            };
-
-            // Cache the result in Redis (1 hour TTL - micro grids rarely change)
-            await redisCache.set(cacheKey, unionGeom, 3600);
-            console.log(`💾 [Micro Grid Union] Stored in Redis: ${sortedIds.length} grids`);
-
-            return unionGeom;
-        }
-    } catch (error) {
-        console.error('🚨 Error fetching micro grid union:', error.message);
-    }
-
-    return null;
-}
-
-
-/**
- * 🚀 PERFORMANCE OPTIMIZATION: Enhanced spatial filter with pre-computed bounds
- * This version eliminates complex spatial queries during tile generation
- */
-function generateOptimizedSpatialFilter(microGrids = []) {
-
-    if (microGrids.length === 0) {
-        return { whereClause: '', params: [], needsBounds: false };
-    }
-
-    // 🚀 OPTIMIZATION: Use simple ID-based filtering instead of complex spatial joins
-    // This assumes the main tables have micro_grid_id or grid_id foreign keys
-    let whereClause = '';
-    let params = [];
-    let paramIndex = 5; // Start from $5 since $1-$4 are used for bounds
-
-    // Try to use direct ID filtering first (if available in the table)
-    const microGridPlaceholders = microGrids.map((_, index) => `$${paramIndex + index}`).join(',');
-
-    // 🚀 OPTION 1: Direct micro grid ID filtering (fastest)
-    whereClause = `AND (t.micro_grid_id IN (${microGridPlaceholders}) OR t.grid_id IN (${microGridPlaceholders}))`;
-    params = [...microGrids];
-
-
-    return {
-        whereClause,
-        params,
-        needsBounds: false,
-        microGridIds: microGrids
-    };
-}
-
-/**
- * 🚀 PERFORMANCE OPTIMIZATION: Bounds-based spatial filter for tables without direct ID links
- * Uses pre-computed union geometry for accurate filtering (not bounding box)
- * @param {Array} microGrids - Array of micro grid IDs
- * @param {String} geomColumn - Name of the geometry column (default: 'geom')
- */
-async function generateBoundsBasedSpatialFilter(microGrids = [], geomColumn = 'geom') {
-
-    if (microGrids.length === 0) {
-        return { whereClause: '', params: [] };
-    }
-
-    // 🚀 FIX: Get pre-computed union geometry (not bounding box!)
-    const unionGeom = await getMicroGridUnion(microGrids);
-    if (!unionGeom || !unionGeom.wkt) {
-        // 🚀 FALLBACK: Use simple spatial filter when union lookup fails
-        // This prevents returning empty clause that would render ALL data instead of filtered data
-        console.warn(`⚠️ [Spatial Filter] Union geometry lookup failed for microgrids: [${microGrids.join(', ')}]. Falling back to simple spatial filter.`);
-        return generateSimpleSpatialFilter(microGrids, geomColumn);
-    }
-
-    // 🚀 FIX: Use actual union geometry for accurate spatial intersection
-    // This ensures data is only rendered within selected microgrids, not the bounding box
-    const whereClause = `
-        AND ST_Intersects(
-            CASE
-                WHEN ST_SRID(t.${geomColumn}) = 2326 THEN ST_Transform(t.${geomColumn}, 4326)
-                WHEN ST_SRID(t.${geomColumn}) = 3857 THEN ST_Transform(t.${geomColumn}, 4326)
-                ELSE t.${geomColumn}
-            END,
-            ST_GeomFromText($5, 4326)
-        )`;
-
-    const params = [unionGeom.wkt];
-
-
-    return { whereClause, params };
-}
-
-/**
- * 🚀 PERFORMANCE OPTIMIZATION: Smart spatial filter selection
- * Automatically chooses the best filtering strategy based on table structure
- */
-async function generateSmartSpatialFilter(microGrids = [], tableName = '') {
-    if (microGrids.length === 0) {
-        return { whereClause: '', params: [] };
-    }
-
-    // 🚀 SMART DETECTION: Tables with direct micro grid relationships
-    const directIdTables = [
-        'cmhk_grid_problemdb',
-        'cmhk_grid_discovery_four_quadrants_combined_after',
-        'cmhk_grid_drive_test_four_quadrants_nr',
-        'cmhk_grid_highload',
-        'cmhk_grid_simulation_weak'
-    ];
-
-    // Check if this table likely has direct micro grid ID relationships
-    const hasDirectIds = directIdTables.some(table => tableName.includes(table));
-
-    if (hasDirectIds) {
-        // Use direct ID filtering for maximum performance
-        return generateOptimizedSpatialFilter(microGrids);
-    } else {
-        // Use bounds-based filtering for tables without direct relationships
-        return await generateBoundsBasedSpatialFilter(microGrids);
-    }
-}
-
-/**
- * 🚀 PERFORMANCE OPTIMIZATION: Hierarchical cache key generation
- * Creates stable cache keys that improve hit rates
- */
-function generateHierarchicalCacheKey(baseKey, microGrids = [], zoom = 0) {
-    if (microGrids.length === 0) {
-        return baseKey;
-    }
-
-    // Sort micro grids for consistent cache keys
-    const sortedGrids = [...microGrids].sort((a, b) => a - b);
-
-    // 🚀 ZOOM-AWARE CACHING: Different cache strategies based on zoom level
-    if (zoom <= 12) {
-        // Low zoom: cache by micro grid groups (for regional overview)
-        const gridGroups = Math.ceil(sortedGrids.length / 5); // Group every 5 micro grids
-        return `${baseKey}_regional_${gridGroups}_${sortedGrids[0]}_${sortedGrids[sortedGrids.length - 1]}`;
-    } else if (zoom <= 15) {
-        // Medium zoom: cache by individual micro grids
-        return `${baseKey}_detailed_${sortedGrids.join('_')}`;
-    } else {
-        // High zoom: cache includes full micro grid list
-        return `${baseKey}_precise_${sortedGrids.join('_')}`;
-    }
-}
-
 // ********************************************************************* //
 // 地图数据 结束
 // ********************************************************************* //
@@ -4059,6 +3426,32 @@ let competitiveSitesData = {
     h3_sites: null
 };
 
+// Competitive site GeoJSON files served by /api/competitive-sites (also checked by /health/ready)
+const COMPETITIVE_SITE_FILES = ['hkt4g_1800', 'hkt4g_900', 'hkt2025_sites', 'hut_sites', 'smt_sites', 'h3_sites'];
+
+/**
+ * Path of a competitive site GeoJSON file, or null when missing
+ * 🌐 Compatibility: Support both deployment structures
+ */
+function resolveCompetitiveSiteFile(filename) {
+    let possiblePaths;
+
+    // Special handling for H3 sites - different folder structure
+    if (filename === 'h3_sites') {
+        possiblePaths = [
+            path.join(__dirname, 'H3 Sites', 'all_layers.geojson'),          // If H3 Sites is inside Backend
+            path.join(__dirname, '..', 'H3 Sites', 'all_layers.geojson')    // Original path (sibling to Backend)
+        ];
+    } else {
+        possiblePaths = [
+            path.join(__dirname, 'CompetitiveSites', `${filename}.geojson`),          // If CompetitiveSites is inside Backend
+            path.join(__dirname, '..', 'CompetitiveSites', `${filename}.geojson`)     // Original path (sibling to Backend)
+        ];
+    }
+
+    return possiblePaths.find(p => fs.existsSync(p)) || null;
+}
+
 /**
  * 🚀 REDIS: Load GeoJSON file with error handling and caching
  * Uses Redis cache with 1-hour TTL to avoid repeated file I/O
@@ -4076,23 +3469,7 @@ async function loadCompetitiveSiteData(filename) {
     console.log(`❌ [Competitive Sites] Redis MISS: ${filename} - loading from disk`);
 
     try {
-        // 🌐 Compatibility: Support both deployment structures
-        let possiblePaths;
-
-        // Special handling for H3 sites - different folder structure
-        if (filename === 'h3_sites') {
-            possiblePaths = [
-                path.join(__dirname, 'H3 Sites', 'all_layers.geojson'),          // If H3 Sites is inside Backend
-                path.join(__dirname, '..', 'H3 Sites', 'all_layers.geojson')    // Original path (sibling to Backend)             // Direct path in project root
-            ];
-        } else {
-            possiblePaths = [
-                path.join(__dirname, 'CompetitiveSites', `${filename}.geojson`),          // If CompetitiveSites is inside Backend
-                path.join(__dirname, '..', 'CompetitiveSites', `${filename}.geojson`)     // Original path (sibling to Backend)
-            ];
-        }
-
-        const filePath = possiblePaths.find(p => fs.existsSync(p));
+        const filePath = resolveCompetitiveSiteFile(filename);
         if (!filePath) {
             throw new Error(`GeoJSON file for ${filename} not found in expected locations`);
         }
@@ -4106,12 +3483,12 @@ async function loadCompetitiveSiteData(filename) {
         }
 
         // Cache the data in Redis (1 hour TTL - files rarely change)
-        await redisCache.set(cacheKey, geoData, 3600);
+        await redisCache.set(cacheKey, geoData, 3600, ['competitive_sites']);
         console.log(`💾 [Competitive Sites] Stored in Redis: ${filename} (${geoData.features.length} features)`);
 
         return geoData;
     } catch (error) {
-        console.error(`🚨 Error loading ${filename}:`, error.message);
+        console.error(`🚨 Error loading ${filename}:`, error);
         return {
             type: 'FeatureCollection',
             features: [],
@@ -4120,340 +3497,28 @@ async function loadCompetitiveSiteData(filename) {
     }
 }
 
-/**
- * 🚀 PERFORMANCE: Spatial filtering for competitive sites based on micro grids and districts
- */
-async function filterCompetitiveSitesSpatially(features, microGrids = [], districts = []) {
-    if (microGrids.length === 0 && districts.length === 0) {
-        return features; // Return all if no spatial filter
-    }
-
-    try {
-        // 🚀 FIX: Use ST_Intersects with actual micro grid geometry (same approach as planning_sites and live_sites)
-        if (microGrids.length > 0) {
-            console.log(`🔍 [filterCompetitiveSitesSpatially] Applying spatial filter for microgrids: ${microGrids.join(',')}`);
-
-            // Parse micro grid IDs
-            const microGridArray = microGrids.map(id => {
-                const parsed = parseInt(id, 10);
-                return isNaN(parsed) ? null : parsed;
-            }).filter(id => id !== null);
-
-            if (microGridArray.length === 0) {
-                console.warn('⚠️ [filterCompetitiveSitesSpatially] No valid micro grid IDs');
-                return features;
-            }
-
-            // STEP 1: Query actual geometries from cmhk_grid_data database (pool)
-            const microGridPlaceholders = microGridArray.map((_, index) => `$${index + 1}`).join(',');
-            const geomQuery = `
-                SELECT ST_AsText(ST_Union(ST_Transform(geom, 4326))) as union_geom
-                FROM public.micro_grid
-                WHERE id IN (${microGridPlaceholders})
-            `;
-            const geomResult = await pool.query(geomQuery, microGridArray);
-
-            if (geomResult.rows.length > 0 && geomResult.rows[0].union_geom) {
-                const unionGeomWKT = geomResult.rows[0].union_geom;
-
-                // STEP 2: Filter features using PostGIS ST_Intersects for accurate spatial filtering
-                // 🚀 POLYGON FIX: Separate Point and Polygon features for proper handling
-
-                // Separate features by geometry type
-                const validFeatures = features.filter(f => f.geometry && f.geometry.coordinates);
-                if (validFeatures.length === 0) {
-                    return [];
-                }
-
-                const pointFeatures = [];
-                const polygonFeatures = [];
-
-                validFeatures.forEach((f, idx) => {
-                    if (f.geometry.type === 'Point') {
-                        pointFeatures.push({ feature: f, originalIndex: idx });
-                    } else if (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon') {
-                        polygonFeatures.push({ feature: f, originalIndex: idx });
-                    }
-                });
-
-                const validIndices = new Set();
-
-                // Process Point features (original logic)
-                if (pointFeatures.length > 0) {
-                    const pointValues = pointFeatures.map((item, idx) =>
-                        `($${idx * 2 + 1}, $${idx * 2 + 2}, ${idx})`
-                    ).join(', ');
-
-                    const pointParams = pointFeatures.flatMap(item => [
-                        item.feature.geometry.coordinates[0],
-                        item.feature.geometry.coordinates[1]
-                    ]);
-                    pointParams.push(unionGeomWKT);
-
-                    const batchIntersectQuery = `
-                        WITH points AS (
-                            SELECT
-                                ST_SetSRID(ST_MakePoint(lon::double precision, lat::double precision), 4326) as geom,
-                                idx::integer
-                            FROM (VALUES ${pointValues}) AS v(lon, lat, idx)
-                        )
-                        SELECT idx
-                        FROM points
-                        WHERE ST_Intersects(geom, ST_GeomFromText($${pointParams.length}, 4326))
-                    `;
-
-                    const intersectResult = await pool.query(batchIntersectQuery, pointParams);
-                    intersectResult.rows.forEach(row => {
-                        const originalIdx = pointFeatures[row.idx].originalIndex;
-                        validIndices.add(originalIdx);
-                    });
-                }
-
-                // 🚀 NEW: Process Polygon features using ST_Intersects with polygon geometry
-                if (polygonFeatures.length > 0) {
-                    // Helper function to convert GeoJSON polygon coordinates to WKT
-                    const coordsToWKT = (coords) => {
-                        if (!coords || coords.length === 0) return null;
-                        // For Polygon: coords is array of rings [[x,y], [x,y], ...]
-                        // For MultiPolygon: coords is array of polygons [[[x,y], [x,y], ...], ...]
-                        const rings = coords.map(ring => {
-                            const points = ring.map(coord => `${coord[0]} ${coord[1]}`).join(', ');
-                            return `(${points})`;
-                        }).join(', ');
-                        return `POLYGON(${rings})`;
-                    };
-
-                    // Check each polygon for intersection
-                    for (const item of polygonFeatures) {
-                        try {
-                            let polygonWKT;
-                            if (item.feature.geometry.type === 'Polygon') {
-                                polygonWKT = coordsToWKT(item.feature.geometry.coordinates);
-                            } else if (item.feature.geometry.type === 'MultiPolygon') {
-                                // For MultiPolygon, check if any polygon intersects
-                                // Convert to MULTIPOLYGON WKT
-                                const polygons = item.feature.geometry.coordinates.map(coords => {
-                                    const rings = coords.map(ring => {
-                                        const points = ring.map(coord => `${coord[0]} ${coord[1]}`).join(', ');
-                                        return `(${points})`;
-                                    }).join(', ');
-                                    return `(${rings})`;
-                                }).join(', ');
-                                polygonWKT = `MULTIPOLYGON(${polygons})`;
-                            }
-
-                            if (polygonWKT) {
-                                const intersectQuery = `
-                                    SELECT ST_Intersects(
-                                        ST_GeomFromText($1, 4326),
-                                        ST_GeomFromText($2, 4326)
-                                    ) as intersects
-                                `;
-                                const result = await pool.query(intersectQuery, [polygonWKT, unionGeomWKT]);
-                                if (result.rows[0].intersects) {
-                                    validIndices.add(item.originalIndex);
-                                }
-                            }
-                        } catch (err) {
-                            console.warn(`⚠️ Error checking polygon intersection: ${err.message}`);
-                        }
-                    }
-                }
-
-                // Filter features based on results
-                const filteredFeatures = validFeatures.filter((_, idx) => validIndices.has(idx));
-
-                console.log(`✅ [filterCompetitiveSitesSpatially] Filtered from ${features.length} to ${filteredFeatures.length} sites (${pointFeatures.length} points, ${polygonFeatures.length} polygons)`);
-                return filteredFeatures;
-            } else {
-                console.warn('⚠️ [filterCompetitiveSitesSpatially] No geometry found for micro grids');
-                return features;
-            }
-        } else if (districts.length > 0) {
-            // 🚀 FIX: Use ST_Intersects with actual district geometry (same approach as micro grids)
-            console.log(`🔍 [filterCompetitiveSitesSpatially] Applying spatial filter for districts: ${districts.join(',')}`);
-
-            // Get the union geometry for all selected districts
-            const unionGeomWKT = await getDistrictUnion(districts);
-
-            if (!unionGeomWKT) {
-                console.warn('⚠️ [filterCompetitiveSitesSpatially] No geometry found for districts');
-                return features;
-            }
-
-            // Filter features using PostGIS ST_Intersects for accurate spatial filtering
-            // 🚀 POLYGON FIX: Separate Point and Polygon features for proper handling
-            const validFeatures = features.filter(f => f.geometry && f.geometry.coordinates);
-            if (validFeatures.length === 0) {
-                return [];
-            }
-
-            const pointFeatures = [];
-            const polygonFeatures = [];
-
-            validFeatures.forEach((f, idx) => {
-                if (f.geometry.type === 'Point') {
-                    pointFeatures.push({ feature: f, originalIndex: idx });
-                } else if (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon') {
-                    polygonFeatures.push({ feature: f, originalIndex: idx });
-                }
-            });
-
-            const validIndices = new Set();
-
-            // Process Point features (original logic)
-            if (pointFeatures.length > 0) {
-                const pointValues = pointFeatures.map((item, idx) =>
-                    `($${idx * 2 + 1}, $${idx * 2 + 2}, ${idx})`
-                ).join(', ');
-
-                const pointParams = pointFeatures.flatMap(item => [
-                    item.feature.geometry.coordinates[0],
-                    item.feature.geometry.coordinates[1]
-                ]);
-                pointParams.push(unionGeomWKT);
-
-                const batchIntersectQuery = `
-                    WITH points AS (
-                        SELECT
-                            ST_SetSRID(ST_MakePoint(lon::double precision, lat::double precision), 4326) as geom,
-                            idx::integer
-                        FROM (VALUES ${pointValues}) AS v(lon, lat, idx)
-                    )
-                    SELECT idx
-                    FROM points
-                    WHERE ST_Intersects(geom, ST_GeomFromText($${pointParams.length}, 4326))
-                `;
-
-                const intersectResult = await hkmapPool.query(batchIntersectQuery, pointParams);
-                intersectResult.rows.forEach(row => {
-                    const originalIdx = pointFeatures[row.idx].originalIndex;
-                    validIndices.add(originalIdx);
-                });
-            }
-
-            // 🚀 NEW: Process Polygon features using ST_Intersects with polygon geometry
-            if (polygonFeatures.length > 0) {
-                // Helper function to convert GeoJSON polygon coordinates to WKT
-                const coordsToWKT = (coords) => {
-                    if (!coords || coords.length === 0) return null;
-                    const rings = coords.map(ring => {
-                        const points = ring.map(coord => `${coord[0]} ${coord[1]}`).join(', ');
-                        return `(${points})`;
-                    }).join(', ');
-                    return `POLYGON(${rings})`;
-                };
-
-                // Check each polygon for intersection
-                for (const item of polygonFeatures) {
-                    try {
-                        let polygonWKT;
-                        if (item.feature.geometry.type === 'Polygon') {
-                            polygonWKT = coordsToWKT(item.feature.geometry.coordinates);
-                        } else if (item.feature.geometry.type === 'MultiPolygon') {
-                            const polygons = item.feature.geometry.coordinates.map(coords => {
-                                const rings = coords.map(ring => {
-                                    const points = ring.map(coord => `${coord[0]} ${coord[1]}`).join(', ');
-                                    return `(${points})`;
-                                }).join(', ');
-                                return `(${rings})`;
-                            }).join(', ');
-                            polygonWKT = `MULTIPOLYGON(${polygons})`;
-                        }
-
-                        if (polygonWKT) {
-                            const intersectQuery = `
-                                SELECT ST_Intersects(
-                                    ST_GeomFromText($1, 4326),
-                                    ST_GeomFromText($2, 4326)
-                                ) as intersects
-                            `;
-                            const result = await hkmapPool.query(intersectQuery, [polygonWKT, unionGeomWKT]);
-                            if (result.rows[0].intersects) {
-                                validIndices.add(item.originalIndex);
-                            }
-                        }
-                    } catch (err) {
-                        console.warn(`⚠️ Error checking polygon intersection: ${err.message}`);
-                    }
-                }
-            }
-
-            // Filter features based on results
-            const filteredFeatures = validFeatures.filter((_, idx) => validIndices.has(idx));
-
-            console.log(`✅ [filterCompetitiveSitesSpatially] Filtered from ${features.length} to ${filteredFeatures.length} sites (${pointFeatures.length} points, ${polygonFeatures.length} polygons, districts)`);
-            return filteredFeatures;
-        }
-
-        return features;
-    } catch (error) {
-        console.error('🚨 Error in spatial filtering:', error.message);
-        return features; // Return all features on error
-    }
-}
-
-/**
- * 🚀 REDIS: Get district union geometry (actual geometry, not bounding box)
- * Uses Redis cache with 30-minute TTL for expensive PostGIS ST_Union results
- */
-async function getDistrictUnion(districts) {
-    if (!districts || districts.length === 0) {
-        return null;
-    }
-
-    const cacheKey = `spatial_district_union_${districts.sort().join('_')}`;
-
-    // Check Redis cache first
-    const cached = await redisCache.get(cacheKey);
-    if (cached) {
-        console.log(`✅ [District Union] Redis HIT: ${cacheKey}`);
-        return cached;
-    }
-
-    console.log(`❌ [District Union] Redis MISS: ${cacheKey} - querying PostGIS`);
+// 🚀 ENDPOINT: Competitive Sites Data - Single File (with indoor/outdoor filtering)
+// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
+app.get('/competitive_sites/:filename', auditCompetitorSites, async (req, res) => {
+    const { filename } = req.params;
+    const { categories } = req.query;
 
+    let scope;
     try {
-        // Query district union geometry from hkmap database
-        const districtPlaceholders = districts.map((_, index) => `$${index + 1}`).join(',');
-        const query = `
-            SELECT ST_AsText(ST_Union(geom)) as union_geom
-            FROM hk_district_boundary
-            WHERE name_en IN (${districtPlaceholders}) OR name_zh IN (${districtPlaceholders})
-        `;
-
-        const result = await hkmapPool.query(query, districts);
-
-        if (result.rows.length > 0 && result.rows[0].union_geom) {
-            const unionGeomWKT = result.rows[0].union_geom;
-
-            // Cache the result in Redis (30 minutes TTL)
-            await redisCache.set(cacheKey, unionGeomWKT, 1800);
-            console.log(`💾 [District Union] Stored in Redis: ${cacheKey}`);
-            return unionGeomWKT;
-        }
+        scope = await spatialScope.fromRequest(req);
     } catch (error) {
-        console.error('🚨 Error fetching district union geometry:', error.message);
+        return sendSpatialScopeError(res, error);
     }
-
-    return null;
-}
-
-
-// 🚀 ENDPOINT: Competitive Sites Data - Single File (with indoor/outdoor filtering)
-// 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
-app.get('/competitive_sites/:filename', async (req, res) => {
-    const { filename } = req.params;
-    const { renderingMode = 'global', microGrids, districts, categories } = req.query;
+    // Spatial filtering follows the (scope-checked) spatial parameters, not a client flag
+    const renderingMode = scope.isFiltered ? 'spatial' : 'global';
 
     console.log(`🔍 [Competitive Sites Single] Request for ${filename}`);
     console.log(`🔍 [Competitive Sites Single] renderingMode: ${renderingMode}`);
-    console.log(`🔍 [Competitive Sites Single] microGrids: ${microGrids || 'none'}`);
-    console.log(`🔍 [Competitive Sites Single] districts: ${districts || 'none'}`);
+    console.log(`🔍 [Competitive Sites Single] scope: ${scope.describe()}`);
     console.log(`🔍 [Competitive Sites Single] categories: ${categories || 'none'}`);
 
     // Validate filename
-    const validFiles = ['hkt4g_1800', 'hkt4g_900', 'hkt2025_sites', 'hut_sites', 'smt_sites', 'h3_sites'];
+    const validFiles = COMPETITIVE_SITE_FILES;
     if (!validFiles.includes(filename)) {
         return res.status(400).json({
             error: 'Invalid filename',
@@ -4463,7 +3528,7 @@ app.get('/competitive_sites/:filename', async (req, res) => {
 
     try {
         // Generate cache key based on all parameters
-        const cacheKey = `competitive_sites_single_${filename}_${renderingMode}_${microGrids || 'none'}_${districts || 'none'}_${categories || 'none'}`;
+        const cacheKey = `competitive_sites_single_${filename}_${scope.key}_${categories || 'none'}`;
         console.log(`🔍 [Competitive Sites Single] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
 
         // Check Redis cache
@@ -4489,12 +3554,8 @@ app.get('/competitive_sites/:filename', async (req, res) => {
 
         // Apply spatial filtering if in spatial mode
         if (renderingMode === 'spatial') {
-            const microGridArray = microGrids ? microGrids.split(',').filter(g => g.trim()) : [];
-            const districtArray = districts ? districts.split(',').filter(d => d.trim()) : [];
-
-            console.log(`🔍 [Competitive Sites Single] Applying spatial filtering with microGrids: [${microGridArray.join(', ')}]`);
             const beforeFilterCount = features.length;
-            features = await filterCompetitiveSitesSpatially(features, microGridArray, districtArray);
+            features = await spatialScope.filterFeatures(scope, features);
             console.log(`✅ [Competitive Sites Single] After filtering: ${features.length} features (from ${beforeFilterCount})`);
         }
 
@@ -4543,7 +3604,7 @@ app.get('/competitive_sites/:filename', async (req, res) => {
 
         // Store in Redis with 300s TTL
         console.log(`💾 [Competitive Sites Single] Storing data in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, response, 300);
+        const redisStored = await redisCache.set(cacheKey, response, 300, ['competitive_sites']);
         if (redisStored) {
             console.log(`✅ [Competitive Sites Single] Successfully stored in Redis with 300s TTL`);
         }
@@ -4557,7 +3618,7 @@ app.get('/competitive_sites/:filename', async (req, res) => {
 
         res.json(response);
     } catch (error) {
-        console.error(`🚨 Error serving competitive sites ${filename}:`, error.message);
+        console.error(`🚨 Error serving competitive sites ${filename}:`, error);
         res.status(500).json({
             error: 'Internal server error',
             message: error.message
@@ -4567,13 +3628,21 @@ app.get('/competitive_sites/:filename', async (req, res) => {
 
 // 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
 // 🚀 ENDPOINT: All Competitive Sites Data - Combined
-app.get('/competitive_sites', async (req, res) => {
-    const { renderingMode = 'global', microGrids, districts, files, categories } = req.query;
+app.get('/competitive_sites', auditCompetitorSites, async (req, res) => {
+    const { files, categories } = req.query;
 
+    let scope;
+    try {
+        scope = await spatialScope.fromRequest(req);
+    } catch (error) {
+        return sendSpatialScopeError(res, error);
+    }
+    // Spatial filtering follows the (scope-checked) spatial parameters, not a client flag
+    const renderingMode = scope.isFiltered ? 'spatial' : 'global';
 
     try {
-        const requestedFiles = files ? files.split(',') : ['hkt4g_1800', 'hkt4g_900', 'hkt2025_sites', 'hut_sites', 'smt_sites', 'h3_sites'];
-        const validFiles = ['hkt4g_1800', 'hkt4g_900', 'hkt2025_sites', 'hut_sites', 'smt_sites', 'h3_sites'];
+        const requestedFiles = files ? files.split(',') : [...COMPETITIVE_SITE_FILES];
+        const validFiles = COMPETITIVE_SITE_FILES;
 
         // Filter to only valid files
         const filesToLoad = requestedFiles.filter(f => validFiles.includes(f));
@@ -4587,7 +3656,7 @@ app.get('/competitive_sites', async (req, res) => {
 
         // Generate cache key based on all parameters
         const filesKey = filesToLoad.sort().join(','); // Sort to ensure consistent cache keys
-        const cacheKey = `competitive_sites_combined_${filesKey}_${renderingMode}_${microGrids || 'none'}_${districts || 'none'}_${categories || 'none'}`;
+        const cacheKey = `competitive_sites_combined_${filesKey}_${scope.key}_${categories || 'none'}`;
         console.log(`🔍 [Competitive Sites Combined] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
 
         // Check Redis cache
@@ -4617,10 +3686,7 @@ app.get('/competitive_sites', async (req, res) => {
 
             // Apply spatial filtering if in spatial mode
             if (renderingMode === 'spatial') {
-                const microGridArray = microGrids ? microGrids.split(',').filter(g => g.trim()) : [];
-                const districtArray = districts ? districts.split(',').filter(d => d.trim()) : [];
-
-                features = await filterCompetitiveSitesSpatially(features, microGridArray, districtArray);
+                features = await spatialScope.filterFeatures(scope, features);
             }
 
             // Apply category filtering (indoor/outdoor) if specified
@@ -4681,7 +3747,7 @@ app.get('/competitive_sites', async (req, res) => {
 
         // Store in Redis with 300s TTL
         console.log(`💾 [Competitive Sites Combined] Storing data in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, response, 300);
+        const redisStored = await redisCache.set(cacheKey, response, 300, ['competitive_sites']);
         if (redisStored) {
             console.log(`✅ [Competitive Sites Combined] Successfully stored in Redis with 300s TTL`);
         }
@@ -4695,7 +3761,7 @@ app.get('/competitive_sites', async (req, res) => {
 
         res.json(response);
     } catch (error) {
-        console.error('🚨 Error serving combined competitive sites:', error.message);
+        console.error('🚨 Error serving combined competitive sites:', error);
         res.status(500).json({
             error: 'Internal server error',
             message: error.message
@@ -4739,10 +3805,10 @@ app.get('/competitive_sites_metadata', (req, res) => {
             },
             {
                 mode: 'spatial',
-                description: 'Render sites only within selected micro grids or districts'
+                description: 'Render sites only within the selected area (micro grids, districts, saved area or polygon)'
             }
         ],
-        supportedFilters: ['microGrids', 'districts'],
+        supportedFilters: ['microGrids', 'districts', 'aoi', 'polygon'],
         timestamp: new Date().toISOString()
     };
 
@@ -4759,7 +3825,7 @@ app.get('/competitive_sites_metadata', (req, res) => {
 
 // 🚀 REDIS ONLY: This endpoint uses Redis cache exclusively (no node-cache fallback)
 // 🚀 NEW: Complaint Trend Data API for dashboard visualization
-app.get('/api/complaint-trend', async (req, res) => {
+app.get('/api/complaint-trend', auditLog.track('complaint'), async (req, res) => {
     try {
         const { mode = 'hongkong', grid_id, grid_ids, grid_name, grid_names, detail_mode, data_source = 'weak_coverage' } = req.query;
 
@@ -5045,7 +4111,7 @@ app.get('/api/complaint-trend', async (req, res) => {
 
         // Store in Redis with 300s TTL
         console.log(`💾 [Complaint Trend] Storing data in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['complaint']);
         if (redisStored) {
             console.log(`✅ [Complaint Trend] Successfully stored in Redis with 300s TTL`);
         }
@@ -5305,7 +4371,7 @@ app.get('/api/vol-trend', async (req, res) => {
 
         // Store in Redis with 300s TTL
         console.log(`💾 [Vol Trend] Storing data in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['vol_trend']);
         if (redisStored) {
             console.log(`✅ [Vol Trend] Successfully stored in Redis with 300s TTL`);
         }
@@ -5410,8 +4476,6 @@ function expandCluster(coordinates, pointIndex, neighbors, cluster, clustered, v
 app.get('/live_sites_clustering', async (req, res) => {
     const {
         site_types,
-        districts,
-        microGrids,
         epsilon = 600,         // Default: 800m radius for HK urban macro cell analysis
         min_points = 5,        // Default: minimum 4 points for high-density cluster identification
         distance_unit = 'meter' // Default: meter
@@ -5424,9 +4488,16 @@ app.get('/live_sites_clustering', async (req, res) => {
         });
     }
 
+    let scope;
+    try {
+        scope = await spatialScope.fromRequest(req);
+    } catch (error) {
+        return sendSpatialScopeError(res, error);
+    }
+
     try {
         // Generate cache key based on all parameters
-        const cacheKey = `live_sites_clustering_${site_types}_${districts || 'none'}_${microGrids || 'none'}_${epsilon}_${min_points}_${distance_unit}`;
+        const cacheKey = `live_sites_clustering_${site_types}_${scope.key}_${epsilon}_${min_points}_${distance_unit}`;
         console.log(`🔍 [Live Sites Clustering] Checking Redis for key: ${cacheKey.substring(0, 60)}...`);
 
         // Check Redis cache
@@ -5456,28 +4527,9 @@ app.get('/live_sites_clustering', async (req, res) => {
             }
         });
 
-        // Parse spatial filter parameters
-        const microGridArray = microGrids ? microGrids.split(',').map(id => parseInt(id, 10)) : [];
-        const districtArray = districts ? districts.split(',').filter(d => d.trim()) : [];
-
-        // Build spatial filter (simplified version)
-        let spatialWhereClause = '';
-        let queryParams = [...dbSiteTypes];
-        let paramIndex = dbSiteTypes.length + 1;
-
-        if (microGridArray.length > 0 || districtArray.length > 0) {
-            let spatialConditions = [];
-
-            if (districtArray.length > 0) {
-                const districtPlaceholders = districtArray.map(() => `$${paramIndex++}`).join(',');
-                spatialConditions.push(`district IN (${districtPlaceholders})`);
-                queryParams.push(...districtArray);
-            }
-
-            if (spatialConditions.length > 0) {
-                spatialWhereClause = ` AND (${spatialConditions.join(' OR ')})`;
-            }
-        }
+        // 🗺️ Spatial scope (micro grids, districts, saved area or polygon)
+        const queryParams = [...dbSiteTypes];
+        const spatialWhereClause = scope.appendFilter('geom', queryParams);
 
         const placeholders = dbSiteTypes.map((_, index) => `$${index + 1}`).join(',');
 
@@ -5660,7 +4712,7 @@ app.get('/live_sites_clustering', async (req, res) => {
 
         // Store in Redis with 300s TTL
         console.log(`💾 [Live Sites Clustering] Storing data in Redis...`);
-        const redisStored = await redisCache.set(cacheKey, responseData, 300);
+        const redisStored = await redisCache.set(cacheKey, responseData, 300, ['live_sites']);
         if (redisStored) {
             console.log(`✅ [Live Sites Clustering] Successfully stored in Redis with 300s TTL`);
         }
@@ -5680,7 +4732,7 @@ app.get('/live_sites_clustering', async (req, res) => {
 // 🗺️ LOCAL BASE MAP TILES: Serve Hong Kong base map tiles from MBTiles file
 // This replaces external tile dependencies (OSM/CartoDB) with local tiles for isolated environment
 let mbtilesInstance = null;
-const mbtilesPath = process.env.MBTILES_PATH || path.join(__dirname, 'base-tiles', 'hong-kong.mbtiles');
+const mbtilesPath = config.paths.mbtiles;
 
 app.get('/base-tiles/:z/:x/:y.pbf', async (req, res) => {
     const { z, x, y } = req.params;
@@ -5693,8 +4745,8 @@ app.get('/base-tiles/:z/:x/:y.pbf', async (req, res) => {
         return res.status(400).json({ error: 'Invalid tile coordinates' });
     }
 
-    // Check zoom level limits (typical for HK area: zoom 5-18)
-    if (zi < 5 || zi > 18) {
+    // Check zoom level limits (typical for HK area: zoom 5-18, see config.tiles)
+    if (zi < config.tiles.baseMinZoom || zi > config.tiles.baseMaxZoom) {
         return res.status(404).send('Tile not found (zoom out of range)');
     }
 
@@ -5702,38 +4754,16 @@ app.get('/base-tiles/:z/:x/:y.pbf', async (req, res) => {
     const cacheKey = `base_tiles_${zi}_${xi}_${yi}`;
 
     try {
-        // Check Redis cache first (silent)
-        const cached = await redisCache.get(cacheKey);
+        // Check cache first (silent) - raw tile bytes, Content-Encoding kept in the value header
+        const cached = await redisCache.getEntry(cacheKey);
 
-        if (cached) {
-            // Parse cached data (includes both tile data and headers metadata)
-            let tileData, contentEncoding;
-            
-            // 🐛 FIX: redisCacheHelper already parses JSON for non-_mvt_ keys
-            // So cached is already an object, not a string
-            if (typeof cached === 'object' && cached.data) {
-                // New format: object with data and contentEncoding
-                tileData = Buffer.from(cached.data, 'base64');
-                contentEncoding = cached.contentEncoding;
-                console.log(`✅ [Base Tiles] REDIS HIT! Returning cached tile (${tileData.length} bytes)`);
-            } else if (Buffer.isBuffer(cached)) {
-                // Legacy format: raw buffer
-                tileData = cached;
-                console.log(`✅ [Base Tiles] REDIS HIT! Returning cached tile (legacy format, ${tileData.length} bytes)`);
-            } else {
-                // Unknown format - log and skip cache
-                console.error(`❌ [Base Tiles] Invalid cached data format for ${zi}/${xi}/${yi}`);
-                // Fall through to fetch from MBTiles
-            }
-            
-            if (tileData) {
-                res.setHeader('Content-Type', 'application/x-protobuf');
-                if (contentEncoding) {
-                    res.setHeader('Content-Encoding', contentEncoding);
-                }
-                res.setHeader('X-Cache', 'HIT');
-                return res.send(tileData);
+        if (cached && Buffer.isBuffer(cached.value)) {
+            res.setHeader('Content-Type', cached.header.contentType || 'application/x-protobuf');
+            if (cached.header.encoding) {
+                res.setHeader('Content-Encoding', cached.header.encoding);
             }
+            res.setHeader('X-Cache', 'HIT');
+            return res.send(cached.value);
         }
 
         // Initialize MBTiles instance if not already done (lazy loading)
@@ -5742,7 +4772,7 @@ app.get('/base-tiles/:z/:x/:y.pbf', async (req, res) => {
             mbtilesInstance = await new Promise((resolve, reject) => {
                 new MBTiles(mbtilesPath, (err, mbtiles) => {
                     if (err) {
-                        console.error(`[Base Tiles] Failed to open MBTiles:`, err.message);
+                        console.error(`[Base Tiles] Failed to open MBTiles:`, err);
                         reject(err);
                     } else {
                         console.log(`[Base Tiles] MBTiles file opened successfully`);
@@ -5759,7 +4789,7 @@ app.get('/base-tiles/:z/:x/:y.pbf', async (req, res) => {
                     if (err.message && err.message.includes('Tile does not exist')) {
                         resolve(null); // Tile doesn't exist (common for sparse tilesets)
                     } else {
-                        console.error(`[Base Tiles] Error reading tile ${zi}/${xi}/${yi}:`, err.message);
+                        console.error(`[Base Tiles] Error reading tile ${zi}/${xi}/${yi}:`, err);
                         reject(err);
                     }
                 } else {
@@ -5773,13 +4803,11 @@ app.get('/base-tiles/:z/:x/:y.pbf', async (req, res) => {
             return res.status(204).send();
         }
 
-        // Store in Redis with metadata (24-hour TTL - base tiles don't change)
-        // 🐛 FIX: Store as object, redisCacheHelper will JSON.stringify it
-        const cacheData = {
-            data: tile.data.toString('base64'),
-            contentEncoding: tile.headers['Content-Encoding'] || null
-        };
-        await redisCache.set(cacheKey, cacheData, 86400); // 24 hours
+        // Store in Redis as raw bytes (24-hour TTL - base tiles don't change)
+        await redisCache.set(cacheKey, tile.data, 86400, ['base_tiles'], {
+            contentType: tile.headers['Content-Type'] || 'application/x-protobuf',
+            encoding: tile.headers['Content-Encoding'] || null
+        }); // 24 hours
         console.log(`💾 [Base Tiles] Stored tile ${zi}/${xi}/${yi} in Redis (${tile.data.length} bytes)`);
 
         // Send tile to client
@@ -5791,7 +4819,7 @@ app.get('/base-tiles/:z/:x/:y.pbf', async (req, res) => {
         res.send(tile.data);
 
     } catch (err) {
-        console.error(`[Base Tiles] Error serving tile ${zi}/${xi}/${yi}:`, err.message);
+        console.error(`[Base Tiles] Error serving tile ${zi}/${xi}/${yi}:`, err);
 
         res.status(500).json({
             error: 'Error serving base tile',
@@ -5800,23 +4828,83 @@ app.get('/base-tiles/:z/:x/:y.pbf', async (req, res) => {
     }
 });
 
+// ********************************************************************* //
+// 🩺 健康檢查 開始 - Liveness / readiness probes
+// ********************************************************************* //
+
+// Only the main database (users, sessions, micro grids) is critical - the other pools,
+// Redis, the base map and the competitive site files only degrade the features behind them
+const healthChecker = new HealthChecker({
+    pools,
+    criticalPools: ['pool'],
+    redisClient,
+    mbtilesPath,
+    geoJsonFiles: COMPETITIVE_SITE_FILES,
+    resolveGeoJsonFile: resolveCompetitiveSiteFile
+});
+
+// 🩺 Liveness: the process responds (PM2 / load balancer restart probe)
+app.get('/health/live', (req, res) => {
+    res.json(healthChecker.live());
+});
+
+// 🩺 Readiness: 200 when ready (status "ok" or "degraded"), 503 when a critical dependency is down
+app.get('/health/ready', async (req, res) => {
+    try {
+        const result = await healthChecker.ready({ fresh: req.query.fresh === 'true' });
+        res.status(result.ready ? 200 : 503).json(result);
+    } catch (error) {
+        console.error('🚨 [Health] Readiness check failed:', error);
+        res.status(503).json({ status: 'down', ready: false, error: error.message });
+    }
+});
+
+// ********************************************************************* //
+// 🩺 健康檢查 結束
+// ********************************************************************* //
+
 const server = app.listen(port, () => {
-    console.log(`Server is running on port ${port}`);
+    logger.info(`Server is running on port ${port}`, { port, logLevel: logger.level });
+
+    // 🔐 AUTH: Create user/session tables (and bootstrap admin) if missing
+    auth.ensureSchema().catch(err => {
+        console.error('🚨 [Auth] Failed to initialise user/session tables:', err);
+    });
+    simulationRuns.ensureSchema().catch(err => {
+        console.error('🚨 [Simulation Runs] Failed to initialise the run registry:', err);
+    });
+    auditLog.ensureSchema().catch(err => {
+        console.error('🚨 [Audit] Failed to initialise audit table:', err);
+    });
+    aoiStore.ensureSchema().catch(err => {
+        console.error('🚨 [AOI] Failed to initialise the areas of interest table:', err);
+    });
+    userLayers.ensureSchema().catch(err => {
+        console.error('🚨 [User Layers] Failed to initialise the user layer tables:', err);
+    });
     
     // 🚀 PM2 Ready Signal: Tell PM2 the app is ready to accept requests
-    if (process.send) {
-        process.send('ready');
-        console.log('✅ PM2 ready signal sent');
-    }
+    // 🩺 Sent only once the readiness probe passes - PM2 keeps the old instance serving until then
+    healthChecker.waitUntilReady(result => {
+        logger.warn('⏳ Waiting for critical dependencies before reporting ready', { degraded: result.degraded });
+    }).then(result => {
+        if (result.status === 'degraded') {
+            logger.warn('⚠️ Ready in degraded mode', { degraded: result.degraded });
+        }
+        if (process.send) {
+            process.send('ready');
+            logger.info('✅ PM2 ready signal sent', { status: result.status });
+        }
+    });
 });
 
 // 🚀 CONNECTION FIX: Graceful shutdown handling to prevent connection leaks
 const gracefulShutdown = async (signal) => {
-    console.log(`\n${signal} received. Starting graceful shutdown...`);
+    logger.info(`${signal} received. Starting graceful shutdown...`, { signal });
 
     // Stop accepting new requests
     server.close(async () => {
-        console.log('✅ HTTP server closed (no new connections accepted)');
+        logger.info('✅ HTTP server closed (no new connections accepted)');
 
         try {
             // 1. Close all database connection pools (5 pools total)
@@ -5832,17 +4920,19 @@ const gracefulShutdown = async (signal) => {
 
             // 2. Close Redis connection
             console.log('⏳ Closing Redis connection...');
+            await redisCache.close();
             await redisClient.closeGracefully();
+            rasterService.close();
+            await briefingRenderer.close();
 
-            // 3. Note: No node-cache instances to clear (Redis-only architecture)
+            // 3. Note: The in-process LRU tier is released with the process
             // 4. Note: MBTiles are opened per-request and closed automatically
             // No global MBTiles connection to close
 
-            console.log('✅ Graceful shutdown completed successfully');
-            console.log('ℹ️  Redis-only architecture - all caches managed externally');
+            logger.info('✅ Graceful shutdown completed successfully');
             process.exit(0);
         } catch (err) {
-            console.error('❌ Error during graceful shutdown:', err);
+            logger.error('❌ Error during graceful shutdown', { err });
             process.exit(1);
         }
     });
@@ -5862,10 +4952,10 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // Handle uncaught errors
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    logger.error('Unhandled Rejection', { err: reason });
 });
 
 process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
+    logger.error('Uncaught Exception', { err: error });
     gracefulShutdown('UNCAUGHT_EXCEPTION');
 });
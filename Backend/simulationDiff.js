@@ -0,0 +1,181 @@
+// filename: simulationDiff.js - Simulation Run Difference Queries
+
+/**
+ * ⚖️ SIMULATION DIFF: Before/after comparison of two simulation runs of one technology.
+ * The dissolved polygons of both runs are intersected; every piece carries the predicted signal
+ * of each run and their difference (delta = compare dn - base dn, positive = signal got better).
+ *
+ * Delta classes (dB) shared by the tile layer and the frontend legend:
+ *   3: >= +10   2: +5 to +10   1: +1 to +5   0: unchanged (|delta| < 1)
+ *  -1: -1 to -5  -2: -5 to -10  -3: <= -10
+ */
+
+const { TILE_EXTENT } = require('./layerRegistry');
+const { SimulationRunError } = require('./simulationRuns');
+
+// |delta| below this many dB counts as unchanged
+const UNCHANGED_DB = 1;
+const DELTA_CLASS_BREAKS = [UNCHANGED_DB, 5, 10];
+const TILE_BUFFER = 64;
+
+/**
+ * SQL CASE expression turning a delta into its class (-3 .. 3)
+ */
+function deltaClassExpression(delta) {
+    const [small, medium, large] = DELTA_CLASS_BREAKS;
+    return `CASE
+                WHEN ${delta} >= ${large} THEN 3
+                WHEN ${delta} >= ${medium} THEN 2
+                WHEN ${delta} >= ${small} THEN 1
+                WHEN ${delta} > -${small} THEN 0
+                WHEN ${delta} > -${medium} THEN -1
+                WHEN ${delta} > -${large} THEN -2
+                ELSE -3
+            END`;
+}
+
+/**
+ * Both runs must be distinct runs of the same technology
+ * @throws {SimulationRunError}
+ */
+function assertComparable(baseRun, compareRun) {
+    if (baseRun.technology !== compareRun.technology) {
+        throw new SimulationRunError('Only runs of the same technology can be compared');
+    }
+    if (baseRun.id === compareRun.id) {
+        throw new SimulationRunError('Choose two different runs to compare');
+    }
+}
+
+/**
+ * Base cache key of a diff tile (before hierarchical micro grid suffixing)
+ */
+function buildDiffTileCacheKey(baseRun, compareRun, z, x, y) {
+    return `simulation_${baseRun.technology}_diff_${baseRun.id}_${compareRun.id}_mvt_${z}_${x}_${y}`;
+}
+
+/**
+ * Build the ST_AsMVT query of a diff tile
+ * Parameter order follows buildTileQuery: $1-$4 tile bounds, then spatial filter params (from $5)
+ * @param {Object} baseRun - Run registry entry ("before")
+ * @param {Object} compareRun - Run registry entry ("after")
+ * @param {Object} bounds - Result of tileToBounds()
+ * @param {Object} spatialFilter - { whereClause, params } from SpatialScope.toFilter("t.geom", { srid: 4326, offset: 4 })
+ * @returns {Object} { sql, params }
+ */
+function buildDiffTileQuery(baseRun, compareRun, bounds, spatialFilter = { whereClause: '', params: [] }) {
+    assertComparable(baseRun, compareRun);
+
+    // Polygons are clipped to the tile (plus MVT buffer) before intersecting - dissolved polygons are large
+    const runPolygons = run => `
+            SELECT t.dn, ST_ClipByBox2D(t.geom, b.clip_bounds) AS geom
+            FROM public."${run.tableName}" t, bounds b
+            WHERE t.geom && b.native_bounds
+              AND ST_Intersects(t.geom, b.native_bounds)
+              ${spatialFilter.whereClause}`;
+
+    const sql = `
+        WITH bounds AS (
+            SELECT
+                ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), 3857) AS merc_bounds,
+                ST_MakeEnvelope($1, $2, $3, $4, 4326) AS native_bounds,
+                ST_Expand(ST_MakeEnvelope($1, $2, $3, $4, 4326), ($3 - $1) * ${TILE_BUFFER / TILE_EXTENT}) AS clip_bounds
+        ), base AS (${runPolygons(baseRun)}
+        ), compare AS (${runPolygons(compareRun)}
+        ), diff AS (
+            SELECT
+                a.dn AS base_dn,
+                c.dn AS compare_dn,
+                c.dn - a.dn AS delta,
+                ST_CollectionExtract(ST_Intersection(a.geom, c.geom), 3) AS geom
+            FROM base a
+            JOIN compare c ON a.geom && c.geom AND ST_Intersects(a.geom, c.geom)
+        ), mvtgeom AS (
+            SELECT
+                d.base_dn,
+                d.compare_dn,
+                d.delta,
+                ${deltaClassExpression('d.delta')} AS delta_class,
+                ST_AsMVTGeom(ST_Transform(d.geom, 3857), b.merc_bounds, ${TILE_EXTENT}, ${TILE_BUFFER}, true) AS geom
+            FROM diff d, bounds b
+            WHERE NOT ST_IsEmpty(d.geom)
+        )
+        SELECT ST_AsMVT(mvtgeom, 'grid', ${TILE_EXTENT}, 'geom') AS tile FROM mvtgeom;
+    `;
+
+    const params = [
+        bounds.lonLeft, bounds.latBottom, bounds.lonRight, bounds.latTop,
+        ...spatialFilter.params
+    ];
+
+    return { sql, params };
+}
+
+/**
+ * Build the per micro grid summary query: area improved / degraded / unchanged (m²) and net change
+ * Micro grids live in another database, so their WGS84 geometries are passed in as WKT
+ * @param {Object} baseRun - Run registry entry ("before")
+ * @param {Object} compareRun - Run registry entry ("after")
+ * @param {Array<{id: number, wkt: string}>} microGrids - Micro grid geometries (EPSG:4326)
+ * @returns {Object} { sql, params }
+ */
+function buildDiffStatsQuery(baseRun, compareRun, microGrids) {
+    assertComparable(baseRun, compareRun);
+
+    const sql = `
+        WITH grids AS (
+            SELECT g.id, ST_GeomFromText(g.wkt, 4326) AS geom
+            FROM unnest($1::int[], $2::text[]) AS g(id, wkt)
+        ), pieces AS (
+            SELECT
+                g.id AS micro_grid_id,
+                c.dn - a.dn AS delta,
+                ST_Area(ST_Intersection(ST_Intersection(a.geom, c.geom), g.geom)::geography) AS area
+            FROM grids g
+            JOIN public."${baseRun.tableName}" a
+              ON a.geom && g.geom AND ST_Intersects(a.geom, g.geom)
+            JOIN public."${compareRun.tableName}" c
+              ON c.geom && g.geom AND c.geom && a.geom AND ST_Intersects(c.geom, a.geom)
+        )
+        SELECT
+            g.id AS micro_grid_id,
+            COALESCE(SUM(p.area) FILTER (WHERE p.delta >= $3::float8), 0) AS improved_area,
+            COALESCE(SUM(p.area) FILTER (WHERE p.delta <= -$3::float8), 0) AS degraded_area,
+            COALESCE(SUM(p.area) FILTER (WHERE ABS(p.delta) < $3::float8), 0) AS unchanged_area,
+            SUM(p.area * p.delta) / NULLIF(SUM(p.area), 0) AS mean_delta
+        FROM grids g
+        LEFT JOIN pieces p ON p.micro_grid_id = g.id
+        GROUP BY g.id
+        ORDER BY g.id;
+    `;
+
+    return {
+        sql,
+        params: [microGrids.map(grid => grid.id), microGrids.map(grid => grid.wkt), UNCHANGED_DB]
+    };
+}
+
+/**
+ * Shape one stats row for the API (areas rounded to m²)
+ */
+function toDiffStats(row) {
+    const improved = Math.round(Number(row.improved_area));
+    const degraded = Math.round(Number(row.degraded_area));
+    return {
+        microGridId: row.micro_grid_id,
+        improvedArea: improved,
+        degradedArea: degraded,
+        unchangedArea: Math.round(Number(row.unchanged_area)),
+        netChangeArea: improved - degraded,
+        meanDelta: row.mean_delta === null ? null : Math.round(Number(row.mean_delta) * 100) / 100
+    };
+}
+
+module.exports = {
+    buildDiffTileQuery,
+    buildDiffTileCacheKey,
+    buildDiffStatsQuery,
+    toDiffStats,
+    DELTA_CLASS_BREAKS,
+    UNCHANGED_DB
+};
@@ -0,0 +1,224 @@
+// filename: simulationRuns.js - Simulation Run Registry
+
+/**
+ * 📊 SIMULATION RUNS: Registry of imported simulation runs (public.simulation_runs).
+ * Each run points to the table holding its dissolved simulation polygons; one run per technology
+ * is active and served when a request does not name a run (?run=<id>).
+ * Importing a new run = loading its table + POST /api/simulation-runs - no code change, and no
+ * cache clearing either: every run has its own tile layer and therefore its own cache keys.
+ */
+
+const TECHNOLOGIES = ['5g', '4g'];
+// Table names end up in SQL as quoted identifiers - only plain lowercase names are accepted
+const TABLE_NAME_PATTERN = /^[a-z_][a-z0-9_]{0,62}$/;
+// Other PM2 instances pick up registered / activated runs within this time
+const RELOAD_INTERVAL_MS = 30000;
+
+// Runs in use before the registry existed - registered on first start only
+const INITIAL_RUNS = [
+    { technology: '5g', tableName: 'nr_simulation_data_20251104', runDate: '2025-11-04', description: 'NR simulation 2025-11-04' },
+    { technology: '4g', tableName: 'lte_simulation_data_20251104', runDate: '2025-11-04', description: 'LTE simulation 2025-11-04' }
+];
+
+/**
+ * Invalid run request (HTTP 400 / 404)
+ */
+class SimulationRunError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SimulationRunError';
+        this.status = status;
+    }
+}
+
+function toRun(row) {
+    return {
+        id: row.id,
+        technology: row.technology,
+        tableName: row.table_name,
+        runDate: row.run_date,
+        description: row.description,
+        active: row.active,
+        createdAt: row.created_at
+    };
+}
+
+class SimulationRunRegistry {
+    /**
+     * @param {Object} pool - pg Pool of the database holding the simulation tables
+     * @param {Object} [options]
+     * @param {Function} [options.onRun] - run => void, called for every loaded run (registers its tile layer)
+     */
+    constructor(pool, { onRun = () => {} } = {}) {
+        this.pool = pool;
+        this.onRun = onRun;
+        this.runs = [];
+        this.loadedAt = 0;
+    }
+
+    async ensureSchema() {
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS public.simulation_runs (
+                id SERIAL PRIMARY KEY,
+                technology TEXT NOT NULL CHECK (technology IN ('5g', '4g')),
+                table_name TEXT NOT NULL UNIQUE,
+                run_date DATE,
+                description TEXT,
+                active BOOLEAN NOT NULL DEFAULT FALSE,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        // At most one active run per technology
+        await this.pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS simulation_runs_active_idx
+            ON public.simulation_runs (technology) WHERE active
+        `);
+
+        const { rows } = await this.pool.query('SELECT COUNT(*)::int AS count FROM public.simulation_runs');
+        if (rows[0].count === 0) {
+            for (const run of INITIAL_RUNS) {
+                await this.pool.query(`
+                    INSERT INTO public.simulation_runs (technology, table_name, run_date, description, active)
+                    VALUES ($1, $2, $3, $4, TRUE)
+                    ON CONFLICT (table_name) DO NOTHING
+                `, [run.technology, run.tableName, run.runDate, run.description]);
+            }
+            console.log(`📊 [Simulation Runs] Registered ${INITIAL_RUNS.length} initial runs`);
+        }
+
+        await this.load();
+    }
+
+    async load() {
+        const { rows } = await this.pool.query(`
+            SELECT id, technology, table_name, to_char(run_date, 'YYYY-MM-DD') AS run_date, description, active, created_at
+            FROM public.simulation_runs
+            ORDER BY technology, run_date DESC NULLS LAST, id DESC
+        `);
+        this.runs = rows.map(toRun).filter(run => TABLE_NAME_PATTERN.test(run.tableName));
+        this.loadedAt = Date.now();
+        this.runs.forEach(run => this.onRun(run));
+        return this.runs;
+    }
+
+    async refreshIfStale() {
+        if (Date.now() - this.loadedAt > RELOAD_INTERVAL_MS) {
+            await this.load();
+        }
+    }
+
+    /**
+     * Runs of one technology (or all), newest run date first
+     */
+    async list(technology) {
+        await this.refreshIfStale();
+        return technology ? this.runs.filter(run => run.technology === technology) : this.runs;
+    }
+
+    /**
+     * The run a tile request should use
+     * @param {string} technology - '5g' | '4g'
+     * @param {string} [runId] - Explicit run; the active run when omitted
+     * @returns {Promise<Object>}
+     * @throws {SimulationRunError} - Unknown run, or no active run
+     */
+    async resolve(technology, runId) {
+        await this.refreshIfStale();
+        const find = () => this.runs.find(run => run.technology === technology &&
+            (runId ? String(run.id) === String(runId) : run.active));
+
+        let run = find();
+        if (!run && runId) {
+            await this.load(); // registered through another instance moments ago
+            run = find();
+        }
+        if (!run) {
+            throw new SimulationRunError(runId
+                ? `Unknown ${technology.toUpperCase()} simulation run: ${runId}`
+                : `No active ${technology.toUpperCase()} simulation run`, 404);
+        }
+        return run;
+    }
+
+    /**
+     * Register an imported run
+     * @param {Object} input - { technology, tableName, runDate, description, active }
+     */
+    async create({ technology, tableName, runDate = null, description = null, active = false }) {
+        if (!TECHNOLOGIES.includes(technology)) {
+            throw new SimulationRunError(`technology must be one of: ${TECHNOLOGIES.join(', ')}`);
+        }
+        if (!TABLE_NAME_PATTERN.test(tableName || '')) {
+            throw new SimulationRunError('tableName must be a lowercase table name in the public schema');
+        }
+        const { rows: found } = await this.pool.query('SELECT to_regclass($1) IS NOT NULL AS exists', [`public."${tableName}"`]);
+        if (!found[0].exists) {
+            throw new SimulationRunError(`Table public.${tableName} does not exist`);
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            if (active) {
+                await client.query('UPDATE public.simulation_runs SET active = FALSE WHERE technology = $1 AND active', [technology]);
+            }
+            const { rows } = await client.query(`
+                INSERT INTO public.simulation_runs (technology, table_name, run_date, description, active)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING id
+            `, [technology, tableName, runDate, description, Boolean(active)]);
+            await client.query('COMMIT');
+            await this.load();
+            return this.runs.find(run => run.id === rows[0].id);
+        } catch (err) {
+            await client.query('ROLLBACK');
+            if (err.code === '23505') {
+                throw new SimulationRunError(`Table ${tableName} is already registered`);
+            }
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Update description / run date, or make a run the active one of its technology
+     */
+    async update(id, { description, runDate, active }) {
+        await this.load();
+        const run = this.runs.find(r => String(r.id) === String(id));
+        if (!run) {
+            throw new SimulationRunError(`Unknown simulation run: ${id}`, 404);
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            if (active === true) {
+                await client.query('UPDATE public.simulation_runs SET active = FALSE WHERE technology = $1 AND active AND id <> $2', [run.technology, run.id]);
+            }
+            await client.query(`
+                UPDATE public.simulation_runs
+                SET description = COALESCE($2, description),
+                    run_date = COALESCE($3, run_date),
+                    active = COALESCE($4, active)
+                WHERE id = $1
+            `, [run.id, description === undefined ? null : description, runDate || null, typeof active === 'boolean' ? active : null]);
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        await this.load();
+        return this.runs.find(r => r.id === run.id);
+    }
+}
+
+module.exports = {
+    SimulationRunRegistry,
+    SimulationRunError,
+    TECHNOLOGIES
+};
@@ -0,0 +1,457 @@
+// filename: spatialScope.js - Unified Spatial Scope (micro grids, districts, saved AOIs, polygons)
+
+/**
+ * 🗺️ SPATIAL SCOPE: One way for every route to restrict its data to an area of interest.
+ *
+ * A scope is requested with any combination of (the area is their union):
+ *   microGrids=101,102      micro grid IDs            (public.micro_grid, main pool)
+ *   districts=Sha Tin,...   district names, en or zh  (hk_district_boundary, hkmap pool)
+ *   aoi=12,15               saved areas of interest   (public.app_aoi, see aoi.js)
+ *   polygon=<GeoJSON>       an inline Polygon / MultiPolygon (or Feature) in WGS84
+ *
+ * and resolved once to a single WGS84 union geometry (WKT), cached in Redis and in memory
+ * (tiles resolve the same scope hundreds of times per map view). Routes then ask the scope
+ * for a SQL fragment against their own geometry column:
+ *
+ *   const scope = await spatialScope.fromRequest(req);
+ *   const params = [...siteTypes];
+ *   const sql = `... WHERE site_type = ANY($1) ${scope.appendFilter('s.geom', params, { srid: 2326 })}`;
+ *
+ * - Placeholders continue after the params already bound (appendFilter) or after an explicit
+ *   offset (toFilter) - fragments never assume a fixed $n
+ * - The scope geometry is transformed to the column's SRID (2326 / 3857 / 4326) rather than the
+ *   column to 4326, so spatial indexes stay usable; without a known SRID it follows ST_SRID(column)
+ * - Tables placing some rows by longitude / latitude instead of a geometry (planning sites) use
+ *   appendLonLatFilter(): the geometry column and the coordinates are tested in separate branches
+ *   rather than through a COALESCE() of both, which no index can serve
+ * - A requested area that matches nothing (unknown IDs / names) filters everything out instead
+ *   of silently returning the whole of Hong Kong
+ * - Restricted users: micro grids / districts are checked by auth.enforceScope; AOIs and polygons
+ *   are clipped to the user's allowed micro grids here
+ * - Saved areas are private to their owner (unless shared), so scopes with AOIs are cached per user
+ */
+
+const crypto = require('crypto');
+
+const WGS84 = 4326;
+const SUPPORTED_SRIDS = [2326, 3857, 4326];
+const EMPTY_WKT = 'GEOMETRYCOLLECTION EMPTY';
+
+const MAX_POLYGON_VERTICES = 10000;
+const SCOPE_CACHE_TTL = 3600;
+const DISTRICT_CACHE_TTL = 1800;
+// In-process copy of resolved scopes - saves a Redis round trip per tile
+const MEMORY_CACHE_TTL_MS = 60 * 1000;
+const MEMORY_CACHE_SIZE = 200;
+
+/**
+ * Invalid spatial scope request (HTTP 400)
+ */
+class SpatialScopeError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SpatialScopeError';
+        this.status = status;
+    }
+}
+
+function splitList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Validate an inline GeoJSON polygon (Polygon / MultiPolygon geometry or a Feature of one)
+ * @returns {Object} - The geometry object
+ */
+function parsePolygon(value) {
+    let geojson = value;
+    if (typeof value === 'string') {
+        try {
+            geojson = JSON.parse(value);
+        } catch (e) {
+            throw new SpatialScopeError('polygon must be GeoJSON');
+        }
+    }
+    const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+        throw new SpatialScopeError('polygon must be a GeoJSON Polygon or MultiPolygon');
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    let vertices = 0;
+    polygons.forEach(rings => {
+        if (!Array.isArray(rings) || rings.length === 0) {
+            throw new SpatialScopeError('polygon has an empty ring list');
+        }
+        rings.forEach(ring => {
+            if (!Array.isArray(ring) || ring.length < 4) {
+                throw new SpatialScopeError('polygon rings need at least 4 positions');
+            }
+            ring.forEach(position => {
+                const [lon, lat] = Array.isArray(position) ? position : [];
+                if (!Number.isFinite(lon) || !Number.isFinite(lat) || Math.abs(lon) > 180 || Math.abs(lat) > 90) {
+                    throw new SpatialScopeError('polygon coordinates must be WGS84 [longitude, latitude]');
+                }
+            });
+            const [first, last] = [ring[0], ring[ring.length - 1]];
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                throw new SpatialScopeError('polygon rings must be closed');
+            }
+            vertices += ring.length;
+        });
+    });
+    if (vertices > MAX_POLYGON_VERTICES) {
+        throw new SpatialScopeError(`polygon has ${vertices} vertices (limit ${MAX_POLYGON_VERTICES})`);
+    }
+
+    return { type: geometry.type, coordinates: geometry.coordinates };
+}
+
+/**
+ * Read the scope parameters of a request (query string or JSON body)
+ * @param {Object} source - { microGrids?, districts?, aoi?, polygon? }
+ * @returns {Object} - { microGrids: number[], districts: string[], aois: number[], polygon: Object|null }
+ */
+function parseScopeParams(source = {}) {
+    const microGrids = [...new Set(splitList(source.microGrids)
+        .map(id => parseInt(id, 10))
+        .filter(id => !Number.isNaN(id)))]
+        .sort((a, b) => a - b);
+    const districts = [...new Set(splitList(source.districts))].sort();
+
+    const aoiValues = splitList(source.aoi);
+    if (aoiValues.some(id => !/^\d+$/.test(id))) {
+        throw new SpatialScopeError('aoi must be a list of saved area IDs');
+    }
+    const aois = [...new Set(aoiValues.map(id => parseInt(id, 10)))].sort((a, b) => a - b);
+
+    const polygon = source.polygon ? parsePolygon(source.polygon) : null;
+
+    return { microGrids, districts, aois, polygon };
+}
+
+function isEmptySpec(spec) {
+    return spec.microGrids.length === 0 && spec.districts.length === 0 && spec.aois.length === 0 && !spec.polygon;
+}
+
+/**
+ * A resolved scope: union geometry (WGS84 WKT) plus the SQL fragment builders
+ */
+class SpatialScope {
+    /**
+     * @param {Object} spec - Parsed scope parameters
+     * @param {string|null} wkt - Union geometry, null = unfiltered
+     * @param {string} key - Stable identifier of the scope (cache keys)
+     */
+    constructor(spec, wkt, key) {
+        this.spec = spec;
+        this.wkt = wkt;
+        this.key = key;
+    }
+
+    get isFiltered() {
+        return this.wkt !== null;
+    }
+
+    /**
+     * True when the requested area matched nothing (every filtered query returns no rows)
+     */
+    get isEmpty() {
+        return this.wkt === EMPTY_WKT;
+    }
+
+    /**
+     * Short human readable description (logs, export metadata)
+     */
+    describe() {
+        if (!this.isFiltered) {
+            return 'all';
+        }
+        const { microGrids, districts, aois, polygon } = this.spec;
+        return [
+            microGrids.length > 0 ? `micro grids ${microGrids.join(', ')}` : null,
+            districts.length > 0 ? `districts ${districts.join(', ')}` : null,
+            aois.length > 0 ? `AOI ${aois.join(', ')}` : null,
+            polygon ? 'drawn polygon' : null
+        ].filter(Boolean).join(' + ');
+    }
+
+    /**
+     * SQL fragment restricting a geometry expression to the scope
+     * @param {string} geomExpression - Geometry column / expression, e.g. 't.geom' or 'ST_SetSRID(geom, 2326)'
+     * @param {Object} [options]
+     * @param {number} [options.srid] - SRID of the expression (2326, 3857 or 4326); omitted = ST_SRID() per row
+     * @param {number} [options.offset=0] - Number of params bound before the fragment's own
+     * @returns {Object} { whereClause, params } - whereClause starts with AND ('' when unfiltered)
+     */
+    toFilter(geomExpression, { srid, offset = 0 } = {}) {
+        if (!this.isFiltered) {
+            return { whereClause: '', params: [] };
+        }
+        if (srid !== undefined && !SUPPORTED_SRIDS.includes(srid)) {
+            throw new Error(`Spatial scope: unsupported SRID ${srid}`);
+        }
+
+        const scopeGeom = `ST_GeomFromText($${offset + 1}, ${WGS84})`;
+        let target;
+        if (srid === WGS84) {
+            target = scopeGeom;
+        } else if (srid) {
+            target = `ST_Transform(${scopeGeom}, ${srid})`;
+        } else {
+            target = `ST_Transform(${scopeGeom}, ST_SRID(${geomExpression}))`;
+        }
+
+        return {
+            whereClause: `AND ST_Intersects(${geomExpression}, ${target})`,
+            params: [this.wkt]
+        };
+    }
+
+    /**
+     * toFilter() numbered after `params`, whose array receives the fragment's params
+     * @returns {string} whereClause
+     */
+    appendFilter(geomExpression, params, options = {}) {
+        const { whereClause, params: scopeParams } = this.toFilter(geomExpression, { ...options, offset: params.length });
+        params.push(...scopeParams);
+        return whereClause;
+    }
+
+    /**
+     * appendFilter() for rows placed by a geometry column or, where it is NULL, by longitude / latitude
+     * @param {Array} params - Params bound so far; receives the fragment's own
+     * @param {Object} columns - See lonLatFallbackPredicate(), e.g. { geom: 't.geom', lon: 't.longitude', lat: 't.latitude', srid: 4326 }
+     * @returns {string} whereClause ('' when unfiltered)
+     */
+    appendLonLatFilter(params, columns) {
+        if (!this.isFiltered) {
+            return '';
+        }
+        params.push(this.wkt);
+        return `AND ${lonLatFallbackPredicate(`ST_GeomFromText($${params.length}, ${WGS84})`, columns)}`;
+    }
+}
+
+/**
+ * Predicate for rows placed by a geometry column or, where it is NULL, by WGS84 longitude / latitude
+ * columns. Each branch tests the bare column (the IS NULL branch included), so the planner can
+ * combine two spatial index scans instead of scanning the table.
+ * @param {string} target - WGS84 geometry SQL the rows must intersect
+ * @param {Object} columns
+ * @param {string} columns.geom - Geometry column, e.g. 't.geom'
+ * @param {string} columns.lon - Longitude column
+ * @param {string} columns.lat - Latitude column
+ * @param {number} [columns.srid] - SRID of the geometry column
+ * @param {string} [columns.table] - Table of the column; without srid its SRID is read from here once per query
+ * @returns {string} Parenthesised predicate
+ */
+function lonLatFallbackPredicate(target, { geom, lon, lat, srid, table }) {
+    let geomTarget;
+    if (srid === WGS84) {
+        geomTarget = target;
+    } else if (srid) {
+        geomTarget = `ST_Transform(${target}, ${srid})`;
+    } else if (table) {
+        // Uncorrelated sub-select: evaluated once, so the transformed target stays an index condition
+        const column = geom.split('.').pop();
+        geomTarget = `ST_Transform(${target}, (SELECT ST_SRID(s.${column}) FROM ${table} s WHERE s.${column} IS NOT NULL LIMIT 1))`;
+    } else {
+        throw new Error('Spatial scope: lon/lat fallback needs the geometry SRID or its table');
+    }
+
+    return `(ST_Intersects(${geom}, ${geomTarget})
+                OR (${geom} IS NULL AND ST_Intersects(ST_SetSRID(ST_MakePoint(${lon}, ${lat}), ${WGS84}), ${target})))`;
+}
+
+const UNFILTERED = new SpatialScope({ microGrids: [], districts: [], aois: [], polygon: null }, null, 'all');
+
+class SpatialScopeService {
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.gridPool - pg Pool holding public.micro_grid (also combines the parts)
+     * @param {Object} deps.districtPool - pg Pool holding hk_district_boundary
+     * @param {Object} deps.cache - redisCacheHelper
+     * @param {Function} [deps.resolveAoi] - async (ids, user) => WGS84 WKT of the saved areas the user may use
+     */
+    constructor({ gridPool, districtPool, cache, resolveAoi = null }) {
+        this.gridPool = gridPool;
+        this.districtPool = districtPool;
+        this.cache = cache;
+        this.resolveAoi = resolveAoi;
+        this.memory = new Map();
+    }
+
+    /**
+     * Parse and resolve the scope of a request
+     * @param {Object} req - Express request (req.user / req.scope from auth)
+     * @param {Object} [source=req.query] - Where the scope parameters are read from
+     * @returns {Promise<SpatialScope>}
+     */
+    fromRequest(req, source = req.query) {
+        return this.resolve(parseScopeParams(source), { user: req.user, userScope: req.scope });
+    }
+
+    /**
+     * Resolve parsed scope parameters to a SpatialScope
+     * @param {Object} spec - parseScopeParams() result (or a partial { microGrids })
+     * @param {Object} [context]
+     * @param {Object} [context.user] - Requesting user (saved area ownership)
+     * @param {Object} [context.userScope] - req.scope; restricted users get AOIs / polygons clipped
+     * @returns {Promise<SpatialScope>}
+     */
+    async resolve(spec, { user = null, userScope = null } = {}) {
+        spec = { microGrids: [], districts: [], aois: [], polygon: null, ...spec };
+        if (isEmptySpec(spec)) {
+            return UNFILTERED;
+        }
+
+        const hasAois = spec.aois.length > 0;
+        const clipIds = userScope && userScope.restricted && (hasAois || spec.polygon) ? userScope.microGridIds : null;
+        const owner = hasAois && user ? user.id : null;
+        const key = crypto.createHash('sha1')
+            .update(JSON.stringify([spec.microGrids, spec.districts, spec.aois, spec.polygon, clipIds, owner]))
+            .digest('hex')
+            .slice(0, 16);
+
+        const remembered = this.memory.get(key);
+        if (remembered && remembered.expires > Date.now()) {
+            return remembered.scope;
+        }
+
+        const cacheKey = `spatial_scope_${key}`;
+        let cached = await this.cache.get(cacheKey);
+        if (!cached) {
+            cached = { wkt: await this.computeUnion(spec, clipIds, user) };
+            const tags = ['micro_grid', 'district_boundary', ...(hasAois ? ['aoi'] : [])];
+            await this.cache.set(cacheKey, cached, SCOPE_CACHE_TTL, tags);
+        }
+
+        const scope = new SpatialScope(spec, cached.wkt, key);
+        this.remember(key, scope);
+        return scope;
+    }
+
+    remember(key, scope) {
+        if (this.memory.size >= MEMORY_CACHE_SIZE) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+        this.memory.set(key, { scope, expires: Date.now() + MEMORY_CACHE_TTL_MS });
+    }
+
+    /**
+     * Forget resolved scopes held in memory (saved areas changed - the Redis copies are dropped
+     * with the 'aoi' tag, other PM2 instances forget theirs within MEMORY_CACHE_TTL_MS)
+     */
+    clearMemory() {
+        this.memory.clear();
+    }
+
+    /**
+     * Union of every requested part (optionally clipped to allowed micro grids) as WGS84 WKT
+     */
+    async computeUnion(spec, clipIds, user) {
+        const wktParts = [];
+        if (spec.districts.length > 0) {
+            const districtWkt = await this.districtUnion(spec.districts);
+            if (districtWkt) wktParts.push(districtWkt);
+        }
+        if (spec.aois.length > 0) {
+            if (!this.resolveAoi) {
+                throw new SpatialScopeError('Saved areas (aoi) are not available');
+            }
+            const aoiWkts = await this.resolveAoi(spec.aois, user);
+            if (aoiWkts.length !== spec.aois.length) {
+                throw new SpatialScopeError(`Saved area not found: ${spec.aois.join(', ')}`, 404);
+            }
+            wktParts.push(...aoiWkts);
+        }
+
+        const { rows } = await this.gridPool.query(`
+            WITH parts AS (
+                SELECT ST_Transform(geom, ${WGS84}) AS geom
+                FROM public.micro_grid
+                WHERE id = ANY($1::int[]) AND geom IS NOT NULL
+                UNION ALL
+                SELECT ST_GeomFromText(wkt, ${WGS84}) FROM unnest($2::text[]) AS wkt
+                UNION ALL
+                SELECT ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(json), ${WGS84})) FROM unnest($3::text[]) AS json
+            ), requested AS (
+                SELECT ST_Union(geom) AS geom FROM parts
+            )
+            SELECT ST_AsText(
+                CASE WHEN $4::int[] IS NULL THEN r.geom
+                ELSE ST_Intersection(r.geom, (
+                    SELECT ST_Union(ST_Transform(geom, ${WGS84}))
+                    FROM public.micro_grid
+                    WHERE id = ANY($4::int[]) AND geom IS NOT NULL
+                ))
+                END
+            ) AS wkt
+            FROM requested r
+        `, [spec.microGrids, wktParts, spec.polygon ? [JSON.stringify(spec.polygon)] : [], clipIds]);
+
+        const wkt = rows[0] && rows[0].wkt;
+        return wkt && !/EMPTY$/.test(wkt) ? wkt : EMPTY_WKT;
+    }
+
+    /**
+     * 🚀 REDIS: District union geometry (actual boundaries, matched on English or Chinese name)
+     */
+    async districtUnion(districts) {
+        const cacheKey = `spatial_district_union_${[...districts].sort().join('_')}`;
+        const cached = await this.cache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const { rows } = await this.districtPool.query(`
+            SELECT ST_AsText(ST_Transform(ST_Union(geom), ${WGS84})) AS union_geom
+            FROM hk_district_boundary
+            WHERE name_en = ANY($1::text[]) OR name_zh = ANY($1::text[])
+        `, [districts]);
+        const wkt = rows[0] && rows[0].union_geom;
+        if (wkt) {
+            await this.cache.set(cacheKey, wkt, DISTRICT_CACHE_TTL, ['district_boundary']);
+        }
+        return wkt || null;
+    }
+
+    /**
+     * Keep the GeoJSON features (WGS84) that intersect the scope - for data served from files
+     * @param {SpatialScope} scope
+     * @param {Array<Object>} features
+     * @returns {Promise<Array<Object>>}
+     */
+    async filterFeatures(scope, features) {
+        if (!scope.isFiltered) {
+            return features;
+        }
+        const withGeometry = features.filter(feature => feature.geometry && feature.geometry.coordinates);
+        if (scope.isEmpty || withGeometry.length === 0) {
+            return [];
+        }
+
+        const params = [withGeometry.map(feature => JSON.stringify(feature.geometry))];
+        const { rows } = await this.gridPool.query(`
+            SELECT f.idx
+            FROM unnest($1::text[]) WITH ORDINALITY AS f(json, idx)
+            WHERE TRUE ${scope.appendFilter(`ST_SetSRID(ST_GeomFromGeoJSON(f.json), ${WGS84})`, params, { srid: WGS84 })}
+        `, params);
+        return rows.map(row => withGeometry[Number(row.idx) - 1]);
+    }
+}
+
+module.exports = {
+    SpatialScopeService,
+    SpatialScope,
+    SpatialScopeError,
+    parseScopeParams,
+    parsePolygon,
+    lonLatFallbackPredicate,
+    UNFILTERED
+};
@@ -0,0 +1,155 @@
+// filename: test/aoi.test.js - Saved areas of interest and their use as spatial scope
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPostgis } = require('./support/postgis');
+const { AoiStore, AoiError } = require('../aoi');
+const { SpatialScopeService, SpatialScopeError, parseScopeParams } = require('../spatialScope');
+
+const ALICE = { id: 1, username: 'alice', role: 'user' };
+const BOB = { id: 2, username: 'bob', role: 'user' };
+const ADMIN = { id: 3, username: 'root', role: 'admin' };
+
+const square = (lon, lat, size) => ({
+    type: 'Polygon',
+    coordinates: [[[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]]]
+});
+
+// Plain Map in place of redisCacheHelper (get / set are all the scope service uses)
+function memoryCache() {
+    const entries = new Map();
+    return {
+        get: async key => (entries.has(key) ? entries.get(key) : null),
+        set: async (key, value) => entries.set(key, value)
+    };
+}
+
+describe('aoi', () => {
+    let db;
+    let store;
+
+    before(async () => {
+        db = await createPostgis();
+        store = new AoiStore(db);
+        await store.ensureSchema();
+        // Micro grid 101 covers the west half of Alice's area
+        await db.exec(`
+            CREATE TABLE public.micro_grid (id INTEGER PRIMARY KEY, geom geometry(Polygon, 4326));
+            INSERT INTO public.micro_grid VALUES
+                (101, ST_GeomFromText('POLYGON((114.10 22.30,114.15 22.30,114.15 22.40,114.10 22.40,114.10 22.30))', 4326));
+        `);
+    });
+
+    after(async () => {
+        await db.close();
+    });
+
+    describe('AoiStore', () => {
+        it('saves a drawn polygon as a WGS84 MultiPolygon', async () => {
+            const aoi = await store.create(ALICE, { name: '  Venue  ', geometry: square(114.1, 22.3, 0.1), shape: 'rectangle' });
+
+            assert.equal(aoi.name, 'Venue');
+            assert.equal(aoi.shape, 'rectangle');
+            assert.equal(aoi.owner, 'alice');
+            assert.equal(aoi.shared, false);
+            assert.equal(aoi.geometry.type, 'MultiPolygon');
+            assert.deepEqual(aoi.bbox.map(v => +v.toFixed(6)), [114.1, 22.3, 114.2, 22.4]);
+            assert.ok(aoi.areaKm2 > 100 && aoi.areaKm2 < 120, `${aoi.areaKm2} km²`);
+        });
+
+        it('repairs self-intersecting drawings', async () => {
+            const bowTie = { type: 'Polygon', coordinates: [[[114, 22], [114.1, 22.1], [114.1, 22], [114, 22.1], [114, 22]]] };
+            const aoi = await store.create(ALICE, { name: 'Bow tie', geometry: bowTie });
+            assert.equal(aoi.geometry.coordinates.length, 2);
+        });
+
+        it('refuses drawings without an area', async () => {
+            const flat = { type: 'Polygon', coordinates: [[[114, 22], [114.1, 22], [114.2, 22], [114, 22]]] };
+            await assert.rejects(store.create(ALICE, { name: 'Line', geometry: flat }), /does not enclose an area/);
+        });
+
+        for (const [name, body, message] of [
+            ['a missing name', { name: ' ', geometry: square(114, 22, 0.1) }, /name is required/],
+            ['an unknown shape', { name: 'x', shape: 'hexagon', geometry: square(114, 22, 0.1) }, /shape must be one of/],
+            ['a point', { name: 'x', geometry: { type: 'Point', coordinates: [114, 22] } }, /^geometry must be a GeoJSON Polygon/],
+            ['an open ring', { name: 'x', geometry: { type: 'Polygon', coordinates: [[[114, 22], [115, 22], [115, 23], [114, 23]]] } }, /rings must be closed/]
+        ]) {
+            it(`rejects ${name} with a 400`, async () => {
+                await assert.rejects(store.create(ALICE, body), err => {
+                    assert.ok(err instanceof AoiError);
+                    assert.equal(err.status, 400);
+                    assert.match(err.message, message);
+                    return true;
+                });
+            });
+        }
+
+        it('shows private areas to their owner and admins, shared ones to everybody', async () => {
+            const own = await store.create(BOB, { name: 'Private', geometry: square(114.2, 22.3, 0.01) });
+            const shared = await store.create(BOB, { name: 'Shared', geometry: square(114.2, 22.3, 0.01), shared: true });
+
+            const names = async user => (await store.list(user)).map(aoi => aoi.name);
+            assert.ok((await names(BOB)).includes('Private'));
+            assert.ok((await names(ADMIN)).includes('Private'));
+            assert.ok(!(await names(ALICE)).includes('Private'));
+            assert.ok((await names(ALICE)).includes('Shared'));
+
+            await assert.rejects(store.get(own.id, ALICE), err => err.status === 404);
+            assert.deepEqual((await store.wkt([own.id, shared.id], ALICE)).length, 1);
+            assert.deepEqual(await store.wkt([own.id], null), []);
+        });
+
+        it('lets only the owner or an admin delete an area', async () => {
+            const shared = await store.create(BOB, { name: 'Doomed', geometry: square(114.2, 22.3, 0.01), shared: true });
+
+            await assert.rejects(store.remove(shared.id, ALICE), err => err.status === 403);
+            assert.equal((await store.remove(shared.id, ADMIN)).name, 'Doomed');
+            await assert.rejects(store.get(shared.id, BOB), err => err.status === 404);
+            await assert.rejects(store.get('abc', BOB), /Invalid area of interest ID/);
+        });
+    });
+
+    describe('as spatial scope', () => {
+        let service;
+        let venue;
+
+        before(async () => {
+            service = new SpatialScopeService({
+                gridPool: db,
+                districtPool: db,
+                cache: memoryCache(),
+                resolveAoi: (ids, user) => store.wkt(ids, user)
+            });
+            venue = await store.create(ALICE, { name: 'Scope venue', geometry: square(114.1, 22.3, 0.1) });
+        });
+
+        const areaOf = async scope =>
+            Number((await db.query('SELECT ST_Area(ST_GeomFromText($1)) AS area', [scope.wkt])).rows[0].area).toFixed(4);
+
+        it('reads aoi IDs from the request', () => {
+            assert.deepEqual(parseScopeParams({ aoi: '15,12,15' }).aois, [12, 15]);
+            assert.throws(() => parseScopeParams({ aoi: '12,abc' }), /aoi must be a list of saved area IDs/);
+        });
+
+        it('resolves an AOI to its geometry', async () => {
+            const scope = await service.resolve({ aois: [venue.id] }, { user: ALICE });
+            assert.equal(await areaOf(scope), '0.0100');
+        });
+
+        it('refuses areas the user cannot see with a 404', async () => {
+            await assert.rejects(service.resolve({ aois: [venue.id] }, { user: BOB }), err => {
+                assert.ok(err instanceof SpatialScopeError);
+                assert.equal(err.status, 404);
+                return true;
+            });
+        });
+
+        it('clips AOIs of restricted users to their micro grids', async () => {
+            const scope = await service.resolve({ aois: [venue.id] }, {
+                user: ALICE,
+                userScope: { restricted: true, microGridIds: [101] }
+            });
+            assert.equal(await areaOf(scope), '0.0050');
+        });
+    });
+});
@@ -0,0 +1,126 @@
+// filename: test/audit.test.js - Data access audit log
+
+require('./support/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { AuditLog } = require('../audit');
+
+// pg Pool stand-in: records every query, answers with the given rows
+function fakePool(rows = []) {
+    const queries = [];
+    return {
+        queries,
+        query: async (sql, params) => {
+            queries.push({ sql, params });
+            return { rows: sql.includes('SELECT') ? rows.splice(0) : [] };
+        }
+    };
+}
+
+// Serve one audited route, request it once and return the written audit row parameters
+async function auditedRequest(track, handler) {
+    const pool = fakePool();
+    const app = express();
+    app.get('/route', track(new AuditLog(pool)), handler);
+    const server = app.listen(0);
+    try {
+        await new Promise((resolve, reject) => {
+            http.get(`http://127.0.0.1:${server.address().port}/route`, res => {
+                res.resume();
+                res.on('end', resolve);
+            }).on('error', reject);
+        });
+        // The row is written on 'finish', after the client saw the response
+        for (let wait = 0; pool.queries.length === 0 && wait < 50; wait++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    } finally {
+        server.close();
+    }
+    const [, , , dataset, , route, , , count, unit, status, aborted, , , recordIds] = pool.queries[0].params;
+    return { dataset, route, count, unit, status, aborted, recordIds };
+}
+
+describe('AuditLog', () => {
+    describe('track', () => {
+        it('records the IDs of the counted features', async () => {
+            const row = await auditedRequest(
+                audit => audit.track('complaint', { recordId: feature => feature.properties.raw_ref_no }),
+                (req, res) => res.json({
+                    type: 'FeatureCollection',
+                    features: [{ properties: { raw_ref_no: 'C1' } }, { properties: { raw_ref_no: 2 } }]
+                })
+            );
+            assert.deepEqual(row, {
+                dataset: 'complaint', route: '/route', count: 2, unit: 'features',
+                status: 200, aborted: false, recordIds: ['C1', '2']
+            });
+        });
+
+        it('takes nested records from the records option', async () => {
+            const row = await auditedRequest(
+                audit => audit.track('complaint', {
+                    records: result => (result.complaints ? result.complaints.records : null),
+                    recordId: record => record.raw_ref_no
+                }),
+                (req, res) => res.json({ layers: [], complaints: { total: 1, records: [{ raw_ref_no: 'C9' }] } })
+            );
+            assert.equal(row.unit, 'objects');
+            assert.deepEqual(row.recordIds, ['C9']);
+        });
+
+        it('takes file routes\' counts and record IDs from res.locals.auditCount', async () => {
+            const row = await auditedRequest(
+                audit => audit.track('complaint'),
+                (req, res) => {
+                    res.locals.auditCount = { count: 2, unit: 'micro grids', recordIds: [11, 12] };
+                    res.send(Buffer.from('PK'));
+                }
+            );
+            assert.deepEqual([row.count, row.unit, row.recordIds], [2, 'micro grids', ['11', '12']]);
+        });
+    });
+
+    describe('exportCsv', () => {
+        it('writes a BOM, a header and spreadsheet-safe cells', async () => {
+            const pool = fakePool([{
+                id: 1,
+                occurred_at: new Date('2026-01-02T03:04:05Z'),
+                username: '=cmd|"/c calc"!A1',
+                params: { note: 'a,b' },
+                result_count: -1,
+                record_ids: ['@ref', 'C123']
+            }]);
+            let csv = '';
+            await new AuditLog(pool).exportCsv({}, { write: chunk => { csv += chunk; } });
+
+            const [header, row] = csv.replace('\uFEFF', '').split('\r\n');
+            assert.ok(csv.startsWith('\uFEFF'));
+            assert.match(header, /^id,occurred_at,user_id,username,/);
+            assert.ok(row.startsWith('1,2026-01-02T03:04:05.000Z,,"\'=cmd|""/c calc""!A1",'), row);
+            assert.ok(row.includes(',"{""note"":""a,b""}",'), row);
+            assert.ok(row.includes(',-1,'), 'plain numbers stay numbers');
+            assert.ok(row.endsWith(',"[""@ref"",""C123""]"'), row);
+        });
+    });
+
+    describe('record', () => {
+        it('masks credentials with the logger redaction list', async () => {
+            const pool = fakePool();
+            const req = {
+                query: { session: 's', token: 't', password: 'p', year: '2025' },
+                params: {},
+                method: 'GET',
+                baseUrl: '',
+                path: '/complaint_year',
+                ip: '127.0.0.1'
+            };
+            await new AuditLog(pool).record(req, { dataset: 'complaint', status: 200, durationMs: 5, count: 1, unit: 'rows' });
+
+            const params = JSON.parse(pool.queries[0].params[6]);
+            assert.deepEqual(params, { session: '[redacted]', token: '[redacted]', password: '[redacted]', year: '2025' });
+        });
+    });
+});
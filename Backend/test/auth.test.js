@@ -0,0 +1,61 @@
+// filename: test/auth.test.js - Session scope enforcement
+
+require('./support/env');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { closeRedis } = require('./support/redis');
+const { AuthService } = require('../auth');
+
+const RESTRICTED = { restricted: true, microGridIds: [1, 2], gridNames: ['KT-01', 'KT-02'], districts: ['Kwun Tong'] };
+
+// Run enforceScope on a request and report whether it passed or what it answered
+function enforce(path, query, scope = RESTRICTED) {
+    const auth = new AuthService({ query: async () => ({ rows: [] }) });
+    const req = { path, query: { ...query }, scope };
+    return new Promise(resolve => {
+        const res = {
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json: body => resolve({ passed: false, status: res.statusCode, body })
+        };
+        auth.enforceScope(req, res, err => resolve({ passed: !err, query: req.query }));
+    });
+}
+
+describe('AuthService.enforceScope', () => {
+    after(closeRedis);
+
+    it('passes unrestricted users untouched', async () => {
+        const result = await enforce('/api/complaints', { district: 'Sha Tin' }, { restricted: false });
+        assert.deepEqual(result, { passed: true, query: { district: 'Sha Tin' } });
+    });
+
+    it('defaults restricted requests to the whole scope', async () => {
+        const result = await enforce('/complaint_year', {});
+        assert.equal(result.query.microGrids, '1,2');
+    });
+
+    it('refuses micro grids and districts outside the scope', async () => {
+        const grids = await enforce('/complaint_year', { microGrids: '1,3' });
+        assert.equal(grids.status, 403);
+        assert.deepEqual(grids.body.forbidden, ['3']);
+
+        const district = await enforce('/api/site_detail', { district: 'Sha Tin' });
+        assert.equal(district.status, 403);
+        assert.deepEqual(district.body.forbidden, ['Sha Tin']);
+    });
+
+    it('lets the complaint district filter through, clipped to the scope\'s micro grids', async () => {
+        const result = await enforce('/api/complaints', { district: 'Sha Tin' });
+        assert.equal(result.passed, true);
+        assert.equal(result.query.microGrids, '1,2');
+        assert.equal(result.query.district, 'Sha Tin');
+    });
+
+    it('checks report micro grid IDs', async () => {
+        const result = await enforce('/api/reports/microgrid', { ids: '2,9' });
+        assert.equal(result.status, 403);
+    });
+});
@@ -0,0 +1,35 @@
+// filename: test/csvFormat.test.js - CSV cells safe for spreadsheets
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { csvCell } = require('../csvFormat');
+
+describe('csvCell', () => {
+    it('quotes separators, quotes and line breaks (RFC 4180)', () => {
+        assert.equal(csvCell('plain'), 'plain');
+        assert.equal(csvCell('a,b'), '"a,b"');
+        assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+        assert.equal(csvCell('two\nlines'), '"two\nlines"');
+    });
+
+    it('neutralizes text a spreadsheet would evaluate as a formula', () => {
+        assert.equal(csvCell('=HYPERLINK("http://x","y")'), '"\'=HYPERLINK(""http://x"",""y"")"');
+        assert.equal(csvCell('+1+cmd|calc'), "'+1+cmd|calc");
+        assert.equal(csvCell('-2+3'), "'-2+3");
+        assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+        assert.equal(csvCell('\t=1'), "'\t=1");
+        assert.equal(csvCell('\r=1'), '"\'\r=1"');
+    });
+
+    it('keeps plain numbers as numbers', () => {
+        assert.equal(csvCell('-95'), '-95');
+        assert.equal(csvCell('-12.5'), '-12.5');
+        assert.equal(csvCell('+3'), '+3');
+        assert.equal(csvCell('-1e-3'), '-1e-3');
+    });
+
+    it('leaves other text alone', () => {
+        assert.equal(csvCell(''), '');
+        assert.equal(csvCell('Kwun Tong = busy'), 'Kwun Tong = busy');
+    });
+});
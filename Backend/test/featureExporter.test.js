@@ -0,0 +1,113 @@
+// filename: test/featureExporter.test.js - Feature export file writers
+
+require('./support/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { writeCSV, writeGeoPackage } = require('../featureExporter');
+
+// WKB point (little endian) - what ST_AsBinary returns as export_wkb
+function pointWkb(lon, lat) {
+    const wkb = Buffer.alloc(21);
+    wkb.writeUInt8(1, 0);
+    wkb.writeUInt32LE(1, 1);
+    wkb.writeDoubleLE(lon, 5);
+    wkb.writeDoubleLE(lat, 13);
+    return wkb;
+}
+
+function pointFeature(properties, lon, lat) {
+    return {
+        properties,
+        row: {
+            export_type: 'POINT',
+            export_wkt: `POINT(${lon} ${lat})`,
+            export_lon: lon,
+            export_lat: lat,
+            export_wkb: pointWkb(lon, lat),
+            export_xmin: lon,
+            export_xmax: lon,
+            export_ymin: lat,
+            export_ymax: lat
+        }
+    };
+}
+
+const COMPLAINTS = {
+    source: { id: 'complaint_records', label: 'Complaints' },
+    features: [
+        pointFeature({ ref: 'C1', remark: '=HYPERLINK("http://x","click")', dn: -95 }, 114.17, 22.3),
+        pointFeature({ ref: 'C2', remark: 'weak signal, indoor', dn: -101.5 }, 114.18, 22.31)
+    ]
+};
+
+function openGeoPackage(buffer) {
+    const filePath = path.join(os.tmpdir(), `feature_export_test_${process.pid}_${Date.now()}.gpkg`);
+    fs.writeFileSync(filePath, buffer);
+    const db = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY);
+    const get = sql => new Promise((resolve, reject) => db.get(sql, (err, row) => (err ? reject(err) : resolve(row))));
+    const close = () => new Promise(resolve => db.close(() => {
+        fs.unlinkSync(filePath);
+        resolve();
+    }));
+    return { get, close };
+}
+
+describe('featureExporter', () => {
+    describe('writeCSV', () => {
+        it('writes a BOM, the union of attributes and spreadsheet-safe cells', () => {
+            const lines = writeCSV([COMPLAINTS], 'lonlat').toString('utf8').split('\r\n');
+
+            assert.equal(lines[0], '\uFEFFexport_layer,ref,remark,dn,lon,lat');
+            assert.equal(lines[1], 'complaint_records,C1,"\'=HYPERLINK(""http://x"",""click"")",-95,114.17,22.3');
+            assert.equal(lines[2], 'complaint_records,C2,"weak signal, indoor",-101.5,114.18,22.31');
+        });
+
+        it('writes WKT geometry when asked', () => {
+            const lines = writeCSV([COMPLAINTS], 'wkt').toString('utf8').split('\r\n');
+            assert.ok(lines[0].endsWith(',wkt'));
+            assert.ok(lines[1].endsWith(',POINT(114.17 22.3)'));
+        });
+    });
+
+    describe('writeGeoPackage', () => {
+        it('writes a GeoPackage with GP geometry headers', async () => {
+            const buffer = await writeGeoPackage([COMPLAINTS], { scope: 'Kwun Tong' });
+            assert.equal(buffer.subarray(0, 16).toString('latin1'), 'SQLite format 3\u0000');
+
+            const gpkg = openGeoPackage(buffer);
+            try {
+                assert.equal((await gpkg.get('PRAGMA application_id')).application_id, 1196444487);
+                assert.equal((await gpkg.get('PRAGMA user_version')).user_version, 10300);
+                assert.deepEqual(
+                    { ...(await gpkg.get('SELECT table_name, geometry_type_name, srs_id FROM gpkg_geometry_columns')) },
+                    { table_name: 'complaint_records', geometry_type_name: 'POINT', srs_id: 4326 }
+                );
+
+                const { geom, remark, dn } = await gpkg.get('SELECT geom, remark, dn FROM complaint_records WHERE ref = \'C1\'');
+                assert.equal(geom.toString('ascii', 0, 2), 'GP');
+                assert.equal(geom.readUInt8(2), 0, 'version 1 (0)');
+                assert.equal(geom.readUInt8(3), 0b11, 'little endian, xy envelope');
+                assert.equal(geom.readInt32LE(4), 4326);
+                assert.deepEqual([8, 16, 24, 32].map(offset => geom.readDoubleLE(offset)), [114.17, 114.17, 22.3, 22.3]);
+                assert.deepEqual(geom.subarray(40), pointWkb(114.17, 22.3));
+                assert.equal(remark, '=HYPERLINK("http://x","click")', 'GeoPackage keeps the raw text');
+                assert.equal(dn, -95);
+            } finally {
+                await gpkg.close();
+            }
+        });
+
+        it('removes its temporary file when writing fails', async () => {
+            const leftovers = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith(`feature_export_${process.pid}_`));
+            const before = leftovers().length;
+
+            // The same table twice fails on CREATE TABLE
+            await assert.rejects(writeGeoPackage([COMPLAINTS, COMPLAINTS], { scope: 'Kwun Tong' }));
+            assert.equal(leftovers().length, before);
+        });
+    });
+});
@@ -0,0 +1,97 @@
+// filename: test/mbtilesExporter.test.js - Offline MBTiles export
+
+require('./support/env');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Exports are written to a scratch directory (config reads it on load)
+const EXPORT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mbtiles_export_test_'));
+process.env.MBTILES_EXPORT_DIR = EXPORT_DIR;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const MBTiles = require('@mapbox/mbtiles');
+const { closeRedis } = require('./support/redis');
+const { getLayer } = require('../layerRegistry');
+const { tileRange } = require('../tileSeeder');
+const MBTilesExporter = require('../mbtilesExporter');
+
+// Kwun Tong, about 1 km across
+const BBOX = [114.215, 22.305, 114.225, 22.315];
+// Stand-in for an ST_AsMVT result (one empty MVT layer named "grid")
+const MVT = Buffer.from([0x1a, 0x08, 0x0a, 0x04, 0x67, 0x72, 0x69, 0x64, 0x78, 0x02]);
+
+function exporter(queries = []) {
+    const pool = {
+        options: { max: 4 },
+        query: async (sql, params) => {
+            queries.push({ sql, params });
+            return { rows: [{ tile: MVT }] };
+        }
+    };
+    return new MBTilesExporter({
+        getLayer,
+        getPool: () => pool,
+        resolveMicroGridBounds: async () => null,
+        resolveSpatialScope: async () => ({ toFilter: () => ({ whereClause: '', params: [] }) })
+    });
+}
+
+function readMBTiles(filePath) {
+    return new Promise((resolve, reject) => {
+        new MBTiles(`${filePath}?mode=ro`, (err, mbtiles) => {
+            if (err) return reject(err);
+            mbtiles.getInfo((infoErr, info) => {
+                if (infoErr) return reject(infoErr);
+                const { minX, minY } = tileRange(BBOX, 15);
+                mbtiles.getTile(15, minX, minY, (tileErr, tile) => {
+                    mbtiles.close(() => (tileErr ? reject(tileErr) : resolve({ info, tile })));
+                });
+            });
+        });
+    });
+}
+
+describe('MBTilesExporter', () => {
+    after(async () => {
+        fs.rmSync(EXPORT_DIR, { recursive: true, force: true });
+        await closeRedis();
+    });
+
+    it('renders every tile of the area into one MBTiles file', async () => {
+        const queries = [];
+        const result = await exporter(queries).export(
+            { layers: 'cmhk_grid_highload', minZoom: 14, maxZoom: 15, bbox: BBOX.join(','), name: 'kwun tong' },
+            { username: 'planner1' }
+        );
+
+        const expected = [14, 15].reduce((sum, z) => {
+            const { minX, maxX, minY, maxY } = tileRange(BBOX, z);
+            return sum + (maxX - minX + 1) * (maxY - minY + 1);
+        }, 0);
+        assert.equal(result.tiles, expected);
+        assert.equal(result.emptyTiles, 0);
+        assert.equal(queries.length, expected);
+        assert.match(result.fileName, /^kwun_tong_\d+\.mbtiles$/);
+        assert.equal(path.dirname(result.path), EXPORT_DIR);
+
+        const { info, tile } = await readMBTiles(result.path);
+        assert.equal(info.format, 'pbf');
+        assert.equal(info.minzoom, 14);
+        assert.equal(info.maxzoom, 15);
+        assert.deepEqual(info.bounds, BBOX);
+        assert.equal(info.vector_layers[0].id, 'cmhk_grid_highload');
+        assert.deepEqual(zlib.gunzipSync(tile), MVT);
+    });
+
+    it('refuses exports above the tile limit before rendering', async () => {
+        const queries = [];
+        await assert.rejects(
+            exporter(queries).export({ layers: 'cmhk_grid_highload', minZoom: 10, maxZoom: 18, bbox: '113.8,22.1,114.5,22.6' }),
+            { name: 'SeedRequestError', message: /tiles \(limit \d+\)/ }
+        );
+        assert.equal(queries.length, 0);
+    });
+});
@@ -0,0 +1,56 @@
+// filename: test/memoryLruCache.test.js - In-process LRU cache tier
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryLruCache = require('../memoryLruCache');
+
+describe('MemoryLruCache', () => {
+    it('evicts the least recently used entries beyond its byte budget', () => {
+        const cache = new MemoryLruCache({ maxBytes: 30, maxEntryBytes: 30 });
+        cache.set('a', Buffer.alloc(10), 60);
+        cache.set('b', Buffer.alloc(10), 60);
+        cache.set('c', Buffer.alloc(10), 60);
+        cache.get('a');
+        cache.set('d', Buffer.alloc(10), 60);
+
+        assert.deepEqual([...cache.entries.keys()], ['c', 'a', 'd']);
+        assert.equal(cache.getStats().bytes, 30);
+        assert.equal(cache.getStats().evictions, 1);
+    });
+
+    it('does not keep values above maxEntryBytes', () => {
+        const cache = new MemoryLruCache({ maxBytes: 100, maxEntryBytes: 10 });
+        assert.equal(cache.set('big', Buffer.alloc(11), 60), false);
+        assert.equal(cache.get('big'), null);
+    });
+
+    it('expires entries after their TTL', () => {
+        const cache = new MemoryLruCache();
+        cache.set('gone', 'x', 0);
+        assert.equal(cache.get('gone'), null);
+        assert.equal(cache.getStats().entries, 0);
+    });
+
+    it('clears everything but the entries of the kept tags', () => {
+        const cache = new MemoryLruCache();
+        cache.set('tile', 'x', 60, ['simulation_5g']);
+        cache.set('base', 'x', 60, ['base_tiles']);
+        cache.set('plain', 'x', 60);
+
+        assert.equal(cache.clear(['base_tiles', 'micro_grid']), 2);
+        assert.deepEqual([...cache.entries.keys()], ['base']);
+        assert.equal(cache.clear(), 1);
+        assert.equal(cache.getStats().bytes, 0);
+    });
+
+    it('invalidates by tag and by key pattern', () => {
+        const cache = new MemoryLruCache();
+        cache.set('complaint_mvt_1', 'x', 60, ['complaint']);
+        cache.set('complaint_mvt_2', 'x', 60);
+        cache.set('sites_1', 'x', 60);
+
+        assert.equal(cache.invalidateTag('complaint'), 1);
+        assert.equal(cache.removePattern('complaint_*'), 1);
+        assert.deepEqual([...cache.entries.keys()], ['sites_1']);
+    });
+});
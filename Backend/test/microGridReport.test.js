@@ -0,0 +1,206 @@
+// filename: test/microGridReport.test.js - Micro grid Excel report and its native charts
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const ExcelJS = require('exceljs');
+const { MicroGridReport, MicroGridReportError, parseIds, MAX_GRIDS } = require('../microGridReport');
+const { addCharts, columnLetter } = require('../xlsxCharts');
+const { UNFILTERED } = require('../spatialScope');
+
+const GRIDS = [
+    { id: '101', grid_name: '旺角東', district: 'Yau Tsim Mong' },
+    { id: '102', grid_name: '觀塘', district: 'Kwun Tong' }
+];
+
+const mrRow = (gridName, cmhkNr) => ({
+    grid_name: gridName,
+    grid_name_eng: `${gridName} (en)`,
+    district: 'HK',
+    mr_nr_coverage_cmhk: String(cmhkNr),
+    mr_nr_coverage_hkt: '90.5',
+    mr_lte_coverage_cmhk: '99',
+    comp_strong_we_strong: '40',
+    comp_weak_we_strong: '30',
+    comp_strong_we_weak: '20',
+    comp_weak_we_weak: '10',
+    leading_status: '領先',
+    leading_percentage: '5.5'
+});
+
+// Canned rows per table (pg returns numerics as strings)
+const TABLES = {
+    micro_gird_mr: [mrRow('旺角東', 95), mrRow('觀塘', 85)],
+    weak_coverage_complaint: [
+        { month: 202401, grid_name: '旺角東', count: '3' },
+        { month: 202401, grid_name: '觀塘', count: '1' },
+        { month: 202402, grid_name: '觀塘', count: '2' }
+    ],
+    micro_grid_monthly_vol: [
+        { month: '2024-01', grid_name: '旺角東', lte_vol_gb: '300', nr_vol_gb: '100' },
+        { month: '2024-01', grid_name: '觀塘', lte_vol_gb: '100', nr_vol_gb: '100' }
+    ],
+    cmhk_grid_highload: [{ id: 7, s_dl_prb_util: '88.1', longitude: '114.17', latitude: '22.32' }],
+    master_planning_table: [{ plan_site_name: 'P1', geom: 'x', report_longitude: '114.17', report_latitude: '22.32' }],
+    cmhk_livesite: []
+};
+
+function fakePool(tables) {
+    return {
+        query: async (sql, params) => {
+            const table = Object.keys(tables).find(name => sql.includes(name));
+            if (table) return { rows: tables[table] };
+            if (sql.includes('FROM public.micro_grid')) {
+                return { rows: GRIDS.filter(grid => params[0].includes(Number(grid.id))) };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+    };
+}
+
+function report(tables = TABLES) {
+    return new MicroGridReport({
+        pool: fakePool(tables),
+        siteDbPool: fakePool(tables),
+        resolveSpatialScope: async () => UNFILTERED
+    });
+}
+
+async function readWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    return workbook;
+}
+
+describe('microGridReport', () => {
+    describe('parseIds', () => {
+        it('reads unique positive IDs', () => {
+            assert.deepEqual(parseIds('101, 102,101'), [101, 102]);
+        });
+
+        it('rejects empty, invalid and too many IDs with a 400', () => {
+            const tooMany = Array.from({ length: MAX_GRIDS + 1 }, (v, i) => i + 1).join(',');
+            for (const [value, message] of [['', /ids parameter is required/], ['1,x', /positive integers/], ['0', /positive integers/], [tooMany, /at most 50/]]) {
+                assert.throws(() => parseIds(value), err => {
+                    assert.ok(err instanceof MicroGridReportError);
+                    assert.equal(err.status, 400);
+                    assert.match(err.message, message);
+                    return true;
+                });
+            }
+        });
+    });
+
+    describe('generate', () => {
+        it('builds every sheet from the grid data', async () => {
+            const { fileName, buffer, grids } = await report().generate('102,101', { username: 'alice' });
+
+            assert.match(fileName, /^microgrid_report_2_grids_\d{4}-\d{2}-\d{2}\.xlsx$/);
+            assert.deepEqual(grids.map(grid => grid.id), [101, 102]);
+
+            const workbook = await readWorkbook(buffer);
+            assert.equal(workbook.creator, 'alice');
+            assert.deepEqual(workbook.worksheets.map(sheet => sheet.name),
+                ['摘要', 'MR覆蓋', '競對象限', '投訴趨勢', '話務趨勢', '規劃站點', '現網站點', '高負荷網格']);
+
+            const mr = workbook.getWorksheet('MR覆蓋');
+            assert.equal(mr.getCell('D1').value, 'NR CMHK');
+            assert.equal(mr.getCell('D2').value, 95);
+            // Average table under the grids: NR row, CMHK column
+            assert.equal(mr.getCell('A6').value, '制式');
+            assert.equal(mr.getCell('B7').value, 90);
+
+            const complaints = workbook.getWorksheet('投訴趨勢');
+            assert.deepEqual(complaints.getRow(1).values.slice(1), ['月份', '合計', '旺角東', '觀塘']);
+            assert.deepEqual(complaints.getRow(2).values.slice(1), ['2024-01', 4, 3, 1]);
+            assert.deepEqual(complaints.getRow(3).values.slice(1, 3), ['2024-02', 2]);
+
+            const vol = workbook.getWorksheet('話務趨勢');
+            assert.deepEqual(vol.getRow(2).values.slice(1), ['2024-01', 400, 200, 600, 200 / 600, 400, 200]);
+
+            const planning = workbook.getWorksheet('規劃站點');
+            assert.deepEqual(planning.getRow(1).values.slice(1), ['微網格', 'plan_site_name', '經度', '緯度']);
+            assert.equal(planning.rowCount, 3); // one site found by each grid's scope
+
+            assert.equal(workbook.getWorksheet('現網站點').getCell('A2').value, '微網格內沒有現網站點');
+            assert.equal(workbook.getWorksheet('高負荷網格').getCell('C2').value, 88.1);
+        });
+
+        it('adds a native chart per data sheet', async () => {
+            const { buffer } = await report().generate('101,102');
+            const zip = new AdmZip(buffer);
+            const charts = zip.getEntries().map(entry => entry.entryName).filter(name => /^xl\/charts\/chart\d+\.xml$/.test(name)).sort();
+
+            assert.equal(charts.length, 4);
+            const kinds = charts.map(name => /<c:(lineChart|barChart|doughnutChart)>/.exec(zip.readAsText(name))[1]);
+            assert.deepEqual(kinds, ['barChart', 'doughnutChart', 'lineChart', 'barChart']);
+
+            // Two grids: one complaint line per grid, referencing the sheet with cached values
+            const line = zip.readAsText(charts[2]);
+            assert.equal((line.match(/<c:ser>/g) || []).length, 2);
+            assert.match(line, /<c:f>'投訴趨勢'!\$C\$2:\$C\$3<\/c:f>/);
+            assert.match(line, /<c:pt idx="0"><c:v>3<\/c:v><\/c:pt>/);
+
+            const contentTypes = zip.readAsText('[Content_Types].xml');
+            charts.forEach(name => assert.ok(contentTypes.includes(`PartName="/${name}"`), name));
+        });
+
+        it('notes missing data instead of charting it', async () => {
+            const empty = { ...TABLES, micro_gird_mr: [], weak_coverage_complaint: [], micro_grid_monthly_vol: [] };
+            const { buffer, fileName } = await report(empty).generate('101');
+            const workbook = await readWorkbook(buffer);
+
+            assert.match(fileName, /^microgrid_report_101_/);
+            assert.equal(workbook.getWorksheet('MR覆蓋').getCell('A2').value, '沒有MR數據');
+            assert.equal(workbook.getWorksheet('投訴趨勢').getCell('A2').value, '沒有弱覆蓋投訴數據');
+            assert.equal(new AdmZip(buffer).getEntries().filter(entry => entry.entryName.startsWith('xl/charts/')).length, 0);
+        });
+
+        it('rejects unknown micro grids with a 404', async () => {
+            await assert.rejects(report().generate('101,999'), err => {
+                assert.ok(err instanceof MicroGridReportError);
+                assert.equal(err.status, 404);
+                assert.match(err.message, /not found: 999/);
+                return true;
+            });
+        });
+    });
+
+    describe('xlsxCharts', () => {
+        it('names columns like Excel', () => {
+            assert.deepEqual([1, 26, 27, 52, 703].map(columnLetter), ['A', 'Z', 'AA', 'AZ', 'AAA']);
+        });
+
+        it('places the drawing inside the sheet and leaves chartless workbooks alone', async () => {
+            const workbook = new ExcelJS.Workbook();
+            const worksheet = workbook.addWorksheet("O'Brien & Co");
+            worksheet.addRows([['Month', 'Value'], ['Jan', 1], ['Feb', 2]]);
+            const xlsx = Buffer.from(await workbook.xlsx.writeBuffer());
+
+            assert.equal(addCharts(xlsx, []), xlsx);
+            assert.throws(() => addCharts(xlsx, [{ worksheet, type: 'pie' }]), /Unsupported chart type: pie/);
+
+            const withChart = addCharts(xlsx, [{
+                worksheet,
+                type: 'line',
+                title: 'A < B',
+                headerRow: 1,
+                firstRow: 2,
+                lastRow: 3,
+                categoryColumn: 1,
+                categories: ['Jan', 'Feb'],
+                series: [{ column: 2, name: 'Value', values: [1, 2] }],
+                position: { col: 3, row: 1 }
+            }]);
+            const zip = new AdmZip(withChart);
+
+            const sheetXml = zip.readAsText(`xl/worksheets/sheet${worksheet.id}.xml`);
+            assert.ok(sheetXml.indexOf('<drawing r:id="rIdChartDrawing"/>') > sheetXml.indexOf('</sheetData>'));
+            const chart = zip.readAsText('xl/charts/chart1.xml');
+            assert.match(chart, /<c:f>'O''Brien &amp; Co'!\$B\$2:\$B\$3<\/c:f>/);
+            assert.match(chart, /<a:t>A &lt; B<\/a:t>/);
+            // Still a workbook ExcelJS can open
+            assert.equal((await readWorkbook(withChart)).getWorksheet("O'Brien & Co").getCell('B3').value, 2);
+        });
+    });
+});
@@ -0,0 +1,112 @@
+// filename: test/queryGuard.test.js - Statement timeouts and query cancellation
+
+require('./support/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const express = require('express');
+const logger = require('../logger');
+const queryGuard = require('../queryGuard');
+
+// Postgres stand-in for pg_cancel_backend(): accepts the connection and never answers,
+// so the cancel only settles at its connect timeout
+function silentServer() {
+    const sockets = [];
+    const server = net.createServer(socket => sockets.push(socket));
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        port: server.address().port,
+        connections: () => sockets.length,
+        close: () => {
+            sockets.forEach(socket => socket.destroy());
+            server.close();
+        }
+    })));
+}
+
+// pg Pool stand-in whose queries run until cancelled; records connection events in order
+function fakePool(options, events) {
+    let cancelQuery = null;
+    const client = {
+        processID: 4242,
+        query: sql => {
+            if (/^SET statement_timeout/.test(sql)) return Promise.resolve({ rows: [] });
+            events.push('query started');
+            return new Promise((resolve, reject) => {
+                cancelQuery = () => reject(Object.assign(new Error('canceling statement due to user request'), { code: '57014' }));
+            });
+        },
+        release: () => events.push('released')
+    };
+    const pool = {
+        options,
+        query: () => Promise.reject(new Error('not guarded')),
+        connect: async () => client
+    };
+    return { pool: queryGuard.guardPool(pool), cancelQuery: () => cancelQuery() };
+}
+
+describe('queryGuard', () => {
+    it('classifies routes by path', () => {
+        assert.equal(queryGuard.routeClassOf('/tiles/live_sites/14/13388/7142'), 'tiles');
+        assert.equal(queryGuard.routeClassOf('/api/simulation-diff/5g/stats'), 'analytics');
+        assert.equal(queryGuard.routeClassOf('/api/simulation-diff/5g/14/13388/7142'), 'tiles');
+        assert.equal(queryGuard.routeClassOf('/export/features'), 'analytics');
+        assert.equal(queryGuard.routeClassOf('/api/sites'), 'lists');
+    });
+
+    it('holds a cancelled query\'s connection until pg_cancel_backend has settled', async () => {
+        const postgres = await silentServer();
+        const events = [];
+        const { pool, cancelQuery } = fakePool({ host: '127.0.0.1', port: postgres.port, connectionTimeoutMillis: 300 }, events);
+
+        let handlerError = null;
+        let handlerDone;
+        const handled = new Promise(resolve => { handlerDone = resolve; });
+        const app = express();
+        app.use(logger.requestLogger());
+        app.use(queryGuard.middleware());
+        app.get('/api/sites', async (req, res) => {
+            try {
+                await pool.query('SELECT pg_sleep(60)');
+            } catch (err) {
+                handlerError = err;
+            }
+            handlerDone();
+        });
+        const server = app.listen(0);
+
+        try {
+            const request = http.get(`http://127.0.0.1:${server.address().port}/api/sites`);
+            request.on('error', () => {});
+            while (!events.includes('query started')) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            request.destroy();
+
+            // The cancel reaches the backend before pg_cancel_backend() returns
+            while (postgres.connections() === 0) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            const cancelledAt = Date.now();
+            cancelQuery();
+            await handled;
+
+            assert.equal(handlerError.name, 'QueryCancelledError');
+            assert.deepEqual(events, ['query started', 'released']);
+            assert.ok(Date.now() - cancelledAt >= 250, 'released only after the cancel connection timed out');
+        } finally {
+            server.close();
+            postgres.close();
+        }
+    });
+
+    it('runs detached work in its own context', async () => {
+        const seen = await logger.runWithContext({ requestId: 'r1', routeClass: 'tiles', activeQueries: new Set(), aborted: true }, () =>
+            queryGuard.detached(async () => {
+                const context = logger.context();
+                return { requestId: context.requestId, routeClass: context.routeClass, aborted: context.aborted };
+            }, { routeClass: 'background' }));
+        assert.deepEqual(seen, { requestId: 'r1', routeClass: 'background', aborted: false });
+    });
+});
@@ -0,0 +1,118 @@
+// filename: test/simulationDiff.test.js - Simulation run difference queries
+
+require('./support/env');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPostgis } = require('./support/postgis');
+const {
+    buildDiffStatsQuery,
+    buildDiffTileQuery,
+    buildDiffTileCacheKey,
+    toDiffStats
+} = require('../simulationDiff');
+
+const BASE_RUN = { id: 1, technology: '5g', tableName: 'test_base_run' };
+const COMPARE_RUN = { id: 2, technology: '5g', tableName: 'test_compare_run' };
+
+// Three 0.01° columns side by side: signal +10 dB, -3 dB and unchanged
+const square = (lon, width) => `POLYGON((${lon} 22,${lon + width} 22,${lon + width} 22.01,${lon} 22.01,${lon} 22))`;
+
+describe('simulationDiff', () => {
+    describe('buildDiffStatsQuery (run on PostGIS)', () => {
+        let db;
+
+        before(async () => {
+            db = await createPostgis();
+            await db.exec(`
+                CREATE TABLE public.test_base_run (dn INTEGER, geom geometry(Polygon, 4326));
+                CREATE TABLE public.test_compare_run (dn INTEGER, geom geometry(Polygon, 4326));
+                INSERT INTO public.test_base_run VALUES (-100, ST_GeomFromText('${square(114, 0.03)}', 4326));
+                INSERT INTO public.test_compare_run VALUES
+                    (-90, ST_GeomFromText('${square(114, 0.01)}', 4326)),
+                    (-103, ST_GeomFromText('${square(114.01, 0.01)}', 4326)),
+                    (-100, ST_GeomFromText('${square(114.02, 0.01)}', 4326));
+            `);
+        });
+
+        after(async () => {
+            await db.close();
+        });
+
+        it('splits each micro grid into improved, degraded and unchanged area', async () => {
+            const { sql, params } = buildDiffStatsQuery(BASE_RUN, COMPARE_RUN, [
+                { id: 7, wkt: square(114, 0.03) },
+                { id: 8, wkt: square(115, 0.01) }
+            ]);
+            const { rows } = await db.query(sql, params);
+            const [covered, empty] = rows.map(toDiffStats);
+
+            assert.equal(covered.microGridId, 7);
+            assert.ok(covered.improvedArea > 1e6, `improved area ${covered.improvedArea}`);
+            assert.equal(covered.degradedArea, covered.improvedArea);
+            assert.equal(covered.unchangedArea, covered.improvedArea);
+            assert.equal(covered.netChangeArea, 0);
+            assert.equal(covered.meanDelta, 2.33);
+
+            assert.deepEqual(empty, {
+                microGridId: 8,
+                improvedArea: 0,
+                degradedArea: 0,
+                unchangedArea: 0,
+                netChangeArea: 0,
+                meanDelta: null
+            });
+        });
+
+        it('types the threshold at every use (an uncast -$3 is ambiguous when parsed first)', () => {
+            const { sql } = buildDiffStatsQuery(BASE_RUN, COMPARE_RUN, []);
+            assert.doesNotMatch(sql, /\$3(?!::float8)/);
+        });
+
+        it('counts only changes of at least the unchanged threshold', async () => {
+            await db.exec(`UPDATE public.test_compare_run SET dn = -101 WHERE dn = -103`);
+            const { sql, params } = buildDiffStatsQuery(BASE_RUN, COMPARE_RUN, [{ id: 7, wkt: square(114, 0.03) }]);
+            const [stats] = (await db.query(sql, params)).rows.map(toDiffStats);
+
+            assert.ok(stats.degradedArea > 0, 'a 1 dB drop is degraded');
+            assert.equal(stats.unchangedArea, stats.improvedArea);
+        });
+    });
+
+    describe('run checks', () => {
+        it('refuses runs of different technologies', () => {
+            assert.throws(
+                () => buildDiffStatsQuery(BASE_RUN, { ...COMPARE_RUN, technology: '4g' }, []),
+                { name: 'SimulationRunError' }
+            );
+        });
+
+        it('refuses comparing a run with itself', () => {
+            assert.throws(
+                () => buildDiffTileQuery(BASE_RUN, BASE_RUN, { lonLeft: 0, latBottom: 0, lonRight: 1, latTop: 1 }),
+                { name: 'SimulationRunError' }
+            );
+        });
+    });
+
+    describe('buildDiffTileQuery', () => {
+        it('binds tile bounds first, then the spatial filter parameters', () => {
+            const bounds = { lonLeft: 113.9, latBottom: 22.2, lonRight: 114, latTop: 22.3 };
+            const { sql, params } = buildDiffTileQuery(BASE_RUN, COMPARE_RUN, bounds, {
+                whereClause: 'AND ST_Intersects(t.geom, ST_GeomFromText($5, 4326))',
+                params: ['POLYGON EMPTY']
+            });
+
+            assert.deepEqual(params, [113.9, 22.2, 114, 22.3, 'POLYGON EMPTY']);
+            assert.match(sql, /FROM public\."test_base_run" t/);
+            assert.match(sql, /FROM public\."test_compare_run" t/);
+            assert.equal(sql.split('ST_GeomFromText($5, 4326)').length - 1, 2, 'both runs are filtered');
+        });
+
+        it('keys diff tiles by both runs', () => {
+            assert.equal(
+                buildDiffTileCacheKey(BASE_RUN, COMPARE_RUN, 14, 13388, 7142),
+                'simulation_5g_diff_1_2_mvt_14_13388_7142'
+            );
+        });
+    });
+});
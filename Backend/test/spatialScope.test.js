@@ -0,0 +1,88 @@
+// filename: test/spatialScope.test.js - Spatial scope SQL fragments
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPostgis } = require('./support/postgis');
+const { SpatialScope, UNFILTERED } = require('../spatialScope');
+
+const SPEC = { microGrids: [], districts: [], aois: [], polygon: null };
+// Around Mong Kok: 114.16-114.18 E, 22.31-22.33 N
+const SCOPE = new SpatialScope(SPEC, 'POLYGON((114.16 22.31,114.18 22.31,114.18 22.33,114.16 22.33,114.16 22.31))', 'test');
+const LOCATION = { geom: 't.geom', lon: 't.longitude', lat: 't.latitude', table: 'public.test_planning' };
+
+describe('SpatialScope.appendLonLatFilter', () => {
+    let db;
+
+    before(async () => {
+        db = await createPostgis();
+        // geom in HK 1980 Grid; sites 3 / 4 only have coordinates, site 5 has neither
+        await db.exec(`
+            CREATE TABLE public.test_planning (id INTEGER, geom geometry, longitude FLOAT8, latitude FLOAT8);
+            INSERT INTO public.test_planning VALUES
+                (1, ST_Transform(ST_SetSRID(ST_MakePoint(114.17, 22.32), 4326), 2326), 114.0, 22.0),
+                (2, ST_Transform(ST_SetSRID(ST_MakePoint(114.10, 22.40), 4326), 2326), 114.17, 22.32),
+                (3, NULL, 114.17, 22.32),
+                (4, NULL, 114.10, 22.40),
+                (5, NULL, NULL, NULL);
+            CREATE INDEX test_planning_geom_idx ON public.test_planning USING gist (geom);
+        `);
+    });
+
+    after(async () => {
+        await db.close();
+    });
+
+    const selectIds = (where, params) =>
+        db.query(`SELECT t.id FROM public.test_planning t WHERE true ${where} ORDER BY t.id`, params)
+            .then(result => result.rows.map(row => row.id));
+
+    it('places rows by geom, and by longitude / latitude only where geom is NULL', async () => {
+        const params = [];
+        const where = SCOPE.appendLonLatFilter(params, LOCATION);
+
+        assert.deepEqual(params, [SCOPE.wkt]);
+        assert.deepEqual(await selectIds(where, params), [1, 3]);
+    });
+
+    it('numbers its placeholder after the params already bound', () => {
+        const params = ['新站'];
+        const where = SCOPE.appendLonLatFilter(params, LOCATION);
+
+        assert.deepEqual(params, ['新站', SCOPE.wkt]);
+        assert.match(where, /ST_GeomFromText\(\$2, 4326\)/);
+        assert.doesNotMatch(where, /\$1/);
+    });
+
+    it('filters the geometry column itself, so its spatial index can be used', async () => {
+        const params = [];
+        const where = SCOPE.appendLonLatFilter(params, LOCATION);
+
+        await db.exec('SET enable_seqscan = off');
+        try {
+            const plan = await db.query(`EXPLAIN SELECT t.id FROM public.test_planning t WHERE true ${where}`, params);
+            const text = plan.rows.map(row => row['QUERY PLAN']).join('\n');
+            assert.match(text, /Index Cond: \(geom && /);
+            assert.match(text, /Index Cond: \(geom IS NULL\)/);
+        } finally {
+            await db.exec('RESET enable_seqscan');
+        }
+    });
+
+    it('uses a known SRID directly', async () => {
+        const params = [];
+        const where = SCOPE.appendLonLatFilter(params, { ...LOCATION, table: null, srid: 2326 });
+
+        assert.doesNotMatch(where, /SELECT/);
+        assert.deepEqual(await selectIds(where, params), [1, 3]);
+    });
+
+    it('needs the SRID or the table of the geometry column', () => {
+        assert.throws(() => SCOPE.appendLonLatFilter([], { ...LOCATION, table: null }), /SRID or its table/);
+    });
+
+    it('adds nothing when unfiltered', () => {
+        const params = [];
+        assert.equal(UNFILTERED.appendLonLatFilter(params, LOCATION), '');
+        assert.deepEqual(params, []);
+    });
+});
@@ -0,0 +1,20 @@
+// filename: test/support/env.js - Placeholder settings so config.js loads in tests
+
+/**
+ * 🧪 TEST ENV: config.js refuses to load without the database settings. Tests never open those
+ * pools, so any value will do; settings already present (Backend/.env) are kept.
+ * Logging defaults to errors only, so the test report stays readable.
+ */
+
+['DB', 'HKMAP_DB', 'DISCOVERY_DB', 'SITE_DB'].forEach(prefix => {
+    ['HOST', 'NAME', 'USER', 'PASSWORD'].forEach(field => {
+        const name = `${prefix}_${field}`;
+        if (!process.env[name]) {
+            process.env[name] = 'test';
+        }
+    });
+});
+
+if (!process.env.LOG_LEVEL) {
+    process.env.LOG_LEVEL = 'error';
+}
@@ -0,0 +1,22 @@
+// filename: test/support/postgis.js - In-process PostGIS for SQL builder tests
+
+/**
+ * 🧪 POSTGIS: PGlite (Postgres compiled to WebAssembly) with the PostGIS extension, so the SQL the
+ * builders produce is parsed, planned and run by a real Postgres instead of being string-matched.
+ *
+ * Usage:
+ *   const db = await createPostgis();
+ *   const { rows } = await db.query(sql, params);
+ *   await db.close();
+ */
+
+const { PGlite } = require('@electric-sql/pglite');
+const { postgis } = require('@electric-sql/pglite-postgis');
+
+async function createPostgis() {
+    const db = await PGlite.create({ extensions: { postgis } });
+    await db.exec('CREATE EXTENSION IF NOT EXISTS postgis');
+    return db;
+}
+
+module.exports = { createPostgis };
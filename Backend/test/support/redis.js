@@ -0,0 +1,15 @@
+// filename: test/support/redis.js - Close the Redis connection opened on module load
+
+/**
+ * 🧪 REDIS: redisClient.js connects (and keeps reconnecting) as soon as it is required. Tests run
+ * without a Redis server - the cache falls back to its memory tier - and close the client when done
+ * so the test process can exit.
+ */
+
+const redisClient = require('../../redisClient');
+
+async function closeRedis() {
+    await redisClient.disconnect().catch(() => {});
+}
+
+module.exports = { closeRedis };
@@ -0,0 +1,200 @@
+// filename: test/tileSeeder.test.js - Tile ranges, the seed walk and resuming a job
+
+require('./support/env');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { closeRedis } = require('./support/redis');
+const {
+    TileSeeder,
+    SeedRequestError,
+    resolveTileScope,
+    tileRange,
+    countTiles,
+    walkTiles
+} = require('../tileSeeder');
+
+// Kwun Tong, about 1 km across
+const BBOX = [114.215, 22.305, 114.225, 22.315];
+const LAYERS = {
+    grid: { id: 'grid', spatialFilter: true },
+    sites: { id: 'sites', spatialFilter: false }
+};
+const getLayer = id => LAYERS[id] || null;
+
+const seedJob = (overrides = {}) => ({
+    id: `test_${Math.random().toString(36).slice(2, 8)}`,
+    layers: ['grid', 'sites'],
+    minZoom: 12,
+    maxZoom: 15,
+    microGrids: [101],
+    bbox: BBOX,
+    concurrency: 2,
+    done: 0,
+    rendered: 0,
+    cached: 0,
+    failed: 0,
+    ...overrides
+});
+
+const tileId = ({ layerId, z, x, y }) => `${layerId}/${z}/${x}/${y}`;
+
+describe('tileSeeder', () => {
+    after(closeRedis);
+
+    describe('tileRange', () => {
+        it('covers the whole world at zoom 0', () => {
+            assert.deepEqual(tileRange([-180, -90, 180, 90], 0), { minX: 0, maxX: 0, minY: 0, maxY: 0 });
+        });
+
+        it('clamps to the tile grid and the Web Mercator latitude limit', () => {
+            assert.deepEqual(tileRange([-180, -90, 180, 90], 2), { minX: 0, maxX: 3, minY: 0, maxY: 3 });
+        });
+
+        it('puts north at the lowest y (XYZ scheme)', () => {
+            assert.deepEqual(tileRange(BBOX, 10), { minX: 836, maxX: 836, minY: 446, maxY: 446 });
+            assert.deepEqual(tileRange(BBOX, 14), { minX: 13390, maxX: 13390, minY: 7149, maxY: 7150 });
+        });
+    });
+
+    describe('countTiles / walkTiles', () => {
+        it('walks every layer and zoom level with consecutive indexes', () => {
+            const job = seedJob();
+            const tiles = [...walkTiles(job)];
+
+            assert.equal(tiles.length, countTiles(job));
+            assert.deepEqual(tiles.map(tile => tile.index), tiles.map((tile, i) => i));
+            assert.equal(new Set(tiles.map(tileId)).size, tiles.length);
+            assert.deepEqual([...new Set(tiles.map(tile => tile.layerId))], ['grid', 'sites']);
+        });
+
+        it('counts per layer', () => {
+            const job = seedJob();
+            assert.equal(countTiles(job), countTiles({ ...job, layers: ['grid'] }) * 2);
+        });
+
+        it('resumes from any index, including across skipped zoom levels', () => {
+            const job = seedJob();
+            const tiles = [...walkTiles(job)];
+
+            for (const from of [0, 1, 5, Math.floor(tiles.length / 2), tiles.length - 1]) {
+                assert.deepEqual([...walkTiles(job, from)], tiles.slice(from), `from ${from}`);
+            }
+            assert.deepEqual([...walkTiles(job, tiles.length)], []);
+        });
+    });
+
+    describe('resolveTileScope', () => {
+        const resolveMicroGridBounds = async ids => (ids.includes(101) ? BBOX : null);
+        const resolve = params => resolveTileScope(params, { getLayer, resolveMicroGridBounds });
+
+        it('accepts comma separated strings and arrays', async () => {
+            const fromQuery = await resolve({ layers: 'grid, sites', minZoom: '12', maxZoom: '14', bbox: BBOX.join(',') });
+            const fromBody = await resolve({ layers: ['grid', 'sites'], minZoom: 12, maxZoom: 14, bbox: BBOX });
+
+            assert.deepEqual(fromQuery, fromBody);
+            assert.deepEqual(fromQuery.layerIds, ['grid', 'sites']);
+            assert.deepEqual(fromQuery.bbox, BBOX);
+        });
+
+        it('takes the area from micro grids before bbox', async () => {
+            const scope = await resolve({ layers: 'grid', minZoom: 12, maxZoom: 12, microGrids: '101,x', bbox: '0,0,1,1' });
+            assert.deepEqual(scope.microGrids, [101]);
+            assert.deepEqual(scope.bbox, BBOX);
+        });
+
+        for (const [name, params, message] of [
+            ['missing layers', { minZoom: 0, maxZoom: 1, bbox: BBOX }, /layers is required/],
+            ['an unknown layer', { layers: 'grid,nope', minZoom: 0, maxZoom: 1, bbox: BBOX }, /Unknown layer: nope/],
+            ['minZoom above maxZoom', { layers: 'grid', minZoom: 5, maxZoom: 4, bbox: BBOX }, /minZoom\/maxZoom/],
+            ['maxZoom above the limit', { layers: 'grid', minZoom: 0, maxZoom: 19, bbox: BBOX }, /maxZoom <= 18/],
+            ['a reversed bbox', { layers: 'grid', minZoom: 0, maxZoom: 1, bbox: '114.3,22.3,114.2,22.4' }, /bbox must be/],
+            ['a short bbox', { layers: 'grid', minZoom: 0, maxZoom: 1, bbox: '114.2,22.3,114.3' }, /bbox must be/],
+            ['micro grids without geometry', { layers: 'grid', minZoom: 0, maxZoom: 1, microGrids: '999' }, /No geometry/],
+            ['no area', { layers: 'grid', minZoom: 0, maxZoom: 1 }, /Either microGrids or bbox/]
+        ]) {
+            it(`rejects ${name} with a 400`, async () => {
+                await assert.rejects(resolve(params), err => {
+                    assert.ok(err instanceof SeedRequestError);
+                    assert.equal(err.status, 400);
+                    assert.match(err.message, message);
+                    return true;
+                });
+            });
+        }
+    });
+
+    describe('TileSeeder.run', () => {
+        // Tiles finish out of order (alternating delays) so progress must only count the unbroken prefix
+        function seeder(calls, { onTile = () => {} } = {}) {
+            return new TileSeeder({
+                getLayer,
+                getPool: () => ({ options: { max: 10 }, waitingCount: 0 }),
+                resolveMicroGridBounds: async () => BBOX,
+                getTile: async (layer, z, x, y, microGrids) => {
+                    calls.push({ tile: tileId({ layerId: layer.id, z, x, y }), microGrids });
+                    onTile(calls.length);
+                    await new Promise(resolve => setTimeout(resolve, calls.length % 2 ? 2 : 0));
+                    return { status: calls.length % 3 ? 'MISS' : 'HIT' };
+                }
+            });
+        }
+
+        it('renders every tile once and completes', async () => {
+            const job = seedJob();
+            job.total = countTiles(job);
+            const calls = [];
+
+            await seeder(calls).run(job, { cancelled: false });
+
+            assert.equal(job.status, 'completed');
+            assert.equal(job.done, job.total);
+            assert.equal(job.rendered + job.cached, job.total);
+            assert.deepEqual(calls.map(call => call.tile).sort(), [...walkTiles(job)].map(tileId).sort());
+            // Unfiltered layers share the tile rendered without micro grids
+            assert.ok(calls.every(call => call.microGrids.length === (call.tile.startsWith('grid/') ? 1 : 0)));
+        });
+
+        it('resumes a cancelled job where it stopped without skipping tiles', async () => {
+            const job = seedJob();
+            job.total = countTiles(job);
+            const all = [...walkTiles(job)].map(tileId);
+
+            const first = [];
+            const control = { cancelled: false };
+            await seeder(first, { onTile: count => { if (count === 7) control.cancelled = true; } }).run(job, control);
+
+            assert.equal(job.status, 'cancelled');
+            assert.ok(job.done > 0 && job.done < job.total);
+            assert.deepEqual(all.slice(0, job.done).filter(tile => !first.some(call => call.tile === tile)), []);
+
+            const resumedFrom = job.done;
+            const second = [];
+            await seeder(second).run(job, { cancelled: false });
+
+            assert.equal(job.status, 'completed');
+            assert.equal(job.done, job.total);
+            assert.deepEqual(second.map(call => call.tile).sort(), all.slice(resumedFrom).sort());
+        });
+
+        it('counts failed tiles and keeps going', async () => {
+            const job = seedJob({ layers: ['grid'], minZoom: 14, maxZoom: 14, concurrency: 1 });
+            job.total = countTiles(job);
+            const failing = new TileSeeder({
+                getLayer,
+                getPool: () => ({ options: { max: 10 }, waitingCount: 0 }),
+                resolveMicroGridBounds: async () => BBOX,
+                getTile: async (layer, z, x, y) => {
+                    if (y === 7149) throw new Error('boom');
+                    return { status: 'MISS' };
+                }
+            });
+
+            await failing.run(job, { cancelled: false });
+
+            assert.equal(job.status, 'completed');
+            assert.equal(job.failed, 1);
+            assert.equal(job.rendered, 1);
+            assert.equal(job.lastError, 'grid/14/13390/7149: boom');
+        });
+    });
+});
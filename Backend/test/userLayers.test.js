@@ -0,0 +1,195 @@
+// filename: test/userLayers.test.js - Upload parsing and the archive expansion cap
+
+require('./support/env');
+// Small cap so the zip bomb tests stay cheap (config reads it on load)
+process.env.USER_LAYER_MAX_UNZIPPED_MB = '1';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { parseUpload, UserLayerError } = require('../userLayers');
+
+const MB = 1024 * 1024;
+const HK1980_PRJ = 'PROJCS["Hong_Kong_1980_Grid",GEOGCS["GCS_Hong_Kong_1980",DATUM["D_Hong_Kong_1980"]]]';
+
+const geoJson = value => Buffer.from(JSON.stringify(value));
+const feature = (geometry, properties = {}) => ({ type: 'Feature', properties, geometry });
+const collection = features => ({ type: 'FeatureCollection', features });
+
+function zip(files) {
+    const archive = new AdmZip();
+    Object.entries(files).forEach(([name, content]) => archive.addFile(name, Buffer.from(content)));
+    return archive.toBuffer();
+}
+
+// Rewrite the uncompressed size every header of the archive declares (local and central directory)
+function declareSize(buffer, size) {
+    const patched = Buffer.from(buffer);
+    for (let offset = 0; offset < patched.length - 4; offset++) {
+        const signature = patched.readUInt32LE(offset);
+        if (signature === 0x04034b50) patched.writeUInt32LE(size, offset + 22);
+        if (signature === 0x02014b50) patched.writeUInt32LE(size, offset + 24);
+    }
+    return patched;
+}
+
+// Single point Shapefile (.shp only: header + one record)
+function pointShp(x, y) {
+    const shp = Buffer.alloc(128);
+    shp.writeInt32BE(9994, 0);
+    shp.writeInt32BE(shp.length / 2, 24);
+    shp.writeInt32LE(1000, 28);
+    shp.writeInt32LE(1, 32);
+    [x, y, x, y].forEach((value, i) => shp.writeDoubleLE(value, 36 + i * 8));
+    shp.writeInt32BE(1, 100);
+    shp.writeInt32BE(10, 104);
+    shp.writeInt32LE(1, 108);
+    shp.writeDoubleLE(x, 112);
+    shp.writeDoubleLE(y, 120);
+    return shp;
+}
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark><name>Venue</name><Point><coordinates>114.17,22.32</coordinates></Point></Placemark>
+  <Placemark><name>Works</name><MultiGeometry>
+    <Point><coordinates>114.18,22.33</coordinates></Point>
+    <LineString><coordinates>114.18,22.33 114.19,22.34</coordinates></LineString>
+  </MultiGeometry></Placemark>
+</Document></kml>`;
+
+async function rejectsWith(promise, status, message) {
+    await assert.rejects(promise, err => {
+        assert.ok(err instanceof UserLayerError, err.stack);
+        assert.equal(err.status, status);
+        assert.match(err.message, message);
+        return true;
+    });
+}
+
+describe('userLayers parseUpload', () => {
+    describe('GeoJSON', () => {
+        it('reads a FeatureCollection and guesses WGS84 from the coordinates', async () => {
+            const parts = await parseUpload(geoJson(collection([
+                feature({ type: 'Point', coordinates: [114.17, 22.32] }, { name: 'a' }),
+                feature({ type: 'LineString', coordinates: [[114.1, 22.3], [114.2, 22.4]] })
+            ])), 'geojson', null);
+
+            assert.equal(parts.length, 1);
+            assert.equal(parts[0].srid, 4326);
+            assert.deepEqual(parts[0].features.map(f => f.geometry.type), ['Point', 'LineString']);
+            assert.deepEqual(parts[0].features[0].properties, { name: 'a' });
+        });
+
+        it('guesses HK1980 Grid and UTM 50N from the coordinate range', async () => {
+            const point = coordinates => geoJson(feature({ type: 'Point', coordinates }));
+            assert.equal((await parseUpload(point([835000, 820000]), 'geojson', null))[0].srid, 2326);
+            assert.equal((await parseUpload(point([205000, 2470000]), 'geojson', null))[0].srid, 32650);
+        });
+
+        it('prefers the forced SRID, then the crs member', async () => {
+            const data = { ...collection([feature({ type: 'Point', coordinates: [835000, 820000] })]) };
+            data.crs = { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::32650' } };
+
+            assert.equal((await parseUpload(geoJson(data), 'geojson', null))[0].srid, 32650);
+            assert.equal((await parseUpload(geoJson(data), 'geojson', 2326))[0].srid, 2326);
+        });
+
+        it('accepts a bare geometry and splits GeometryCollections', async () => {
+            const parts = await parseUpload(geoJson({
+                type: 'GeometryCollection',
+                geometries: [{ type: 'Point', coordinates: [114.17, 22.32] }, { type: 'Point', coordinates: [114.18, 22.33] }]
+            }), 'geojson', null);
+
+            assert.equal(parts[0].features.length, 2);
+            assert.ok(parts[0].features.every(f => f.geometry.type === 'Point'));
+        });
+
+        it('drops features without geometry and files left empty', async () => {
+            const parts = await parseUpload(geoJson(collection([
+                feature(null),
+                feature({ type: 'Point', coordinates: [] })
+            ])), 'geojson', null);
+            assert.deepEqual(parts, []);
+        });
+
+        it('rejects a GeometryCollection without geometries with a 400', async () => {
+            await rejectsWith(parseUpload(geoJson(feature({ type: 'GeometryCollection' })), 'geojson', null),
+                400, /no geometries array/);
+        });
+
+        it('rejects invalid JSON, other JSON and unknown coordinate systems with a 400', async () => {
+            await rejectsWith(parseUpload(Buffer.from('{"type":'), 'geojson', null), 400, /Invalid GeoJSON/);
+            await rejectsWith(parseUpload(geoJson({ hello: 'world' }), 'geojson', null), 400, /must be a FeatureCollection/);
+            await rejectsWith(parseUpload(geoJson(feature({ type: 'Point', coordinates: [5000000, 5000000] })), 'geojson', null),
+                400, /Cannot tell the coordinate system/);
+            await rejectsWith(parseUpload(geoJson(feature({ type: 'Point', coordinates: [114.17, 22.32] })), 'geojson', 3857),
+                400, /Unsupported coordinate system EPSG:3857/);
+        });
+    });
+
+    describe('KML / KMZ', () => {
+        it('reads placemarks as WGS84, one feature per MultiGeometry member', async () => {
+            const [part] = await parseUpload(Buffer.from(KML), 'kml', null);
+
+            assert.equal(part.srid, 4326);
+            assert.deepEqual(part.features.map(f => f.geometry.type), ['Point', 'Point', 'LineString']);
+            assert.deepEqual(part.features.map(f => f.properties.name), ['Venue', 'Works', 'Works']);
+        });
+
+        it('rejects malformed XML with a 400', async () => {
+            await rejectsWith(parseUpload(Buffer.from('<kml><Document>'), 'kml', null), 400, /Invalid KML/);
+        });
+
+        it('reads doc.kml from a KMZ', async () => {
+            const kmz = zip({ 'files/other.kml': '<kml xmlns="http://www.opengis.net/kml/2.2"/>', 'doc.kml': KML });
+            const [part] = await parseUpload(kmz, 'kmz', null);
+            assert.equal(part.features.length, 3);
+        });
+
+        it('rejects archives without KML or that are not zips with a 400', async () => {
+            await rejectsWith(parseUpload(zip({ 'readme.txt': 'hi' }), 'kmz', null), 400, /no \.kml file/);
+            await rejectsWith(parseUpload(Buffer.from('not a zip'), 'kmz', null), 400, /Invalid zip archive/);
+        });
+    });
+
+    describe('Shapefile', () => {
+        it('reads every .shp in the zip with its .prj', async () => {
+            const archive = new AdmZip();
+            archive.addFile('sites/venues.shp', pointShp(835000, 820000));
+            archive.addFile('sites/venues.prj', Buffer.from(HK1980_PRJ));
+            archive.addFile('wgs84.shp', pointShp(114.17, 22.32));
+            archive.addFile('__MACOSX/sites/._venues.shp', Buffer.alloc(10));
+
+            const parts = await parseUpload(archive.toBuffer(), 'shapefile', null);
+
+            assert.deepEqual(parts.map(part => part.srid), [2326, 4326]);
+            assert.deepEqual(parts[0].features[0].geometry, { type: 'Point', coordinates: [835000, 820000] });
+        });
+
+        it('rejects a zip without .shp with a 400', async () => {
+            await rejectsWith(parseUpload(zip({ 'venues.dbf': 'x' }), 'shapefile', null), 400, /no \.shp file/);
+        });
+    });
+
+    describe('archive expansion cap', () => {
+        it('rejects archives declaring more than the cap with a 413 before inflating', async () => {
+            await rejectsWith(parseUpload(zip({ 'doc.kml': Buffer.alloc(2 * MB, 0x20) }), 'kmz', null), 413, /more than 1 MB/);
+        });
+
+        it('stops inflating an entry whose header understates its size (zip bomb)', async () => {
+            const bomb = declareSize(zip({ 'doc.kml': Buffer.alloc(2 * MB, 0x20) }), 100);
+            assert.equal(new AdmZip(bomb).getEntries()[0].header.size, 100);
+
+            await rejectsWith(parseUpload(bomb, 'kmz', null), 413, /more than 1 MB/);
+        });
+
+        it('counts the inflated bytes across all entries of the archive', async () => {
+            const archive = new AdmZip();
+            archive.addFile('a.shp', Buffer.concat([pointShp(114.17, 22.32), Buffer.alloc(0.6 * MB)]));
+            archive.addFile('b.shp', Buffer.concat([pointShp(114.18, 22.33), Buffer.alloc(0.6 * MB)]));
+
+            await rejectsWith(parseUpload(declareSize(archive.toBuffer(), 100), 'shapefile', null), 413, /more than 1 MB/);
+        });
+    });
+});
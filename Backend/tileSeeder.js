@@ -0,0 +1,386 @@
+// filename: tileSeeder.js - MVT Tile Pre-Seeding Jobs
+
+/**
+ * 🌱 TILE SEEDER: Walks the tile pyramid of registered layers over a micro grid selection or bbox
+ * and renders every tile through the normal tile path (same cache keys, single-flight, tags),
+ * so the first morning visit of a district is served from Redis instead of PostGIS.
+ *
+ * Jobs live in Redis (`tile_seed_job_<id>`) so any PM2 instance can report progress or cancel,
+ * and an interrupted job can be resumed: tiles are walked in a fixed order (layer → z → x → y)
+ * and `job.done` is the number of leading tiles already finished.
+ *
+ * Usage (server.js):
+ *   const tileSeeder = new TileSeeder({ getLayer, getTile, getPool, resolveMicroGridBounds })
+ *   const job = await tileSeeder.createJob({ layers, minZoom, maxZoom, microGrids | bbox }, req.user)
+ */
+
+const redisCache = require('./redisCacheHelper');
+const config = require('./config');
+const queryGuard = require('./queryGuard');
+
+const JOB_KEY_PREFIX = 'tile_seed_job_';
+const JOB_INDEX_KEY = 'tile_seed_jobs';
+const JOB_TTL = 7 * 86400;
+const JOB_INDEX_SIZE = 50;
+
+const MAX_SEED_TILES = 200000;
+const MAX_SEED_ZOOM = config.tiles.maxSeedZoom;
+// Connections of a layer's pool left for interactive users while a job runs
+const RESERVED_CONNECTIONS = 2;
+const DEFAULT_CONCURRENCY = 2;
+const PROGRESS_SAVE_INTERVAL_MS = 2000;
+// A running job not saved for this long belongs to a dead process and may be resumed
+const STALE_JOB_MS = 60000;
+const POOL_BUSY_WAIT_MS = 200;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Invalid seed / export request (HTTP 400 / 404 / 409)
+ */
+class SeedRequestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SeedRequestError';
+        this.status = status;
+    }
+}
+
+/**
+ * Tile x/y range covering a WGS84 bbox at zoom z (Web Mercator / XYZ scheme)
+ * @param {Array<number>} bbox - [west, south, east, north]
+ */
+function tileRange([west, south, east, north], z) {
+    const n = 2 ** z;
+    const clampLat = lat => Math.max(Math.min(lat, 85.0511), -85.0511);
+    const lonToX = lon => Math.min(n - 1, Math.max(0, Math.floor((lon + 180) / 360 * n)));
+    const latToY = lat => {
+        const rad = clampLat(lat) * Math.PI / 180;
+        return Math.min(n - 1, Math.max(0, Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n)));
+    };
+    return { minX: lonToX(west), maxX: lonToX(east), minY: latToY(north), maxY: latToY(south) };
+}
+
+function countTiles(job) {
+    let perLayer = 0;
+    for (let z = job.minZoom; z <= job.maxZoom; z++) {
+        const { minX, maxX, minY, maxY } = tileRange(job.bbox, z);
+        perLayer += (maxX - minX + 1) * (maxY - minY + 1);
+    }
+    return perLayer * job.layers.length;
+}
+
+/**
+ * Enumerate the job's tiles in their fixed order, starting at index `from`
+ */
+function* walkTiles(job, from = 0) {
+    let index = 0;
+    for (const layerId of job.layers) {
+        for (let z = job.minZoom; z <= job.maxZoom; z++) {
+            const { minX, maxX, minY, maxY } = tileRange(job.bbox, z);
+            const count = (maxX - minX + 1) * (maxY - minY + 1);
+            if (index + count <= from) {
+                index += count; // whole zoom level already done
+                continue;
+            }
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++, index++) {
+                    if (index >= from) {
+                        yield { index, layerId, z, x, y };
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Validate the layers / zoom range / area of a seed or export request
+ * @param {Object} params - { layers, minZoom, maxZoom, microGrids?, bbox? } (strings or arrays)
+ * @param {Object} deps - { getLayer, resolveMicroGridBounds }
+ * @returns {Promise<Object>} - { layers, layerIds, minZoom, maxZoom, microGrids, bbox }
+ * @throws {SeedRequestError}
+ */
+async function resolveTileScope(params, { getLayer, resolveMicroGridBounds }) {
+    const layerIds = (Array.isArray(params.layers) ? params.layers : String(params.layers || '').split(','))
+        .map(id => String(id).trim())
+        .filter(Boolean);
+    if (layerIds.length === 0) {
+        throw new SeedRequestError('layers is required (comma separated layer IDs, see GET /tiles)');
+    }
+    const layers = layerIds.map(id => {
+        const layer = getLayer(id);
+        if (!layer) {
+            throw new SeedRequestError(`Unknown layer: ${id}`);
+        }
+        return layer;
+    });
+
+    const minZoom = parseInt(params.minZoom, 10);
+    const maxZoom = parseInt(params.maxZoom, 10);
+    if (Number.isNaN(minZoom) || Number.isNaN(maxZoom) || minZoom < 0 || maxZoom > MAX_SEED_ZOOM || minZoom > maxZoom) {
+        throw new SeedRequestError(`minZoom/maxZoom must satisfy 0 <= minZoom <= maxZoom <= ${MAX_SEED_ZOOM}`);
+    }
+
+    const microGrids = (Array.isArray(params.microGrids) ? params.microGrids : String(params.microGrids || '').split(','))
+        .map(id => parseInt(id, 10))
+        .filter(id => !Number.isNaN(id));
+
+    let bbox;
+    if (microGrids.length > 0) {
+        bbox = await resolveMicroGridBounds(microGrids);
+        if (!bbox) {
+            throw new SeedRequestError('No geometry found for the given micro grids');
+        }
+    } else if (params.bbox) {
+        bbox = (Array.isArray(params.bbox) ? params.bbox : String(params.bbox).split(',')).map(Number);
+        if (bbox.length !== 4 || bbox.some(Number.isNaN) || bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) {
+            throw new SeedRequestError('bbox must be "west,south,east,north" in WGS84 degrees');
+        }
+    } else {
+        throw new SeedRequestError('Either microGrids or bbox is required');
+    }
+
+    return { layers, layerIds, minZoom, maxZoom, microGrids, bbox };
+}
+
+class TileSeeder {
+    /**
+     * @param {Object} deps
+     * @param {Function} deps.getLayer - layerId => layer definition (layerRegistry)
+     * @param {Function} deps.getTile - async (layer, z, x, y, microGridArray) => { status } (server.js tile path)
+     * @param {Function} deps.getPool - layer => pg Pool the layer renders from
+     * @param {Function} deps.resolveMicroGridBounds - async (microGridIds) => [west, south, east, north] | null
+     */
+    constructor({ getLayer, getTile, getPool, resolveMicroGridBounds }) {
+        this.getLayer = getLayer;
+        this.getTile = getTile;
+        this.getPool = getPool;
+        this.resolveMicroGridBounds = resolveMicroGridBounds;
+        this.running = new Map(); // jobId → { cancelled }
+    }
+
+    jobKey(jobId) {
+        return `${JOB_KEY_PREFIX}${jobId}`;
+    }
+
+    async saveJob(job) {
+        job.updatedAt = new Date().toISOString();
+        await redisCache.set(this.jobKey(job.id), job, JOB_TTL);
+    }
+
+    async getJob(jobId) {
+        return redisCache.get(this.jobKey(jobId));
+    }
+
+    /**
+     * Recent jobs, newest first
+     */
+    async listJobs() {
+        const ids = (await redisCache.get(JOB_INDEX_KEY)) || [];
+        const jobs = await Promise.all(ids.map(id => this.getJob(id)));
+        return jobs.filter(Boolean);
+    }
+
+    /**
+     * Highest concurrency allowed for the job's layers (smallest pool wins)
+     */
+    maxConcurrency(layers) {
+        const poolMax = Math.min(...layers.map(layer => this.getPool(layer).options.max || 10));
+        return Math.max(1, poolMax - RESERVED_CONNECTIONS);
+    }
+
+    /**
+     * Validate a seed request, store the job and start it in this process
+     * @param {Object} params - { layers, minZoom, maxZoom, microGrids?, bbox?, concurrency? }
+     * @param {Object} [user] - Requesting user (recorded on the job)
+     * @returns {Promise<Object>} - The stored job
+     */
+    async createJob(params, user = null) {
+        const { layers, layerIds, minZoom, maxZoom, microGrids, bbox } = await resolveTileScope(params, this);
+
+        const maxConcurrency = this.maxConcurrency(layers);
+        const job = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            status: 'queued',
+            layers: layerIds,
+            minZoom,
+            maxZoom,
+            microGrids,
+            bbox,
+            concurrency: Math.min(Math.max(parseInt(params.concurrency, 10) || DEFAULT_CONCURRENCY, 1), maxConcurrency),
+            total: 0,
+            done: 0,
+            rendered: 0,
+            cached: 0,
+            failed: 0,
+            lastError: null,
+            createdBy: user ? user.username : null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        job.total = countTiles(job);
+        if (job.total > MAX_SEED_TILES) {
+            throw new SeedRequestError(`Job covers ${job.total} tiles (limit ${MAX_SEED_TILES}) - narrow the area or zoom range`);
+        }
+
+        await this.saveJob(job);
+        const ids = (await redisCache.get(JOB_INDEX_KEY)) || [];
+        await redisCache.set(JOB_INDEX_KEY, [job.id, ...ids].slice(0, JOB_INDEX_SIZE), JOB_TTL);
+
+        this.start(job);
+        return job;
+    }
+
+    /**
+     * Continue a cancelled, failed or interrupted job from its last saved position
+     */
+    async resumeJob(jobId) {
+        const job = await this.getJob(jobId);
+        if (!job) {
+            throw new SeedRequestError(`Seed job not found: ${jobId}`, 404);
+        }
+        if (job.status === 'completed') {
+            throw new SeedRequestError(`Seed job ${jobId} is already completed`, 409);
+        }
+        const alive = this.running.has(jobId) ||
+            (job.status === 'running' && Date.now() - new Date(job.updatedAt).getTime() < STALE_JOB_MS);
+        if (alive) {
+            throw new SeedRequestError(`Seed job ${jobId} is still running`, 409);
+        }
+
+        job.status = 'queued';
+        job.finishedAt = null;
+        await this.saveJob(job);
+        this.start(job);
+        return job;
+    }
+
+    /**
+     * Ask a job to stop; the process running it notices at its next progress save
+     */
+    async cancelJob(jobId) {
+        const job = await this.getJob(jobId);
+        if (!job) {
+            throw new SeedRequestError(`Seed job not found: ${jobId}`, 404);
+        }
+        if (this.running.has(jobId)) {
+            this.running.get(jobId).cancelled = true;
+        } else if (job.status === 'running' || job.status === 'queued') {
+            job.status = 'cancelling';
+            await this.saveJob(job);
+        }
+        return job;
+    }
+
+    /**
+     * Run a job in this process (fire and forget - progress is read back from Redis)
+     */
+    start(job) {
+        const control = { cancelled: false };
+        this.running.set(job.id, control);
+        // Background timeout class, not cancelled with the admin request that started the job
+        queryGuard.detached(() => this.run(job, control), { routeClass: 'background' })
+            .catch(async err => {
+                console.error(`🚨 [Tile Seed] Job ${job.id} failed:`, err.message);
+                job.status = 'failed';
+                job.lastError = err.message;
+                job.finishedAt = new Date().toISOString();
+                await this.saveJob(job);
+            })
+            .finally(() => this.running.delete(job.id));
+    }
+
+    async run(job, control) {
+        const layers = job.layers.map(id => this.getLayer(id));
+        const layersById = Object.fromEntries(layers.map(layer => [layer.id, layer]));
+        const tiles = walkTiles(job, job.done);
+        const finished = new Set(); // indexes completed out of order (above job.done)
+        let lastSave = Date.now();
+        let lastLoggedPercent = -1;
+
+        job.status = 'running';
+        job.startedAt = job.startedAt || new Date().toISOString();
+        await this.saveJob(job);
+        console.log(`🌱 [Tile Seed] Job ${job.id}: ${job.total - job.done} tiles to go (${job.layers.join(', ')}, z${job.minZoom}-${job.maxZoom}, concurrency ${job.concurrency})`);
+
+        const saveProgress = async () => {
+            lastSave = Date.now();
+            const stored = await this.getJob(job.id);
+            if (stored && stored.status === 'cancelling') {
+                control.cancelled = true; // cancelled through another instance
+            }
+            await this.saveJob(job);
+
+            const percent = Math.floor(job.done / job.total * 100);
+            if (percent >= lastLoggedPercent + 10) {
+                lastLoggedPercent = percent;
+                console.log(`🌱 [Tile Seed] Job ${job.id}: ${percent}% (${job.rendered} rendered, ${job.cached} already cached, ${job.failed} failed)`);
+            }
+        };
+
+        const worker = async () => {
+            for (let next = tiles.next(); !next.done && !control.cancelled; next = tiles.next()) {
+                const { index, layerId, z, x, y } = next.value;
+                const layer = layersById[layerId];
+
+                // 🛡️ Interactive requests first: wait while the pool has queued clients
+                while (this.getPool(layer).waitingCount > 0 && !control.cancelled) {
+                    await sleep(POOL_BUSY_WAIT_MS);
+                }
+
+                try {
+                    // Layers without spatial filtering share one unfiltered tile (same as serveLayerTile)
+                    const { status } = await this.getTile(layer, z, x, y, layer.spatialFilter ? job.microGrids : []);
+                    if (status === 'MISS') job.rendered++;
+                    else job.cached++;
+                } catch (err) {
+                    job.failed++;
+                    job.lastError = `${layerId}/${z}/${x}/${y}: ${err.message}`;
+                }
+
+                finished.add(index);
+                while (finished.has(job.done)) {
+                    finished.delete(job.done);
+                    job.done++;
+                }
+
+                if (Date.now() - lastSave >= PROGRESS_SAVE_INTERVAL_MS) {
+                    await saveProgress();
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: job.concurrency }, worker));
+
+        job.status = control.cancelled ? 'cancelled' : 'completed';
+        job.finishedAt = new Date().toISOString();
+        await this.saveJob(job);
+        console.log(`✅ [Tile Seed] Job ${job.id} ${job.status}: ${job.done}/${job.total} tiles (${job.rendered} rendered, ${job.cached} already cached, ${job.failed} failed)`);
+    }
+
+    /**
+     * Job with derived progress fields for API responses
+     */
+    static describeJob(job) {
+        const elapsedMs = job.startedAt ? new Date(job.finishedAt || job.updatedAt).getTime() - new Date(job.startedAt).getTime() : 0;
+        const tilesPerSecond = elapsedMs > 0 ? (job.rendered + job.cached + job.failed) / (elapsedMs / 1000) : 0;
+        return {
+            ...job,
+            percent: job.total > 0 ? +(job.done / job.total * 100).toFixed(1) : 100,
+            tilesPerSecond: +tilesPerSecond.toFixed(1),
+            etaSeconds: job.status === 'running' && tilesPerSecond > 0 ? Math.round((job.total - job.done) / tilesPerSecond) : null
+        };
+    }
+}
+
+module.exports = {
+    TileSeeder,
+    SeedRequestError,
+    resolveTileScope,
+    tileRange,
+    // Tile walk, exported for the tests
+    countTiles,
+    walkTiles
+};
@@ -0,0 +1,603 @@
+// filename: userLayers.js - Imported User Overlays (GeoJSON / KML / Shapefile)
+
+/**
+ * 🗺️ USER LAYERS: Engineers receive event venues, construction sites and government development
+ * plans as GeoJSON, KML / KMZ or zipped Shapefiles. Each uploaded file becomes a named layer owned
+ * by the uploader, drawn on top of the map as MVT tiles (or fetched as GeoJSON).
+ *
+ * - Files are parsed in-process; PostGIS reprojects the geometries to WGS84. The source system comes
+ *   from ?srid=, the Shapefile .prj or the GeoJSON `crs` member, else from the coordinate range
+ * - Source systems: EPSG:4326, EPSG:2326 (HK1980 Grid), EPSG:32650 (WGS84 / UTM zone 50N);
+ *   KML is WGS84 by definition
+ * - Features live in public.app_user_layer_feature; tiles use the layerRegistry tile query through
+ *   a per-layer definition that is NOT registered (the generic /tiles route never serves user data)
+ * - Only the owner (or an admin) can read, restyle or delete a layer
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const shapefile = require('shapefile');
+const { DOMParser } = require('@xmldom/xmldom');
+const { kml } = require('@tmcw/togeojson');
+const config = require('./config');
+
+const SOURCE_SRIDS = [4326, 2326, 32650];
+const FORMATS = {
+    '.geojson': 'geojson',
+    '.json': 'geojson',
+    '.kml': 'kml',
+    '.kmz': 'kmz',
+    '.zip': 'shapefile'
+};
+const MAX_NAME_LENGTH = 100;
+const MAX_LAYERS_PER_USER = 50;
+const MAX_UNZIPPED_BYTES = config.userLayers.maxUnzippedMb * 1024 * 1024;
+const INSERT_BATCH_SIZE = 500;
+
+const DEFAULT_STYLE = Object.freeze({
+    color: '#e91e63',
+    weight: 2,
+    opacity: 1,
+    fillColor: '#e91e63',
+    fillOpacity: 0.2,
+    radius: 5
+});
+
+// Style keys and their allowed values
+const STYLE_RULES = {
+    color: value => /^#[0-9a-f]{6}$/i.test(value),
+    fillColor: value => /^#[0-9a-f]{6}$/i.test(value),
+    weight: value => Number.isFinite(value) && value >= 0 && value <= 20,
+    opacity: value => Number.isFinite(value) && value >= 0 && value <= 1,
+    fillOpacity: value => Number.isFinite(value) && value >= 0 && value <= 1,
+    radius: value => Number.isFinite(value) && value >= 1 && value <= 30
+};
+
+/**
+ * Invalid upload or user layer request (HTTP 400 / 404 / 413)
+ */
+class UserLayerError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UserLayerError';
+        this.status = status;
+    }
+}
+
+// ********************************************************************* //
+// Source coordinate system
+// ********************************************************************* //
+
+/**
+ * SRID named by a Shapefile .prj (ESRI WKT)
+ */
+function sridFromPrj(prj) {
+    if (!prj) return null;
+    if (/Hong[_ ]Kong[_ ]1980[_ ]Grid/i.test(prj)) return 2326;
+    if (/UTM[_ ]zone[_ ]50N/i.test(prj)) return 32650;
+    if (/^\s*GEOGCS/i.test(prj) && /WGS[_ ]?(19)?84/i.test(prj)) return 4326;
+    return null;
+}
+
+/**
+ * SRID named by a GeoJSON `crs` member (GeoJSON 2008 - the current spec is always WGS84)
+ */
+function sridFromCrs(crs) {
+    const name = crs && crs.properties && crs.properties.name;
+    if (typeof name !== 'string') return null;
+    if (/CRS84$/i.test(name)) return 4326;
+    const match = /EPSG:{1,2}(\d+)$/i.exec(name);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function eachPosition(coordinates, callback) {
+    if (typeof coordinates[0] === 'number') {
+        callback(coordinates);
+    } else {
+        coordinates.forEach(child => eachPosition(child, callback));
+    }
+}
+
+/**
+ * Guess the SRID of features from their coordinate range (around Hong Kong)
+ */
+function guessSrid(features) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    features.forEach(({ geometry }) => eachPosition(geometry.coordinates, ([x, y]) => {
+        minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }));
+
+    const within = (x0, x1, y0, y1) => minX >= x0 && maxX <= x1 && minY >= y0 && maxY <= y1;
+    if (within(-180, 180, -90, 90)) return 4326;
+    if (within(780000, 880000, 790000, 860000)) return 2326;
+    if (within(100000, 400000, 2400000, 2600000)) return 32650;
+    return null;
+}
+
+// ********************************************************************* //
+// Parsers - each returns [{ features, srid }] (one part per file inside an archive)
+// ********************************************************************* //
+
+// GeometryCollections (KML MultiGeometry) become one feature per member - MVT has no collections
+function flattenFeatures(features) {
+    const flat = [];
+    features.forEach(feature => {
+        const geometry = feature && feature.geometry;
+        if (!geometry) return;
+        if (geometry.type === 'GeometryCollection') {
+            if (!Array.isArray(geometry.geometries)) {
+                throw new UserLayerError('GeometryCollection has no geometries array');
+            }
+            flattenFeatures(geometry.geometries.map(member => ({ ...feature, geometry: member })))
+                .forEach(part => flat.push(part));
+        } else if (Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0) {
+            flat.push({ properties: feature.properties || {}, geometry });
+        }
+    });
+    return flat;
+}
+
+function parseGeoJson(buffer) {
+    let data;
+    try {
+        data = JSON.parse(buffer.toString('utf8'));
+    } catch (err) {
+        throw new UserLayerError(`Invalid GeoJSON: ${err.message}`);
+    }
+    let features;
+    if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        features = data.features;
+    } else if (data && data.type === 'Feature') {
+        features = [data];
+    } else if (data && typeof data.type === 'string' && (data.coordinates || data.geometries)) {
+        features = [{ type: 'Feature', properties: {}, geometry: data }];
+    } else {
+        throw new UserLayerError('GeoJSON must be a FeatureCollection, Feature or geometry');
+    }
+    return [{ features: flattenFeatures(features), srid: sridFromCrs(data.crs) }];
+}
+
+function parseKml(text) {
+    const errors = [];
+    let dom;
+    try {
+        dom = new DOMParser({
+            onError: (level, message) => {
+                if (level !== 'warning') errors.push(message);
+            }
+        }).parseFromString(text, 'text/xml');
+    } catch (err) {
+        errors.push(err.message);
+    }
+    if (errors.length > 0 || !dom || !dom.documentElement) {
+        throw new UserLayerError(`Invalid KML: ${errors[0] || 'not an XML document'}`);
+    }
+    return [{ features: flattenFeatures(kml(dom).features), srid: 4326 }];
+}
+
+// Returns the file entries and a reader that caps the bytes actually inflated (header sizes can lie)
+function openZip(buffer) {
+    let entries;
+    try {
+        entries = new AdmZip(buffer).getEntries().filter(entry => !entry.isDirectory);
+    } catch (err) {
+        throw new UserLayerError(`Invalid zip archive: ${err.message}`);
+    }
+    const tooLarge = () => new UserLayerError(`Archive expands to more than ${MAX_UNZIPPED_BYTES / 1024 / 1024} MB`, 413);
+    const declaredBytes = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (declaredBytes > MAX_UNZIPPED_BYTES) throw tooLarge();
+
+    let remaining = MAX_UNZIPPED_BYTES;
+    const read = entry => {
+        if (entry.header.encrypted) {
+            throw new UserLayerError(`Encrypted archive entry ${entry.entryName} is not supported`);
+        }
+        let data;
+        if (entry.header.method === 0) {
+            data = entry.getCompressedData();
+        } else if (entry.header.method === 8) {
+            try {
+                data = zlib.inflateRawSync(entry.getCompressedData(), { maxOutputLength: remaining + 1 });
+            } catch (err) {
+                if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+                throw new UserLayerError(`Invalid zip entry ${entry.entryName}: ${err.message}`);
+            }
+        } else {
+            throw new UserLayerError(`Unsupported compression in zip entry ${entry.entryName}`);
+        }
+        if (data.length > remaining) throw tooLarge();
+        remaining -= data.length;
+        return data;
+    };
+    return { entries, read };
+}
+
+function parseKmz(buffer) {
+    const zip = openZip(buffer);
+    const kmlEntries = zip.entries.filter(entry => /\.kml$/i.test(entry.entryName));
+    if (kmlEntries.length === 0) {
+        throw new UserLayerError('KMZ archive contains no .kml file');
+    }
+    // doc.kml is the root document by convention, other .kml files are its linked parts
+    const root = kmlEntries.find(entry => /(^|\/)doc\.kml$/i.test(entry.entryName)) || kmlEntries[0];
+    return parseKml(zip.read(root).toString('utf8'));
+}
+
+async function parseShapefileZip(buffer) {
+    const { entries, read } = openZip(buffer);
+    const byName = new Map(entries.map(entry => [entry.entryName.toLowerCase(), entry]));
+    const shpEntries = entries.filter(entry => /\.shp$/i.test(entry.entryName) && !/(^|\/)__MACOSX\//.test(entry.entryName));
+    if (shpEntries.length === 0) {
+        throw new UserLayerError('Zip archive contains no .shp file');
+    }
+
+    const parts = [];
+    for (const shpEntry of shpEntries) {
+        const base = shpEntry.entryName.slice(0, -4).toLowerCase();
+        const sibling = extension => byName.get(`${base}${extension}`);
+        const dbf = sibling('.dbf');
+        const prj = sibling('.prj');
+        const cpg = sibling('.cpg');
+
+        const shp = read(shpEntry);
+        const attributes = dbf ? read(dbf) : undefined;
+        const encoding = cpg ? read(cpg).toString('utf8').trim() : 'utf-8';
+        let collection;
+        try {
+            collection = await shapefile.read(shp, attributes, { encoding });
+        } catch (err) {
+            throw new UserLayerError(`Invalid Shapefile ${path.basename(shpEntry.entryName)}: ${err.message}`);
+        }
+        parts.push({
+            features: flattenFeatures(collection.features),
+            srid: prj ? sridFromPrj(read(prj).toString('utf8')) : null
+        });
+    }
+    return parts;
+}
+
+/**
+ * Parse an uploaded file into WGS84-bound parts
+ * @param {Buffer} buffer - File content
+ * @param {string} format - geojson | kml | kmz | shapefile
+ * @param {number|null} srid - Source SRID forced by the uploader
+ */
+async function parseUpload(buffer, format, srid) {
+    let parts;
+    switch (format) {
+        case 'geojson': parts = parseGeoJson(buffer); break;
+        case 'kml': parts = parseKml(buffer.toString('utf8')); break;
+        case 'kmz': parts = parseKmz(buffer); break;
+        default: parts = await parseShapefileZip(buffer);
+    }
+
+    return parts
+        .filter(part => part.features.length > 0)
+        .map(part => {
+            const partSrid = srid || part.srid || guessSrid(part.features);
+            if (!partSrid) {
+                throw new UserLayerError('Cannot tell the coordinate system of the file - pass srid=4326, 2326 or 32650');
+            }
+            if (!SOURCE_SRIDS.includes(partSrid)) {
+                throw new UserLayerError(`Unsupported coordinate system EPSG:${partSrid} - supported: ${SOURCE_SRIDS.join(', ')}`);
+            }
+            return { ...part, srid: partSrid };
+        });
+}
+
+function parseStyle(style) {
+    if (style === undefined) return {};
+    if (!style || typeof style !== 'object' || Array.isArray(style)) {
+        throw new UserLayerError('style must be an object');
+    }
+    return Object.fromEntries(Object.entries(style).map(([key, value]) => {
+        if (!STYLE_RULES[key]) {
+            throw new UserLayerError(`Unknown style property ${key} - allowed: ${Object.keys(STYLE_RULES).join(', ')}`);
+        }
+        if (!STYLE_RULES[key](value)) {
+            throw new UserLayerError(`Invalid style ${key}: ${JSON.stringify(value)}`);
+        }
+        return [key, value];
+    }));
+}
+
+function parseName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+        throw new UserLayerError(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    }
+    return trimmed;
+}
+
+function parseLayerId(id) {
+    const parsed = Number(id);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+        throw new UserLayerError('Invalid layer ID');
+    }
+    return parsed;
+}
+
+function toUserLayer(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        owner: row.owner_username,
+        format: row.source_format,
+        filename: row.source_filename,
+        sourceSrid: row.source_srid,
+        featureCount: row.feature_count,
+        geometryTypes: row.geometry_types || [],
+        bbox: row.west !== null ? [row.west, row.south, row.east, row.north] : null,
+        style: { ...DEFAULT_STYLE, ...(row.style || {}) },
+        createdAt: row.created_at,
+        tileUrl: `/api/user-layers/${row.id}/mvt/{z}/{x}/{y}`
+    };
+}
+
+const LAYER_COLUMNS = `
+    l.id, l.name, l.owner_id, l.owner_username, l.source_format, l.source_filename, l.source_srid,
+    l.feature_count, l.geometry_types, l.style, l.created_at,
+    ST_XMin(l.extent) AS west, ST_YMin(l.extent) AS south, ST_XMax(l.extent) AS east, ST_YMax(l.extent) AS north`;
+
+class UserLayerStore {
+    /**
+     * @param {Object} pool - pg Pool holding the user layer tables (main database)
+     */
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async ensureSchema() {
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS public.app_user_layer (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                owner_id INTEGER NOT NULL,
+                owner_username TEXT NOT NULL,
+                source_format TEXT NOT NULL,
+                source_filename TEXT,
+                source_srid INTEGER NOT NULL,
+                feature_count INTEGER NOT NULL DEFAULT 0,
+                geometry_types TEXT[],
+                extent geometry(Geometry, 4326),
+                style JSONB NOT NULL DEFAULT '{}'::jsonb,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        // ST_Envelope() of a single point (or of points on one line) is a POINT / LINESTRING, not a polygon -
+        // tables created with geometry(Polygon) are widened in place
+        await this.pool.query(`
+            DO $$
+            BEGIN
+                IF EXISTS (
+                    SELECT 1 FROM public.geometry_columns
+                    WHERE f_table_schema = 'public' AND f_table_name = 'app_user_layer'
+                      AND f_geometry_column = 'extent' AND type = 'POLYGON'
+                ) THEN
+                    ALTER TABLE public.app_user_layer ALTER COLUMN extent TYPE geometry(Geometry, 4326);
+                END IF;
+            END $$
+        `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS public.app_user_layer_feature (
+                id BIGSERIAL PRIMARY KEY,
+                layer_id INTEGER NOT NULL REFERENCES public.app_user_layer (id) ON DELETE CASCADE,
+                properties JSONB NOT NULL DEFAULT '{}'::jsonb,
+                geom geometry(Geometry, 4326) NOT NULL
+            )
+        `);
+        await this.pool.query('CREATE INDEX IF NOT EXISTS app_user_layer_owner_idx ON public.app_user_layer (owner_id)');
+        await this.pool.query('CREATE INDEX IF NOT EXISTS app_user_layer_feature_layer_idx ON public.app_user_layer_feature (layer_id)');
+        await this.pool.query('CREATE INDEX IF NOT EXISTS app_user_layer_feature_geom_idx ON public.app_user_layer_feature USING GIST (geom)');
+    }
+
+    /**
+     * Layers of a user, newest first
+     */
+    async list(user) {
+        const { rows } = await this.pool.query(`
+            SELECT ${LAYER_COLUMNS}
+            FROM public.app_user_layer l
+            WHERE l.owner_id = $1
+            ORDER BY l.created_at DESC
+        `, [user.id]);
+        return rows.map(toUserLayer);
+    }
+
+    /**
+     * One layer
+     * @throws {UserLayerError} 404 when missing or not owned by the user (admins see every layer)
+     */
+    async get(id, user) {
+        const { rows } = await this.pool.query(`
+            SELECT ${LAYER_COLUMNS}
+            FROM public.app_user_layer l
+            WHERE l.id = $1 AND (l.owner_id = $2 OR $3)
+        `, [parseLayerId(id), user.id, user.role === 'admin']);
+        if (rows.length === 0) {
+            throw new UserLayerError(`Layer ${id} not found`, 404);
+        }
+        return toUserLayer(rows[0]);
+    }
+
+    /**
+     * Import an uploaded file as a new layer
+     * @param {Object} user - req.user (owner)
+     * @param {Buffer} buffer - File content
+     * @param {Object} options - { filename (extension picks the format), name?, srid? }
+     */
+    async create(user, buffer, { filename, name, srid } = {}) {
+        const extension = path.extname(filename || '').toLowerCase();
+        const format = FORMATS[extension];
+        if (!format) {
+            throw new UserLayerError(`filename must end in one of: ${Object.keys(FORMATS).join(', ')}`);
+        }
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw new UserLayerError('Request body must be the file content');
+        }
+        const layerName = parseName(name || path.basename(filename, extension));
+        const forcedSrid = srid !== undefined && srid !== '' ? parseInt(srid, 10) : null;
+        if (forcedSrid !== null && !SOURCE_SRIDS.includes(forcedSrid)) {
+            throw new UserLayerError(`srid must be one of: ${SOURCE_SRIDS.join(', ')}`);
+        }
+
+        const { rows: counted } = await this.pool.query(
+            'SELECT COUNT(*)::int AS count FROM public.app_user_layer WHERE owner_id = $1',
+            [user.id]
+        );
+        if (counted[0].count >= MAX_LAYERS_PER_USER) {
+            throw new UserLayerError(`At most ${MAX_LAYERS_PER_USER} layers per user - delete unused ones first`);
+        }
+
+        const parts = await parseUpload(buffer, format, forcedSrid);
+        const featureCount = parts.reduce((sum, part) => sum + part.features.length, 0);
+        if (featureCount === 0) {
+            throw new UserLayerError('The file contains no features with geometry');
+        }
+        if (featureCount > config.userLayers.maxFeatures) {
+            throw new UserLayerError(`The file has ${featureCount} features - at most ${config.userLayers.maxFeatures} per layer`, 413);
+        }
+
+        const client = await this.pool.connect();
+        let layerId;
+        try {
+            await client.query('BEGIN');
+            const { rows } = await client.query(`
+                INSERT INTO public.app_user_layer (name, owner_id, owner_username, source_format, source_filename, source_srid)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING id
+            `, [layerName, user.id, user.username, format, path.basename(filename), parts[0].srid]);
+            layerId = rows[0].id;
+
+            for (const { features, srid: partSrid } of parts) {
+                for (let start = 0; start < features.length; start += INSERT_BATCH_SIZE) {
+                    // Z / M values are dropped (KML altitudes) - tiles and exports are 2D
+                    await client.query(`
+                        INSERT INTO public.app_user_layer_feature (layer_id, properties, geom)
+                        SELECT $1, COALESCE(f->'properties', '{}'::jsonb),
+                               ST_Force2D(ST_Transform(ST_SetSRID(ST_GeomFromGeoJSON(f->>'geometry'), $2), 4326))
+                        FROM jsonb_array_elements($3::jsonb) f
+                    `, [layerId, partSrid, JSON.stringify(features.slice(start, start + INSERT_BATCH_SIZE))]);
+                }
+            }
+
+            await client.query(`
+                UPDATE public.app_user_layer l
+                SET feature_count = s.feature_count, geometry_types = s.geometry_types, extent = s.extent
+                FROM (
+                    SELECT COUNT(*)::int AS feature_count,
+                           ARRAY_AGG(DISTINCT GeometryType(geom)) AS geometry_types,
+                           ST_SetSRID(ST_Envelope(ST_Extent(geom)::geometry), 4326) AS extent
+                    FROM public.app_user_layer_feature
+                    WHERE layer_id = $1
+                ) s
+                WHERE l.id = $1
+            `, [layerId]);
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            // XX000: PostGIS refused a geometry (unclosed ring, too few points, ...)
+            // 22023: invalid parameter value (geometry type / dimension PostGIS cannot take)
+            if (err.code === 'XX000' || err.code === '22023') {
+                throw new UserLayerError(`Invalid geometry in the file: ${err.message}`);
+            }
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        return this.get(layerId, user);
+    }
+
+    /**
+     * Rename / restyle a layer
+     * @param {Object} changes - { name?, style? } - style keys are merged into the stored style
+     */
+    async update(id, user, { name, style } = {}) {
+        const layer = await this.get(id, user);
+        const layerName = name !== undefined ? parseName(name) : layer.name;
+        const { rows } = await this.pool.query(`
+            UPDATE public.app_user_layer
+            SET name = $2, style = style || $3::jsonb
+            WHERE id = $1
+            RETURNING id
+        `, [layer.id, layerName, parseStyle(style)]);
+        return this.get(rows[0].id, user);
+    }
+
+    /**
+     * Delete a layer and its features
+     */
+    async remove(id, user) {
+        const layer = await this.get(id, user);
+        await this.pool.query('DELETE FROM public.app_user_layer WHERE id = $1', [layer.id]);
+        return layer;
+    }
+
+    /**
+     * Features of a layer as a GeoJSON FeatureCollection
+     * @param {Array<number>} [bbox] - [west, south, east, north] (WGS84) - only features intersecting it
+     */
+    async geojson(id, user, bbox) {
+        const layer = await this.get(id, user);
+        const params = [layer.id];
+        let bboxClause = '';
+        if (bbox) {
+            params.push(...bbox);
+            bboxClause = 'AND f.geom && ST_MakeEnvelope($2, $3, $4, $5, 4326)';
+        }
+        const { rows } = await this.pool.query(`
+            SELECT json_build_object(
+                'type', 'FeatureCollection',
+                'name', l.name,
+                'features', COALESCE(json_agg(json_build_object(
+                    'type', 'Feature',
+                    'id', f.id,
+                    'properties', f.properties,
+                    'geometry', ST_AsGeoJSON(f.geom)::json
+                ) ORDER BY f.id) FILTER (WHERE f.id IS NOT NULL), '[]'::json)
+            ) AS collection
+            FROM public.app_user_layer l
+            LEFT JOIN public.app_user_layer_feature f ON f.layer_id = l.id ${bboxClause}
+            WHERE l.id = $1
+            GROUP BY l.name
+        `, params);
+        return rows[0].collection;
+    }
+
+    /**
+     * Tile layer definition (layerRegistry shape) of a user layer - for getLayerTile / buildTileQuery.
+     * The `properties` jsonb column is expanded into feature attributes by ST_AsMVT.
+     */
+    tileLayer(layer) {
+        return Object.freeze({
+            id: `user_layer_${layer.id}`,
+            label: `User layer ${layer.id} (${layer.name})`,
+            group: 'user',
+            dataset: `user_layer_${layer.id}`,
+            pool: 'pool',
+            table: 'public.app_user_layer_feature',
+            srid: 4326,
+            geomColumn: 'geom',
+            columns: {
+                feature_id: 't.id',
+                properties: 't.properties'
+            },
+            where: 't.layer_id = $1',
+            params: [layer.id],
+            buffer: 64,
+            spatialFilter: false,
+            access: null,
+            audit: null
+        });
+    }
+}
+
+module.exports = {
+    UserLayerStore,
+    UserLayerError,
+    // Upload parsing, exported for the tests
+    parseUpload
+};
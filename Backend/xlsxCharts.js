@@ -0,0 +1,240 @@
+// filename: xlsxCharts.js - Native Excel Charts for ExcelJS Workbooks
+
+/**
+ * 📈 XLSX CHARTS: ExcelJS writes formatted workbooks but no charts. This module adds native
+ * DrawingML charts (line, column, doughnut) to a written workbook: one drawing part per sheet,
+ * one chart part per chart, series referencing the sheet's cells (with cached values, so viewers
+ * that do not recalculate still draw them).
+ *
+ * Usage:
+ *   const buffer = await workbook.xlsx.writeBuffer();
+ *   const withCharts = addCharts(Buffer.from(buffer), [{ worksheet, type: 'line', title, ... }]);
+ */
+
+const AdmZip = require('adm-zip');
+
+const CONTENT_TYPES = {
+    drawing: 'application/vnd.openxmlformats-officedocument.drawing+xml',
+    chart: 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml'
+};
+const RELATIONSHIP_TYPES = {
+    drawing: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing',
+    chart: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart'
+};
+const NS_CHART = 'http://schemas.openxmlformats.org/drawingml/2006/chart';
+const NS_DRAWING = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const NS_RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CHART_TYPES = ['line', 'column', 'doughnut'];
+
+function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 1-based column number → letters (1 = A, 27 = AA)
+ */
+function columnLetter(column) {
+    let letters = '';
+    for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+function cellRange(sheetName, column, firstRow, lastRow = firstRow) {
+    const sheet = `'${sheetName.replace(/'/g, "''")}'`;
+    const letter = columnLetter(column);
+    return firstRow === lastRow
+        ? `${sheet}!$${letter}$${firstRow}`
+        : `${sheet}!$${letter}$${firstRow}:$${letter}$${lastRow}`;
+}
+
+function strRef(ref, values) {
+    return `<c:strRef><c:f>${escapeXml(ref)}</c:f><c:strCache><c:ptCount val="${values.length}"/>${
+        values.map((value, idx) => `<c:pt idx="${idx}"><c:v>${escapeXml(value)}</c:v></c:pt>`).join('')
+    }</c:strCache></c:strRef>`;
+}
+
+function numRef(ref, values) {
+    return `<c:numRef><c:f>${escapeXml(ref)}</c:f><c:numCache><c:formatCode>General</c:formatCode><c:ptCount val="${values.length}"/>${
+        values.map((value, idx) => (Number.isFinite(Number(value)) && value !== null
+            ? `<c:pt idx="${idx}"><c:v>${Number(value)}</c:v></c:pt>` : '')).join('')
+    }</c:numCache></c:numRef>`;
+}
+
+const solidFill = color => `<a:solidFill><a:srgbClr val="${color.replace('#', '').toUpperCase()}"/></a:solidFill>`;
+
+/**
+ * <c:ser> elements of a chart (element order follows the DrawingML schema of each chart type)
+ */
+function seriesXml(chart) {
+    const { worksheet, headerRow, firstRow, lastRow, categoryColumn, categories } = chart;
+    const catXml = `<c:cat>${strRef(cellRange(worksheet.name, categoryColumn, firstRow, lastRow), categories)}</c:cat>`;
+
+    return chart.series.map((series, index) => {
+        const txXml = `<c:tx>${strRef(cellRange(worksheet.name, series.column, headerRow), [series.name])}</c:tx>`;
+        const valXml = `<c:val>${numRef(cellRange(worksheet.name, series.column, firstRow, lastRow), series.values)}</c:val>`;
+        const head = `<c:idx val="${index}"/><c:order val="${index}"/>${txXml}`;
+
+        if (chart.type === 'line') {
+            const color = series.color || '#1976D2';
+            return `<c:ser>${head}<c:spPr><a:ln w="28575" cap="rnd">${solidFill(color)}<a:round/></a:ln></c:spPr>` +
+                `<c:marker><c:symbol val="circle"/><c:size val="5"/><c:spPr>${solidFill(color)}</c:spPr></c:marker>` +
+                `${catXml}${valXml}<c:smooth val="0"/></c:ser>`;
+        }
+        if (chart.type === 'column') {
+            return `<c:ser>${head}<c:spPr>${solidFill(series.color || '#1976D2')}</c:spPr><c:invertIfNegative val="0"/>${catXml}${valXml}</c:ser>`;
+        }
+        // doughnut: one colour per category
+        const points = (chart.colors || []).map((color, idx) =>
+            `<c:dPt><c:idx val="${idx}"/><c:bubble3D val="0"/><c:spPr>${solidFill(color)}</c:spPr></c:dPt>`).join('');
+        const labels = '<c:dLbls><c:numFmt formatCode="0.0%" sourceLinked="0"/><c:showLegendKey val="0"/><c:showVal val="0"/>' +
+            '<c:showCatName val="0"/><c:showSerName val="0"/><c:showPercent val="1"/><c:showBubbleSize val="0"/><c:showLeaderLines val="1"/></c:dLbls>';
+        return `<c:ser>${head}${points}${labels}${catXml}${valXml}</c:ser>`;
+    }).join('');
+}
+
+function axesXml(chart) {
+    const valueFormat = escapeXml(chart.valueFormat || 'General');
+    return '<c:catAx><c:axId val="500000001"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>' +
+        '<c:axPos val="b"/><c:numFmt formatCode="General" sourceLinked="0"/><c:tickLblPos val="low"/><c:crossAx val="500000002"/>' +
+        '<c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/></c:catAx>' +
+        '<c:valAx><c:axId val="500000002"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>' +
+        `<c:axPos val="l"/><c:majorGridlines/><c:numFmt formatCode="${valueFormat}" sourceLinked="0"/><c:tickLblPos val="nextTo"/>` +
+        '<c:crossAx val="500000001"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>';
+}
+
+function chartXml(chart) {
+    let plot;
+    if (chart.type === 'line') {
+        plot = `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${seriesXml(chart)}` +
+            '<c:marker val="1"/><c:axId val="500000001"/><c:axId val="500000002"/></c:lineChart>' + axesXml(chart);
+    } else if (chart.type === 'column') {
+        const grouping = chart.stacked ? 'stacked' : 'clustered';
+        plot = `<c:barChart><c:barDir val="col"/><c:grouping val="${grouping}"/><c:varyColors val="0"/>${seriesXml(chart)}` +
+            `<c:gapWidth val="80"/>${chart.stacked ? '<c:overlap val="100"/>' : ''}` +
+            '<c:axId val="500000001"/><c:axId val="500000002"/></c:barChart>' + axesXml(chart);
+    } else {
+        plot = `<c:doughnutChart><c:varyColors val="1"/>${seriesXml(chart)}<c:firstSliceAng val="0"/><c:holeSize val="50"/></c:doughnutChart>`;
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<c:chartSpace xmlns:c="${NS_CHART}" xmlns:a="${NS_DRAWING}" xmlns:r="${NS_RELATIONSHIPS}">` +
+        '<c:roundedCorners val="0"/><c:chart>' +
+        '<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:pPr><a:defRPr sz="1200" b="1"/></a:pPr>' +
+        `<a:r><a:rPr lang="zh-HK" sz="1200" b="1"/><a:t>${escapeXml(chart.title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>` +
+        `<c:autoTitleDeleted val="0"/><c:plotArea><c:layout/>${plot}</c:plotArea>` +
+        '<c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend><c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/>' +
+        '</c:chart></c:chartSpace>';
+}
+
+function anchorXml(chart, index) {
+    const { col, row, width = 10, height = 18 } = chart.position;
+    const marker = (c, r) => `<xdr:col>${c}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${r}</xdr:row><xdr:rowOff>0</xdr:rowOff>`;
+    return `<xdr:twoCellAnchor editAs="oneCell"><xdr:from>${marker(col, row)}</xdr:from><xdr:to>${marker(col + width, row + height)}</xdr:to>` +
+        `<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="${index + 2}" name="Chart ${index + 1}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>` +
+        '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>' +
+        `<a:graphic><a:graphicData uri="${NS_CHART}"><c:chart xmlns:c="${NS_CHART}" xmlns:r="${NS_RELATIONSHIPS}" r:id="rId${index + 1}"/></a:graphicData></a:graphic>` +
+        '</xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor>';
+}
+
+function relationshipsXml(relationships) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        relationships.map(({ id, type, target }) => `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`).join('') +
+        '</Relationships>';
+}
+
+/**
+ * Add charts to a workbook written by ExcelJS
+ * @param {Buffer} xlsx - workbook.xlsx.writeBuffer() result
+ * @param {Array<Object>} charts - Chart definitions:
+ *   - worksheet: ExcelJS worksheet holding the data (its id names the sheet part)
+ *   - type: 'line' | 'column' | 'doughnut'; title; stacked (column); valueFormat (axis number format)
+ *   - headerRow: row of the series names; firstRow / lastRow: data rows
+ *   - categoryColumn + categories: category labels (1-based column, cached values)
+ *   - series: [{ column, name, values, color }]; colors (doughnut slices)
+ *   - position: { col, row, width, height } - 0-based top left cell and size in cells
+ * @returns {Buffer}
+ */
+function addCharts(xlsx, charts) {
+    if (charts.length === 0) {
+        return xlsx;
+    }
+    charts.forEach((chart) => {
+        if (!CHART_TYPES.includes(chart.type)) {
+            throw new Error(`Unsupported chart type: ${chart.type}`);
+        }
+    });
+
+    const zip = new AdmZip(xlsx);
+    let contentTypes = zip.readAsText('[Content_Types].xml');
+    const overrides = [];
+
+    // One drawing per sheet holding all its charts
+    const bySheet = new Map();
+    charts.forEach((chart) => {
+        const list = bySheet.get(chart.worksheet.id) || [];
+        list.push(chart);
+        bySheet.set(chart.worksheet.id, list);
+    });
+
+    let chartNumber = 0;
+    let drawingNumber = 0;
+    for (const [sheetId, sheetCharts] of bySheet) {
+        drawingNumber++;
+        const sheetPath = `xl/worksheets/sheet${sheetId}.xml`;
+        const sheetRelsPath = `xl/worksheets/_rels/sheet${sheetId}.xml.rels`;
+        const drawingPath = `xl/drawings/drawing${drawingNumber}.xml`;
+
+        const chartRelationships = sheetCharts.map((chart, index) => {
+            chartNumber++;
+            zip.addFile(`xl/charts/chart${chartNumber}.xml`, Buffer.from(chartXml(chart), 'utf8'));
+            overrides.push(`<Override PartName="/xl/charts/chart${chartNumber}.xml" ContentType="${CONTENT_TYPES.chart}"/>`);
+            return { id: `rId${index + 1}`, type: RELATIONSHIP_TYPES.chart, target: `../charts/chart${chartNumber}.xml` };
+        });
+
+        zip.addFile(drawingPath, Buffer.from('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="${NS_DRAWING}">` +
+            sheetCharts.map(anchorXml).join('') +
+            '</xdr:wsDr>', 'utf8'));
+        zip.addFile(`xl/drawings/_rels/drawing${drawingNumber}.xml.rels`, Buffer.from(relationshipsXml(chartRelationships), 'utf8'));
+        overrides.push(`<Override PartName="/${drawingPath}" ContentType="${CONTENT_TYPES.drawing}"/>`);
+
+        // Sheet → drawing relationship (appended to the sheet's existing relationships, if any)
+        const existing = zip.getEntry(sheetRelsPath) ? zip.readAsText(sheetRelsPath) : null;
+        const drawingRelId = 'rIdChartDrawing';
+        const drawingRelationship = `<Relationship Id="${drawingRelId}" Type="${RELATIONSHIP_TYPES.drawing}" Target="../drawings/drawing${drawingNumber}.xml"/>`;
+        const sheetRels = existing
+            ? existing.replace('</Relationships>', `${drawingRelationship}</Relationships>`)
+            : relationshipsXml([{ id: drawingRelId, type: RELATIONSHIP_TYPES.drawing, target: `../drawings/drawing${drawingNumber}.xml` }]);
+        if (existing) {
+            zip.updateFile(sheetRelsPath, Buffer.from(sheetRels, 'utf8'));
+        } else {
+            zip.addFile(sheetRelsPath, Buffer.from(sheetRels, 'utf8'));
+        }
+
+        // <drawing> goes after the page setup elements and before legacyDrawing / tableParts / extLst
+        let sheetXml = zip.readAsText(sheetPath);
+        const drawingElement = `<drawing r:id="${drawingRelId}"/>`;
+        const before = ['<legacyDrawing', '<legacyDrawingHF', '<picture', '<oleObjects', '<controls', '<webPublishItems', '<tableParts', '<extLst', '</worksheet>']
+            .map(tag => sheetXml.indexOf(tag))
+            .filter(position => position >= 0);
+        const insertAt = Math.min(...before);
+        sheetXml = `${sheetXml.slice(0, insertAt)}${drawingElement}${sheetXml.slice(insertAt)}`;
+        zip.updateFile(sheetPath, Buffer.from(sheetXml, 'utf8'));
+    }
+
+    contentTypes = contentTypes.replace('</Types>', `${overrides.join('')}</Types>`);
+    zip.updateFile('[Content_Types].xml', Buffer.from(contentTypes, 'utf8'));
+    return zip.toBuffer();
+}
+
+module.exports = {
+    addCharts,
+    columnLetter
+};
@@ -0,0 +1,7 @@
+// Runtime configuration - edit on the web server after `npm run build` (no rebuild needed).
+// Empty values fall back to the REACT_APP_* build-time settings (see .env.example).
+window.APP_CONFIG = {
+    API_BASE_URL: '',   // Backend API base URL, e.g. 'http://10.250.52.75:3050'
+    MAP_MIN_ZOOM: '',   // Default 10
+    MAP_MAX_ZOOM: ''    // Default 18
+};
@@ -0,0 +1,197 @@
+// AoiDrawTool.js
+// 📐 Draw a custom area of interest (polygon, rectangle or circle) on the map and save it with POST /api/aoi.
+// Polygon: click each vertex, finish with 完成 or a double-click. Rectangle: click two opposite corners.
+// Circle: click the centre, then a point on the edge. Circles are saved as 64-sided polygons.
+import React, { useEffect, useRef, useState } from 'react';
+import L from 'leaflet';
+import { circle as turfCircle } from '@turf/turf';
+import './AoiDrawTool.css';
+
+const SHAPES = [
+    { id: 'polygon', label: '多邊形', hint: '逐點點擊地圖繪製頂點，雙擊或按「完成」結束' },
+    { id: 'rectangle', label: '矩形', hint: '點擊地圖上兩個對角' },
+    { id: 'circle', label: '圓形', hint: '先點擊圓心，再點擊圓周上一點' }
+];
+
+const DRAW_STYLE = { color: '#ff9800', weight: 2, dashArray: '6,4', fillColor: '#ff9800', fillOpacity: 0.15 };
+const CIRCLE_STEPS = 64;
+
+// Leaflet lat/lng list → closed GeoJSON ring ([lng, lat])
+const toRing = (latLngs) => {
+    const ring = latLngs.map(p => [p.lng, p.lat]);
+    return [...ring, ring[0]];
+};
+
+const AoiDrawTool = ({ map, onSave, onCancel }) => {
+    const [shape, setShape] = useState('polygon');
+    const [geometry, setGeometry] = useState(null);
+    const [vertexCount, setVertexCount] = useState(0);
+    const [name, setName] = useState('');
+    const [shared, setShared] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const containerRef = useRef(null);
+    const finishPolygonRef = useRef(() => {});
+
+    // Stop map interaction when using the panel
+    useEffect(() => {
+        if (containerRef.current) {
+            L.DomEvent.disableScrollPropagation(containerRef.current);
+            L.DomEvent.disableClickPropagation(containerRef.current);
+        }
+    }, []);
+
+    // Map interaction for the current shape (restarted whenever the shape changes)
+    useEffect(() => {
+        if (!map) return undefined;
+
+        const layerGroup = L.layerGroup().addTo(map);
+        const points = [];
+        let preview = null;
+        let done = false;
+
+        setGeometry(null);
+        setVertexCount(0);
+        map.doubleClickZoom.disable();
+        map.getContainer().classList.add('aoi-drawing');
+
+        const redraw = (latLngs) => {
+            if (preview) layerGroup.removeLayer(preview);
+            preview = latLngs;
+            if (preview) preview.addTo(layerGroup);
+        };
+
+        const finishPolygon = () => {
+            if (done || points.length < 3) return;
+            done = true;
+            redraw(L.polygon(points, DRAW_STYLE));
+            setGeometry({ type: 'Polygon', coordinates: [toRing(points)] });
+        };
+        finishPolygonRef.current = finishPolygon;
+
+        const handleClick = (e) => {
+            if (done) return;
+            points.push(e.latlng);
+            if (shape === 'polygon') {
+                L.circleMarker(e.latlng, { radius: 3, color: DRAW_STYLE.color }).addTo(layerGroup);
+                redraw(L.polyline(points, DRAW_STYLE));
+                setVertexCount(points.length);
+            } else if (points.length === 2) {
+                done = true;
+                if (shape === 'rectangle') {
+                    const bounds = L.latLngBounds(points);
+                    redraw(L.rectangle(bounds, DRAW_STYLE));
+                    setGeometry({
+                        type: 'Polygon',
+                        coordinates: [toRing([bounds.getSouthWest(), bounds.getSouthEast(), bounds.getNorthEast(), bounds.getNorthWest()])]
+                    });
+                } else {
+                    const radiusKm = map.distance(points[0], points[1]) / 1000;
+                    const drawn = turfCircle([points[0].lng, points[0].lat], radiusKm, { steps: CIRCLE_STEPS, units: 'kilometers' });
+                    redraw(L.geoJSON(drawn, { style: DRAW_STYLE }));
+                    setGeometry(drawn.geometry);
+                }
+            }
+        };
+
+        const handleMouseMove = (e) => {
+            if (done || points.length === 0) return;
+            if (shape === 'polygon') {
+                redraw(L.polyline([...points, e.latlng], DRAW_STYLE));
+            } else if (shape === 'rectangle') {
+                redraw(L.rectangle(L.latLngBounds(points[0], e.latlng), DRAW_STYLE));
+            } else {
+                redraw(L.circle(points[0], { ...DRAW_STYLE, radius: map.distance(points[0], e.latlng) }));
+            }
+        };
+
+        const handleDoubleClick = () => {
+            if (shape === 'polygon') finishPolygon();
+        };
+
+        map.on('click', handleClick);
+        map.on('mousemove', handleMouseMove);
+        map.on('dblclick', handleDoubleClick);
+        return () => {
+            map.off('click', handleClick);
+            map.off('mousemove', handleMouseMove);
+            map.off('dblclick', handleDoubleClick);
+            map.removeLayer(layerGroup);
+            map.doubleClickZoom.enable();
+            map.getContainer().classList.remove('aoi-drawing');
+        };
+    }, [map, shape]);
+
+    const handleSave = async () => {
+        if (!geometry) return;
+        if (!name.trim()) {
+            setError('請輸入區域名稱');
+            return;
+        }
+        setSaving(true);
+        setError(null);
+        try {
+            await onSave({ name: name.trim(), shape, shared, geometry });
+        } catch (err) {
+            setError(err.message || '保存失敗');
+            setSaving(false);
+        }
+    };
+
+    const currentShape = SHAPES.find(s => s.id === shape);
+
+    return (
+        <div ref={containerRef} className="options-container aoi-draw-tool">
+            <div className="aoi-draw-title">繪製自訂區域</div>
+            <div className="aoi-draw-shapes">
+                {SHAPES.map(s => (
+                    <button
+                        key={s.id}
+                        type="button"
+                        className={`aoi-draw-shape${s.id === shape ? ' active' : ''}`}
+                        onClick={() => setShape(s.id)}
+                        disabled={saving}
+                    >
+                        {s.label}
+                    </button>
+                ))}
+            </div>
+            <div className="aoi-draw-hint">
+                {geometry ? '已完成繪製，輸入名稱後保存（切換形狀可重新繪製）' : currentShape.hint}
+            </div>
+            {shape === 'polygon' && !geometry && (
+                <button
+                    type="button"
+                    className="aoi-draw-button"
+                    onClick={() => finishPolygonRef.current()}
+                    disabled={vertexCount < 3}
+                >
+                    完成 ({vertexCount} 點)
+                </button>
+            )}
+            <input
+                type="text"
+                className="aoi-draw-name"
+                placeholder="區域名稱，例如：啟德新發展區"
+                value={name}
+                maxLength={100}
+                onChange={(e) => setName(e.target.value)}
+            />
+            <label className="aoi-draw-shared">
+                <input type="checkbox" checked={shared} onChange={(e) => setShared(e.target.checked)} />
+                與其他用戶共享
+            </label>
+            {error && <div className="aoi-draw-error">{error}</div>}
+            <div className="aoi-draw-actions">
+                <button type="button" className="aoi-draw-button primary" onClick={handleSave} disabled={!geometry || saving}>
+                    {saving ? '保存中...' : '保存'}
+                </button>
+                <button type="button" className="aoi-draw-button" onClick={onCancel} disabled={saving}>
+                    取消
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default AoiDrawTool;
@@ -1,10 +1,41 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import TelecomMap from './TelecomMap';
+import LoginPage from './LoginPage';
+import BriefingPrintPage from './BriefingPrintPage';
+import { getSessionUser, onSessionExpired } from './session';
 
 function App() {
+  const [user, setUser] = useState(getSessionUser);
+  const [loginMessage, setLoginMessage] = useState(null);
+
+  // Any 401 from the backend drops back to the login screen
+  useEffect(() => onSessionExpired(() => {
+    setLoginMessage('登入已過期，請重新登入');
+    setUser(null);
+  }), []);
+
+  if (!user) {
+    return (
+      <div className="App">
+        <LoginPage
+          message={loginMessage}
+          onLogin={(loggedInUser) => {
+            setLoginMessage(null);
+            setUser(loggedInUser);
+          }}
+        />
+      </div>
+    );
+  }
+
+  // Print route of the micro grid briefing (opened from the export panel and by the PDF renderer)
+  if (new URLSearchParams(window.location.search).get('view') === 'briefing') {
+    return <BriefingPrintPage />;
+  }
+
   return (
     <div className="App">
-      <TelecomMap />
+      <TelecomMap currentUser={user} onLogout={() => setUser(null)} />
     </div>
   );
 }
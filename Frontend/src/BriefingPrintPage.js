@@ -0,0 +1,411 @@
+// BriefingPrintPage.js
+// 🖨️ Printable micro grid briefing - print route of the app (/?view=briefing&ids=1,2, see App.js).
+// One page per selection: map snapshot of the selected layers with the Legend, CoverageGaugeGrid operator
+// comparison, CompetitionDonutChart, complaint and traffic trends (TrendCharts, as in PermanentDashboard)
+// and the ranking position of every grid. Printed from the browser (Ctrl+P) or saved as PDF by the backend
+// (GET /api/reports/briefing, headless Chrome), which waits for <body data-briefing="ready">.
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import Legend, {
+    COMPLAINT_DATA_COLOR_MAP,
+    SIMULATION_DATA_COLOR_MAP,
+    MICROPHONE_DATA_COLOR_MAP,
+    LTE_COMPETITION_COLOR_MAP,
+    NR_COMPETITION_COLOR_MAP,
+    RSRP_COLOR_MAP,
+    SINR_COLOR_MAP,
+    COMPETITIVE_SITE_COLOR_MAP
+} from './Legend';
+import {
+    gridCategories,
+    PLANNING_SCENARIO_COLOR_MAP,
+    PLANNING_SCENARIO_LABEL_MAP,
+    LIVE_SITE_TYPE_COLOR_MAP
+} from './TelecomMap';
+import CoverageGaugeGrid from './CoverageGaugeGrid';
+import CompetitionDonutChart from './CompetitionDonutChart';
+import MicroGridRankingCard from './MicroGridRankingCard';
+import { ComplaintTrendChart, VolRatioChart, toComplaintChartData, complaintSeriesNames, CHART_COLOR_PALETTE } from './TrendCharts';
+import { toExportRequest } from './FeatureExportPanel';
+import { sessionFetch } from './session';
+import config from './config';
+import './PermanentDashboard.css';
+import './BriefingPrintPage.css';
+
+const EXTERNAL_SERVER_URL = config.apiBaseUrl;
+const CARTO_TILE_URL = 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png';
+// The snapshot is printed without base map tiles rather than not at all when they cannot load
+const MAP_TILE_TIMEOUT_MS = 15000;
+
+const OPERATORS = ['cmhk', 'hkt', '3hk', 'smt'];
+const TECHNOLOGIES = ['nr', 'cband', 'lte'];
+const QUADRANT_KEYS = ['comp_strong_we_strong', 'comp_weak_we_strong', 'comp_strong_we_weak', 'comp_weak_we_weak'];
+
+const readBriefingParams = () => {
+    const params = new URLSearchParams(window.location.search);
+    const list = key => (params.get(key) || '').split(',').map(value => value.trim()).filter(Boolean);
+    return {
+        ids: list('ids').map(Number).filter(Number.isInteger),
+        bands: list('bands'),
+        runs: { '5g': params.get('run5g') || undefined, '4g': params.get('run4g') || undefined },
+        title: params.get('title') || null
+    };
+};
+
+const average = values => {
+    const numbers = values.map(Number).filter(value => Number.isFinite(value));
+    return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : 0;
+};
+
+/**
+ * Snapshot colour of an exported feature - the map's own colour maps where the layer has one
+ */
+const featureColor = (layerId, properties, layerIndex) => {
+    if (layerId === 'planning_sites') {
+        const scenario = Object.keys(PLANNING_SCENARIO_COLOR_MAP).find(key => properties[key] === true);
+        if (scenario) return PLANNING_SCENARIO_COLOR_MAP[scenario];
+    }
+    if (layerId === 'planning_729_sites') return PLANNING_SCENARIO_COLOR_MAP['729_planning'];
+    if (layerId === 'live_sites' && LIVE_SITE_TYPE_COLOR_MAP[properties.site_type]) return LIVE_SITE_TYPE_COLOR_MAP[properties.site_type];
+    if (layerId === 'complaint_records') return COMPLAINT_DATA_COLOR_MAP.toc_2025;
+    if (layerId === 'complaint_data') return COMPLAINT_DATA_COLOR_MAP.data_geojson;
+    if (layerId === 'cmhk_grid_highload') return MICROPHONE_DATA_COLOR_MAP.grid_highload;
+    if (layerId.startsWith('simulation_5g')) return SIMULATION_DATA_COLOR_MAP.RAW_5G_Layer;
+    if (layerId.startsWith('simulation_4g')) return SIMULATION_DATA_COLOR_MAP.RAW_4G_Layer;
+    return CHART_COLOR_PALETTE[layerIndex % CHART_COLOR_PALETTE.length];
+};
+
+/**
+ * Ranking position of each grid among the leading / lagging grids (same ordering as PermanentDashboard)
+ */
+const rankGrids = (rankings, gridNames) => {
+    const valid = rankings
+        .map(item => ({ ...item, comp_lead_behind_percent: parseFloat(item.comp_lead_behind_percent) }))
+        .filter(item => !isNaN(item.comp_lead_behind_percent) && item.comp_lead_behind);
+    const leading = valid.filter(item => item.comp_lead_behind === '領先')
+        .sort((a, b) => b.comp_lead_behind_percent - a.comp_lead_behind_percent);
+    const lagging = valid.filter(item => item.comp_lead_behind === '落後')
+        .sort((a, b) => a.comp_lead_behind_percent - b.comp_lead_behind_percent);
+
+    return gridNames.map((gridName) => {
+        const list = leading.some(item => item.grid_name === gridName) ? leading : lagging;
+        const index = list.findIndex(item => item.grid_name === gridName);
+        return index >= 0
+            ? { gridName, item: list[index], rank: index + 1, total: list.length, isLeading: list === leading }
+            : { gridName, item: null };
+    });
+};
+
+const BriefingPrintPage = () => {
+    const params = useMemo(readBriefingParams, []);
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+    const [mapReady, setMapReady] = useState(false);
+    const mapContainerRef = useRef(null);
+
+    const exportRequest = useMemo(() => toExportRequest(params.bands, params.runs), [params]);
+
+    // 1. Data - the same endpoints as the map and dashboard, with the user's session
+    useEffect(() => {
+        const getJson = async (path) => {
+            const response = await sessionFetch(`${EXTERNAL_SERVER_URL}${path}`);
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(`${path.split('?')[0]}: ${body.error || `HTTP ${response.status}`}`);
+            }
+            return response.json();
+        };
+
+        const trendParams = (detail) => {
+            const query = new URLSearchParams();
+            if (params.ids.length === 1) {
+                query.set('mode', 'microgrid');
+                query.set('grid_id', params.ids[0]);
+            } else {
+                query.set('mode', 'selected');
+                query.set('grid_ids', params.ids.join(','));
+                if (detail) query.set('detail_mode', 'true');
+            }
+            return query;
+        };
+
+        const load = async () => {
+            if (params.ids.length === 0) {
+                throw new Error('未指定微網格 (ids)');
+            }
+
+            const microGrids = await getJson('/micro_grids');
+            const grids = microGrids.features.filter(feature => params.ids.includes(Number(feature.properties.id)));
+            if (grids.length === 0) {
+                throw new Error('找不到所選微網格');
+            }
+
+            const complaintParams = trendParams(true);
+            complaintParams.set('data_source', 'general');
+            const featureParams = new URLSearchParams({
+                layers: exportRequest.layers.map(layer => layer.id).join(','),
+                format: 'geojson',
+                microGrids: params.ids.join(','),
+                ...exportRequest.params
+            });
+
+            const [mrRows, complaint, vol, rankings, features] = await Promise.all([
+                Promise.all(grids.map(grid =>
+                    getJson(`/micro_grid_mr/${encodeURIComponent(grid.properties.grid_name)}`).catch(() => null))),
+                getJson(`/api/complaint-trend?${complaintParams.toString()}`),
+                getJson(`/api/vol-trend?${trendParams(false).toString()}`),
+                getJson('/api/micro_grid_rankings'),
+                // Too many features for one snapshot (413) leaves the map with the grid outlines only
+                exportRequest.layers.length > 0
+                    ? getJson(`/export/features?${featureParams.toString()}`).catch(err => ({ error: err.message }))
+                    : Promise.resolve(null)
+            ]);
+
+            return {
+                grids,
+                mr: mrRows.filter(Boolean),
+                complaint: complaint.success ? complaint.data : [],
+                vol: vol.success ? vol.data : [],
+                rankings: rankings.success && Array.isArray(rankings.data) ? rankings.data : [],
+                features
+            };
+        };
+
+        load()
+            .then(setData)
+            .catch((err) => {
+                console.error('❌ Briefing data failed:', err);
+                setError(err.message);
+            });
+    }, [params, exportRequest]);
+
+    // 2. Map snapshot - static map fitted to the selected grids
+    useEffect(() => {
+        if (!data || !mapContainerRef.current) return undefined;
+
+        const map = L.map(mapContainerRef.current, {
+            zoomControl: false,
+            attributionControl: true,
+            dragging: false,
+            scrollWheelZoom: false,
+            doubleClickZoom: false,
+            fadeAnimation: false,
+            zoomAnimation: false,
+            markerZoomAnimation: false,
+            preferCanvas: true
+        });
+
+        const gridLayer = L.geoJSON({ type: 'FeatureCollection', features: data.grids }, {
+            style: { color: '#d63031', weight: 2, fill: false }
+        });
+        map.fitBounds(gridLayer.getBounds(), { padding: [20, 20] });
+
+        const baseLayer = L.tileLayer(CARTO_TILE_URL, {
+            attribution: '© CARTO © OpenStreetMap contributors',
+            maxZoom: 19,
+            crossOrigin: true
+        });
+        let done = false;
+        const finish = () => {
+            if (!done) {
+                done = true;
+                setMapReady(true);
+            }
+        };
+        baseLayer.on('load', finish);
+        const timer = setTimeout(finish, MAP_TILE_TIMEOUT_MS);
+        baseLayer.addTo(map);
+
+        const layerIds = exportRequest.layers.map(layer => layer.id);
+        if (data.features && data.features.features) {
+            L.geoJSON(data.features, {
+                style: (feature) => {
+                    const layerId = feature.properties.export_layer;
+                    const color = featureColor(layerId, feature.properties, layerIds.indexOf(layerId));
+                    return { color, weight: 1, fillColor: color, fillOpacity: 0.45 };
+                },
+                pointToLayer: (feature, latlng) => {
+                    const layerId = feature.properties.export_layer;
+                    const color = featureColor(layerId, feature.properties, layerIds.indexOf(layerId));
+                    return L.circleMarker(latlng, { radius: 4, color: '#ffffff', weight: 1, fillColor: color, fillOpacity: 0.9 });
+                }
+            }).addTo(map);
+        }
+        gridLayer.addTo(map);
+
+        return () => {
+            clearTimeout(timer);
+            map.remove();
+        };
+    }, [data, exportRequest]);
+
+    // 3. Ready for the PDF renderer once the data is drawn and the map tiles loaded
+    useEffect(() => {
+        if (error) {
+            document.body.dataset.briefing = 'error';
+            document.body.dataset.briefingError = error;
+            return undefined;
+        }
+        if (!data || !mapReady) return undefined;
+
+        // Let the charts measure their containers and paint first
+        const timer = setTimeout(() => { document.body.dataset.briefing = 'ready'; }, 500);
+        return () => clearTimeout(timer);
+    }, [data, mapReady, error]);
+
+    const summary = useMemo(() => {
+        if (!data) return null;
+
+        const coverage = {};
+        OPERATORS.forEach((operator) => {
+            coverage[operator] = {};
+            TECHNOLOGIES.forEach((tech) => {
+                coverage[operator][tech] = average(data.mr.map(row => row[`mr_${tech}_coverage_${operator}`]));
+            });
+        });
+        const competition = {};
+        QUADRANT_KEYS.forEach((key) => {
+            competition[key] = average(data.mr.map(row => row[key]));
+        });
+
+        const complaintChartData = toComplaintChartData(data.complaint, data.grids.length);
+        return {
+            coverage,
+            competition,
+            complaintChartData,
+            complaintSeries: complaintSeriesNames(complaintChartData),
+            ranking: rankGrids(data.rankings, data.grids.map(grid => grid.properties.grid_name))
+        };
+    }, [data]);
+
+    if (error) {
+        return (
+            <div className="briefing-page">
+                <h1 className="briefing-title">微網格簡報</h1>
+                <div className="briefing-error">無法生成簡報：{error}</div>
+            </div>
+        );
+    }
+
+    if (!data || !summary) {
+        return <div className="briefing-page briefing-loading">簡報載入中...</div>;
+    }
+
+    const gridNames = data.grids.map(grid => grid.properties.grid_name);
+    const title = params.title || (gridNames.length === 1 ? `微網格簡報 - ${gridNames[0]}` : `微網格簡報 - 所選${gridNames.length}個微網格`);
+
+    return (
+        <div className="briefing-page">
+            <div className="briefing-toolbar briefing-no-print">
+                <button type="button" onClick={() => window.print()}>列印 / 另存PDF</button>
+            </div>
+
+            <header className="briefing-header">
+                <h1 className="briefing-title">{title}</h1>
+                <div className="briefing-meta">
+                    <span>{gridNames.join('、')}</span>
+                    <span>{[...new Set(data.grids.map(grid => grid.properties.district))].join('、')}</span>
+                    <span>生成日期：{new Date().toLocaleDateString('zh-HK')}</span>
+                </div>
+            </header>
+
+            <section className="briefing-section briefing-map-section">
+                <h2>地圖範圍</h2>
+                <div className="briefing-map-layout">
+                    <div ref={mapContainerRef} className="briefing-map" />
+                    <div className="briefing-legend">
+                        {exportRequest.layers.length > 0 && (
+                            <div className="briefing-layer-list">
+                                <div className="briefing-layer-list-title">已選圖層</div>
+                                {exportRequest.layers.map(layer => (
+                                    <div key={layer.id}>{layer.label}</div>
+                                ))}
+                                {data.features && data.features.error && (
+                                    <div className="briefing-note">圖層要素未能載入：{data.features.error}</div>
+                                )}
+                            </div>
+                        )}
+                        <Legend
+                            isVisible={params.bands.length > 0}
+                            planningScenarioColors={PLANNING_SCENARIO_COLOR_MAP}
+                            planningScenarioLabels={PLANNING_SCENARIO_LABEL_MAP}
+                            liveSiteTypeColors={LIVE_SITE_TYPE_COLOR_MAP}
+                            competitiveSiteColors={COMPETITIVE_SITE_COLOR_MAP}
+                            discoveryGridCategories={gridCategories}
+                            complaintDataColors={COMPLAINT_DATA_COLOR_MAP}
+                            simulationDataColors={SIMULATION_DATA_COLOR_MAP}
+                            microphoneDataColors={MICROPHONE_DATA_COLOR_MAP}
+                            lteCompetitionColors={LTE_COMPETITION_COLOR_MAP}
+                            nrCompetitionColors={NR_COMPETITION_COLOR_MAP}
+                            rsrpColors={params.bands.some(band =>
+                                band.startsWith('testing_data_lte_') ||
+                                band.startsWith('testing_data_nr_') ||
+                                band.startsWith('cmhk_test_data_lte_competition_rsrp') ||
+                                band.startsWith('cmhk_test_data_nr_competition_rsrp')
+                            ) ? RSRP_COLOR_MAP : {}}
+                            sinrColors={params.bands.some(band =>
+                                band.startsWith('cmhk_test_data_lte_competition_sinr') ||
+                                band.startsWith('cmhk_test_data_nr_competition_sinr')
+                            ) ? SINR_COLOR_MAP : {}}
+                        />
+                    </div>
+                </div>
+            </section>
+
+            <section className="briefing-section briefing-dark">
+                <h2>覆蓋率比較{data.grids.length > 1 ? ' (所選微網格平均)' : ''}</h2>
+                {data.mr.length > 0
+                    ? <CoverageGaugeGrid data={summary.coverage} />
+                    : <div className="no-data-state">暫無MR覆蓋數據</div>}
+            </section>
+
+            <section className="briefing-section briefing-dark briefing-competition">
+                <h2>競爭分析</h2>
+                <div className="briefing-competition-layout">
+                    <CompetitionDonutChart data={summary.competition} size={180} />
+                    <table className="briefing-table">
+                        <tbody>
+                            <tr><td>競強我強</td><td>{summary.competition.comp_strong_we_strong.toFixed(1)}%</td></tr>
+                            <tr><td>競弱我強</td><td>{summary.competition.comp_weak_we_strong.toFixed(1)}%</td></tr>
+                            <tr><td>競強我弱</td><td>{summary.competition.comp_strong_we_weak.toFixed(1)}%</td></tr>
+                            <tr><td>競弱我弱</td><td>{summary.competition.comp_weak_we_weak.toFixed(1)}%</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+            </section>
+
+            <section className="briefing-section briefing-dark">
+                <h2>排名位置</h2>
+                <div className="ranking-cards-container">
+                    {summary.ranking.map(entry => (entry.item ? (
+                        <div key={entry.gridName} className="briefing-ranking-entry">
+                            <div className="briefing-ranking-position">
+                                {entry.isLeading ? '領先' : '落後'}排名 {entry.rank} / {entry.total}
+                            </div>
+                            <MicroGridRankingCard item={entry.item} rank={entry.rank} isLeading={entry.isLeading} />
+                        </div>
+                    ) : (
+                        <div key={entry.gridName} className="no-data-state">{entry.gridName}：暫無排名數據</div>
+                    )))}
+                </div>
+            </section>
+
+            <section className="briefing-section briefing-dark">
+                <h2>投訴趨勢</h2>
+                {summary.complaintChartData.length > 0 && summary.complaintSeries.length > 0
+                    ? <ComplaintTrendChart data={summary.complaintChartData} seriesNames={summary.complaintSeries} height={320} animate={false} />
+                    : <div className="no-data-state">所選微網格暫無投訴數據</div>}
+            </section>
+
+            <section className="briefing-section briefing-dark">
+                <h2>話統5G分流比(%)趨勢</h2>
+                {data.vol.length > 0
+                    ? <VolRatioChart data={data.vol} animated />
+                    : <div className="no-data-state">所選微網格暫無話統5G分流比數據</div>}
+            </section>
+        </div>
+    );
+};
+
+export default BriefingPrintPage;
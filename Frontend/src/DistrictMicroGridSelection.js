@@ -1,20 +1,28 @@
 // DistrictMicroGridSelection.js
 // Micro grid selection component with client-side district grouping - displays micro grids grouped by district
+// 📐 User-drawn areas of interest (AOI) are listed above the districts and can be selected like micro grids
 import React, { useState, useRef, useEffect } from 'react';
-import { FaChevronDown, FaChevronUp, FaLayerGroup } from 'react-icons/fa';
+import { FaChevronDown, FaChevronUp, FaLayerGroup, FaDrawPolygon, FaPlus, FaTrash } from 'react-icons/fa';
 import './SelectionList.css';
 import './DistrictMicroGridSelection.css';
 import L from 'leaflet';
+import { sessionFetch } from './session';
+import config from './config';
 
-const EXTERNAL_SERVER_URL = 'http://10.250.52.75:3050';
+const EXTERNAL_SERVER_URL = config.apiBaseUrl;
 
 const DistrictMicroGridSelection = ({
     selectedMicroGrids = [],
     setSelectedMicroGrids,
+    aois = [],
+    selectedAoiIds = [],
+    setSelectedAoiIds,
+    onDrawAoi,
+    onDeleteAoi,
     onClose,
 }) => {
     const [microGrids, setMicroGrids] = useState([]);
-    const [openDistricts, setOpenDistricts] = useState(new Set());
+    const [openDistricts, setOpenDistricts] = useState(new Set(['__aoi__']));
     const [loading, setLoading] = useState(true);
     const [justOpened, setJustOpened] = useState(true);
     const containerRef = useRef(null);
@@ -34,7 +42,7 @@ const DistrictMicroGridSelection = ({
                 setLoading(true);
 
                 // Fetch district-microgrid mapping (which now contains all micro grids grouped by district)
-                const mappingRes = await fetch(`${EXTERNAL_SERVER_URL}/districts_with_microgrids`);
+                const mappingRes = await sessionFetch(`${EXTERNAL_SERVER_URL}/districts_with_microgrids`);
                 if (!mappingRes.ok) throw new Error('Failed to fetch district-microgrid mapping');
                 const mappingData = await mappingRes.json();
 
@@ -107,6 +115,13 @@ const DistrictMicroGridSelection = ({
         setSelectedMicroGrids(updatedMicroGrids);
     };
 
+    // Handle AOI selection
+    const handleAoiSelect = (aoiId, isChecked) => {
+        setSelectedAoiIds(isChecked
+            ? [...selectedAoiIds, aoiId]
+            : selectedAoiIds.filter(id => id !== aoiId));
+    };
+
     // Handle district-level select all
     const handleDistrictSelectAll = (districtMicroGridIds, isChecked) => {
         let updatedMicroGrids;
@@ -165,11 +180,13 @@ const DistrictMicroGridSelection = ({
         const groupedData = getGroupedMicroGrids();
         const totalDistricts = Object.keys(groupedData).length;
         
-        if (microGridCount === 0) {
+        const aoiText = selectedAoiIds.length > 0 ? `、${selectedAoiIds.length} 個自訂區域` : '';
+
+        if (microGridCount === 0 && selectedAoiIds.length === 0) {
             return `請選擇微網格 (${totalDistricts}個區域，共 ${totalMicroGrids} 個微網格)`;
         }
         
-        return `已選擇 ${microGridCount} / ${totalMicroGrids} 個微網格`;
+        return `已選擇 ${microGridCount} / ${totalMicroGrids} 個微網格${aoiText}`;
     };
 
     if (loading) {
@@ -190,6 +207,71 @@ const DistrictMicroGridSelection = ({
                 {getSummaryText()}
             </div>
 
+            {/* 📐 Custom areas of interest */}
+            <div className="district-card aoi-card">
+                <div className="district-header">
+                    <FaDrawPolygon className="micro-grid-icon" />
+                    <div
+                        className="district-info"
+                        onClick={() => toggleDistrictExpansion('__aoi__')}
+                    >
+                        <div className="district-name">自訂區域</div>
+                        <div className="district-meta">
+                            {selectedAoiIds.length}/{aois.length} 個自訂區域已選擇
+                        </div>
+                    </div>
+                    {onDrawAoi && (
+                        <button type="button" className="aoi-action" title="繪製新區域" onClick={onDrawAoi}>
+                            <FaPlus />
+                        </button>
+                    )}
+                    <div
+                        className="expand-indicator"
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            toggleDistrictExpansion('__aoi__');
+                        }}
+                    >
+                        {openDistricts.has('__aoi__') ? <FaChevronUp /> : <FaChevronDown />}
+                    </div>
+                </div>
+
+                {openDistricts.has('__aoi__') && (
+                    <div className="micro-grids-container">
+                        {aois.length === 0 && (
+                            <div className="micro-grid-district">尚未有自訂區域，按 + 在地圖上繪製</div>
+                        )}
+                        {aois.map((aoi) => (
+                            <label key={aoi.id} className="micro-grid-item">
+                                <input
+                                    type="checkbox"
+                                    className="micro-grid-checkbox aoi-checkbox"
+                                    checked={selectedAoiIds.includes(aoi.id)}
+                                    onChange={(e) => handleAoiSelect(aoi.id, e.target.checked)}
+                                />
+                                <span className="micro-grid-name">{aoi.name}</span>
+                                <span className="aoi-meta">
+                                    {aoi.areaKm2 !== null ? `${aoi.areaKm2} km²` : ''}{aoi.shared ? ' · 共享' : ''}
+                                </span>
+                                {onDeleteAoi && (
+                                    <button
+                                        type="button"
+                                        className="aoi-action"
+                                        title="刪除"
+                                        onClick={(e) => {
+                                            e.preventDefault();
+                                            onDeleteAoi(aoi);
+                                        }}
+                                    >
+                                        <FaTrash />
+                                    </button>
+                                )}
+                            </label>
+                        ))}
+                    </div>
+                )}
+            </div>
+
             {/* Districts and micro grids list */}
             {Object.entries(getGroupedMicroGrids()).map(([districtName, districtMicroGrids]) => {
                 const districtMicroGridIds = districtMicroGrids.map(mg => mg.id);
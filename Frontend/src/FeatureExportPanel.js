@@ -0,0 +1,343 @@
+// FeatureExportPanel.js
+// 📤 Export the features of the selected layers (selectedBands) inside the selected micro grids / areas of interest
+// (optionally only the current viewport) as GeoJSON, KML, CSV or GeoPackage via GET /export/features.
+// 📊 The selected micro grids can also be downloaded as the Excel analysis report (GET /api/reports/microgrid)
+// or as the printable briefing (?view=briefing page, PDF via GET /api/reports/briefing).
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import L from 'leaflet';
+import { FaFileExport } from 'react-icons/fa';
+import { sessionFetch } from './session';
+import config from './config';
+import './AoiDrawTool.css';
+import './FeatureExportPanel.css';
+
+const EXTERNAL_SERVER_URL = config.apiBaseUrl;
+
+const FORMATS = [
+    { id: 'geojson', label: 'GeoJSON', params: { format: 'geojson' } },
+    { id: 'kml', label: 'KML (Google Earth)', params: { format: 'kml' } },
+    { id: 'csv-wkt', label: 'CSV (WKT 幾何)', params: { format: 'csv', csvGeometry: 'wkt' } },
+    { id: 'csv-lonlat', label: 'CSV (經緯度)', params: { format: 'csv', csvGeometry: 'lonlat' } },
+    { id: 'gpkg', label: 'GeoPackage (QGIS)', params: { format: 'gpkg' } }
+];
+
+const DISCOVERY_SCENARIOS = ['strong_we_strong', 'weak_we_strong', 'strong', 'weak'];
+
+/**
+ * Selected bands → export layer IDs (the backend layer registry / export sources) and source filters
+ * Bands whose data does not come from the database (competitor site files, 126 New Site list) are returned as unsupported
+ */
+export const toExportRequest = (selectedBands, selectedSimulationRuns = {}) => {
+    const layers = [];
+    const unsupported = [];
+    const scenarios = [];
+    const siteTypes = [];
+    const years = [];
+    const add = (id, label) => {
+        if (!layers.some(layer => layer.id === id)) layers.push({ id, label });
+    };
+
+    selectedBands.forEach((band) => {
+        if (band.startsWith('site_structure_data_planning_sites_')) {
+            const scenario = band.replace('site_structure_data_planning_sites_', '');
+            if (scenario === '729 Planning List') add('planning_729_sites', '729規劃清單');
+            else if (scenario === '126 New Site' || scenario === '126 Activated Site') unsupported.push(band);
+            else scenarios.push(scenario);
+        } else if (band.startsWith('site_structure_data_live_sites_')) {
+            const siteType = band.replace('site_structure_data_live_sites_', '');
+            if (siteType === 'live_site_clustering') unsupported.push(band);
+            else siteTypes.push(siteType);
+        } else if (band.startsWith('complaint__toc_')) {
+            years.push(band.replace('complaint__toc_', ''));
+        } else if (band === 'complaint__data_geojson') {
+            add('complaint_data', '投訴網格');
+        } else if (band.startsWith('microphone_data')) {
+            add('cmhk_grid_highload', '話筒高負荷網格');
+        } else if (band.startsWith('Discovery_MR_Data_NR')) {
+            const scenario = DISCOVERY_SCENARIOS.find(s => band.includes(`_${s}`));
+            if (scenario) add(`discovery_mr_${scenario}`, `Discovery MR ${scenario}`);
+            else unsupported.push(band);
+        } else if (/^cmhk_test_data_(lte|nr)_competition_(rsrp|sinr)/.test(band)) {
+            const [, technology, metric] = /^cmhk_test_data_(lte|nr)_competition_(rsrp|sinr)/.exec(band);
+            add(`cmhk_${metric}_data_${technology}`, `${technology.toUpperCase()} ${metric.toUpperCase()} 測試網格`);
+        } else if (/^cmhk_test_data_(lte|nr)_competition_/.test(band)) {
+            const [, technology, scenario] = /^cmhk_test_data_(lte|nr)_competition_(.+)$/.exec(band);
+            add(`competition_scenario_test_${technology}_${scenario}`, `${technology.toUpperCase()} 競對場景 ${scenario}`);
+        } else if (band.startsWith('simulation_data_raw_simulation')) {
+            const technology = band.includes('RAW_4G_Layer') ? '4g' : '5g';
+            const runId = selectedSimulationRuns[technology];
+            // Without a picked run the backend exports the active run
+            add(runId ? `simulation_${technology}_run_${runId}` : `simulation_${technology}`, `${technology.toUpperCase()}仿真原數據`);
+        } else if (band.startsWith('testing_data_lte_cmhk_') || band.startsWith('testing_data_nr_cmhk_')) {
+            const [, , type, , bandNumber] = band.split('_');
+            add(`cmhk_weak_coverage_${type}_${bandNumber}`, `CMHK ${type.toUpperCase()}${bandNumber} 弱覆蓋`);
+        } else if (band.startsWith('testing_data_lte_')) {
+            const table = band.replace('testing_data_lte_', '');
+            add(`other_lte_weak_${table}`, `其他營運商 LTE 弱覆蓋 ${table}`);
+        } else if (band.startsWith('testing_data_nr_')) {
+            const table = band.replace('testing_data_nr_', '');
+            add(`other_nr_weak_fieldtest_grid_${table}`, `其他營運商 NR 弱覆蓋 ${table}`);
+        } else {
+            unsupported.push(band);
+        }
+    });
+
+    if (scenarios.length > 0) add('planning_sites', `規劃站點 (${scenarios.join('、')})`);
+    if (siteTypes.length > 0) add('live_sites', `現網站點 (${siteTypes.join('、')})`);
+    if (years.length > 0) add('complaint_records', `投訴記錄 (${years.join('、')})`);
+
+    const params = {};
+    if (scenarios.length > 0) params.scenarios = scenarios.join(',');
+    if (siteTypes.length > 0) params.site_types = siteTypes.join(',');
+    if (years.length > 0) params.years = years.join(',');
+
+    return { layers, params, unsupported };
+};
+
+/**
+ * Query string of the briefing - shared by the print route (BriefingPrintPage) and GET /api/reports/briefing
+ */
+export const briefingSearchParams = ({ microGridIds = [], selectedBands = [], selectedSimulationRuns = {} }) => {
+    const params = new URLSearchParams({ ids: microGridIds.join(',') });
+    if (selectedBands.length > 0) params.set('bands', selectedBands.join(','));
+    if (selectedSimulationRuns['5g']) params.set('run5g', selectedSimulationRuns['5g']);
+    if (selectedSimulationRuns['4g']) params.set('run4g', selectedSimulationRuns['4g']);
+    return params;
+};
+
+/**
+ * Save a file response (name from Content-Disposition) and return the file name
+ */
+const downloadResponse = async (response, fallbackName) => {
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${response.status}`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = (/filename="([^"]+)"/.exec(disposition) || [])[1] || fallbackName;
+    const blob = await response.blob();
+    const href = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(href);
+    return fileName;
+};
+
+const FeatureExportPanel = ({
+    map,
+    selectedBands = [],
+    selectedSimulationRuns = {},
+    microGridIds = [],
+    selectedAoiIds = [],
+    onClose,
+}) => {
+    const [formatId, setFormatId] = useState('geojson');
+    const [excludedLayerIds, setExcludedLayerIds] = useState([]);
+    const [viewportOnly, setViewportOnly] = useState(false);
+    const [exporting, setExporting] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [error, setError] = useState(null);
+    const containerRef = useRef(null);
+
+    // Stop map interaction when using the panel
+    useEffect(() => {
+        if (containerRef.current) {
+            L.DomEvent.disableScrollPropagation(containerRef.current);
+            L.DomEvent.disableClickPropagation(containerRef.current);
+        }
+    }, []);
+
+    const exportRequest = useMemo(
+        () => toExportRequest(selectedBands, selectedSimulationRuns),
+        [selectedBands, selectedSimulationRuns]
+    );
+    const layerIds = exportRequest.layers
+        .map(layer => layer.id)
+        .filter(id => !excludedLayerIds.includes(id));
+    const hasScope = microGridIds.length > 0 || selectedAoiIds.length > 0;
+
+    const toggleLayer = (layerId, checked) => {
+        setExcludedLayerIds(prev => (checked ? prev.filter(id => id !== layerId) : [...prev, layerId]));
+    };
+
+    const handleExport = async () => {
+        const format = FORMATS.find(f => f.id === formatId);
+        const params = new URLSearchParams({ layers: layerIds.join(','), ...format.params, ...exportRequest.params });
+        if (microGridIds.length > 0) params.set('microGrids', microGridIds.join(','));
+        if (selectedAoiIds.length > 0) params.set('aoi', selectedAoiIds.join(','));
+        if (viewportOnly && map) {
+            const bounds = map.getBounds();
+            params.set('bbox', [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+                .map(value => value.toFixed(6)).join(','));
+        }
+
+        setExporting(true);
+        setError(null);
+        setMessage(null);
+        try {
+            const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/export/features?${params.toString()}`);
+            const fileName = await downloadResponse(response, `export.${format.params.format}`);
+
+            let featureCount = null;
+            try {
+                featureCount = JSON.parse(response.headers.get('X-Export-Layers') || '[]')
+                    .reduce((sum, layer) => sum + layer.features, 0);
+            } catch (e) {
+                // Summary header is informational only
+            }
+            setMessage(featureCount !== null ? `已匯出 ${featureCount} 個要素：${fileName}` : `已匯出：${fileName}`);
+        } catch (err) {
+            console.error('Feature export failed:', err);
+            setError(`匯出失敗：${err.message}`);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleReport = async () => {
+        setExporting(true);
+        setError(null);
+        setMessage(null);
+        try {
+            const params = new URLSearchParams({ ids: microGridIds.join(',') });
+            const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/reports/microgrid?${params.toString()}`);
+            const fileName = await downloadResponse(response, 'microgrid_report.xlsx');
+            setMessage(`已下載報告：${fileName}`);
+        } catch (err) {
+            console.error('Micro grid report failed:', err);
+            setError(`報告生成失敗：${err.message}`);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleBriefingPrint = () => {
+        const params = briefingSearchParams({ microGridIds, selectedBands, selectedSimulationRuns });
+        params.set('view', 'briefing');
+        window.open(`${window.location.origin}${window.location.pathname}?${params.toString()}`, '_blank', 'noopener');
+    };
+
+    const handleBriefingPdf = async () => {
+        setExporting(true);
+        setError(null);
+        setMessage(null);
+        try {
+            const params = briefingSearchParams({ microGridIds, selectedBands, selectedSimulationRuns });
+            const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/reports/briefing?${params.toString()}`);
+            const fileName = await downloadResponse(response, 'microgrid_briefing.pdf');
+            setMessage(`已下載簡報：${fileName}`);
+        } catch (err) {
+            console.error('Micro grid briefing failed:', err);
+            setError(`簡報生成失敗：${err.message}`);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <div ref={containerRef} className="options-container aoi-draw-tool feature-export-panel">
+            <div className="aoi-draw-title">
+                <FaFileExport className="feature-export-icon" />
+                匯出圖層數據
+            </div>
+
+            <div className="aoi-draw-hint">
+                {hasScope
+                    ? `範圍：${microGridIds.length} 個微網格${selectedAoiIds.length > 0 ? `、${selectedAoiIds.length} 個自訂區域` : ''}`
+                    : '未選擇微網格或自訂區域 - 將匯出全部範圍（可勾選「僅目前視窗範圍」縮小）'}
+            </div>
+
+            <div className="feature-export-section">圖層</div>
+            {exportRequest.layers.length === 0 && (
+                <div className="feature-export-empty">請先在「選擇數據」中選擇要匯出的圖層</div>
+            )}
+            {exportRequest.layers.map(layer => (
+                <label key={layer.id} className="aoi-draw-shared">
+                    <input
+                        type="checkbox"
+                        checked={!excludedLayerIds.includes(layer.id)}
+                        onChange={(e) => toggleLayer(layer.id, e.target.checked)}
+                    />
+                    {layer.label}
+                </label>
+            ))}
+            {exportRequest.unsupported.length > 0 && (
+                <div className="feature-export-empty">
+                    {exportRequest.unsupported.length} 個已選圖層不支援匯出（競對站點、126站點清單、站點聚類）
+                </div>
+            )}
+
+            <div className="feature-export-section">格式</div>
+            <select
+                className="aoi-draw-name"
+                value={formatId}
+                onChange={(e) => setFormatId(e.target.value)}
+                disabled={exporting}
+            >
+                {FORMATS.map(format => (
+                    <option key={format.id} value={format.id}>{format.label}</option>
+                ))}
+            </select>
+
+            <label className="aoi-draw-shared">
+                <input type="checkbox" checked={viewportOnly} onChange={(e) => setViewportOnly(e.target.checked)} />
+                僅目前視窗範圍
+            </label>
+
+            <div className="feature-export-section">微網格分析報告</div>
+            <button
+                type="button"
+                className="aoi-draw-button feature-export-report"
+                onClick={handleReport}
+                disabled={microGridIds.length === 0 || exporting}
+                title={microGridIds.length === 0 ? '請先選擇微網格' : undefined}
+            >
+                下載Excel報告（{microGridIds.length} 個微網格）
+            </button>
+            <div className="feature-export-briefing">
+                <button
+                    type="button"
+                    className="aoi-draw-button"
+                    onClick={handleBriefingPrint}
+                    disabled={microGridIds.length === 0 || exporting}
+                    title={microGridIds.length === 0 ? '請先選擇微網格' : '在新分頁開啟列印版簡報'}
+                >
+                    列印版簡報
+                </button>
+                <button
+                    type="button"
+                    className="aoi-draw-button"
+                    onClick={handleBriefingPdf}
+                    disabled={microGridIds.length === 0 || exporting}
+                    title={microGridIds.length === 0 ? '請先選擇微網格' : undefined}
+                >
+                    下載PDF簡報
+                </button>
+            </div>
+
+            {error && <div className="aoi-draw-error">{error}</div>}
+            {message && <div className="feature-export-message">{message}</div>}
+
+            <div className="aoi-draw-actions">
+                <button
+                    type="button"
+                    className="aoi-draw-button primary"
+                    onClick={handleExport}
+                    disabled={layerIds.length === 0 || exporting}
+                >
+                    {exporting ? '匯出中...' : '匯出'}
+                </button>
+                <button type="button" className="aoi-draw-button" onClick={onClose} disabled={exporting}>
+                    關閉
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default FeatureExportPanel;
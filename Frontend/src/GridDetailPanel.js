@@ -3,11 +3,17 @@ import React, { useRef, useEffect, useState } from 'react';
 import './GridDetailPanel.css';
 import { DATA_SCHEMAS, DataUtils } from './dataSchemas';
 import FieldRow from './components/FieldRow';
+import { sessionFetch } from './session';
+import config from './config';
+
+const EXTERNAL_SERVER_URL = config.apiBaseUrl;
 
 // Performance optimization: Memoize component to prevent unnecessary re-renders
 const GridDetailPanel = React.memo(({ gridData, onClose, onMapInteractionChange }) => {
     const panelRef = useRef(null);
     const [activeTab, setActiveTab] = useState('');
+    // 🛰️ Simulated signal of the simulation rasters at the clicked point (grid centre as fallback)
+    const [rasterValues, setRasterValues] = useState(null);
 
     useEffect(() => {
         // Prevent event bubbling to map
@@ -59,6 +65,27 @@ const GridDetailPanel = React.memo(({ gridData, onClose, onMapInteractionChange
         };
     }, [onMapInteractionChange]);
 
+    useEffect(() => {
+        const properties = (gridData && gridData.properties) || {};
+        const point = properties.clickLatLng || properties.coordinates;
+        if (!Array.isArray(point) || point.length < 2) {
+            setRasterValues(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        const [lat, lon] = point;
+        sessionFetch(`${EXTERNAL_SERVER_URL}/api/rasters/sample?lon=${lon}&lat=${lat}`)
+            .then(response => (response.ok ? response.json() : null))
+            .then(data => {
+                if (!cancelled) setRasterValues(data ? data.values : null);
+            })
+            .catch(error => {
+                console.error('❌ Error sampling simulation rasters:', error);
+            });
+        return () => { cancelled = true; };
+    }, [gridData]);
+
     // Schema-driven dynamic tab configuration with error handling
     const createDynamicTabs = () => {
 
@@ -168,6 +195,18 @@ const GridDetailPanel = React.memo(({ gridData, onClose, onMapInteractionChange
                     </button>
                 </div>
 
+                {/* Simulated signal at the clicked point */}
+                {rasterValues && rasterValues.length > 0 && (
+                    <div className="grid-raster-values">
+                        <span className="grid-raster-title">仿真信號 (柵格)</span>
+                        {rasterValues.map(({ name, value }) => (
+                            <span key={name} className="grid-raster-value" title={name}>
+                                {name.replace(/\.tiff?$/i, '')}: <strong>{Number(value).toFixed(1)} dBm</strong>
+                            </span>
+                        ))}
+                    </div>
+                )}
+
                 {/* Tab Navigation */}
                 <div className="grid-tab-navigation">
                     {tabs.map((tab) => (
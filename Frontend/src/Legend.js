@@ -25,6 +25,28 @@ export const SIMULATION_DATA_COLOR_MAP = {
     'RAW_4G_Layer': '#8b5a00'
 };
 
+// ⚖️ Diverging ramp of the simulation run comparison (delta dn = compare run - base run)
+export const SIMULATION_DIFF_COLOR_MAP = {
+    '≥ +10 dB': '#1a9850',
+    '+5 to +10 dB': '#91cf60',
+    '+1 to +5 dB': '#d9ef8b',
+    '-1 to +1 dB (不變)': '#ffffbf',
+    '-1 to -5 dB': '#fee08b',
+    '-5 to -10 dB': '#fc8d59',
+    '≤ -10 dB': '#d73027'
+};
+
+// delta_class of the /api/simulation-diff tiles → ramp entry
+export const SIMULATION_DIFF_CLASS_KEYS = {
+    3: '≥ +10 dB',
+    2: '+5 to +10 dB',
+    1: '+1 to +5 dB',
+    0: '-1 to +1 dB (不變)',
+    '-1': '-1 to -5 dB',
+    '-2': '-5 to -10 dB',
+    '-3': '≤ -10 dB'
+};
+
 export const MICROPHONE_DATA_COLOR_MAP = {
     'grid_highload': '#d1b226'
 };
@@ -188,6 +210,7 @@ const Legend = ({
     discoveryGridCategories = {},
     complaintDataColors = {},
     simulationDataColors = {},
+    simulationDiffColors = {},
     microphoneDataColors = {},
     lteCompetitionColors = {},
     nrCompetitionColors = {},
@@ -283,6 +306,13 @@ const Legend = ({
         shape: 'square',
     }));
 
+    const simulationDiffItems = Object.keys(simulationDiffColors).map(key => ({
+        key,
+        color: simulationDiffColors[key],
+        label: key,
+        shape: 'square',
+    }));
+
     const microphoneItems = Object.keys(microphoneDataColors).map(key => ({
         key,
         color: microphoneDataColors[key],
@@ -325,6 +355,7 @@ const Legend = ({
             <Section title="投訴數據" items={complaintItems} />
             <Section title="MR競對數據" items={gridItems} />
             <Section title="仿真數據" items={simulationItems} />
+            <Section title="仿真批次對比 (信號變化)" items={simulationDiffItems} />
             <Section title="高負荷數據" items={microphoneItems} />
             <Section title="規劃站點場景" items={planningItems} />
             <Section title="現有站點類型" items={liveTypeItems} />
@@ -0,0 +1,76 @@
+// LoginPage.js
+// Login screen - every data and tile request needs a session issued by /auth/login
+import React, { useState } from 'react';
+import { FaSignInAlt } from 'react-icons/fa';
+import CMHKIcon from './providerIcon/CMHKIcon.png';
+import { login } from './session';
+import './LoginPage.css';
+import config from './config';
+
+const EXTERNAL_SERVER_URL = config.apiBaseUrl;
+
+const LoginPage = ({ onLogin, message }) => {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        setSubmitting(true);
+        setError(null);
+        try {
+            const user = await login(EXTERNAL_SERVER_URL, username.trim(), password);
+            onLogin(user);
+        } catch (err) {
+            console.error('Login failed:', err);
+            setError(err.message === 'Invalid username or password' ? '帳號或密碼錯誤' : `登入失敗: ${err.message}`);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="login-page">
+            <form className="login-card" onSubmit={handleSubmit}>
+                <div className="login-brand">
+                    <img src={CMHKIcon} alt="CMHK Logo" className="login-logo" />
+                    <span>无线中心微网格优化管理</span>
+                </div>
+
+                {message && <div className="login-message">{message}</div>}
+
+                <label className="login-label" htmlFor="login-username">帳號</label>
+                <input
+                    id="login-username"
+                    className="login-input"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    autoComplete="username"
+                    autoFocus
+                    required
+                />
+
+                <label className="login-label" htmlFor="login-password">密碼</label>
+                <input
+                    id="login-password"
+                    className="login-input"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="current-password"
+                    required
+                />
+
+                {error && <div className="login-error">{error}</div>}
+
+                <button className="login-button" type="submit" disabled={submitting}>
+                    <FaSignInAlt />
+                    {submitting ? '登入中...' : '登入'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default LoginPage;
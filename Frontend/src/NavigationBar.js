@@ -1,7 +1,7 @@
 // NavigationBar.js
 import React, { useState, useRef, useEffect } from 'react';
 import './NavigationBar.css';
-import { FaMapMarkedAlt, FaLayerGroup, FaTrash, FaSatelliteDish, FaMap, FaGlobe, FaBullseye, FaChartBar, FaDatabase, FaCaretDown } from 'react-icons/fa';
+import { FaMapMarkedAlt, FaLayerGroup, FaTrash, FaSatelliteDish, FaMap, FaGlobe, FaBullseye, FaChartBar, FaDatabase, FaCaretDown, FaSignOutAlt, FaFileExport } from 'react-icons/fa';
 import CMHKIcon from './providerIcon/CMHKIcon.png';
 
 // 🚀 PERFORMANCE FIX: Memoize component to prevent unnecessary re-renders
@@ -13,12 +13,16 @@ const NavigationBar = React.memo(({
     toggleBasemap,
     toggleRenderingMode,
     toggleComplaintChart,
+    toggleExportPanel,
     currentBasemap = 'osm',
     renderingMode = 'global',
     isOtherDataDisabled = false,
     isSixDimensionDataDisabled = false,
     complaintChartVisible = false,
     isDashboardVisible = false,
+    isExportPanelVisible = false,
+    currentUser = null,
+    onLogout,
 }) => {
     // Dropdown state management
     const [isDropdownOpen, setIsDropdownOpen] = useState(false);
@@ -133,6 +137,15 @@ const NavigationBar = React.memo(({
                         微網格分析
                     </button>
 
+                    <button
+                        className={`navbar-button ${isExportPanelVisible ? 'navbar-button-active' : ''}`}
+                        onClick={toggleExportPanel}
+                        title="匯出已選圖層的數據 (GeoJSON / KML / CSV / GeoPackage)"
+                    >
+                        <FaFileExport className="navbar-icon" />
+                        匯出
+                    </button>
+
                     <button
                         className="navbar-button"
                         onClick={toggleBasemap}
@@ -150,6 +163,17 @@ const NavigationBar = React.memo(({
                         <FaTrash className="navbar-icon" />
                         清除
                     </button>
+
+                    {currentUser && (
+                        <button
+                            className="navbar-button"
+                            onClick={onLogout}
+                            title={`${currentUser.displayName || currentUser.username}（${currentUser.roleLabel || currentUser.role}）- 登出`}
+                        >
+                            <FaSignOutAlt className="navbar-icon" />
+                            登出
+                        </button>
+                    )}
                 </div>
             </nav>
         </>
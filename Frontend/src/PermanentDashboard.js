@@ -2,7 +2,12 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import './PermanentDashboard.css';
 import CoverageGaugeGrid from './CoverageGaugeGrid';
 import MicroGridRankingCard from './MicroGridRankingCard';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { ComplaintTrendChart, VolRatioChart, toComplaintChartData, complaintSeriesNames } from './TrendCharts';
+import { sessionFetch } from './session';
+import config from './config';
+
+// 🚀 沿用原有的 EXTERNAL_SERVER_URL 配置 (src/config.js)
+const EXTERNAL_SERVER_URL = config.apiBaseUrl;
 
 const PermanentDashboard = ({
     position = 'top-right',
@@ -13,9 +18,6 @@ const PermanentDashboard = ({
 }) => {
     const [activeTab, setActiveTab] = useState('coverage'); // 'coverage', 'vol', 'complaint'
     
-    // 🚀 沿用原有的 EXTERNAL_SERVER_URL 配置
-    const EXTERNAL_SERVER_URL = 'http://10.250.52.75:3050';
-
     // 🚀 儀表板數據狀態 - 沿用原有命名規範
     const [dashboardData, setDashboardData] = useState({
         qualityScore: -9999,
@@ -78,7 +80,7 @@ const PermanentDashboard = ({
                 const apiUrl = `${EXTERNAL_SERVER_URL}/micro_grids`;
                 console.log(`🌐 Fetching micro grid names from: ${apiUrl}`);
                 
-                const response = await fetch(apiUrl, {
+                const response = await sessionFetch(apiUrl, {
                     method: 'GET',
                     headers: {
                         'Content-Type': 'application/json',
@@ -115,7 +117,7 @@ const PermanentDashboard = ({
         };
 
         fetchMicroGridNames();
-    }, [isVisible, isLoadingMicroGrids, microGridNameMap, EXTERNAL_SERVER_URL]);
+    }, [isVisible, isLoadingMicroGrids, microGridNameMap]);
 
     // 🚀 NEW: 投訴數據獲取函數
     const fetchVolData = useCallback(async () => {
@@ -145,7 +147,7 @@ const PermanentDashboard = ({
             const apiUrl = `${EXTERNAL_SERVER_URL}/api/vol-trend?${params.toString()}`;
             console.log(`🌐 Fetching vol data from: ${apiUrl}`);
 
-            const response = await fetch(apiUrl, {
+            const response = await sessionFetch(apiUrl, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
@@ -209,7 +211,7 @@ const PermanentDashboard = ({
             const apiUrl = `${EXTERNAL_SERVER_URL}/api/complaint-trend?${params.toString()}`;
             console.log(`🌐 Fetching complaint data from: ${apiUrl} (data_source: ${complaintDataSource})`);
 
-            const response = await fetch(apiUrl, {
+            const response = await sessionFetch(apiUrl, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
@@ -249,7 +251,7 @@ const PermanentDashboard = ({
             const apiUrl = `${EXTERNAL_SERVER_URL}/api/micro_grid_rankings`;
             console.log(`🌐 Fetching ranking data from: ${apiUrl}`);
 
-            const response = await fetch(apiUrl, {
+            const response = await sessionFetch(apiUrl, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
@@ -281,7 +283,7 @@ const PermanentDashboard = ({
         } finally {
             setIsLoadingRanking(false);
         }
-    }, [isVisible, EXTERNAL_SERVER_URL]);
+    }, [isVisible]);
 
     // 🚀 NEW: 覆蓋率獲取函數
     const fetchCoverageData = useCallback(async () => {
@@ -292,7 +294,7 @@ const PermanentDashboard = ({
             const apiUrl = `${EXTERNAL_SERVER_URL}/api/whole_coverage`;
             console.log(`🌐 Fetching coverage data from: ${apiUrl}`);
             
-            const response = await fetch(apiUrl, {
+            const response = await sessionFetch(apiUrl, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
@@ -325,7 +327,7 @@ const PermanentDashboard = ({
         } finally {
             setIsLoadingCoverage(false);
         }
-    }, [isVisible, EXTERNAL_SERVER_URL]);
+    }, [isVisible]);
 
     // 🚀 NEW: 輔助函數 - 將微網格ID轉換為名稱
     const getMicroGridName = useCallback((gridId) => {
@@ -343,91 +345,17 @@ const PermanentDashboard = ({
         setSelectedDataPoint(dataPoint);
     }, []);
 
-    // 🚀 FIXED: 將投訴數據轉換為Recharts LineChart格式
-    const transformComplaintDataForChart = useMemo(() => {
-        if (!complaintData || complaintData.length === 0) return [];
-
-        console.log('📊 Transforming complaint data:', complaintData);
-
-        // Check aggregation type or detect data structure
-        const firstItem = complaintData[0];
-
-        // Hong Kong or single grid mode - data already has month and count/total_count
-        if (firstItem.aggregation_type === 'single' || firstItem.total_count !== undefined) {
-            console.log('✅ Hong Kong or single grid mode - data format OK');
-            return complaintData.map(item => ({
-                month: item.month,
-                month_raw: item.month_raw,
-                全港投訴: item.total_count || item.count // Use "全港投訴" as series name
-            }));
-        }
-
-        // Multi-grid detail mode - need to group by month
-        if (firstItem.aggregation_type === 'multiple_detail' ||
-            (firstItem.grid_name && firstItem.count !== undefined && selectedMicroGrids.length > 1)) {
-            console.log('✅ Multi-grid detail mode - transforming to chart format');
-
-            const monthMap = new Map();
-
-            complaintData.forEach(item => {
-                const month = item.month_raw || item.month;
-                if (!monthMap.has(month)) {
-                    monthMap.set(month, {
-                        month: item.month,
-                        month_raw: month,
-                        grid_details: []
-                    });
-                }
-
-                const monthData = monthMap.get(month);
-                monthData[item.grid_name] = item.count; // Set grid name as key for Recharts
-                monthData.grid_details.push({
-                    grid_name: item.grid_name,
-                    count: item.count,
-                    micro_grid_id: item.micro_grid_id
-                });
-            });
-
-            const result = Array.from(monthMap.values());
-            console.log('📊 Transformed chart data:', result);
-            return result;
-        }
-
-        // Single grid mode - transform to have grid name as key
-        console.log('✅ Single grid mode - transforming');
-        return complaintData.map(item => ({
-            month: item.month,
-            month_raw: item.month_raw,
-            [item.grid_name || '微網格']: item.count
-        }));
-    }, [complaintData, selectedMicroGrids]);
+    // 🚀 FIXED: 將投訴數據轉換為Recharts圖表格式 (TrendCharts.js)
+    const transformComplaintDataForChart = useMemo(
+        () => toComplaintChartData(complaintData, selectedMicroGrids.length),
+        [complaintData, selectedMicroGrids]
+    );
 
     // 🚀 FIXED: 提取唯一的微網格名稱或系列名稱（用於多線圖）
-    const lineSeriesNames = useMemo(() => {
-        if (!transformComplaintDataForChart || transformComplaintDataForChart.length === 0) return [];
-
-        const firstDataPoint = transformComplaintDataForChart[0];
-        const names = Object.keys(firstDataPoint).filter(key =>
-            key !== 'month' && key !== 'month_raw' && key !== 'grid_details'
-        );
-
-        console.log('📊 Line series names extracted:', names);
-        return names.sort();
-    }, [transformComplaintDataForChart]);
-
-    // 🚀 NEW: 冷色調色板（用於堆疊柱狀圖，專業且視覺舒適）
-    const chartColorPalette = [
-        '#42A5F5', // Bright Blue (亮藍)
-        '#26C6DA', // Cyan (青色)
-        '#66BB6A', // Soft Green (柔和綠)
-        '#AB47BC', // Purple (紫色)
-        '#5C6BC0', // Indigo (靛藍)
-        '#26A69A', // Teal (藍綠)
-        '#29B6F6', // Light Blue (淺藍)
-        '#7E57C2', // Deep Purple (深紫)
-        '#4DD0E1', // Light Cyan (淺青)
-        '#78909C'  // Blue Grey (藍灰)
-    ];
+    const lineSeriesNames = useMemo(
+        () => complaintSeriesNames(transformComplaintDataForChart),
+        [transformComplaintDataForChart]
+    );
 
     // 🚀 NEW: 處理排名卡片點擊事件 - 實現 drill-down 功能
     const handleRankingCardClick = useCallback((gridItem) => {
@@ -699,140 +627,7 @@ const PermanentDashboard = ({
                         {isLoadingVol ? (
                             <div className="loading-state">載入中...</div>
                         ) : volData.length > 0 ? (
-                            <svg width="100%" height="130" viewBox="0 0 400 130">
-                                <defs>
-                                    {/* Light blue gradient for line chart */}
-                                    <linearGradient id="volLineGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-                                        <stop offset="0%" stopColor="#64B5F6" stopOpacity="0.3" />
-                                        <stop offset="100%" stopColor="#64B5F6" stopOpacity="0.05" />
-                                    </linearGradient>
-                                </defs>
-
-                                {/* 繪製折線圖 */}
-                                {(() => {
-                                    const maxValue = Math.max(...volData.map(d => d.nr_lte_ratio));
-                                    const minValue = Math.min(...volData.map(d => d.nr_lte_ratio)) - 1;
-                                    const spacing = 360 / Math.max(volData.length - 1, 1);
-                                    const startX = 20;
-
-                                    // 生成折線路徑和區域填充路徑
-                                    let linePath = '';
-                                    let areaPath = '';
-
-                                    volData.forEach((item, index) => {
-                                        const value = item.nr_lte_ratio;
-                                        const normalizedHeight = (value - minValue) / (maxValue - minValue) * 85;
-                                        const x = startX + index * spacing;
-                                        const y = 95 - normalizedHeight;
-
-                                        if (index === 0) {
-                                            linePath = `M ${x} ${y}`;
-                                            areaPath = `M ${x} 95 L ${x} ${y}`;
-                                        } else {
-                                            linePath += ` L ${x} ${y}`;
-                                            areaPath += ` L ${x} ${y}`;
-                                        }
-                                    });
-
-                                    // 完成區域填充路徑
-                                    const lastX = startX + (volData.length - 1) * spacing;
-                                    areaPath += ` L ${lastX} 95 Z`;
-
-                                    return (
-                                        <>
-                                            {/* 填充區域 */}
-                                            <path
-                                                d={areaPath}
-                                                fill="url(#volLineGradient)"
-                                                stroke="none"
-                                                style={{
-                                                    opacity: volChartAnimated ? 0.6 : 0,
-                                                    transition: 'opacity 1.5s ease-out'
-                                                }}
-                                            />
-
-                                            {/* 折線 */}
-                                            <path
-                                                d={linePath}
-                                                fill="none"
-                                                stroke="#64B5F6"
-                                                strokeWidth="2.5"
-                                                strokeLinecap="round"
-                                                strokeLinejoin="round"
-                                                style={{
-                                                    strokeDasharray: '1000',
-                                                    strokeDashoffset: volChartAnimated ? '0' : '1000',
-                                                    transition: 'stroke-dashoffset 1.5s ease-out'
-                                                }}
-                                            />
-
-                                            {/* 數據點和標籤 */}
-                                            {volData.map((item, index) => {
-                                                const value = item.nr_lte_ratio;
-                                                const normalizedHeight = (value - minValue) / (maxValue - minValue) * 85;
-                                                const x = startX + index * spacing;
-                                                const y = 95 - normalizedHeight;
-
-                                                return (
-                                                    <g key={index} style={{
-                                                        opacity: volChartAnimated ? 1 : 0,
-                                                        transition: `opacity 0.5s ease-out ${0.8 + index * 0.1}s`
-                                                    }}>
-                                                        {/* 數據點圓圈 */}
-                                                        <circle
-                                                            cx={x}
-                                                            cy={y}
-                                                            r="4"
-                                                            fill="#64B5F6"
-                                                            stroke="white"
-                                                            strokeWidth="2"
-                                                            style={{ cursor: 'pointer' }}
-                                                        />
-
-                                                        {/* 數值標籤 */}
-                                                        <text
-                                                            x={x}
-                                                            y={Math.max(y - 12, 10)}
-                                                            textAnchor="middle"
-                                                            fontSize="10"
-                                                            fontWeight="bold"
-                                                            fontFamily="'Microsoft YaHei', 'Arial', sans-serif"
-                                                            fill="white"
-                                                            stroke="rgba(0,0,0,0.5)"
-                                                            strokeWidth="0.8"
-                                                            paintOrder="stroke fill"
-                                                        >
-                                                            {value}
-                                                        </text>
-
-                                                        {/* 月份標籤 */}
-                                                        <text
-                                                            x={x}
-                                                            y={118}
-                                                            textAnchor="middle"
-                                                            fontSize="10"
-                                                            fontWeight="bold"
-                                                            fontFamily="'Microsoft YaHei', 'Arial', sans-serif"
-                                                            fill="white"
-                                                            stroke="rgba(0,0,0,0.5)"
-                                                            strokeWidth="0.8"
-                                                            paintOrder="stroke fill"
-                                                            transform={`rotate(-45, ${x}, 118)`}
-                                                        >
-                                                            {item.month_raw || item.month}
-                                                        </text>
-                                                    </g>
-                                                );
-                                            })}
-                                        </>
-                                    );
-                                })()}
-
-                                {/* Y軸 */}
-                                <line x1="15" y1="10" x2="15" y2="95" stroke="#ccc" strokeWidth="1" />
-                                {/* X軸 */}
-                                <line x1="15" y1="95" x2="385" y2="95" stroke="#ccc" strokeWidth="1" />
-                            </svg>
+                            <VolRatioChart data={volData} animated={volChartAnimated} />
                         ) : (
                             <div className="no-data-state">
                                 {selectedMicroGrids.length === 0 ?
@@ -893,91 +688,11 @@ const PermanentDashboard = ({
                         {isLoadingComplaint ? (
                             <div className="loading-state">載入中...</div>
                         ) : transformComplaintDataForChart.length > 0 && lineSeriesNames.length > 0 ? (
-                            <ResponsiveContainer width="100%" height={360}>
-                                <BarChart
-                                    data={transformComplaintDataForChart}
-                                    margin={{ top: 20, right: 40, left: 20, bottom: 70 }}
-                                    barGap={4}
-                                    barCategoryGap="20%"
-                                >
-                                    <defs>
-                                        {/* Add gradient definitions for each color */}
-                                        {chartColorPalette.map((color, idx) => (
-                                            <linearGradient key={`gradient-${idx}`} id={`barGradient${idx}`} x1="0" y1="0" x2="0" y2="1">
-                                                <stop offset="0%" stopColor={color} stopOpacity={0.95} />
-                                                <stop offset="100%" stopColor={color} stopOpacity={0.75} />
-                                            </linearGradient>
-                                        ))}
-                                    </defs>
-                                    <CartesianGrid
-                                        strokeDasharray="3 3"
-                                        stroke="rgba(100,181,246,0.15)"
-                                        vertical={false}
-                                    />
-                                    <XAxis
-                                        dataKey="month"
-                                        stroke="rgba(100,181,246,0.5)"
-                                        angle={-45}
-                                        textAnchor="end"
-                                        height={80}
-                                        tick={{ fill: 'rgba(200,220,240,0.9)', fontSize: 11, fontWeight: 500 }}
-                                        tickLine={{ stroke: 'rgba(100,181,246,0.3)' }}
-                                    />
-                                    <YAxis
-                                        stroke="rgba(100,181,246,0.5)"
-                                        tick={{ fill: 'rgba(200,220,240,0.9)', fontSize: 11, fontWeight: 500 }}
-                                        tickLine={{ stroke: 'rgba(100,181,246,0.3)' }}
-                                        label={{
-                                            value: '投訴數量',
-                                            angle: -90,
-                                            position: 'insideLeft',
-                                            fill: 'rgba(200,220,240,0.9)',
-                                            style: { fontWeight: 600 }
-                                        }}
-                                    />
-                                    <Tooltip
-                                        contentStyle={{
-                                            backgroundColor: 'rgba(15,23,42,0.95)',
-                                            border: '1.5px solid rgba(100,181,246,0.4)',
-                                            borderRadius: '10px',
-                                            color: 'white',
-                                            padding: '12px',
-                                            boxShadow: '0 8px 32px rgba(0,0,0,0.4)',
-                                            backdropFilter: 'blur(10px)'
-                                        }}
-                                        cursor={{ fill: 'rgba(100,181,246,0.08)', radius: 4 }}
-                                        labelStyle={{ color: '#42A5F5', fontWeight: 600, marginBottom: '8px' }}
-                                    />
-                                    <Legend
-                                        wrapperStyle={{
-                                            paddingTop: '24px',
-                                            fontSize: '12px'
-                                        }}
-                                        iconType="circle"
-                                        iconSize={10}
-                                    />
-                                    {lineSeriesNames.map((seriesName, index) => (
-                                        <Bar
-                                            key={seriesName}
-                                            dataKey={seriesName}
-                                            name={seriesName}
-                                            stackId="complaint"
-                                            fill={`url(#barGradient${index % chartColorPalette.length})`}
-                                            onClick={(data) => handleDataPointClick(data)}
-                                            cursor="pointer"
-                                            animationDuration={1200}
-                                            animationEasing="ease-out"
-                                            isAnimationActive={true}
-                                            radius={[
-                                                index === lineSeriesNames.length - 1 ? 6 : 0,
-                                                index === lineSeriesNames.length - 1 ? 6 : 0,
-                                                0,
-                                                0
-                                            ]}
-                                        />
-                                    ))}
-                                </BarChart>
-                            </ResponsiveContainer>
+                            <ComplaintTrendChart
+                                data={transformComplaintDataForChart}
+                                seriesNames={lineSeriesNames}
+                                onBarClick={handleDataPointClick}
+                            />
                         ) : (
                             <div className="no-data-state">
                                 {selectedMicroGrids.length === 0 ?
@@ -5,7 +5,8 @@ import {
     FaChevronDown,
     FaChevronUp,
     FaExclamationTriangle,
-    FaMicrophone
+    FaMicrophone,
+    FaTrash
 } from 'react-icons/fa';
 import { MdWifiTethering } from 'react-icons/md';
 import Collapsible from 'react-collapsible';
@@ -265,6 +266,140 @@ const formatBandName = (band, provider, subCategory = null) => {
     }
 };
 
+// 🗺️ "我的圖層": imported GeoJSON / KML / Shapefile overlays of the user (toggle, colour, delete, upload)
+const USER_LAYER_ACCEPT = '.geojson,.json,.kml,.kmz,.zip';
+const USER_LAYER_FILL_OPACITIES = [0, 0.2, 0.4, 0.6, 0.8];
+const USER_LAYER_SRIDS = [
+    { value: '', label: '座標系統：自動' },
+    { value: '2326', label: 'EPSG:2326 (HK1980 Grid)' },
+    { value: '32650', label: 'EPSG:32650 (UTM 50N)' },
+    { value: '4326', label: 'EPSG:4326 (WGS84)' }
+];
+
+const UserLayerSection = ({ layers, visibleIds, onToggle, onStyleChange, onDelete, onUpload }) => {
+    const [open, setOpen] = useState(true);
+    const [srid, setSrid] = useState('');
+    const [uploading, setUploading] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [draftStyles, setDraftStyles] = useState({});
+    const styleTimersRef = useRef({});
+
+    useEffect(() => {
+        const timers = styleTimersRef.current;
+        return () => Object.values(timers).forEach(clearTimeout);
+    }, []);
+
+    const handleFile = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setUploading(true);
+        setMessage(null);
+        try {
+            const layer = await onUpload(file, srid);
+            setMessage({ type: 'success', text: `已匯入「${layer.name}」（${layer.featureCount} 個要素）` });
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    // Colour pickers fire on every move - the style is saved once the picker settles
+    const changeStyle = (layer, changes) => {
+        const style = { ...layer.style, ...draftStyles[layer.id], ...changes };
+        setDraftStyles(prev => ({ ...prev, [layer.id]: style }));
+        clearTimeout(styleTimersRef.current[layer.id]);
+        styleTimersRef.current[layer.id] = setTimeout(async () => {
+            try {
+                await onStyleChange(layer.id, { color: style.color, fillColor: style.fillColor, fillOpacity: style.fillOpacity });
+            } catch (err) {
+                setMessage({ type: 'error', text: err.message });
+                setDraftStyles(prev => {
+                    const next = { ...prev };
+                    delete next[layer.id];
+                    return next;
+                });
+            }
+        }, 400);
+    };
+
+    return (
+        <div className="provider-section user-layer-section">
+            <div className="provider-title" onClick={() => setOpen(!open)}>
+                我的圖層
+                <span className="accordion-icon">
+                    {open ? <FaChevronUp /> : <FaChevronDown />}
+                </span>
+            </div>
+            {open && (
+                <div className="bands-container">
+                    {layers.length === 0 && <div className="user-layer-hint">尚未匯入圖層</div>}
+                    {layers.map((layer) => {
+                        const style = draftStyles[layer.id] || layer.style;
+                        const isChecked = visibleIds.includes(layer.id);
+                        return (
+                            <div key={layer.id} className={`option-label user-layer-row ${isChecked ? 'is-checked' : ''}`}>
+                                <input
+                                    type="checkbox"
+                                    className="option-checkbox"
+                                    checked={isChecked}
+                                    onChange={(e) => onToggle(layer.id, e.target.checked)}
+                                />
+                                <input
+                                    type="color"
+                                    className="user-layer-color"
+                                    title="顏色"
+                                    value={style.color}
+                                    onChange={(e) => changeStyle(layer, { color: e.target.value, fillColor: e.target.value })}
+                                />
+                                <span
+                                    className="option-button user-layer-name"
+                                    title={`${layer.filename || layer.name} · EPSG:${layer.sourceSrid} · ${layer.featureCount} 個要素`}
+                                    onClick={() => onToggle(layer.id, !isChecked)}
+                                >
+                                    {layer.name}
+                                </span>
+                                <select
+                                    className="user-layer-opacity"
+                                    title="填充透明度"
+                                    value={style.fillOpacity}
+                                    onChange={(e) => changeStyle(layer, { fillOpacity: Number(e.target.value) })}
+                                >
+                                    {USER_LAYER_FILL_OPACITIES.map((value) => (
+                                        <option key={value} value={value}>{Math.round(value * 100)}%</option>
+                                    ))}
+                                </select>
+                                <button type="button" className="user-layer-delete" title="刪除" onClick={() => onDelete(layer)}>
+                                    <FaTrash />
+                                </button>
+                            </div>
+                        );
+                    })}
+                    <div className="user-layer-upload">
+                        <select
+                            className="simulation-run-select"
+                            value={srid}
+                            disabled={uploading}
+                            onChange={(e) => setSrid(e.target.value)}
+                        >
+                            {USER_LAYER_SRIDS.map(({ value, label }) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        <label className={`user-layer-upload-button ${uploading ? 'is-disabled' : ''}`}>
+                            {uploading ? '匯入中...' : '匯入檔案'}
+                            <input type="file" accept={USER_LAYER_ACCEPT} disabled={uploading} onChange={handleFile} hidden />
+                        </label>
+                    </div>
+                    <div className="user-layer-hint">GeoJSON / KML / KMZ / Shapefile (.zip)</div>
+                    {message && <div className={`user-layer-message ${message.type}`}>{message.text}</div>}
+                </div>
+            )}
+        </div>
+    );
+};
+
 const SelectionList = ({
     options,
     onSelect,
@@ -275,7 +410,19 @@ const SelectionList = ({
     selectedDistricts = [],
     newSiteTreeData = [],
     selectedNewSiteKeys = [],
-    onNewSiteSelect
+    onNewSiteSelect,
+    simulationRuns = {},
+    selectedSimulationRuns = {},
+    onSimulationRunChange,
+    simulationCompareRuns = {},
+    onSimulationCompareRunChange,
+    simulationDiffStats = {},
+    userLayers = null,
+    visibleUserLayerIds = [],
+    onUserLayerToggle,
+    onUserLayerStyleChange,
+    onUserLayerDelete,
+    onUserLayerUpload
 }) => {
     const [checkedState, setCheckedState] = useState({});
     const [openProviders, setOpenProviders] = useState({});
@@ -590,29 +737,85 @@ const SelectionList = ({
                             const isDisabled = isBandDisabledInRegionMode(provider, subCategory, band);
                             const isSimRawData = isSimulationRawData(provider, subCategory, band);
 
+                            // 📊 Run picker for raw simulation layers (registered simulation runs)
+                            const runTechnology = band === 'RAW_4G_Layer' ? '4g' : band === 'RAW_5G_Layer' ? '5g' : null;
+                            const runs = (runTechnology && simulationRuns[runTechnology]) || [];
+                            const diffStats = runTechnology && simulationCompareRuns[runTechnology] ? simulationDiffStats[runTechnology] : null;
+
                             return (
-                                <label
-                                    key={key}
-                                    className={`option-label ${isChecked ? 'is-checked' : ''} ${isDisabled ? 'option-label-disabled' : ''}`}
-                                    title={isDisabled ? '區域模式下無法選擇仿真原數據' : ''}
-                                >
-                                    <input
-                                        type="checkbox"
-                                        className="option-checkbox"
-                                        checked={isChecked}
-                                        disabled={isDisabled}
-                                        onChange={(e) =>
-                                            handleSelect(provider, subCategory, band, e.target.checked)
-                                        }
-                                    />
-                                    {IconComponent}
-                                    <span className="option-button">
-                                        {formatBandName(band, provider, subCategory)}
-                                        {isSimRawData && renderingMode === 'spatial' && (
-                                            <span className="disabled-indicator" style={{ marginLeft: '8px' }}>🚫</span>
-                                        )}
-                                    </span>
-                                </label>
+                                <React.Fragment key={key}>
+                                    <label
+                                        className={`option-label ${isChecked ? 'is-checked' : ''} ${isDisabled ? 'option-label-disabled' : ''}`}
+                                        title={isDisabled ? '區域模式下無法選擇仿真原數據' : ''}
+                                    >
+                                        <input
+                                            type="checkbox"
+                                            className="option-checkbox"
+                                            checked={isChecked}
+                                            disabled={isDisabled}
+                                            onChange={(e) =>
+                                                handleSelect(provider, subCategory, band, e.target.checked)
+                                            }
+                                        />
+                                        {IconComponent}
+                                        <span className="option-button">
+                                            {formatBandName(band, provider, subCategory)}
+                                            {isSimRawData && renderingMode === 'spatial' && (
+                                                <span className="disabled-indicator" style={{ marginLeft: '8px' }}>🚫</span>
+                                            )}
+                                        </span>
+                                    </label>
+                                    {runs.length > 0 && onSimulationRunChange && (
+                                        <div className="simulation-run-picker">
+                                            <span className="simulation-run-label">仿真批次</span>
+                                            <select
+                                                className="simulation-run-select"
+                                                value={selectedSimulationRuns[runTechnology] || ''}
+                                                disabled={isDisabled}
+                                                onChange={(e) => onSimulationRunChange(runTechnology, Number(e.target.value))}
+                                            >
+                                                {runs.map((run) => (
+                                                    <option key={run.id} value={run.id}>
+                                                        {run.runDate || `#${run.id}`}{run.description ? ` - ${run.description}` : ''}{run.active ? ' (預設)' : ''}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    )}
+                                    {runs.length > 1 && onSimulationCompareRunChange && (
+                                        <div className="simulation-run-picker">
+                                            <span className="simulation-run-label">對比批次</span>
+                                            <select
+                                                className="simulation-run-select"
+                                                value={simulationCompareRuns[runTechnology] || ''}
+                                                disabled={isDisabled}
+                                                onChange={(e) => onSimulationCompareRunChange(runTechnology, Number(e.target.value) || null)}
+                                            >
+                                                <option value="">不對比</option>
+                                                {runs.filter((run) => run.id !== selectedSimulationRuns[runTechnology]).map((run) => (
+                                                    <option key={run.id} value={run.id}>
+                                                        {run.runDate || `#${run.id}`}{run.description ? ` - ${run.description}` : ''}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    )}
+                                    {diffStats && diffStats.microGrids.length > 0 && (
+                                        <div className="simulation-diff-stats">
+                                            <div className="simulation-diff-stats-row simulation-diff-stats-header">
+                                                <span>微網格</span><span>改善 km²</span><span>劣化 km²</span><span>淨變化</span>
+                                            </div>
+                                            {diffStats.microGrids.map((grid) => (
+                                                <div key={grid.microGridId} className="simulation-diff-stats-row">
+                                                    <span title={grid.district}>{grid.gridName || grid.microGridId}</span>
+                                                    <span className="simulation-diff-improved">{(grid.improvedArea / 1e6).toFixed(2)}</span>
+                                                    <span className="simulation-diff-degraded">{(grid.degradedArea / 1e6).toFixed(2)}</span>
+                                                    <span>{grid.netChangeArea >= 0 ? '+' : ''}{(grid.netChangeArea / 1e6).toFixed(2)}</span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </React.Fragment>
                             );
                         });
 
@@ -1140,6 +1343,16 @@ const SelectionList = ({
                     : '可直接選擇數據（部分數據無需行政區）'}
             </div>
             {renderOptions()}
+            {userLayers && (
+                <UserLayerSection
+                    layers={userLayers}
+                    visibleIds={visibleUserLayerIds}
+                    onToggle={onUserLayerToggle}
+                    onStyleChange={onUserLayerStyleChange}
+                    onDelete={onUserLayerDelete}
+                    onUpload={onUserLayerUpload}
+                />
+            )}
         </div>
     );
 };
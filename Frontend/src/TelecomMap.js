@@ -11,9 +11,13 @@ import PermanentDashboard from './PermanentDashboard';
 import './PermanentDashboard.css';
 
 import DistrictMicroGridSelection from './DistrictMicroGridSelection';
+import FeatureExportPanel from './FeatureExportPanel';
+import AoiDrawTool from './AoiDrawTool';
 import Legend, {
     COMPLAINT_DATA_COLOR_MAP,
     SIMULATION_DATA_COLOR_MAP,
+    SIMULATION_DIFF_COLOR_MAP,
+    SIMULATION_DIFF_CLASS_KEYS,
     MICROPHONE_DATA_COLOR_MAP,
     LTE_COMPETITION_COLOR_MAP,
     NR_COMPETITION_COLOR_MAP,
@@ -23,15 +27,18 @@ import Legend, {
 } from './Legend';
 import SiteDetailWindow from './SiteDetailWindow';
 import GridDetailPanel from './GridDetailPanel';
+import { sessionFetch, withSession, logout } from './session';
+import { buildIdentifyPopupHtml, buildFeaturePopupHtml } from './identifyPopup';
 
 import 'leaflet.markercluster/dist/MarkerCluster.css';
 import 'leaflet.markercluster/dist/MarkerCluster.Default.css';
 import 'leaflet.markercluster';
 import { simplify } from '@turf/turf';
 import 'leaflet.vectorgrid';
+import config from './config';
 
-// 🚀 CONFIGURATION: External server configuration for all API calls
-const EXTERNAL_SERVER_URL = 'http://10.250.52.75:3050';
+// 🚀 CONFIGURATION: External server configuration for all API calls (src/config.js)
+const EXTERNAL_SERVER_URL = config.apiBaseUrl;
 
 // ---------------------------------------------------------------------------
 // This polyfill prevents runtime errors when handling click events on vector tiles.
@@ -167,7 +174,7 @@ class APIRequestManager {
         const controller = new AbortController();
         this.abortControllers.add(controller);
 
-        const fetchPromise = fetch(url, {
+        const fetchPromise = sessionFetch(url, {
             ...options,
             signal: controller.signal
         }).finally(() => {
@@ -261,7 +268,7 @@ const fetchOptions = async () => {
 // 2. GRID CATEGORY MAPPING & COLOR FUNCTIONS
 // Here we define a mapping for the four grid cell categories.
 // Each category is assigned a color and a label (for legend clarity).
-const gridCategories = {
+export const gridCategories = {
     "競強我強": { color: "#39ff23", label: "競強我強" },
     "競強我弱": { color: "#ff0000", label: "競強我弱" },
     "競弱我強": { color: "#3729ff", label: "競弱我強" },
@@ -613,7 +620,7 @@ const HONG_KONG_BOUNDS = [[22.137, 113.835], [22.58, 114.43]];
 
 // ============================================================================
 // 6. MAIN COMPONENT: TelecomMap
-const TelecomMap = () => {
+const TelecomMap = ({ currentUser, onLogout }) => {
     // State for planning site layer (removed unused planningLayer)
     const mapRef = useRef(null);
     const fetchCacheRef = useRef(new Map());
@@ -642,6 +649,13 @@ const TelecomMap = () => {
     const [isOptionsVisible, setIsOptionsVisible] = useState(false);
     const [otherOptions, setOtherOptions] = useState({});
     const [isOtherOptionsVisible, setIsOtherOptionsVisible] = useState(false);
+    // 📊 Registered simulation runs per technology and the run shown for each ('5g' / '4g' → run id)
+    const [simulationRuns, setSimulationRuns] = useState({ '5g': [], '4g': [] });
+    const [selectedSimulationRuns, setSelectedSimulationRuns] = useState({});
+    const simulationRunsInitializedRef = useRef(false);
+    // ⚖️ Run compared against the shown run ('5g' / '4g' → run id, unset = no comparison) and its micro grid summary
+    const [simulationCompareRuns, setSimulationCompareRuns] = useState({});
+    const [simulationDiffStats, setSimulationDiffStats] = useState({});
 
 
     // 🚀 錯誤處理狀態
@@ -652,6 +666,16 @@ const TelecomMap = () => {
     const [microGridLayerGroup, setMicroGridLayerGroup] = useState(null);
     // NEW: Keep track of individual micro grid layers to avoid full refresh
     const microGridLayersRef = useRef({});
+    // 📐 NEW: User-drawn areas of interest (saved on the server, selectable like micro grids)
+    const [aois, setAois] = useState([]);
+    const [selectedAoiIds, setSelectedAoiIds] = useState([]);
+    const [isDrawingAoi, setIsDrawingAoi] = useState(false);
+    const isDrawingAoiRef = useRef(false);
+    const aoiLayerGroupRef = useRef(null);
+    // 🗺️ NEW: Imported user layers (GeoJSON / KML / Shapefile overlays) and the ones shown on the map
+    const [userLayers, setUserLayers] = useState([]);
+    const [visibleUserLayerIds, setVisibleUserLayerIds] = useState([]);
+    const userLayerMapLayersRef = useRef({});
 
     // 🚀 NEW: Basemap switching state
     const [currentBasemap, setCurrentBasemap] = useState('osm'); // 'osm' or 'carto'
@@ -707,6 +731,9 @@ const TelecomMap = () => {
         [selectedMicroGrids]
     );
 
+    // 📐 Region mode scope: selected micro grids and/or areas of interest
+    const hasSpatialSelection = selectedMicroGrids.length > 0 || selectedAoiIds.length > 0;
+
     // #2: Memoize simulationBands filter
     // Used in: renderingMode toggle logic
     const simulationBands = useMemo(() =>
@@ -799,8 +826,8 @@ const TelecomMap = () => {
             zoomControl: false,
             attributionControl: false,
             preferCanvas: true,
-            maxZoom: 18,
-            minZoom: 10,
+            maxZoom: config.map.maxZoom,
+            minZoom: config.map.minZoom,
         });
 
         // 2. Store the new instance in the ref.
@@ -897,6 +924,7 @@ const TelecomMap = () => {
         const panes = [
             'baseFrameworkPane',    // 基础地理框架层（最底层）：微网格边界等基础参考框架
             'gridDataPane',         // 网格业务数据层（中间层）：投诉数据、MR数据、高负荷数据、仿真数据等 (六维数据)
+            'userLayersPane',       // 用户图层：导入的 GeoJSON / KML / Shapefile（活动场地、工地、发展规划）
             'planningSitesPane',    // 站点数据层-规划站点
             'complaintsPane',        // 站点数据层-实际运行站点  
             'liveSitesPane',        // 站点数据层-实际运行站点  
@@ -1122,7 +1150,7 @@ const TelecomMap = () => {
     useEffect(() => {
         const fetchActivatedSitesCount = async () => {
             try {
-                const response = await fetch(`${EXTERNAL_SERVER_URL}/126_activated_sites`);
+                const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/126_activated_sites`);
                 if (response.ok) {
                     const data = await response.json();
                     const count = (data.features || []).length;
@@ -1138,6 +1166,259 @@ const TelecomMap = () => {
         fetchActivatedSitesCount();
     }, []);
 
+    // 📊 NEW: Fetch registered simulation runs - the active run of each technology is shown by default
+    useEffect(() => {
+        const fetchSimulationRuns = async () => {
+            try {
+                const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/simulation-runs`);
+                if (!response.ok) {
+                    console.warn('Failed to fetch simulation runs');
+                    return;
+                }
+                const { runs = [] } = await response.json();
+                const byTechnology = { '5g': [], '4g': [] };
+                const activeRuns = {};
+                runs.forEach((run) => {
+                    (byTechnology[run.technology] = byTechnology[run.technology] || []).push(run);
+                    if (run.active) activeRuns[run.technology] = run.id;
+                });
+                setSimulationRuns(byTechnology);
+                setSelectedSimulationRuns(activeRuns);
+            } catch (error) {
+                console.error('Error fetching simulation runs:', error);
+            }
+        };
+
+        fetchSimulationRuns();
+    }, []);
+
+    // 📐 NEW: Areas of interest visible to the user (own + shared)
+    const refreshAois = useCallback(async () => {
+        try {
+            const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/aoi`);
+            if (!response.ok) {
+                console.warn('Failed to fetch areas of interest');
+                return [];
+            }
+            const { aois: visibleAois = [] } = await response.json();
+            setAois(visibleAois);
+            // Drop selections of areas deleted in the meantime
+            setSelectedAoiIds(prev => {
+                const remaining = prev.filter(id => visibleAois.some(aoi => aoi.id === id));
+                return remaining.length === prev.length ? prev : remaining;
+            });
+            return visibleAois;
+        } catch (error) {
+            console.error('Error fetching areas of interest:', error);
+            return [];
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshAois();
+    }, [refreshAois]);
+
+    // 📐 Save a drawn area and select it right away
+    const handleSaveAoi = useCallback(async (drawnAoi) => {
+        const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/aoi`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(drawnAoi)
+        });
+        const saved = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(saved.message || saved.error || '保存失敗');
+        }
+        await refreshAois();
+        setSelectedAoiIds(prev => [...prev, saved.id]);
+        setIsDrawingAoi(false);
+    }, [refreshAois]);
+
+    // 📐 Delete an area (owner or admin - the backend refuses anyone else)
+    const handleDeleteAoi = useCallback(async (aoi) => {
+        if (!window.confirm(`確定刪除自訂區域「${aoi.name}」？`)) return;
+        try {
+            const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/aoi/${aoi.id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const { message, error } = await response.json().catch(() => ({}));
+                alert(message || error || '刪除失敗');
+                return;
+            }
+            setSelectedAoiIds(prev => prev.filter(id => id !== aoi.id));
+            await refreshAois();
+        } catch (error) {
+            console.error('Error deleting area of interest:', error);
+            alert('刪除失敗');
+        }
+    }, [refreshAois]);
+
+    useEffect(() => {
+        isDrawingAoiRef.current = isDrawingAoi;
+    }, [isDrawingAoi]);
+
+    // 🗺️ NEW: The user's imported layers
+    const refreshUserLayers = useCallback(async () => {
+        try {
+            const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/user-layers`);
+            if (!response.ok) {
+                console.warn('Failed to fetch user layers');
+                return;
+            }
+            const { layers: importedLayers = [] } = await response.json();
+            setUserLayers(importedLayers);
+        } catch (error) {
+            console.error('Error fetching user layers:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshUserLayers();
+    }, [refreshUserLayers]);
+
+    // 📤 Upload a file as a new layer, show it and zoom to it
+    const handleUploadUserLayer = useCallback(async (file, srid) => {
+        const params = new URLSearchParams({ filename: file.name });
+        if (srid) params.set('srid', srid);
+        // Sent as octet-stream: the backend reads the raw file, the extension picks the parser
+        const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/user-layers?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+        const layer = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(layer.error || '匯入失敗');
+        }
+        setUserLayers(prev => [layer, ...prev]);
+        setVisibleUserLayerIds(prev => [...prev, layer.id]);
+        if (layer.bbox && mapRef.current) {
+            const [west, south, east, north] = layer.bbox;
+            mapRef.current.fitBounds([[south, west], [north, east]], { maxZoom: 16 });
+        }
+        return layer;
+    }, []);
+
+    const handleUserLayerToggle = useCallback((layerId, visible) => {
+        setVisibleUserLayerIds(prev => (visible
+            ? [...prev.filter(id => id !== layerId), layerId]
+            : prev.filter(id => id !== layerId)));
+    }, []);
+
+    const handleUserLayerStyleChange = useCallback(async (layerId, style) => {
+        const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/user-layers/${layerId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ style })
+        });
+        const updated = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(updated.error || '樣式保存失敗');
+        }
+        setUserLayers(prev => prev.map(layer => (layer.id === updated.id ? updated : layer)));
+    }, []);
+
+    const handleUserLayerDelete = useCallback(async (layer) => {
+        if (!window.confirm(`確定刪除圖層「${layer.name}」？`)) return;
+        try {
+            const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/user-layers/${layer.id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const { error } = await response.json().catch(() => ({}));
+                alert(error || '刪除失敗');
+                return;
+            }
+            setVisibleUserLayerIds(prev => prev.filter(id => id !== layer.id));
+            setUserLayers(prev => prev.filter(({ id }) => id !== layer.id));
+        } catch (error) {
+            console.error('Error deleting user layer:', error);
+            alert('刪除失敗');
+        }
+    }, []);
+
+    // 🗺️ Keep the MVT layers on the map in line with the visible layers and their styles
+    // (a restyled layer is re-created - VectorGrid styles are fixed when the layer is built)
+    useEffect(() => {
+        const map = mapRef.current;
+        if (!map) return;
+        const onMap = userLayerMapLayersRef.current;
+
+        Object.keys(onMap).forEach((id) => {
+            const layer = userLayers.find(candidate => String(candidate.id) === id);
+            if (!layer || !visibleUserLayerIds.includes(layer.id) || onMap[id].styleKey !== JSON.stringify(layer.style)) {
+                map.removeLayer(onMap[id].mapLayer);
+                delete onMap[id];
+            }
+        });
+
+        visibleUserLayerIds.forEach((layerId) => {
+            const layer = userLayers.find(candidate => candidate.id === layerId);
+            if (!layer || onMap[layerId]) return;
+            const { color, weight, opacity, fillColor, fillOpacity, radius } = layer.style;
+
+            const mapLayer = L.vectorGrid.protobuf(withSession(`${EXTERNAL_SERVER_URL}${layer.tileUrl}`), {
+                minZoom: 8,
+                maxZoom: 18,
+                pane: 'userLayersPane',
+                rendererFactory: L.canvas.tile,
+                interactive: true,
+                bubblingMouseEvents: false,
+                vectorTileLayerStyles: {
+                    grid: { stroke: true, color, weight, opacity, fill: true, fillColor, fillOpacity, radius }
+                }
+            });
+            mapLayer.on('click', (e) => {
+                if (e.originalEvent) L.DomEvent.stopPropagation(e.originalEvent);
+                L.popup({ maxWidth: 360 })
+                    .setLatLng(e.latlng)
+                    .setContent(buildFeaturePopupHtml(layer.name, e.layer && e.layer.properties))
+                    .openOn(map);
+            });
+            mapLayer.addTo(map);
+            onMap[layerId] = { mapLayer, styleKey: JSON.stringify(layer.style) };
+        });
+    }, [userLayers, visibleUserLayerIds]);
+
+    // 🔎 NEW: Clicking the map (outside interactive features) lists everything known at that location
+    useEffect(() => {
+        const map = mapRef.current;
+        if (!map) return undefined;
+
+        let requestId = 0;
+        const handleIdentifyClick = async (e) => {
+            // Clicks on features bubble up to the map - those open their own detail views
+            if (e.sourceTarget && e.sourceTarget !== map) return;
+            // Clicks place vertices while an area of interest is being drawn
+            if (isDrawingAoiRef.current) return;
+
+            const currentRequest = ++requestId;
+            const popup = L.popup({ maxWidth: 360 })
+                .setLatLng(e.latlng)
+                .setContent('<div style="font-family: Arial, sans-serif;">位置查詢中...</div>')
+                .openOn(map);
+
+            try {
+                const params = new URLSearchParams({ lon: e.latlng.lng, lat: e.latlng.lat });
+                const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/identify?${params}`);
+                if (currentRequest !== requestId) return;
+                if (!response.ok) {
+                    const { message, error } = await response.json().catch(() => ({}));
+                    popup.setContent(`<div style="font-family: Arial, sans-serif;">${message || error || '位置查詢失敗'}</div>`);
+                    return;
+                }
+                popup.setContent(buildIdentifyPopupHtml(await response.json()));
+            } catch (error) {
+                console.error('Error identifying location:', error);
+                if (currentRequest === requestId) {
+                    popup.setContent('<div style="font-family: Arial, sans-serif;">位置查詢失敗</div>');
+                }
+            }
+        };
+
+        map.on('click', handleIdentifyClick);
+        return () => {
+            map.off('click', handleIdentifyClick);
+        };
+    }, []);
+
     // 🚀 REMOVED: Backend fetching for static data - now using hardcoded data
     // Data is now provided by DistrictMicroGridData.js with instant access
 
@@ -1356,8 +1637,9 @@ const TelecomMap = () => {
         if (newMode === 'global') {
             console.log(`🔄 [Reset] Switching to global mode - resetting all state to initial values`);
 
-            // Clear all selected microgrids
+            // Clear all selected microgrids and areas of interest
             setSelectedMicroGrids([]);
+            setSelectedAoiIds([]);
 
             // Clear all selected data bands
             setSelectedBands([]);
@@ -1437,69 +1719,57 @@ const TelecomMap = () => {
 
     // --------------------------------------------------------------------------  
     // 🚀 NEW: Utility function to build spatial-aware MVT URLs
-    const buildMVTUrl = useCallback((baseUrl, includeSpatialFilter = true) => {
-        // Build query parameters - always include renderingMode for backend validation
-        const params = new URLSearchParams();
-        params.set('renderingMode', renderingMode);
+    const buildMVTUrl = useCallback((baseUrl, includeSpatialFilter = true, extraParams = {}) => {
+        // 🔐 The session authorizes the request - the backend clips microGrids to the user's scope
+        const params = new URLSearchParams(extraParams);
 
-        if (!includeSpatialFilter || renderingMode !== 'spatial') {
-            const finalUrl = `${baseUrl}?${params.toString()}`;
-            return finalUrl;
-        }
-
-        // Apply spatial filtering based on selected micro grids only
-        if (selectedMicroGrids.length > 0) {
+        // Apply spatial filtering based on selected micro grids and areas of interest
+        if (includeSpatialFilter && renderingMode === 'spatial') {
             // 🚀 PERFORMANCE: Use memoized microGridIds instead of inline computation
-            params.set('microGrids', microGridIds.join(','));
+            if (selectedMicroGrids.length > 0) params.set('microGrids', microGridIds.join(','));
+            if (selectedAoiIds.length > 0) params.set('aoi', selectedAoiIds.join(','));
         }
-        // Note: No micro grids selected - use global rendering in spatial mode
+        // Note: Nothing selected - use global rendering (limited to the user's scope by the backend)
 
-        const finalUrl = `${baseUrl}?${params.toString()}`;
-        return finalUrl;
-    }, [renderingMode, selectedMicroGrids, microGridIds]);
+        const query = params.toString();
+        return withSession(query ? `${baseUrl}?${query}` : baseUrl);
+    }, [renderingMode, selectedMicroGrids, microGridIds, selectedAoiIds]);
 
     // --------------------------------------------------------------------------
     // 🚀 NEW: Utility function to build spatial-aware API URLs (non-MVT)
     const buildApiUrl = useCallback((baseUrl, includeSpatialFilter = true) => {
-        const url = new URL(baseUrl);
-
-        // Always include renderingMode for backend validation
-        url.searchParams.set('renderingMode', renderingMode);
+        // 🔐 The session authorizes the request - the backend clips microGrids to the user's scope
+        const url = new URL(withSession(baseUrl));
 
         if (!includeSpatialFilter || renderingMode !== 'spatial') {
             console.log(`📡 [API Request] ${baseUrl.split('/').pop()} - Mode: ${renderingMode} (no spatial filter)`);
             return url.toString();
         }
 
-        // Apply spatial filtering based on selected micro grids only
-        if (selectedMicroGrids.length > 0) {
+        // Apply spatial filtering based on selected micro grids and areas of interest
+        if (hasSpatialSelection) {
             // 🚀 PERFORMANCE: Use memoized microGridIds instead of inline computation
-            url.searchParams.set('microGrids', microGridIds.join(','));
-            console.log(`📡 [API Request] ${baseUrl.split('/').pop()} - Mode: ${renderingMode}, Filtering by microgrids: [${microGridIds.join(', ')}]`);
+            if (selectedMicroGrids.length > 0) url.searchParams.set('microGrids', microGridIds.join(','));
+            if (selectedAoiIds.length > 0) url.searchParams.set('aoi', selectedAoiIds.join(','));
+            console.log(`📡 [API Request] ${baseUrl.split('/').pop()} - Mode: ${renderingMode}, Filtering by microgrids: [${microGridIds.join(', ')}], areas: [${selectedAoiIds.join(', ')}]`);
         } else {
             console.log(`📡 [API Request] ${baseUrl.split('/').pop()} - Mode: ${renderingMode}, No microgrids selected (showing nothing)`);
         }
 
         return url.toString();
-    }, [renderingMode, selectedMicroGrids, microGridIds]);
+    }, [renderingMode, selectedMicroGrids, microGridIds, selectedAoiIds, hasSpatialSelection]);
 
     // --------------------------------------------------------------------------
-    // 🚀 NEW: Helper function to build grid-details URL with renderingMode
+    // 🚀 NEW: Helper function to build grid-details URL (access is checked against the session's scope)
     const buildGridDetailsUrl = useCallback((grid_id, categories) => {
         const params = new URLSearchParams();
         if (categories) {
             params.set('categories', categories);
         }
-        params.set('renderingMode', renderingMode);
 
-        // 🚀 Add microGrids parameter for spatial mode to fix 403 error
-        if (renderingMode === 'spatial' && selectedMicroGrids.length > 0) {
-            // 🚀 PERFORMANCE: Use memoized microGridIds instead of inline computation
-            params.set('microGrids', microGridIds.join(','));
-        }
-
-        return `${EXTERNAL_SERVER_URL}/api/grid-details/${grid_id}?${params.toString()}`;
-    }, [renderingMode, selectedMicroGrids, microGridIds]);
+        const query = params.toString();
+        return withSession(`${EXTERNAL_SERVER_URL}/api/grid-details/${grid_id}${query ? `?${query}` : ''}`);
+    }, []);
 
     // --------------------------------------------------------------------------
 
@@ -1713,6 +1983,51 @@ const TelecomMap = () => {
         })();
     }, [selectedMicroGrids, microGridLayerGroup]);
 
+    // --------------------------------------------------------------------------
+    // 📐 Visualize selected areas of interest (orange outline, geometry from /api/aoi/:id)
+    useEffect(() => {
+        const map = mapRef.current;
+        if (!map) return undefined;
+
+        if (!aoiLayerGroupRef.current) {
+            aoiLayerGroupRef.current = L.layerGroup().addTo(map);
+        }
+        const group = aoiLayerGroupRef.current;
+        group.clearLayers();
+        if (selectedAoiIds.length === 0) return undefined;
+
+        let cancelled = false;
+        (async () => {
+            try {
+                const selected = await Promise.all(selectedAoiIds.map(async (id) => {
+                    const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/aoi/${id}`);
+                    return response.ok ? response.json() : null;
+                }));
+                if (cancelled) return;
+
+                selected.filter(Boolean).forEach((aoi) => {
+                    L.geoJSON(aoi.geometry, {
+                        style: {
+                            color: '#ff9800',
+                            weight: 2,
+                            dashArray: '6,4',
+                            fillOpacity: 0,
+                            opacity: 1,
+                        },
+                        interactive: false, // clicks inside the area still reach the map (identify)
+                        pane: 'baseFrameworkPane',
+                    }).addTo(group);
+                });
+            } catch (err) {
+                console.error('Error fetching area of interest geometry:', err);
+            }
+        })();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedAoiIds]);
+
 
     // --------------------------------------------------------------------------
     // 🚀 NEW: Optimized data processing with zoom throttling
@@ -1853,7 +2168,7 @@ const TelecomMap = () => {
 
         // 🚀 REGIONAL MODE OPTIMIZATION: Eliminate subdivision when using spatial filtering
         // In spatial mode with micro grids selected, backend filtering is sufficient
-        const useRegionalOptimization = renderingMode === 'spatial' && selectedMicroGrids.length > 0;
+        const useRegionalOptimization = renderingMode === 'spatial' && hasSpatialSelection;
 
         let subBoxes;
         if (useRegionalOptimization) {
@@ -2410,10 +2725,21 @@ const TelecomMap = () => {
                     const is4G = band.includes('RAW_4G_Layer');
                     const is5G = band.includes('RAW_5G_Layer');
 
+                    // 📊 Selected simulation run (omitted = the backend's active run)
+                    const technology = is4G ? '4g' : '5g';
+                    const runId = selectedSimulationRuns[technology];
+                    // ⚖️ With a comparison run picked the band shows the signal change between both runs
+                    const compareRunId = simulationCompareRuns[technology];
+
                     // MVT tile URL for simulation raw data - use different endpoints for 4G and 5G
-                    const apiEndpoint = is4G ? '/api/simulation-4g-pbf/{z}/{x}/{y}' : '/api/simulation-pbf/{z}/{x}/{y}';
-                    const baseUrl = `${EXTERNAL_SERVER_URL}${apiEndpoint}`;
-                    const url = buildMVTUrl(baseUrl);
+                    let url;
+                    if (compareRunId) {
+                        const diffParams = runId ? { base: runId, compare: compareRunId } : { compare: compareRunId };
+                        url = buildMVTUrl(`${EXTERNAL_SERVER_URL}/api/simulation-diff/${technology}/{z}/{x}/{y}`, true, diffParams);
+                    } else {
+                        const apiEndpoint = is4G ? '/api/simulation-4g-pbf/{z}/{x}/{y}' : '/api/simulation-pbf/{z}/{x}/{y}';
+                        url = buildMVTUrl(`${EXTERNAL_SERVER_URL}${apiEndpoint}`, true, runId ? { run: runId } : {});
+                    }
 
                     // Choose color based on simulation type
                     const fillColor = is4G ? '#cd8500' : '#ff3333'; // Orange-brown for 4G, Bright red for 5G
@@ -2432,6 +2758,15 @@ const TelecomMap = () => {
                             bubblingMouseEvents: false,  // 🚀 FIX: Prevent event bubbling to fix map dragging issue
                             vectorTileLayerStyles: {
                                 grid: (properties) => {
+                                    if (compareRunId) {
+                                        // ⚖️ Diverging ramp by delta class (Legend.js)
+                                        return {
+                                            fill: true,
+                                            fillColor: SIMULATION_DIFF_COLOR_MAP[SIMULATION_DIFF_CLASS_KEYS[properties.delta_class]] || '#808080',
+                                            fillOpacity: 0.8,
+                                            stroke: false
+                                        };
+                                    }
                                     // Render with different colors for 4G vs 5G simulation raw data
                                     return {
                                         fill: true,
@@ -2457,6 +2792,23 @@ const TelecomMap = () => {
                                 const props = e && e.layer && e.layer.properties ? e.layer.properties : {};
                                 const grid_id = Number(props.id) || props.id;
 
+                                if (compareRunId) {
+                                    // ⚖️ Diff pieces carry both runs' signal and the change
+                                    const delta = Number(props.delta);
+                                    L.popup()
+                                        .setLatLng(e.latlng)
+                                        .setContent(`
+                                            <div style="font-family: Arial, sans-serif;">
+                                                <h4 style="margin:0 0 10px 0; color:#d63031;">${layerLabel} (批次對比)</h4>
+                                                <div><strong>基準批次信號:</strong> ${props.base_dn ?? 'N/A'} dBm</div>
+                                                <div><strong>對比批次信號:</strong> ${props.compare_dn ?? 'N/A'} dBm</div>
+                                                <div><strong>變化:</strong> ${Number.isNaN(delta) ? 'N/A' : `${delta > 0 ? '+' : ''}${delta} dB`}</div>
+                                            </div>
+                                        `)
+                                        .openOn(mapRef.current);
+                                    return;
+                                }
+
                                 if (!grid_id) {
                                     // Show basic properties if no grid_id
                                     const popupContent = `
@@ -2488,7 +2840,8 @@ const TelecomMap = () => {
                                                 grid_id: grid_id,
                                                 dn: props.dn, // Include DN from MVT properties
                                                 ...gridData.categories,
-                                                coordinates: gridData.coordinates
+                                                coordinates: gridData.coordinates,
+                                                clickLatLng: [e.latlng.lat, e.latlng.lng] // 🛰️ Raster values are sampled here
                                             },
                                             geometry: null
                                         };
@@ -3033,9 +3386,9 @@ const TelecomMap = () => {
             try {
                 if (cmhkTestBands.length > 0) {
                     // 🚀 SECURITY: Block 六維數據 (CMHK test data) access in 區域模式 - micro grids only
-                    if (renderingMode === 'spatial' && selectedMicroGrids.length === 0) {
+                    if (renderingMode === 'spatial' && !hasSpatialSelection) {
                         console.warn('🚫 CMHK測試數據已被阻止：請先選擇微網格');
-                        alert('請先選擇微網格後才能存取六維數據。');
+                        alert('請先選擇微網格或自訂區域後才能存取六維數據。');
                         return;
                     }
                     // CMHK test data can use current map bounds - no district restriction
@@ -3045,9 +3398,9 @@ const TelecomMap = () => {
                 if (normalSixDimensionBands.length > 0) {
 
                     // 🚀 SECURITY: Block 六維數據 access in 區域模式 - micro grids only
-                    if (renderingMode === 'spatial' && selectedMicroGrids.length === 0) {
+                    if (renderingMode === 'spatial' && !hasSpatialSelection) {
                         console.warn('🚫 六維數據已被阻止：請先選擇微網格');
-                        alert('請先選擇微網格後才能存取六維數據。');
+                        alert('請先選擇微網格或自訂區域後才能存取六維數據。');
                         return;
                     }
                     await fetchBandData(normalSixDimensionBands, boundsForSixDimension);
@@ -3060,9 +3413,9 @@ const TelecomMap = () => {
                 // Handle site data separately - not affected by district filtering
                 if (siteBands.length > 0) {
                     // 🚀 SECURITY: Block 六維數據 (site structure data) access in 區域模式 - micro grids only
-                    if (renderingMode === 'spatial' && selectedMicroGrids.length === 0) {
+                    if (renderingMode === 'spatial' && !hasSpatialSelection) {
                         console.warn('🚫 站點結構數據已被阻止：請先選擇微網格');
-                        alert('請先選擇微網格後才能存取六維數據。');
+                        alert('請先選擇微網格或自訂區域後才能存取六維數據。');
                         return;
                     }
                     await handleSiteDataSelection(siteBands);
@@ -3072,7 +3425,58 @@ const TelecomMap = () => {
         };
         loadAllForSelection();
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [selectedBands, selectedMicroGrids, renderingMode, cmhkTestBands, sixDimensionBands, otherTestBands, siteBands, normalSixDimensionBands]);
+    }, [selectedBands, selectedMicroGrids, selectedAoiIds, renderingMode, cmhkTestBands, sixDimensionBands, otherTestBands, siteBands, normalSixDimensionBands]);
+
+    // 📊 Reload only the raw simulation layers when another simulation run is picked
+    useEffect(() => {
+        if (!simulationRunsInitializedRef.current) {
+            simulationRunsInitializedRef.current = true;
+            return;
+        }
+        const simulationBands = selectedBandsRef.current.filter(band => band.startsWith('simulation_data_raw_simulation'));
+        if (!mapRef.current || simulationBands.length === 0) return;
+        fetchBandData(simulationBands, mapRef.current.getBounds());
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [selectedSimulationRuns, simulationCompareRuns]);
+
+    const handleSimulationRunChange = useCallback((technology, runId) => {
+        setSelectedSimulationRuns(prev => ({ ...prev, [technology]: runId }));
+        // A run cannot be compared with itself
+        setSimulationCompareRuns(prev => (prev[technology] === runId ? { ...prev, [technology]: null } : prev));
+    }, []);
+
+    const handleSimulationCompareRunChange = useCallback((technology, runId) => {
+        setSimulationCompareRuns(prev => ({ ...prev, [technology]: runId || null }));
+    }, []);
+
+    // ⚖️ Per micro grid summary (area improved / degraded, net change) of each active run comparison
+    useEffect(() => {
+        let cancelled = false;
+        const fetchDiffStats = async () => {
+            const stats = {};
+            for (const technology of Object.keys(simulationCompareRuns)) {
+                const compareRunId = simulationCompareRuns[technology];
+                if (!compareRunId || microGridIds.length === 0) continue;
+
+                const params = new URLSearchParams({ compare: compareRunId, microGrids: microGridIds.join(',') });
+                if (selectedSimulationRuns[technology]) params.set('base', selectedSimulationRuns[technology]);
+                try {
+                    const response = await sessionFetch(`${EXTERNAL_SERVER_URL}/api/simulation-diff/${technology}/stats?${params}`);
+                    if (response.ok) {
+                        stats[technology] = await response.json();
+                    } else {
+                        console.warn(`Failed to fetch ${technology} simulation diff stats`);
+                    }
+                } catch (error) {
+                    console.error('Error fetching simulation diff stats:', error);
+                }
+            }
+            if (!cancelled) setSimulationDiffStats(stats);
+        };
+
+        fetchDiffStats();
+        return () => { cancelled = true; };
+    }, [simulationCompareRuns, selectedSimulationRuns, microGridIds]);
 
     // 🚀 PERFORMANCE OPTIMIZATION: Debounced micro grid selection handling
     // This prevents rapid API calls when users quickly select/deselect multiple micro grids
@@ -4417,8 +4821,8 @@ const TelecomMap = () => {
         // Not in spatial mode → no blocking
         if (renderingMode !== 'spatial') return false;
 
-        // Require at least one micro grid to unlock 六維數據
-        const missingRequiredSelections = (selectedMicroGrids.length === 0);
+        // Require at least one micro grid or area of interest to unlock 六維數據
+        const missingRequiredSelections = !hasSpatialSelection;
         if (!missingRequiredSelections) return false; // user has met prerequisites
 
         // Identify 六維數據 related bands
@@ -4675,6 +5079,8 @@ const TelecomMap = () => {
             setLayers({});
             setSelectedBands([]);
             setSelectedMicroGrids([]);
+            setSelectedAoiIds([]);
+            setVisibleUserLayerIds([]);
             setSelectedNewSiteKeys([]);
             setHighlightedLayer(null);
             setIsOptionsVisible(false);
@@ -4708,6 +5114,13 @@ const TelecomMap = () => {
         }
     }, []);
 
+    // 🔐 Log out: clear every layer (tile URLs carry the session) before dropping the session
+    const handleLogout = useCallback(async () => {
+        removeAllLayers();
+        await logout(EXTERNAL_SERVER_URL);
+        if (onLogout) onLogout();
+    }, [removeAllLayers, onLogout]);
+
     // 🚀 检查是否已选择六维数据（現在包含6個類別）
     const hasSixDimensionDataSelected = () => {
         return selectedBands.some(band => {
@@ -4774,6 +5187,9 @@ const TelecomMap = () => {
             if (selectedMicroGrids.length > 0) {
                 queryParams.append('microGrids', selectedMicroGrids.join(','));
             }
+            if (selectedAoiIds.length > 0) {
+                queryParams.append('aoi', selectedAoiIds.join(','));
+            }
 
             setClusteringProgress(30);
 
@@ -4823,7 +5239,7 @@ const TelecomMap = () => {
                 setClusteringProgress(0);
             }
         }
-    }, [selectedBands, selectedMicroGrids, clusteringConfig]);
+    }, [selectedBands, selectedMicroGrids, selectedAoiIds, clusteringConfig]);
 
     // Update map layers with clustering data
     const updateClusteringLayers = useCallback((data) => {
@@ -4950,6 +5366,7 @@ const TelecomMap = () => {
         setIsOptionsVisible(false);
         setIsOtherOptionsVisible(false);
         setIsRegionVisible(false);
+        setIsExportPanelVisible(false);
     };
 
     // Toggle six dimension data selection menu (now includes testing data)
@@ -4997,6 +5414,17 @@ const TelecomMap = () => {
         }
     };
 
+    // 📤 Toggle the feature export panel
+    const [isExportPanelVisible, setIsExportPanelVisible] = useState(false);
+    const toggleExportPanel = () => {
+        if (isExportPanelVisible) {
+            setIsExportPanelVisible(false);
+        } else {
+            closeAllSelectionLists();
+            setIsExportPanelVisible(true);
+        }
+    };
+
     // --------------------------------------------------------------------------
     return (
         <div style={{ height: '100vh', position: 'relative', overflow: 'hidden' }}>
@@ -5014,12 +5442,16 @@ const TelecomMap = () => {
                     toggleBasemap={toggleBasemap}
                     toggleRenderingMode={toggleRenderingMode}
                     toggleComplaintChart={toggleComplaintChart}
+                    toggleExportPanel={toggleExportPanel}
                     currentBasemap={currentBasemap}
                     renderingMode={renderingMode}
                     isOtherDataDisabled={hasSixDimensionDataSelected()}
                     isSixDimensionDataDisabled={hasOtherTestDataSelected()}
                     complaintChartVisible={complaintChartVisible}
                     isDashboardVisible={isDashboardVisible}
+                    isExportPanelVisible={isExportPanelVisible}
+                    currentUser={currentUser}
+                    onLogout={handleLogout}
                 />
             </div>
 
@@ -5118,10 +5550,22 @@ const TelecomMap = () => {
                         selectedBands={selectedBands}
                         toggleVisibility={toggleVisibility}
                         title="六維數據"
+                        userLayers={userLayers}
+                        visibleUserLayerIds={visibleUserLayerIds}
+                        onUserLayerToggle={handleUserLayerToggle}
+                        onUserLayerStyleChange={handleUserLayerStyleChange}
+                        onUserLayerDelete={handleUserLayerDelete}
+                        onUserLayerUpload={handleUploadUserLayer}
                         renderingMode={renderingMode}
                         newSiteTreeData={createNewSiteTreeData(activatedSitesCount)}
                         selectedNewSiteKeys={selectedNewSiteKeys}
                         onNewSiteSelect={setSelectedNewSiteKeys}
+                        simulationRuns={simulationRuns}
+                        selectedSimulationRuns={selectedSimulationRuns}
+                        onSimulationRunChange={handleSimulationRunChange}
+                        simulationCompareRuns={simulationCompareRuns}
+                        onSimulationCompareRunChange={handleSimulationCompareRunChange}
+                        simulationDiffStats={simulationDiffStats}
                     />
                 </div>
             )}
@@ -5141,7 +5585,7 @@ const TelecomMap = () => {
                     />
                 </div>
             )}
-            {isRegionVisible && (
+            {isRegionVisible && !isDrawingAoi && (
                 <div style={{
                     pointerEvents: isClusteringLoading ? 'none' : 'auto',
                     opacity: isClusteringLoading ? 0.5 : 1,
@@ -5150,10 +5594,32 @@ const TelecomMap = () => {
                     <DistrictMicroGridSelection
                         selectedMicroGrids={selectedMicroGrids}
                         setSelectedMicroGrids={setSelectedMicroGrids}
+                        aois={aois}
+                        selectedAoiIds={selectedAoiIds}
+                        setSelectedAoiIds={setSelectedAoiIds}
+                        onDrawAoi={() => setIsDrawingAoi(true)}
+                        onDeleteAoi={handleDeleteAoi}
                         onClose={toggleRegionVisibility}
                     />
                 </div>
             )}
+            {isExportPanelVisible && (
+                <FeatureExportPanel
+                    map={mapRef.current}
+                    selectedBands={selectedBands}
+                    selectedSimulationRuns={selectedSimulationRuns}
+                    microGridIds={microGridIds}
+                    selectedAoiIds={selectedAoiIds}
+                    onClose={() => setIsExportPanelVisible(false)}
+                />
+            )}
+            {isDrawingAoi && (
+                <AoiDrawTool
+                    map={mapRef.current}
+                    onSave={handleSaveAoi}
+                    onCancel={() => setIsDrawingAoi(false)}
+                />
+            )}
 
 
             {/* 🚀 NEW: 站點詳情窗口 */}
@@ -5194,6 +5660,10 @@ const TelecomMap = () => {
                     discoveryGridCategories={gridCategories}
                     complaintDataColors={COMPLAINT_DATA_COLOR_MAP}
                     simulationDataColors={SIMULATION_DATA_COLOR_MAP}
+                    simulationDiffColors={selectedBands.some(band =>
+                        band.startsWith('simulation_data_raw_simulation') &&
+                        simulationCompareRuns[band.includes('RAW_4G_Layer') ? '4g' : '5g']
+                    ) ? SIMULATION_DIFF_COLOR_MAP : {}}
                     microphoneDataColors={MICROPHONE_DATA_COLOR_MAP}
                     lteCompetitionColors={LTE_COMPETITION_COLOR_MAP}
                     nrCompetitionColors={NR_COMPETITION_COLOR_MAP}
@@ -0,0 +1,321 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+/**
+ * TrendCharts - complaint and traffic trend charts shared by PermanentDashboard and the
+ * printable briefing (BriefingPrintPage)
+ *
+ * - VolRatioChart: 5G offload ratio (nr_lte_ratio) line of /api/vol-trend
+ * - ComplaintTrendChart: stacked monthly complaint bars of /api/complaint-trend
+ *
+ * Both keep the dashboard's dark theme; the briefing turns the animations off so the page can be printed at once.
+ */
+
+// 🚀 冷色調色板（用於堆疊柱狀圖，專業且視覺舒適）
+export const CHART_COLOR_PALETTE = [
+    '#42A5F5', // Bright Blue (亮藍)
+    '#26C6DA', // Cyan (青色)
+    '#66BB6A', // Soft Green (柔和綠)
+    '#AB47BC', // Purple (紫色)
+    '#5C6BC0', // Indigo (靛藍)
+    '#26A69A', // Teal (藍綠)
+    '#29B6F6', // Light Blue (淺藍)
+    '#7E57C2', // Deep Purple (深紫)
+    '#4DD0E1', // Light Cyan (淺青)
+    '#78909C'  // Blue Grey (藍灰)
+];
+
+/**
+ * /api/complaint-trend rows → Recharts rows ({ month, month_raw, [series]: count })
+ * @param {Array} complaintData - API data
+ * @param {number} selectedCount - Number of selected micro grids
+ */
+export const toComplaintChartData = (complaintData, selectedCount) => {
+    if (!complaintData || complaintData.length === 0) return [];
+
+    const firstItem = complaintData[0];
+
+    // Hong Kong or single grid mode - data already has month and count/total_count
+    if (firstItem.aggregation_type === 'single' || firstItem.total_count !== undefined) {
+        return complaintData.map(item => ({
+            month: item.month,
+            month_raw: item.month_raw,
+            全港投訴: item.total_count || item.count // Use "全港投訴" as series name
+        }));
+    }
+
+    // Multi-grid detail mode - need to group by month
+    if (firstItem.aggregation_type === 'multiple_detail' ||
+        (firstItem.grid_name && firstItem.count !== undefined && selectedCount > 1)) {
+        const monthMap = new Map();
+
+        complaintData.forEach(item => {
+            const month = item.month_raw || item.month;
+            if (!monthMap.has(month)) {
+                monthMap.set(month, {
+                    month: item.month,
+                    month_raw: month,
+                    grid_details: []
+                });
+            }
+
+            const monthData = monthMap.get(month);
+            monthData[item.grid_name] = item.count; // Set grid name as key for Recharts
+            monthData.grid_details.push({
+                grid_name: item.grid_name,
+                count: item.count,
+                micro_grid_id: item.micro_grid_id
+            });
+        });
+
+        return Array.from(monthMap.values());
+    }
+
+    // Single grid mode - transform to have grid name as key
+    return complaintData.map(item => ({
+        month: item.month,
+        month_raw: item.month_raw,
+        [item.grid_name || '微網格']: item.count
+    }));
+};
+
+/**
+ * Series (grid) names of toComplaintChartData() rows, sorted
+ */
+export const complaintSeriesNames = (chartData) => {
+    if (!chartData || chartData.length === 0) return [];
+
+    return Object.keys(chartData[0])
+        .filter(key => key !== 'month' && key !== 'month_raw' && key !== 'grid_details')
+        .sort();
+};
+
+/**
+ * 話統5G分流比(%) line chart
+ * @param {Array} props.data - /api/vol-trend rows ({ month, month_raw, nr_lte_ratio })
+ * @param {boolean} props.animated - Final state of the draw-in animation (true on first render = no animation)
+ */
+export const VolRatioChart = ({ data, animated = true }) => {
+    const maxValue = Math.max(...data.map(d => d.nr_lte_ratio));
+    const minValue = Math.min(...data.map(d => d.nr_lte_ratio)) - 1;
+    const spacing = 360 / Math.max(data.length - 1, 1);
+    const startX = 20;
+
+    const pointY = (value) => 95 - (value - minValue) / (maxValue - minValue) * 85;
+
+    // 生成折線路徑和區域填充路徑
+    let linePath = '';
+    let areaPath = '';
+
+    data.forEach((item, index) => {
+        const x = startX + index * spacing;
+        const y = pointY(item.nr_lte_ratio);
+
+        if (index === 0) {
+            linePath = `M ${x} ${y}`;
+            areaPath = `M ${x} 95 L ${x} ${y}`;
+        } else {
+            linePath += ` L ${x} ${y}`;
+            areaPath += ` L ${x} ${y}`;
+        }
+    });
+
+    // 完成區域填充路徑
+    const lastX = startX + (data.length - 1) * spacing;
+    areaPath += ` L ${lastX} 95 Z`;
+
+    return (
+        <svg width="100%" height="130" viewBox="0 0 400 130">
+            <defs>
+                {/* Light blue gradient for line chart */}
+                <linearGradient id="volLineGradient" x1="0%" y1="0%" x2="0%" y2="100%">
+                    <stop offset="0%" stopColor="#64B5F6" stopOpacity="0.3" />
+                    <stop offset="100%" stopColor="#64B5F6" stopOpacity="0.05" />
+                </linearGradient>
+            </defs>
+
+            {/* 填充區域 */}
+            <path
+                d={areaPath}
+                fill="url(#volLineGradient)"
+                stroke="none"
+                style={{
+                    opacity: animated ? 0.6 : 0,
+                    transition: 'opacity 1.5s ease-out'
+                }}
+            />
+
+            {/* 折線 */}
+            <path
+                d={linePath}
+                fill="none"
+                stroke="#64B5F6"
+                strokeWidth="2.5"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                style={{
+                    strokeDasharray: '1000',
+                    strokeDashoffset: animated ? '0' : '1000',
+                    transition: 'stroke-dashoffset 1.5s ease-out'
+                }}
+            />
+
+            {/* 數據點和標籤 */}
+            {data.map((item, index) => {
+                const x = startX + index * spacing;
+                const y = pointY(item.nr_lte_ratio);
+
+                return (
+                    <g key={index} style={{
+                        opacity: animated ? 1 : 0,
+                        transition: `opacity 0.5s ease-out ${0.8 + index * 0.1}s`
+                    }}>
+                        {/* 數據點圓圈 */}
+                        <circle
+                            cx={x}
+                            cy={y}
+                            r="4"
+                            fill="#64B5F6"
+                            stroke="white"
+                            strokeWidth="2"
+                            style={{ cursor: 'pointer' }}
+                        />
+
+                        {/* 數值標籤 */}
+                        <text
+                            x={x}
+                            y={Math.max(y - 12, 10)}
+                            textAnchor="middle"
+                            fontSize="10"
+                            fontWeight="bold"
+                            fontFamily="'Microsoft YaHei', 'Arial', sans-serif"
+                            fill="white"
+                            stroke="rgba(0,0,0,0.5)"
+                            strokeWidth="0.8"
+                            paintOrder="stroke fill"
+                        >
+                            {item.nr_lte_ratio}
+                        </text>
+
+                        {/* 月份標籤 */}
+                        <text
+                            x={x}
+                            y={118}
+                            textAnchor="middle"
+                            fontSize="10"
+                            fontWeight="bold"
+                            fontFamily="'Microsoft YaHei', 'Arial', sans-serif"
+                            fill="white"
+                            stroke="rgba(0,0,0,0.5)"
+                            strokeWidth="0.8"
+                            paintOrder="stroke fill"
+                            transform={`rotate(-45, ${x}, 118)`}
+                        >
+                            {item.month_raw || item.month}
+                        </text>
+                    </g>
+                );
+            })}
+
+            {/* Y軸 */}
+            <line x1="15" y1="10" x2="15" y2="95" stroke="#ccc" strokeWidth="1" />
+            {/* X軸 */}
+            <line x1="15" y1="95" x2="385" y2="95" stroke="#ccc" strokeWidth="1" />
+        </svg>
+    );
+};
+
+/**
+ * Stacked monthly complaint bar chart (one colour per series / micro grid)
+ * @param {Array} props.data - toComplaintChartData() rows
+ * @param {Array} props.seriesNames - complaintSeriesNames() of the rows
+ * @param {Function} props.onBarClick - Bar click handler (dashboard drill-down)
+ * @param {boolean} props.animate - Bar grow-in animation
+ */
+export const ComplaintTrendChart = ({ data, seriesNames, height = 360, onBarClick, animate = true }) => (
+    <ResponsiveContainer width="100%" height={height}>
+        <BarChart
+            data={data}
+            margin={{ top: 20, right: 40, left: 20, bottom: 70 }}
+            barGap={4}
+            barCategoryGap="20%"
+        >
+            <defs>
+                {/* Add gradient definitions for each color */}
+                {CHART_COLOR_PALETTE.map((color, idx) => (
+                    <linearGradient key={`gradient-${idx}`} id={`barGradient${idx}`} x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="0%" stopColor={color} stopOpacity={0.95} />
+                        <stop offset="100%" stopColor={color} stopOpacity={0.75} />
+                    </linearGradient>
+                ))}
+            </defs>
+            <CartesianGrid
+                strokeDasharray="3 3"
+                stroke="rgba(100,181,246,0.15)"
+                vertical={false}
+            />
+            <XAxis
+                dataKey="month"
+                stroke="rgba(100,181,246,0.5)"
+                angle={-45}
+                textAnchor="end"
+                height={80}
+                tick={{ fill: 'rgba(200,220,240,0.9)', fontSize: 11, fontWeight: 500 }}
+                tickLine={{ stroke: 'rgba(100,181,246,0.3)' }}
+            />
+            <YAxis
+                stroke="rgba(100,181,246,0.5)"
+                tick={{ fill: 'rgba(200,220,240,0.9)', fontSize: 11, fontWeight: 500 }}
+                tickLine={{ stroke: 'rgba(100,181,246,0.3)' }}
+                label={{
+                    value: '投訴數量',
+                    angle: -90,
+                    position: 'insideLeft',
+                    fill: 'rgba(200,220,240,0.9)',
+                    style: { fontWeight: 600 }
+                }}
+            />
+            <Tooltip
+                contentStyle={{
+                    backgroundColor: 'rgba(15,23,42,0.95)',
+                    border: '1.5px solid rgba(100,181,246,0.4)',
+                    borderRadius: '10px',
+                    color: 'white',
+                    padding: '12px',
+                    boxShadow: '0 8px 32px rgba(0,0,0,0.4)',
+                    backdropFilter: 'blur(10px)'
+                }}
+                cursor={{ fill: 'rgba(100,181,246,0.08)', radius: 4 }}
+                labelStyle={{ color: '#42A5F5', fontWeight: 600, marginBottom: '8px' }}
+            />
+            <Legend
+                wrapperStyle={{
+                    paddingTop: '24px',
+                    fontSize: '12px'
+                }}
+                iconType="circle"
+                iconSize={10}
+            />
+            {seriesNames.map((seriesName, index) => (
+                <Bar
+                    key={seriesName}
+                    dataKey={seriesName}
+                    name={seriesName}
+                    stackId="complaint"
+                    fill={`url(#barGradient${index % CHART_COLOR_PALETTE.length})`}
+                    onClick={onBarClick}
+                    cursor={onBarClick ? 'pointer' : undefined}
+                    animationDuration={1200}
+                    animationEasing="ease-out"
+                    isAnimationActive={animate}
+                    radius={[
+                        index === seriesNames.length - 1 ? 6 : 0,
+                        index === seriesNames.length - 1 ? 6 : 0,
+                        0,
+                        0
+                    ]}
+                />
+            ))}
+        </BarChart>
+    </ResponsiveContainer>
+);
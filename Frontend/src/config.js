@@ -0,0 +1,58 @@
+// config.js
+// ⚙️ Frontend configuration - one validated object shared by every component.
+// Each value is read from (first wins):
+//   1. runtime  - public/config.js (window.APP_CONFIG), editable on the web server after a build
+//   2. build    - REACT_APP_* variables (Frontend/.env, see .env.example)
+// index.js shows a configuration error page instead of the app when a value is missing or invalid.
+
+const runtime = (typeof window !== 'undefined' && window.APP_CONFIG) || {};
+
+const read = (runtimeKey, envValue) => {
+    const value = runtime[runtimeKey];
+    return value !== undefined && value !== null && value !== '' ? String(value) : envValue;
+};
+
+const errors = [];
+
+const parseUrl = (name, value) => {
+    if (!value) {
+        errors.push(`${name} is required (backend API base URL, e.g. http://10.250.52.75:3050)`);
+        return '';
+    }
+    try {
+        const url = new URL(value);
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('protocol');
+    } catch (e) {
+        errors.push(`${name} must be an http(s) URL (got "${value}")`);
+        return '';
+    }
+    // Endpoints are appended as `${apiBaseUrl}/path`
+    return value.replace(/\/+$/, '');
+};
+
+const parseZoom = (name, value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    const zoom = Number(value);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > 22) {
+        errors.push(`${name} must be an integer zoom level 0-22 (got "${value}")`);
+        return fallback;
+    }
+    return zoom;
+};
+
+const config = {
+    apiBaseUrl: parseUrl('API_BASE_URL / REACT_APP_API_BASE_URL', read('API_BASE_URL', process.env.REACT_APP_API_BASE_URL)),
+    map: {
+        minZoom: parseZoom('MAP_MIN_ZOOM / REACT_APP_MAP_MIN_ZOOM', read('MAP_MIN_ZOOM', process.env.REACT_APP_MAP_MIN_ZOOM), 10),
+        maxZoom: parseZoom('MAP_MAX_ZOOM / REACT_APP_MAP_MAX_ZOOM', read('MAP_MAX_ZOOM', process.env.REACT_APP_MAP_MAX_ZOOM), 18)
+    }
+};
+
+if (config.map.minZoom > config.map.maxZoom) {
+    errors.push(`MAP_MIN_ZOOM (${config.map.minZoom}) must not exceed MAP_MAX_ZOOM (${config.map.maxZoom})`);
+}
+
+// Problems found while reading the configuration (empty when valid)
+export const configErrors = errors;
+
+export default config;
@@ -0,0 +1,103 @@
+// identifyPopup.js
+// 🔎 Popup content of /api/identify - everything known at a clicked location
+
+const GROUP_LABELS = {
+    six_dimension: '六維數據',
+    simulation: '仿真數據',
+    other_test_data: '其他測試數據'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return 'N/A';
+    if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(2);
+    return escapeHtml(value);
+};
+
+const section = (title, body) => `
+    <div style="margin-top:8px;">
+        <div style="font-weight:bold; color:#0984e3; border-bottom:1px solid #dfe6e9; margin-bottom:4px;">${title}</div>
+        ${body}
+    </div>`;
+
+const row = (label, value) => `<div><strong>${escapeHtml(label)}:</strong> ${value}</div>`;
+
+/**
+ * Build the popup HTML of an identify result
+ * @param {Object} result - Response of GET /api/identify
+ * @returns {string}
+ */
+export const buildIdentifyPopupHtml = (result) => {
+    const { location, microGrid, layers = {}, sites, complaints, metadata = {} } = result;
+    const parts = [];
+
+    parts.push(section('微網格', microGrid
+        ? row(microGrid.gridName || microGrid.id, escapeHtml(microGrid.district || ''))
+        : '<div>不在任何微網格內</div>'));
+
+    const groupNames = Object.keys(layers);
+    if (groupNames.length > 0) {
+        groupNames.forEach((group) => {
+            const body = layers[group].map(({ label, features }) => features.map((feature) => {
+                const attributes = Object.entries(feature)
+                    .map(([key, value]) => `${escapeHtml(key)}=${formatValue(value)}`)
+                    .join(', ');
+                return row(label, attributes);
+            }).join('')).join('');
+            parts.push(section(GROUP_LABELS[group] || escapeHtml(group), body));
+        });
+    } else {
+        parts.push(section('圖層數據', '<div>此位置沒有圖層數據</div>'));
+    }
+
+    if (sites) {
+        const siteRows = (list, nameOf) => (list.length > 0
+            ? list.map(site => row(nameOf(site), `${site.distance_m} 米`)).join('')
+            : '<div>N/A</div>');
+        parts.push(section('最近現網站點', siteRows(sites.live, site => site.plan_site_name || site.live_site_id)));
+        parts.push(section('最近規劃站點', siteRows(sites.planning, site => site.plan_site_name || site.site_name || site.master_idx || '規劃站點')));
+    }
+
+    if (complaints) {
+        const records = complaints.records.slice(0, 5).map(record => row(
+            record.raw_ref_no,
+            `${formatValue(record.raw_category)} (${record.distance_m} 米)`
+        )).join('');
+        parts.push(section(`${complaints.radiusMeters} 米內投訴 (${complaints.total})`, records || '<div>沒有投訴</div>'));
+    }
+
+    if (metadata.errors && metadata.errors.length > 0) {
+        parts.push(`<div style="margin-top:8px; color:#d63031; font-size:11px;">部分數據查詢失敗: ${metadata.errors.map(error => escapeHtml(error.source)).join(', ')}</div>`);
+    }
+
+    return `
+        <div style="font-family: Arial, sans-serif; font-size:12px; max-height:360px; overflow-y:auto; min-width:260px;">
+            <h4 style="margin:0 0 4px 0; color:#2d3436;">位置查詢</h4>
+            <div style="color:#636e72;">${location.lat.toFixed(5)}, ${location.lon.toFixed(5)}</div>
+            ${parts.join('')}
+        </div>`;
+};
+
+/**
+ * Build the popup HTML of one clicked feature of an imported user layer
+ * @param {string} title - Layer name
+ * @param {Object} properties - Feature attributes (from the MVT tile)
+ * @returns {string}
+ */
+export const buildFeaturePopupHtml = (title, properties = {}) => {
+    const rows = Object.entries(properties)
+        .filter(([key]) => key !== 'feature_id')
+        .map(([key, value]) => row(key, formatValue(value)))
+        .join('');
+
+    return `
+        <div style="font-family: Arial, sans-serif; font-size:12px; max-height:360px; overflow-y:auto; min-width:220px;">
+            <h4 style="margin:0 0 4px 0; color:#2d3436;">${escapeHtml(title)}</h4>
+            ${rows || '<div style="color:#636e72;">沒有屬性</div>'}
+        </div>`;
+};
@@ -2,9 +2,22 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { configErrors } from './config';
+
+// ⚙️ Missing / invalid configuration: show what to fix instead of a map that cannot load data
+const ConfigErrorPage = ({ errors }) => (
+  <div style={{ fontFamily: 'Arial, sans-serif', maxWidth: 640, margin: '80px auto', color: '#2d3436' }}>
+    <h2 style={{ color: '#d63031' }}>配置錯誤 (Configuration error)</h2>
+    <p>請在 public/config.js (運行時) 或 Frontend/.env (構建時) 設定以下項目:</p>
+    <ul>
+      {errors.map(error => <li key={error}>{error}</li>)}
+    </ul>
+  </div>
+);
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {configErrors.length > 0 ? <ConfigErrorPage errors={configErrors} /> : <App />}
   </React.StrictMode>
 );
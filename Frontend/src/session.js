@@ -0,0 +1,82 @@
+// session.js
+// Login session shared by every component - the backend authorizes data and tile requests by
+// this session (role + allowed micro grids/districts), not by anything the client declares.
+
+const SESSION_TOKEN_KEY = 'gis_session_token';
+const SESSION_USER_KEY = 'gis_session_user';
+const SESSION_EXPIRED_EVENT = 'gis-session-expired';
+
+export const getSessionToken = () => localStorage.getItem(SESSION_TOKEN_KEY);
+
+export const getSessionUser = () => {
+    try {
+        const raw = localStorage.getItem(SESSION_USER_KEY);
+        return raw && getSessionToken() ? JSON.parse(raw) : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+export const saveSession = ({ token, user }) => {
+    localStorage.setItem(SESSION_TOKEN_KEY, token);
+    localStorage.setItem(SESSION_USER_KEY, JSON.stringify(user));
+};
+
+export const clearSession = () => {
+    localStorage.removeItem(SESSION_TOKEN_KEY);
+    localStorage.removeItem(SESSION_USER_KEY);
+};
+
+// 🚀 Subscribe to "session expired" (any 401 from the backend); returns an unsubscribe function
+export const onSessionExpired = (callback) => {
+    window.addEventListener(SESSION_EXPIRED_EVENT, callback);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, callback);
+};
+
+// 🚀 Append the session token to a URL - needed for tile URLs, which Leaflet requests without custom headers.
+// Works with URL templates such as ".../{z}/{x}/{y}?microGrids=1,2"
+export const withSession = (url) => {
+    const token = getSessionToken();
+    if (!token) return url;
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}session=${encodeURIComponent(token)}`;
+};
+
+// 🚀 fetch() with the session in the Authorization header; a 401 ends the session
+export const sessionFetch = async (url, options = {}) => {
+    const token = getSessionToken();
+    const headers = { ...(options.headers || {}) };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401 && token) {
+        clearSession();
+        window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+    }
+    return response;
+};
+
+export const login = async (serverUrl, username, password) => {
+    const response = await fetch(`${serverUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    saveSession(data);
+    return data.user;
+};
+
+export const logout = async (serverUrl) => {
+    try {
+        await sessionFetch(`${serverUrl}/auth/logout`, { method: 'POST' });
+    } catch (e) {
+        console.warn('Logout request failed:', e);
+    }
+    clearSession();
+};